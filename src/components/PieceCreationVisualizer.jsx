@@ -1,21 +1,34 @@
 import React, { useState, useEffect, useRef } from "react";
+import { formatStepValue } from "../utils/sequenceUtils";
+
+// Délai entre deux étapes lors de la relecture animée (ms)
+const REPLAY_STEP_DELAY = 400;
 
 /**
  * Composant pour visualiser la création d'une pièce étape par étape.
  * En mode "direct", il affiche l'état de la pièce jusqu'à `highlightStepIndex`.
+ * Les PLIER compensés et les AVANCER développés (valeurNominale) sont tracés avec leur valeur nominale
+ * et affichés avec les deux valeurs.
  * @param {Object} props - Propriétés du composant
  * @param {Array} props.sequence - La séquence complète des étapes de création.
  * @param {number} props.highlightStepIndex - L'index (1-basé) de l'étape en cours de traitement.
- * @param {Function} props.onClose - Fonction appelée lorsque l'action de fermeture est initiée (ex: par un bouton "Fermer").
+ * @param {Function} [props.onClose] - Fonction appelée lorsque l'action de fermeture est initiée (ex: par un bouton "Fermer").
  * @param {string} [props.mode='manual'] - 'manual' pour contrôles interactifs, 'direct' pour affichage piloté.
+ * @param {boolean} [props.autoPlay=false] - En mode 'manual', lance la relecture animée dès l'affichage.
+ * @param {Function} [props.onStepChange] - En mode 'manual', appelée avec le nombre d'étapes rejouées (null = séquence complète).
  */
 function PieceCreationVisualizer({ 
   sequence, 
   highlightStepIndex, 
   onClose, 
-  mode = 'manual'
+  mode = 'manual',
+  autoPlay = false,
+  onStepChange
 }) {
   const [zoom, setZoom] = useState(1);
+  // Relecture animée en mode manuel : nombre d'étapes affichées (null = toutes)
+  const [replayStep, setReplayStep] = useState(autoPlay ? 0 : null);
+  const [isReplaying, setIsReplaying] = useState(autoPlay);
   const canvasRef = useRef(null);
   const containerRef = useRef(null); // This ref might still be useful for measuring for canvas size
   
@@ -60,6 +73,26 @@ function PieceCreationVisualizer({
     };
   }, [canvasSize.width, canvasSize.height]); // Rerun if canvasSize actually changes from other sources (though unlikely now)
 
+  // Avancer la relecture animée d'une étape à intervalle régulier
+  useEffect(() => {
+    if (mode !== 'manual' || !isReplaying || !sequence) return;
+    if (replayStep !== null && replayStep >= sequence.length) {
+      setIsReplaying(false);
+      return;
+    }
+    const timer = setTimeout(() => {
+      setReplayStep(prev => (prev === null ? 1 : prev + 1));
+    }, REPLAY_STEP_DELAY);
+    return () => clearTimeout(timer);
+  }, [mode, isReplaying, replayStep, sequence]);
+
+  // Prévenir le parent de l'étape en cours de relecture
+  useEffect(() => {
+    if (mode === 'manual' && onStepChange) {
+      onStepChange(replayStep);
+    }
+  }, [mode, replayStep, onStepChange]);
+
   // Effet principal pour recalculer et redessiner la pièce
   useEffect(() => {
     if (!sequence || sequence.length === 0) {
@@ -77,9 +110,14 @@ function PieceCreationVisualizer({
     };
     const calculatedPoints = [{ x: currentPosition.x, y: currentPosition.y }];
 
-    const stepsToProcess = mode === 'direct' ? (highlightStepIndex || 0) : sequence.length;
+    const stepsToProcess = mode === 'direct'
+      ? (highlightStepIndex || 0)
+      : (replayStep ?? sequence.length);
+    // En relecture, le cadrage porte sur la séquence entière pour rester stable pendant l'animation
+    const stepsForBoundingBox = mode === 'manual' ? sequence.length : stepsToProcess;
 
-    for (let i = 0; i < stepsToProcess && i < sequence.length; i++) {
+    for (let i = 0; i < stepsForBoundingBox && i < sequence.length; i++) {
+      const isReplayed = i < stepsToProcess;
       const etape = sequence[i];
       const { action, valeur } = etape;
       let newPoint = null;
@@ -87,12 +125,14 @@ function PieceCreationVisualizer({
 
       switch (action) {
         case 'PLIER':
-          currentPosition.angle += valeur;
+          // La pièce est tracée avec l'angle nominal : le surpliage est absorbé par le retour élastique
+          currentPosition.angle += etape.valeurNominale ?? valeur;
           break;
         case 'AVANCER':
+          // Le segment est tracé à arête vive : l'arc des plis est dessiné par le coin
           const angleRad = (currentPosition.angle * Math.PI) / 180;
-          currentPosition.x += Math.cos(angleRad) * valeur;
-          currentPosition.y += Math.sin(angleRad) * valeur;
+          currentPosition.x += Math.cos(angleRad) * (etape.valeurNominale ?? valeur);
+          currentPosition.y += Math.sin(angleRad) * (etape.valeurNominale ?? valeur);
           newPoint = { x: currentPosition.x, y: currentPosition.y };
           break;
         case 'SE_DÉPLACER':
@@ -109,6 +149,13 @@ function PieceCreationVisualizer({
       }
 
       if (newPoint) {
+        if (!isReplayed) {
+          currentBoundingBox.minX = Math.min(currentBoundingBox.minX, newPoint.x);
+          currentBoundingBox.maxX = Math.max(currentBoundingBox.maxX, newPoint.x);
+          currentBoundingBox.minY = Math.min(currentBoundingBox.minY, newPoint.y);
+          currentBoundingBox.maxY = Math.max(currentBoundingBox.maxY, newPoint.y);
+          continue;
+        }
         currentBoundingBox.minX = Math.min(currentBoundingBox.minX, newPoint.x);
         currentBoundingBox.maxX = Math.max(currentBoundingBox.maxX, newPoint.x);
         currentBoundingBox.minY = Math.min(currentBoundingBox.minY, newPoint.y);
@@ -125,7 +172,7 @@ function PieceCreationVisualizer({
     internalBoundingBoxRef.current = currentBoundingBox; 
     drawCanvas(calculatedPoints, currentBoundingBox);
 
-  }, [sequence, highlightStepIndex, canvasSize, mode, zoom]); // Added zoom to dependencies for drawCanvas
+  }, [sequence, highlightStepIndex, replayStep, canvasSize, mode, zoom]); // Added zoom to dependencies for drawCanvas
 
   const drawCanvas = (currentPointsToDraw = points, currentBB = internalBoundingBoxRef.current) => {
     const canvas = canvasRef.current;
@@ -187,7 +234,8 @@ function PieceCreationVisualizer({
       ctx.lineWidth = Math.max(0.1, 2 / effectiveScale); // Ensure lineWidth is not too small or zero
       ctx.stroke();
 
-      if (mode === 'direct' && highlightStepIndex > 0) {
+      const markerStepIndex = mode === 'direct' ? highlightStepIndex : replayStep;
+      if (markerStepIndex > 0) {
         let pointCount = 0;
         let targetPoint = null;
         // Find the point that corresponds to highlightStepIndex considering nulls for SE_DEPLACER
@@ -196,7 +244,7 @@ function PieceCreationVisualizer({
         // We need to map this action index to a visual point.
         
         let visualPointIndex = 0; // 0 is the initial point
-        for (let i = 0; i < highlightStepIndex && i < sequence.length; i++) {
+        for (let i = 0; i < markerStepIndex && i < sequence.length; i++) {
             const action = sequence[i].action;
             if (action === 'AVANCER' || action === 'SE_DÉPLACER') {
                 visualPointIndex++;
@@ -226,6 +274,22 @@ function PieceCreationVisualizer({
     ctx.restore();
   };
 
+  // Lancer, mettre en pause ou reprendre la relecture animée
+  const handleToggleReplay = () => {
+    if (isReplaying) {
+      setIsReplaying(false);
+      return;
+    }
+    if (replayStep === null || replayStep >= (sequence?.length || 0)) {
+      setReplayStep(0);
+    }
+    setIsReplaying(true);
+  };
+
+  // Étape en cours (dernière étape traitée) pour l'affichage de sa valeur
+  const currentStepNumber = mode === 'direct' ? (highlightStepIndex || 0) : (replayStep ?? 0);
+  const currentStep = currentStepNumber > 0 ? sequence?.[currentStepNumber - 1] : null;
+
   // Removed the modal wrapper. This component now expects to be placed within a sized container.
   return (
     <div ref={containerRef} className="w-full h-full flex flex-col items-stretch bg-gray-50 rounded-lg overflow-hidden">
@@ -237,9 +301,27 @@ function PieceCreationVisualizer({
       
       {/* Controls Area */} 
       <div className="p-2 bg-gray-100 border-t border-gray-200">
+        {currentStep && (
+          <p className="text-xs text-gray-700 mb-1">
+            {currentStep.action}{currentStep.valeur !== undefined && ` ${formatStepValue(currentStep)}`}
+          </p>
+        )}
         {mode === 'manual' && (
           <div className="flex flex-wrap justify-between items-center gap-2">
-            <button onClick={onClose} className="px-3 py-1.5 bg-red-500 text-white rounded hover:bg-red-600 transition-colors text-sm">Fermer (Manual)</button>
+            {onClose && (
+              <button onClick={onClose} className="px-3 py-1.5 bg-red-500 text-white rounded hover:bg-red-600 transition-colors text-sm">Fermer (Manual)</button>
+            )}
+            <div className="flex items-center gap-2">
+              <button
+                onClick={handleToggleReplay}
+                className="px-3 py-1.5 bg-blue-500 text-white rounded hover:bg-blue-600 transition-colors text-sm"
+              >
+                {isReplaying ? 'Pause' : 'Rejouer'}
+              </button>
+              <span className="text-xs text-gray-600">
+                Étape {replayStep ?? sequence?.length ?? 0} / {sequence?.length ?? 0}
+              </span>
+            </div>
             <div>
               <label htmlFor="zoomManual" className="mr-1 text-xs">Zoom:</label>
               <input 
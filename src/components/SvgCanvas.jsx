@@ -1,5 +1,7 @@
 import React, { useRef, useState, useEffect, forwardRef } from "react";
 import PropTypes from "prop-types";
+import { SNAP_TYPES } from "../utils/snapUtils";
+import { CONTOUR_TYPES } from "../utils/offsetUtils";
 
 // Réutiliser les fonctions vectorielles de App.jsx si nécessaire pour les calculs
 // Pour simplifier ici, on va juste passer les props nécessaires ou recalculer basiquement.
@@ -17,6 +19,13 @@ const V_canvas = {
   perpendicular: (p) => ({ x: -p.y, y: p.x }),
 };
 
+// Taille des poignées de transformation et distance de la poignée de rotation au cadre (unités SVG)
+const TRANSFORM_HANDLE_SIZE = 7;
+const TRANSFORM_ROTATION_HANDLE_OFFSET = 25;
+// Demi-taille et couleur du repère d'accrochage aux objets (unités SVG)
+const SNAP_MARKER_SIZE = 5;
+const SNAP_MARKER_COLOR = "#d946ef";
+
 const SvgCanvas = forwardRef((props, ref) => {
   const {
     shapes,
@@ -26,6 +35,8 @@ const SvgCanvas = forwardRef((props, ref) => {
     selectedShapeId,
     onShapeClick,
     selectedPointIndex,
+    selectedVertexIndices = [],
+    selectionBox = null,
     onVertexMouseDown,
     svgUnitsPerMm,
     isDraggingVertex,
@@ -47,6 +58,14 @@ const SvgCanvas = forwardRef((props, ref) => {
     gridConfig,
     activeTool,
     isPanning,
+    violations = [],
+    constraintAnnotations = [],
+    materialOutlines = [],
+    correctionPreview = null,
+    activeSnap = null,
+    previewReadout = null,
+    showTransformHandles = false,
+    onTransformHandleMouseDown,
   } = props;
 
   const viewBoxString = viewBox ? `${viewBox.x} ${viewBox.y} ${viewBox.width} ${viewBox.height}` : "0 0 800 600";
@@ -98,6 +117,151 @@ const SvgCanvas = forwardRef((props, ref) => {
     pointerEvents: "none", // Important pour ne pas interférer avec les autres événements souris
   };
 
+  // Aperçu de la pièce corrigée par l'assistant des angles, par-dessus le tracé actuel
+  const renderCorrectionPreview = () => {
+    if (!correctionPreview || correctionPreview.points.length < 2) return null;
+    const PreviewElement = correctionPreview.type === "polygon" ? "polygon" : "polyline";
+    return (
+      <PreviewElement
+        points={correctionPreview.points.map((p) => `${p.x},${p.y}`).join(" ")}
+        fill="none"
+        stroke="#f59e0b"
+        strokeWidth="2"
+        strokeDasharray="5,3"
+        pointerEvents="none"
+      />
+    );
+  };
+
+  // Repère de l'accrochage aux objets : lignes de construction et symbole du type d'accrochage
+  const renderSnapMarker = () => {
+    if (!activeSnap) return null;
+    const { point, type, guides = [] } = activeSnap;
+    const s = SNAP_MARKER_SIZE;
+    const markerStyle = { fill: "none", stroke: SNAP_MARKER_COLOR, strokeWidth: 1.5, pointerEvents: "none" };
+    let symbol;
+    switch (type) {
+      case SNAP_TYPES.VERTEX:
+        symbol = <rect x={point.x - s} y={point.y - s} width={2 * s} height={2 * s} {...markerStyle} />;
+        break;
+      case SNAP_TYPES.MIDPOINT:
+        symbol = <polygon points={`${point.x},${point.y - s} ${point.x + s},${point.y + s} ${point.x - s},${point.y + s}`} {...markerStyle} />;
+        break;
+      case SNAP_TYPES.INTERSECTION:
+        symbol = (
+          <path d={`M ${point.x - s} ${point.y - s} L ${point.x + s} ${point.y + s} M ${point.x + s} ${point.y - s} L ${point.x - s} ${point.y + s}`} {...markerStyle} />
+        );
+        break;
+      case SNAP_TYPES.PERPENDICULAR:
+        symbol = (
+          <path d={`M ${point.x - s} ${point.y - s} L ${point.x - s} ${point.y + s} L ${point.x + s} ${point.y + s} M ${point.x - s} ${point.y} L ${point.x} ${point.y} L ${point.x} ${point.y + s}`} {...markerStyle} />
+        );
+        break;
+      case SNAP_TYPES.TANGENT:
+        symbol = (
+          <g>
+            <circle cx={point.x} cy={point.y} r={s} {...markerStyle} />
+            <line x1={point.x - s} y1={point.y - s} x2={point.x + s} y2={point.y - s} {...markerStyle} />
+          </g>
+        );
+        break;
+      default:
+        symbol = (
+          <path d={`M ${point.x - s} ${point.y} L ${point.x + s} ${point.y} M ${point.x} ${point.y - s} L ${point.x} ${point.y + s}`} {...markerStyle} />
+        );
+    }
+
+    return (
+      <g key="snap-marker">
+        {guides.map((guide, index) => (
+          <line
+            key={`snap-guide-${index}`}
+            x1={guide.from.x}
+            y1={guide.from.y}
+            x2={guide.to.x}
+            y2={guide.to.y}
+            stroke={SNAP_MARKER_COLOR}
+            strokeWidth="0.75"
+            strokeDasharray="4,3"
+            pointerEvents="none"
+          />
+        ))}
+        {symbol}
+      </g>
+    );
+  };
+
+  // Poignées de transformation de la forme sélectionnée : cadre, coins (échelle) et poignée de rotation
+  const renderTransformHandles = (shape) => {
+    const xs = shape.points.map((p) => p.x);
+    const ys = shape.points.map((p) => p.y);
+    const minX = Math.min(...xs);
+    const minY = Math.min(...ys);
+    const maxX = Math.max(...xs);
+    const maxY = Math.max(...ys);
+    const rotationHandle = { x: (minX + maxX) / 2, y: minY - TRANSFORM_ROTATION_HANDLE_OFFSET };
+    const startTransform = (e, mode) => {
+      e.stopPropagation(); // Ne pas démarrer de sélection ou de panoramique sur le canevas
+      onTransformHandleMouseDown(shape.id, mode, e);
+    };
+
+    return (
+      <g key={`transform-handles-${shape.id}`}>
+        <rect
+          x={minX}
+          y={minY}
+          width={maxX - minX}
+          height={maxY - minY}
+          fill="none"
+          stroke="deepskyblue"
+          strokeWidth="1"
+          strokeDasharray="3,3"
+          pointerEvents="none"
+        />
+        <line
+          x1={rotationHandle.x}
+          y1={minY}
+          x2={rotationHandle.x}
+          y2={rotationHandle.y}
+          stroke="deepskyblue"
+          strokeWidth="1"
+          pointerEvents="none"
+        />
+        <circle
+          cx={rotationHandle.x}
+          cy={rotationHandle.y}
+          r={TRANSFORM_HANDLE_SIZE / 2 + 1}
+          fill="white"
+          stroke="deepskyblue"
+          strokeWidth="1.5"
+          style={{ cursor: "alias", pointerEvents: "auto" }}
+          onMouseDown={(e) => startTransform(e, "rotate")}
+          onClick={(e) => e.stopPropagation()}
+        />
+        {[
+          { x: minX, y: minY, cursor: "nwse-resize" },
+          { x: maxX, y: minY, cursor: "nesw-resize" },
+          { x: maxX, y: maxY, cursor: "nwse-resize" },
+          { x: minX, y: maxY, cursor: "nesw-resize" },
+        ].map((corner, index) => (
+          <rect
+            key={`scale-handle-${index}`}
+            x={corner.x - TRANSFORM_HANDLE_SIZE / 2}
+            y={corner.y - TRANSFORM_HANDLE_SIZE / 2}
+            width={TRANSFORM_HANDLE_SIZE}
+            height={TRANSFORM_HANDLE_SIZE}
+            fill="white"
+            stroke="deepskyblue"
+            strokeWidth="1.5"
+            style={{ cursor: corner.cursor, pointerEvents: "auto" }}
+            onMouseDown={(e) => startTransform(e, "scale")}
+            onClick={(e) => e.stopPropagation()}
+          />
+        ))}
+      </g>
+    );
+  };
+
   const getPathData = (points, type) => {
     // Implementation of getPathData function
   };
@@ -233,6 +397,23 @@ const SvgCanvas = forwardRef((props, ref) => {
         {/* Rendu du marqueur d'origine */}
         {renderOriginMarker()}
 
+        {/* Faces et fibre neutre de la bande épaisse, sous les tracés */}
+        {materialOutlines.map((outline) => {
+          const OutlineElement = outline.isClosed ? "polygon" : "polyline";
+          const isNeutral = outline.type === CONTOUR_TYPES.NEUTRAL;
+          return (
+            <OutlineElement
+              key={`outline-${outline.id}`}
+              points={outline.points.map((p) => `${p.x},${p.y}`).join(" ")}
+              fill="none"
+              stroke={isNeutral ? "#0d9488" : "#9ca3af"}
+              strokeWidth="1"
+              strokeDasharray={isNeutral ? "6,3" : undefined}
+              pointerEvents="none"
+            />
+          );
+        })}
+
         {shapes.map((shape) => {
           const pointsString = shape.points
             ? shape.points.map((p) => `${p.x},${p.y}`).join(" ")
@@ -489,25 +670,45 @@ const SvgCanvas = forwardRef((props, ref) => {
             }
           }
 
+          // Glisser la forme sélectionnée la déplace
+          const canTransform = isSelected && showTransformHandles && onTransformHandleMouseDown &&
+            (shape.type === "polygon" || shape.type === "polyline") && shape.points && shape.points.length >= 2;
+          if (canTransform && renderedShape) {
+            renderedShape = React.cloneElement(renderedShape, {
+              onMouseDown: (e) => {
+                if (e.button !== 0) return;
+                e.stopPropagation();
+                onTransformHandleMouseDown(shape.id, "move", e);
+              },
+              style: { ...renderedShape.props.style, cursor: "move" },
+            });
+          }
+
           return (
             <g key={`group-${shape.id}-draggable`}>
               {renderedShape}
               {measurementTexts} {/* Afficher les textes de mesure */}
+              {canTransform && renderTransformHandles(shape)}
               {isSelected &&
                 (shape.type === "polygon" || shape.type === "polyline") &&
                 shape.points &&
-                shape.points.map((point, index) => (
+                // Poignées sur les sommets de contrôle (coins vifs des arrondis paramétriques)
+                (shape.controlPoints || shape.points).map((point, index) => (
                   <circle
                     key={`vertex-${shape.id}-${index}`}
                     cx={point.x}
                     cy={point.y}
-                    r={selectedPointIndex === index ? "6" : "4"}
+                    r={selectedPointIndex === index || selectedVertexIndices.includes(index) ? "6" : "4"}
                     fill={
                       selectedPointIndex === index
                         ? isDraggingVertex
                           ? "purple"
                           : "orange"
-                        : "red"
+                        : selectedVertexIndices.includes(index)
+                          ? "orange"
+                          : point.fillet
+                          ? "#0d9488"
+                          : "red"
                     }
                     stroke="white"
                     strokeWidth="1"
@@ -582,6 +783,22 @@ const SvgCanvas = forwardRef((props, ref) => {
           />
         )}
 
+        {/* Longueur et angle du segment en cours de tracé, à côté du point prévisualisé */}
+        {isDrawing && snappedPreviewPoint && previewReadout && (
+          <text
+            x={snappedPreviewPoint.x + 10}
+            y={snappedPreviewPoint.y - 10}
+            fontSize="10"
+            fill="#1d4ed8"
+            stroke="white"
+            strokeWidth="3"
+            paintOrder="stroke"
+            pointerEvents="none"
+          >
+            {previewReadout.lengthMm.toFixed(1)} mm ∠ {previewReadout.angleDeg.toFixed(1)}°
+          </text>
+        )}
+
         {/* Rendu des angles */}
         {displayedAngles &&
           displayedAngles.map((angle) => (
@@ -599,6 +816,82 @@ const SvgCanvas = forwardRef((props, ref) => {
             </text>
           ))}
 
+        {/* Mise en évidence des contraintes machine non respectées */}
+        {violations.map((violation, index) => {
+          const color = violation.severity === "error" ? "red" : "orange";
+          if (violation.segment) {
+            const [start, end] = violation.segment;
+            return (
+              <line
+                key={`violation-${index}`}
+                x1={start.x}
+                y1={start.y}
+                x2={end.x}
+                y2={end.y}
+                stroke={color}
+                strokeWidth="6"
+                strokeOpacity="0.5"
+                strokeLinecap="round"
+                pointerEvents="none"
+              />
+            );
+          }
+          if (violation.vertexIndex === undefined) return null;
+          return (
+            <circle
+              key={`violation-${index}`}
+              cx={violation.position.x}
+              cy={violation.position.y}
+              r="9"
+              fill="none"
+              stroke={color}
+              strokeWidth="2"
+              pointerEvents="none"
+            />
+          );
+        })}
+
+        {/* Annotations des contraintes de cote (bleu si respectée, rouge sinon) */}
+        {constraintAnnotations.map((annotation) => (
+          <text
+            key={`constraint-${annotation.id}`}
+            x={annotation.x}
+            y={annotation.y}
+            fontSize="10"
+            fontWeight="bold"
+            fill={annotation.isSatisfied ? "#1d4ed8" : "red"}
+            stroke="white"
+            strokeWidth="3"
+            paintOrder="stroke"
+            textAnchor="middle"
+            dominantBaseline="middle"
+            pointerEvents="none"
+          >
+            {annotation.label}
+          </text>
+        ))}
+
+        {/* Repère d'accrochage aux objets */}
+        {renderSnapMarker()}
+
+        {/* Aperçu d'une correction d'angle proposée par l'assistant */}
+        {renderCorrectionPreview()}
+
+        {/* Cadre de sélection des sommets */}
+        {selectionBox && (
+          <rect
+            x={Math.min(selectionBox.start.x, selectionBox.end.x)}
+            y={Math.min(selectionBox.start.y, selectionBox.end.y)}
+            width={Math.abs(selectionBox.end.x - selectionBox.start.x)}
+            height={Math.abs(selectionBox.end.y - selectionBox.start.y)}
+            fill="rgba(37, 99, 235, 0.08)"
+            stroke="#2563eb"
+            strokeWidth="1"
+            strokeDasharray="4,3"
+            style={{ pointerEvents: "none" }}
+          />
+        )}
+
         {/* Prévisualisation de la forme en cours de dessin (rectangle, cercle...) */}
         {previewShape && previewShape.type === "rectangle" && (
           <rect
@@ -643,6 +936,8 @@ SvgCanvas.propTypes = {
   selectedShapeId: PropTypes.string,
   onShapeClick: PropTypes.func.isRequired,
   selectedPointIndex: PropTypes.number,
+  selectedVertexIndices: PropTypes.arrayOf(PropTypes.number),
+  selectionBox: PropTypes.object,
   onVertexMouseDown: PropTypes.func.isRequired,
   svgUnitsPerMm: PropTypes.number,
   isDraggingVertex: PropTypes.bool,
@@ -666,6 +961,14 @@ SvgCanvas.propTypes = {
   gridConfig: PropTypes.object,
   activeTool: PropTypes.string,
   isPanning: PropTypes.bool,
+  violations: PropTypes.arrayOf(PropTypes.object),
+  constraintAnnotations: PropTypes.arrayOf(PropTypes.object),
+  materialOutlines: PropTypes.arrayOf(PropTypes.object),
+  correctionPreview: PropTypes.object,
+  activeSnap: PropTypes.object,
+  previewReadout: PropTypes.object,
+  showTransformHandles: PropTypes.bool,
+  onTransformHandleMouseDown: PropTypes.func,
 };
 
 export default SvgCanvas;
@@ -0,0 +1,122 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { expandShapeFillets } from '../../utils/filletUtils';
+import { ANGLE_FIX_LABELS, findTooSmallAngleVertices, getAngleFixCandidates } from '../../utils/angleFixUtils';
+
+const formatAngle = (value) => Math.round(value * 10) / 10;
+const formatSignedMm = (value) => `${value > 0 ? '+' : ''}${value} mm`;
+
+/**
+ * Assistant de correction des angles trop aigus de la pièce de production.
+ * Liste chaque coin sous l'angle minimum de la machine avec ses corrections possibles (chanfrein,
+ * arrondi de rayon minimal, deux plis) ; la correction choisie est prévisualisée sur le canevas
+ * avec ses écarts de cotes, puis acceptée sommet par sommet.
+ * @param {Object} props - Propriétés du composant
+ * @param {Object} props.shape - Pièce de production (points de contrôle)
+ * @param {Object} props.machineProfile - Profil machine (minAngleDeg, minSegmentLengthMm, bendPitchMm)
+ * @param {number} props.svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Function} props.onPreview - Appelée avec les points développés de la pièce corrigée, ou null
+ * @param {Function} props.onAccept - Appelée avec (index du sommet, arrondi paramétrique à poser)
+ * @param {Function} props.onClose - Fermeture de l'assistant
+ */
+function AngleFixAssistant({ shape, machineProfile, svgUnitsPerMm, onPreview, onAccept, onClose }) {
+  // Correction prévisualisée { vertexIndex, type }
+  const [previewedFix, setPreviewedFix] = useState(null);
+
+  const offendingVertices = useMemo(() => (
+    findTooSmallAngleVertices(shape, machineProfile.minAngleDeg).map(vertex => ({
+      ...vertex,
+      candidates: getAngleFixCandidates(shape, vertex.vertexIndex, machineProfile, machineProfile.bendPitchMm, svgUnitsPerMm),
+    }))
+  ), [shape, machineProfile, svgUnitsPerMm]);
+
+  const previewedCandidate = previewedFix
+    ? offendingVertices
+      .find(vertex => vertex.vertexIndex === previewedFix.vertexIndex)
+      ?.candidates.find(candidate => candidate.type === previewedFix.type)
+    : null;
+
+  // Aperçu sur le canevas : la pièce développée avec la correction choisie
+  useEffect(() => {
+    if (!previewedCandidate) {
+      onPreview(null);
+      return;
+    }
+    const points = shape.points.map((p, i) => (
+      i === previewedFix.vertexIndex ? { ...p, fillet: previewedCandidate.fillet } : p
+    ));
+    onPreview(expandShapeFillets({ ...shape, points }, machineProfile.bendPitchMm, svgUnitsPerMm).points);
+  }, [previewedCandidate, previewedFix, shape, machineProfile.bendPitchMm, svgUnitsPerMm, onPreview]);
+
+  // L'aperçu disparaît avec l'assistant
+  useEffect(() => () => onPreview(null), [onPreview]);
+
+  return (
+    <div className="absolute top-2 right-2 w-80 max-h-[80%] overflow-y-auto p-3 bg-white border rounded shadow text-xs z-10">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="font-bold text-sm">Correction des angles</h3>
+        <button className="px-2 text-gray-500 hover:text-gray-800" onClick={onClose} title="Fermer l'assistant">
+          ✕
+        </button>
+      </div>
+
+      {offendingVertices.length === 0 ? (
+        <p className="text-gray-600">
+          Aucun coin vif sous le minimum de {machineProfile.minAngleDeg}°. Les angles encore trop aigus
+          viennent d'arrondis ou de chanfreins : modifiez-les dans l'inspecteur.
+        </p>
+      ) : (
+        <p className="text-gray-600 mb-2">
+          Choisissez une correction pour la prévisualiser, puis appliquez-la. Écarts : longueur de bande
+          et distance au coin d'origine.
+        </p>
+      )}
+
+      {offendingVertices.map(({ vertexIndex, angleDeg, candidates }) => {
+        const isPreviewedVertex = previewedFix && previewedFix.vertexIndex === vertexIndex && previewedCandidate;
+        return (
+          <div key={vertexIndex} className="border-t pt-2 mt-2">
+            <h4 className="font-semibold mb-1">
+              Sommet {vertexIndex + 1} : {formatAngle(angleDeg)}° <span className="text-red-600">(min {machineProfile.minAngleDeg}°)</span>
+            </h4>
+            {candidates.length === 0 && (
+              <p className="text-orange-600">Segments trop courts pour corriger ce coin.</p>
+            )}
+            <ul className="flex flex-col gap-1">
+              {candidates.map(candidate => {
+                const isPreviewed = isPreviewedVertex && previewedFix.type === candidate.type;
+                return (
+                  <li key={candidate.type}>
+                    <button
+                      className={`w-full text-left p-1 rounded border ${isPreviewed ? 'border-indigo-600 bg-indigo-50' : 'border-gray-200 hover:bg-gray-50'}`}
+                      onClick={() => setPreviewedFix(isPreviewed ? null : { vertexIndex, type: candidate.type })}
+                    >
+                      <span className="font-medium">{ANGLE_FIX_LABELS[candidate.type]}</span>
+                      {' '}— {candidate.bendCount} plis, min {formatAngle(candidate.minBendAngleDeg)}°
+                      {!candidate.isValid && <span className="text-orange-600"> (non conforme)</span>}
+                      <br />
+                      <span className="text-gray-600">
+                        Longueur {formatSignedMm(candidate.lengthDeviationMm)}, écart au coin {candidate.cornerDeviationMm} mm
+                      </span>
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+            <button
+              className="tool-btn mt-1 p-1 w-full rounded bg-indigo-600 text-white disabled:opacity-50"
+              disabled={!isPreviewedVertex}
+              onClick={() => {
+                onAccept(vertexIndex, previewedCandidate.fillet);
+                setPreviewedFix(null);
+              }}
+            >
+              Appliquer au sommet {vertexIndex + 1}
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default AngleFixAssistant;
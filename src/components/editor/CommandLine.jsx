@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import { parseCommand, COMMAND_HELP } from '../../utils/commandParser';
+
+// Nombre de commandes conservées pour le rappel avec les flèches
+const COMMAND_HISTORY_SIZE = 50;
+
+/**
+ * Ligne de commande ancrée sous le canevas : saisie des points en coordonnées absolues,
+ * relatives ou polaires (mm) et des verbes (close, undo, fillet 5, move 10,0...).
+ * Les flèches haut / bas rappellent les commandes précédentes.
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} props.onExecute - Appelée avec la commande analysée ; retourne le message à afficher
+ *   et lève une erreur si la commande ne peut pas être exécutée
+ * @param {string} props.prompt - Invite rappelant le contexte (ex: "Point suivant")
+ */
+function CommandLine({ onExecute, prompt }) {
+  const [input, setInput] = useState('');
+  const [feedback, setFeedback] = useState({ text: COMMAND_HELP, isError: false });
+  const [commandHistory, setCommandHistory] = useState([]);
+  const [historyIndex, setHistoryIndex] = useState(null);
+
+  const execute = () => {
+    const text = input.trim();
+    if (!text) return;
+    setCommandHistory(prev => [...prev.filter(command => command !== text), text].slice(-COMMAND_HISTORY_SIZE));
+    setHistoryIndex(null);
+    try {
+      const message = onExecute(parseCommand(text));
+      setFeedback({ text: `${text} — ${message || 'OK'}`, isError: false });
+      setInput('');
+    } catch (error) {
+      setFeedback({ text: `${text} — ${error.message}`, isError: true });
+    }
+  };
+
+  const recall = (direction) => {
+    if (commandHistory.length === 0) return;
+    const current = historyIndex === null ? commandHistory.length : historyIndex;
+    const next = Math.max(0, Math.min(commandHistory.length, current + direction));
+    setHistoryIndex(next === commandHistory.length ? null : next);
+    setInput(next === commandHistory.length ? '' : commandHistory[next]);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      execute();
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      recall(-1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      recall(1);
+    } else if (e.key === 'Escape') {
+      setInput('');
+      setHistoryIndex(null);
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <div className="command-line flex flex-col gap-1 p-2 bg-gray-50 border-t border-gray-300 text-xs font-mono">
+      <p className={`truncate ${feedback.isError ? 'text-red-600' : 'text-gray-600'}`} title={feedback.text}>
+        {feedback.text}
+      </p>
+      <div className="flex items-center gap-2">
+        <label htmlFor="command-input" className="whitespace-nowrap text-gray-700">{prompt} :</label>
+        <input
+          id="command-input"
+          type="text"
+          value={input}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={handleKeyDown}
+          spellCheck={false}
+          autoComplete="off"
+          className="p-1 border rounded w-full"
+          placeholder="100,50 · @150,0 · @200<45 · close · fillet 5 · move 10,0"
+        />
+      </div>
+    </div>
+  );
+}
+
+export default CommandLine;
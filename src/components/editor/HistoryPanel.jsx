@@ -0,0 +1,48 @@
+import React from 'react';
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString([], {
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+
+/**
+ * Liste des actions de l'historique : un clic ramène l'éditeur à l'état qui suit l'action.
+ * Les actions annulées (rétablissables) sont grisées.
+ * @param {Object} props - Propriétés du composant
+ * @param {Array} props.past - Actions appliquées [{id, label, timestamp}], de la plus ancienne à la plus récente
+ * @param {Array} props.future - Actions annulées, de la prochaine à rétablir à la plus lointaine
+ * @param {Function} props.onJumpTo - Appelée avec le nombre d'actions à appliquer
+ */
+function HistoryPanel({ past, future, onJumpTo }) {
+  const entries = [
+    { id: 'history_initial', label: 'État initial', timestamp: null },
+    ...past,
+    ...future,
+  ];
+
+  return (
+    <ol className="history-panel flex flex-col max-h-48 overflow-y-auto border rounded bg-white text-xs">
+      {entries.map((entry, index) => {
+        const isCurrent = index === past.length;
+        const isUndone = index > past.length;
+        return (
+          <li key={entry.id}>
+            <button
+              className={`w-full flex justify-between px-2 py-1 text-left ${
+                isCurrent ? 'bg-blue-500 text-white' : isUndone ? 'text-gray-400 hover:bg-gray-100' : 'hover:bg-gray-100'
+              }`}
+              onClick={() => onJumpTo(index)}
+              title={isUndone ? 'Rétablir jusqu’à cette action' : 'Revenir à l’état après cette action'}
+            >
+              <span className="truncate">{entry.label}</span>
+              {entry.timestamp && <span className="ml-2 flex-shrink-0 opacity-75">{formatTime(entry.timestamp)}</span>}
+            </button>
+          </li>
+        );
+      })}
+    </ol>
+  );
+}
+
+export default HistoryPanel;
@@ -0,0 +1,54 @@
+import React, { useEffect, useState } from 'react';
+
+// Précision d'affichage des cotes (mm et degrés)
+export const DISPLAY_DECIMALS = 2;
+
+const formatNumber = (value) => String(parseFloat(value.toFixed(DISPLAY_DECIMALS)));
+
+/**
+ * Champ numérique validé à la saisie (Entrée ou perte du focus).
+ * Échap ou une saisie invalide restaure la valeur courante.
+ */
+function NumericField({ label, value, unit, onCommit, min }) {
+  const [draft, setDraft] = useState(formatNumber(value));
+
+  // Resynchroniser le champ quand la géométrie change (déplacement à la souris, annulation...)
+  useEffect(() => {
+    setDraft(formatNumber(value));
+  }, [value]);
+
+  const commit = () => {
+    const parsed = parseFloat(draft.replace(',', '.'));
+    if (!Number.isFinite(parsed) || (min !== undefined && parsed < min)) {
+      setDraft(formatNumber(value));
+      return;
+    }
+    if (formatNumber(parsed) !== formatNumber(value)) {
+      onCommit(parsed);
+    }
+  };
+
+  return (
+    <div className="flex items-center">
+      <label className="mr-2 text-xs w-24">{label}</label>
+      <input
+        type="text"
+        inputMode="decimal"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={commit}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.currentTarget.blur();
+          } else if (e.key === 'Escape') {
+            setDraft(formatNumber(value));
+          }
+        }}
+        className="p-1 border rounded w-full text-sm text-right"
+      />
+      <span className="ml-1 text-xs text-gray-500 w-6">{unit}</span>
+    </div>
+  );
+}
+
+export default NumericField;
@@ -0,0 +1,201 @@
+import React from 'react';
+import { getPieces, getPieceName, getShapeLayer } from '../../utils/pieceUtils';
+
+/**
+ * Champ texte de renommage, validé à la perte du focus ou par Entrée
+ */
+function NameField({ value, onCommit, className = '' }) {
+  return (
+    <input
+      type="text"
+      defaultValue={value}
+      key={value}
+      onBlur={(e) => {
+        const name = e.target.value.trim();
+        if (name && name !== value) onCommit(name);
+        else e.target.value = value;
+      }}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.currentTarget.blur();
+      }}
+      onClick={(e) => e.stopPropagation()}
+      className={`p-0.5 border rounded text-xs min-w-0 flex-grow bg-white ${className}`}
+    />
+  );
+}
+
+/**
+ * Bouton bascule (visibilité, verrouillage) d'une ligne de la liste
+ */
+function ToggleButton({ isOn, onLabel, offLabel, onToggle, title }) {
+  return (
+    <button
+      className={`px-1 text-xs ${isOn ? '' : 'opacity-40'}`}
+      onClick={(e) => {
+        e.stopPropagation();
+        onToggle();
+      }}
+      title={title}
+    >
+      {isOn ? onLabel : offLabel}
+    </button>
+  );
+}
+
+/**
+ * Panneau de l'espace de travail : calques et pièces.
+ * Chaque calque et chaque pièce peut être renommé, masqué ou verrouillé ;
+ * la pièce de production est celle envoyée par le bouton de lancement de la production.
+ * @param {Object} props - Propriétés du composant
+ * @param {Array} props.shapes - Formes de l'espace de travail
+ * @param {Array} props.layers - Calques
+ * @param {Object} props.activeLayer - Calque recevant les nouvelles pièces
+ * @param {string|null} props.selectedShapeId - Forme sélectionnée
+ * @param {string|null} props.productionPieceId - Pièce envoyée en production
+ * @param {Function} props.onSelectPiece - Appelée avec l'id de la pièce à sélectionner
+ * @param {Function} props.onSetProductionPiece - Appelée avec l'id de la pièce de production
+ * @param {Function} props.onUpdatePiece - Appelée avec (id, modifications) : name, hidden, locked, layerId
+ * @param {Function} props.onDeletePiece - Appelée avec l'id de la pièce à supprimer
+ * @param {Function} props.onSetActiveLayer - Appelée avec l'id du calque actif
+ * @param {Function} props.onAddLayer - Ajoute un calque
+ * @param {Function} props.onUpdateLayer - Appelée avec (id, modifications) : name, visible, locked
+ * @param {Function} props.onRemoveLayer - Appelée avec l'id du calque à supprimer
+ */
+function PiecesPanel({
+  shapes,
+  layers,
+  activeLayer,
+  selectedShapeId,
+  productionPieceId,
+  onSelectPiece,
+  onSetProductionPiece,
+  onUpdatePiece,
+  onDeletePiece,
+  onSetActiveLayer,
+  onAddLayer,
+  onUpdateLayer,
+  onRemoveLayer,
+}) {
+  const pieces = getPieces(shapes);
+
+  return (
+    <div className="pieces-panel p-2 border-b border-gray-300">
+      <div className="flex items-center justify-between mb-1">
+        <h3 className="font-bold text-sm">Calques</h3>
+        <button className="tool-btn px-2 rounded bg-gray-200 text-xs" onClick={onAddLayer} title="Ajouter un calque">
+          + Calque
+        </button>
+      </div>
+      <ul className="flex flex-col gap-1 mb-3">
+        {layers.map(layer => (
+          <li
+            key={layer.id}
+            className={`flex items-center gap-1 p-1 rounded cursor-pointer ${layer.id === activeLayer.id ? 'bg-blue-100' : ''}`}
+            onClick={() => onSetActiveLayer(layer.id)}
+            title="Les nouvelles pièces sont créées sur le calque actif"
+          >
+            <NameField value={layer.name} onCommit={(name) => onUpdateLayer(layer.id, { name })} />
+            <ToggleButton
+              isOn={layer.visible}
+              onLabel="👁"
+              offLabel="👁"
+              onToggle={() => onUpdateLayer(layer.id, { visible: !layer.visible })}
+              title={layer.visible ? 'Masquer le calque' : 'Afficher le calque'}
+            />
+            <ToggleButton
+              isOn={layer.locked}
+              onLabel="🔒"
+              offLabel="🔓"
+              onToggle={() => onUpdateLayer(layer.id, { locked: !layer.locked })}
+              title={layer.locked ? 'Déverrouiller le calque' : 'Verrouiller le calque'}
+            />
+            {layers.length > 1 && (
+              <button
+                className="px-1 text-red-600 text-xs"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onRemoveLayer(layer.id);
+                }}
+                title="Supprimer le calque (ses pièces passent sur le premier calque restant)"
+              >
+                ✕
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      <h3 className="font-bold text-sm mb-1">Pièces</h3>
+      {pieces.length === 0 ? (
+        <p className="text-xs text-gray-500">Dessinez ou importez une pièce pour commencer.</p>
+      ) : (
+        <ul className="flex flex-col gap-1">
+          {pieces.map(piece => {
+            const layer = getShapeLayer(piece, layers);
+            return (
+              <li
+                key={piece.id}
+                className={`flex flex-col gap-1 p-1 rounded cursor-pointer ${piece.id === selectedShapeId ? 'bg-blue-100' : ''}`}
+                onClick={() => onSelectPiece(piece.id)}
+              >
+                <div className="flex items-center gap-1">
+                  <input
+                    type="radio"
+                    name="production-piece"
+                    checked={piece.id === productionPieceId}
+                    onChange={() => onSetProductionPiece(piece.id)}
+                    onClick={(e) => e.stopPropagation()}
+                    title="Pièce envoyée en production"
+                  />
+                  <NameField
+                    value={getPieceName(piece, shapes)}
+                    onCommit={(name) => onUpdatePiece(piece.id, { name })}
+                  />
+                  <ToggleButton
+                    isOn={!piece.hidden}
+                    onLabel="👁"
+                    offLabel="👁"
+                    onToggle={() => onUpdatePiece(piece.id, { hidden: !piece.hidden })}
+                    title={piece.hidden ? 'Afficher la pièce' : 'Masquer la pièce'}
+                  />
+                  <ToggleButton
+                    isOn={!!piece.locked}
+                    onLabel="🔒"
+                    offLabel="🔓"
+                    onToggle={() => onUpdatePiece(piece.id, { locked: !piece.locked })}
+                    title={piece.locked ? 'Déverrouiller la pièce' : 'Verrouiller la pièce'}
+                  />
+                  <button
+                    className="px-1 text-red-600 text-xs"
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      onDeletePiece(piece.id);
+                    }}
+                    title="Supprimer la pièce"
+                  >
+                    ✕
+                  </button>
+                </div>
+                {layers.length > 1 && (
+                  <select
+                    value={layer.id}
+                    onChange={(e) => onUpdatePiece(piece.id, { layerId: e.target.value })}
+                    onClick={(e) => e.stopPropagation()}
+                    className="p-0.5 border rounded text-xs ml-5"
+                    title="Calque de la pièce"
+                  >
+                    {layers.map(l => (
+                      <option key={l.id} value={l.id}>{l.name}</option>
+                    ))}
+                  </select>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default PiecesPanel;
@@ -0,0 +1,87 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Touches qui commencent une saisie de longueur quand aucun champ n'a le focus
+const NUMERIC_KEY_PATTERN = /^[0-9.,]$/;
+
+const parseNumber = (value) => parseFloat(value.replace(',', '.'));
+
+/**
+ * Saisie au clavier du prochain segment pendant le dessin : longueur exacte en mm et,
+ * en option, angle en degrés (sinon l'angle du segment prévisualisé est conservé).
+ * Taper un chiffre sur le canevas place le curseur dans le champ longueur ; Entrée place le point.
+ * @param {Object} props - Propriétés du composant
+ * @param {Function} props.onPlacePoint - Appelée avec (longueur en mm, angle en degrés ou null)
+ */
+function PolarEntryBox({ onPlacePoint }) {
+  const [lengthDraft, setLengthDraft] = useState('');
+  const [angleDraft, setAngleDraft] = useState('');
+  const lengthInputRef = useRef(null);
+
+  // Un chiffre tapé hors d'un champ démarre la saisie de la longueur
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      const target = event.target;
+      const isEditable = target && (['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable);
+      if (isEditable || event.ctrlKey || event.metaKey || event.altKey) return;
+      if (NUMERIC_KEY_PATTERN.test(event.key)) {
+        lengthInputRef.current?.focus();
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  const reset = () => {
+    setLengthDraft('');
+    setAngleDraft('');
+  };
+
+  const submit = () => {
+    const lengthMm = parseNumber(lengthDraft);
+    if (!Number.isFinite(lengthMm) || lengthMm <= 0) return;
+    const angleDeg = parseNumber(angleDraft);
+    onPlacePoint(lengthMm, Number.isFinite(angleDeg) ? angleDeg : null);
+    reset();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submit();
+    } else if (e.key === 'Escape') {
+      reset();
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <div className="absolute bottom-2 left-2 flex items-center gap-2 p-2 bg-white bg-opacity-90 border rounded shadow text-xs">
+      <label htmlFor="polar-length">Longueur</label>
+      <input
+        id="polar-length"
+        ref={lengthInputRef}
+        type="text"
+        inputMode="decimal"
+        value={lengthDraft}
+        onChange={(e) => setLengthDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        className="p-1 border rounded w-20 text-right"
+        placeholder="mm"
+      />
+      <label htmlFor="polar-angle">Angle</label>
+      <input
+        id="polar-angle"
+        type="text"
+        inputMode="decimal"
+        value={angleDraft}
+        onChange={(e) => setAngleDraft(e.target.value)}
+        onKeyDown={handleKeyDown}
+        className="p-1 border rounded w-16 text-right"
+        placeholder="°"
+      />
+      <span className="text-gray-500">Entrée pour placer le point</span>
+    </div>
+  );
+}
+
+export default PolarEntryBox;
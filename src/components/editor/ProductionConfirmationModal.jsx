@@ -1,9 +1,16 @@
-import React from 'react';
+import React, { useMemo, useState } from 'react';
 import { calculateTotalPathLengthMm } from '../../utils/shapeUtils';
+import { getNeutralAxisPoints } from '../../utils/offsetUtils';
+import { calculateDevelopedLength } from '../../utils/bendAllowanceUtils';
+import { generateBendingSequence, summarizeSequence, formatStepValue } from '../../utils/sequenceUtils';
+import PieceCreationVisualizer from '../PieceCreationVisualizer';
 
 /**
  * Modale de confirmation avant de lancer la production.
- * Affiche la longueur totale de la forme.
+ * Affiche la longueur totale de la forme et la séquence de pliage prévue
+ * (tableau des étapes et relecture animée), calculées sur la fibre neutre de la bande,
+ * ainsi que la longueur de coupe développée (rayon des plis et facteur K du matériau) et son détail.
+ * Les AVANCER de la séquence avancent cette longueur développée.
  */
 function ProductionConfirmationModal({
   isOpen,
@@ -11,33 +18,147 @@ function ProductionConfirmationModal({
   onConfirm,
   shape,
   svgUnitsPerMm,
+  machineProfile,
+  material,
 }) {
+  // Nombre d'étapes rejouées par le visualiseur (null = séquence complète)
+  const [replayStep, setReplayStep] = useState(null);
+
+  const neutralPoints = useMemo(() => (
+    shape ? getNeutralAxisPoints(shape, (material?.thicknessMm || 0) * svgUnitsPerMm) : []
+  ), [shape, material, svgUnitsPerMm]);
+
+  const developed = useMemo(() => (
+    calculateDevelopedLength(neutralPoints, shape?.type === 'polygon', svgUnitsPerMm, material || {})
+  ), [neutralPoints, shape, svgUnitsPerMm, material]);
+
+  // Mémoïser la séquence pour ne pas relancer la relecture à chaque rendu
+  const sequence = useMemo(() => (
+    shape
+      ? generateBendingSequence(neutralPoints, shape.type === 'polygon', svgUnitsPerMm, {
+          ...machineProfile,
+          springbackCurve: material?.springbackCurve,
+          developedLength: developed,
+        })
+      : []
+  ), [shape, neutralPoints, svgUnitsPerMm, machineProfile, material, developed]);
+
   if (!isOpen || !shape) return null;
 
+  const isPolygon = shape.type === 'polygon';
   const totalLength = calculateTotalPathLengthMm(
-    shape.points,
-    shape.type === 'polygon',
+    neutralPoints,
+    isPolygon,
     svgUnitsPerMm
   );
+  const { steps, bendCount } = summarizeSequence(sequence);
+  const activeStepIndex = replayStep !== null && replayStep > 0 ? replayStep - 1 : null;
 
   return (
     <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 p-4">
-      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-md">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-4xl max-h-[90vh] flex flex-col">
         <h2 className="text-xl font-semibold mb-4">Confirmation avant Production</h2>
-        
+        {machineProfile && (
+          <p className="text-sm text-gray-600 mb-2">Machine : {machineProfile.name}</p>
+        )}
+        {material && (
+          <p className="text-sm text-gray-600 mb-2">
+            Matériau : {material.name} — angles de pli compensés du retour élastique
+          </p>
+        )}
+
         <div className="mb-4">
           <p className="text-sm text-gray-700 mb-2">
-            Veuillez vérifier la longueur totale de la pièce avant de lancer la production :
+            Veuillez vérifier la longueur totale et l'ordre des plis avant de lancer la production :
           </p>
           {totalLength > 0 ? (
-            <p className="text-lg font-medium text-indigo-600 bg-gray-50 p-3 rounded">
-              Longueur totale : {totalLength} mm
-            </p>
+            <>
+              <p className="text-lg font-medium text-indigo-600 bg-gray-50 p-3 rounded">
+                Longueur de coupe : {developed.totalLengthMm} mm — {bendCount} pli{bendCount > 1 ? 's' : ''}
+              </p>
+              <p className="text-xs text-gray-500 mt-1">
+                Fibre neutre à arêtes vives : {totalLength} mm
+                {material && ` — rayon intérieur ${material.innerRadiusMm ?? 0} mm, facteur K ${material.kFactor ?? 0.5}`}
+              </p>
+              <details className="text-sm mt-2">
+                <summary className="cursor-pointer">Détail de la longueur développée</summary>
+                <table className="w-full text-xs mt-1">
+                  <thead className="bg-gray-100">
+                    <tr>
+                      <th className="text-left px-2 py-1">Élément</th>
+                      <th className="text-right px-2 py-1">Arête vive</th>
+                      <th className="text-right px-2 py-1">Développé</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {developed.segments.map((segment) => {
+                      const bend = developed.bends.find(b => b.vertexIndex === segment.index + 1);
+                      return (
+                        <React.Fragment key={`developed-${segment.index}`}>
+                          <tr>
+                            <td className="px-2 py-1">Segment {segment.index + 1}</td>
+                            <td className="px-2 py-1 text-right">{segment.sharpLengthMm} mm</td>
+                            <td className={`px-2 py-1 text-right ${segment.straightLengthMm < 0 ? 'text-red-600' : ''}`}>
+                              {segment.straightLengthMm} mm
+                            </td>
+                          </tr>
+                          {bend && (
+                            <tr className="bg-gray-50">
+                              <td className="px-2 py-1">Pli au sommet {bend.vertexIndex + 1} ({bend.angleDeg}°)</td>
+                              <td className="px-2 py-1 text-right text-gray-500" title="Déduction de pli">−{bend.deductionMm} mm</td>
+                              <td className="px-2 py-1 text-right">{bend.allowanceMm} mm</td>
+                            </tr>
+                          )}
+                        </React.Fragment>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </details>
+            </>
           ) : (
             <p className="text-sm text-gray-500">Impossible de calculer la longueur.</p>
           )}
         </div>
 
+        {steps.length > 0 && (
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4 min-h-0">
+            <div className="h-72">
+              <PieceCreationVisualizer
+                sequence={sequence}
+                mode="manual"
+                autoPlay
+                onStepChange={setReplayStep}
+              />
+            </div>
+            <div className="h-72 overflow-y-auto border rounded">
+              <table className="w-full text-sm">
+                <thead className="bg-gray-100 sticky top-0">
+                  <tr>
+                    <th className="text-left px-2 py-1">#</th>
+                    <th className="text-left px-2 py-1">Action</th>
+                    <th className="text-right px-2 py-1">Valeur</th>
+                    <th className="text-right px-2 py-1">Longueur cumulée</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {steps.map((step, index) => (
+                    <tr
+                      key={`step-${index}`}
+                      className={index === activeStepIndex ? 'bg-yellow-100' : index % 2 ? 'bg-gray-50' : ''}
+                    >
+                      <td className="px-2 py-1 text-gray-500">{index + 1}</td>
+                      <td className="px-2 py-1">{step.action}</td>
+                      <td className="px-2 py-1 text-right">{formatStepValue(step)}</td>
+                      <td className="px-2 py-1 text-right">{step.cumulativeLengthMm} mm</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+
         <p className="text-sm text-red-600 mb-6">
           Êtes-vous sûr de vouloir lancer la production pour cette pièce ?
         </p>
@@ -61,4 +182,4 @@ function ProductionConfirmationModal({
   );
 }
 
-export default ProductionConfirmationModal; 
\ No newline at end of file
+export default ProductionConfirmationModal;
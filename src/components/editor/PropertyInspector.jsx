@@ -0,0 +1,390 @@
+import React from 'react';
+import { V } from '../../utils/vectorUtils';
+import { getVertexAngle, calculateTotalPathLengthMm } from '../../utils/shapeUtils';
+import { CONSTRAINT_TYPES, describeConstraint } from '../../utils/constraintUtils';
+import { CONTOUR_TYPES, CONTOUR_TYPE_LABELS, getNeutralAxisPoints } from '../../utils/offsetUtils';
+import {
+  FILLET_TYPES,
+  FILLET_TYPE_LABELS,
+  CHAMFER_MODES,
+  getFilletArc,
+  getFilletChamferPoints,
+  getFilletSegmentCount,
+  expandShapeFillets
+} from '../../utils/filletUtils';
+import { getPartTemplate } from '../../utils/templateUtils';
+import NumericField, { DISPLAY_DECIMALS } from './NumericField';
+
+/**
+ * Panneau latéral de saisie numérique des cotes de la forme sélectionnée.
+ * Permet de saisir les coordonnées du sommet sélectionné, la longueur des segments
+ * qui l'entourent et son angle intérieur ; la géométrie est recalculée en conséquence.
+ * Les cotes peuvent aussi être figées en contraintes, maintenues lors des déplacements.
+ * Avec une bande épaisse, on choisit le contour (face ou fibre neutre) auquel les cotes se rapportent.
+ * Les arrondis et chanfreins paramétriques du sommet sélectionné restent modifiables ou supprimables.
+ * Une forme issue d'un gabarit rappelle ses cotes et peut être régénérée depuis la galerie.
+ * @param {Object} props - Propriétés du composant
+ * @param {Object|null} props.shape - Forme sélectionnée
+ * @param {number|null} props.selectedPointIndex - Index du sommet sélectionné
+ * @param {number} props.svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {number} props.thickness - Épaisseur de la bande (unités SVG)
+ * @param {number} props.bendPitchMm - Pas de pliage de la machine (découpage des arrondis)
+ * @param {Function} props.onSetVertexFillet - Appelée avec (index, arrondi) ; arrondi null pour revenir au coin vif
+ * @param {Function} props.onSetContourReference - Appelée avec le contour de référence des cotes (CONTOUR_TYPES)
+ * @param {Function} props.onEditTemplate - Ouvre la galerie de gabarits sur les cotes de la forme
+ * @param {Function} props.onSetVertexPosition - Appelée avec (index, {x, y}) en mm
+ * @param {Function} props.onSetSegmentLength - Appelée avec (segmentIndex, longueur en mm)
+ * @param {Function} props.onSetVertexAngle - Appelée avec (index, angle en degrés)
+ * @param {Function} props.onAddConstraint - Appelée avec la contrainte à ajouter (sans id)
+ * @param {Function} props.onUpdateConstraint - Appelée avec (id, modifications)
+ * @param {Function} props.onRemoveConstraint - Appelée avec l'id de la contrainte à supprimer
+ */
+function PropertyInspector({
+  shape,
+  selectedPointIndex,
+  svgUnitsPerMm,
+  thickness,
+  bendPitchMm,
+  onSetVertexFillet,
+  onSetContourReference,
+  onEditTemplate,
+  onSetVertexPosition,
+  onSetSegmentLength,
+  onSetVertexAngle,
+  onAddConstraint,
+  onUpdateConstraint,
+  onRemoveConstraint,
+}) {
+  if (!shape || (shape.type !== 'polygon' && shape.type !== 'polyline')) {
+    return null;
+  }
+
+  const { points } = shape;
+  const isPolygon = shape.type === 'polygon';
+  const n = points.length;
+  const toMm = (value) => value / svgUnitsPerMm;
+  const point = selectedPointIndex !== null ? points[selectedPointIndex] : null;
+
+  // Segments adjacents au sommet sélectionné (absents aux extrémités d'une polyligne)
+  const adjacentSegments = [];
+  if (point) {
+    const incomingIndex = (selectedPointIndex - 1 + n) % n;
+    if (isPolygon || selectedPointIndex > 0) {
+      adjacentSegments.push({ index: incomingIndex, label: 'Segment entrant' });
+    }
+    if (isPolygon || selectedPointIndex < n - 1) {
+      adjacentSegments.push({ index: selectedPointIndex, label: 'Segment sortant' });
+    }
+  }
+  const vertexAngle = point ? getVertexAngle(points, selectedPointIndex, isPolygon) : null;
+  const constraints = shape.constraints || [];
+  const segmentCount = isPolygon ? n : n - 1;
+  const segmentLengthMm = (index) => toMm(V.distance(points[index], points[(index + 1) % n]));
+  const roundValue = (value) => parseFloat(value.toFixed(DISPLAY_DECIMALS));
+  const hasLengthConstraint = (index) => constraints.some(
+    c => c.type === CONSTRAINT_TYPES.LENGTH && c.segmentIndex === index
+  );
+  const hasAngleConstraint = constraints.some(
+    c => c.type === CONSTRAINT_TYPES.ANGLE && c.vertexIndex === selectedPointIndex
+  );
+  const contourReference = shape.contourReference || CONTOUR_TYPES.NEUTRAL;
+  const template = shape.template ? getPartTemplate(shape.template.id) : null;
+  // Longueurs mesurées sur la forme développée (arrondis compris)
+  const outline = expandShapeFillets(shape, bendPitchMm, svgUnitsPerMm);
+  const fillet = point ? point.fillet : null;
+  const filletArc = fillet ? getFilletArc(points, selectedPointIndex, fillet, isPolygon, svgUnitsPerMm) : null;
+  const chamferPoints = fillet && fillet.type === FILLET_TYPES.CHAMFER
+    ? getFilletChamferPoints(points, selectedPointIndex, fillet, isPolygon, svgUnitsPerMm)
+    : null;
+  // Angles des deux plis qui remplacent le sommet chanfreiné
+  const chamferBendAngles = chamferPoints && [
+    getVertexAngle([points[(selectedPointIndex - 1 + n) % n], ...chamferPoints], 1, false),
+    getVertexAngle([...chamferPoints, points[(selectedPointIndex + 1) % n]], 1, false),
+  ];
+
+  return (
+    <div className="property-inspector p-2">
+      <h3 className="font-bold text-sm mb-2">Propriétés</h3>
+      <p className="text-xs text-gray-600 mb-3">
+        {isPolygon ? 'Polygone' : 'Polyligne'} — {n} sommets —{' '}
+        {calculateTotalPathLengthMm(outline.points, isPolygon, svgUnitsPerMm)} mm
+      </p>
+      {template && (
+        <div className="flex flex-col gap-1 mb-3 text-xs">
+          <p className="text-gray-600">
+            Gabarit {template.label.toLowerCase()} :{' '}
+            {template.parameters.map(parameter => (
+              `${parameter.label.toLowerCase()} ${shape.template.parameters[parameter.key]} ${parameter.unit}`
+            )).join(', ')}
+          </p>
+          <button
+            className="p-1 rounded bg-gray-200 hover:bg-gray-300"
+            onClick={onEditTemplate}
+            title="Régénérer la forme à partir de nouvelles cotes"
+          >
+            Modifier les cotes du gabarit
+          </button>
+        </div>
+      )}
+      {thickness > 0 && (
+        <div className="flex flex-col gap-1 mb-3">
+          <div className="flex items-center gap-1">
+            <label className="text-xs w-24">Cotes sur</label>
+            <select
+              value={contourReference}
+              onChange={(e) => onSetContourReference(e.target.value)}
+              className="p-1 border rounded w-full text-xs"
+              title="Contour de la bande représenté par le tracé et ses cotes"
+            >
+              {Object.entries(CONTOUR_TYPE_LABELS).map(([type, label]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+          </div>
+          {contourReference !== CONTOUR_TYPES.NEUTRAL && (
+            <p className="text-xs text-gray-600">
+              Fibre neutre : {calculateTotalPathLengthMm(getNeutralAxisPoints(outline, thickness), isPolygon, svgUnitsPerMm)} mm
+            </p>
+          )}
+        </div>
+      )}
+
+      {point ? (
+        <div className="flex flex-col gap-3">
+          <div className="flex flex-col gap-1">
+            <h4 className="text-xs font-semibold">Sommet {selectedPointIndex + 1}</h4>
+            <NumericField
+              label="X"
+              unit="mm"
+              value={toMm(point.x)}
+              onCommit={(x) => onSetVertexPosition(selectedPointIndex, { x, y: toMm(point.y) })}
+            />
+            <NumericField
+              label="Y"
+              unit="mm"
+              value={toMm(point.y)}
+              onCommit={(y) => onSetVertexPosition(selectedPointIndex, { x: toMm(point.x), y })}
+            />
+            {vertexAngle !== null && (
+              <NumericField
+                label="Angle"
+                unit="°"
+                min={0}
+                value={vertexAngle}
+                onCommit={(angle) => onSetVertexAngle(selectedPointIndex, angle)}
+              />
+            )}
+            {vertexAngle !== null && !hasAngleConstraint && (
+              <button
+                className="tool-btn p-1 rounded bg-gray-200 text-xs"
+                onClick={() => onAddConstraint({
+                  type: CONSTRAINT_TYPES.ANGLE,
+                  vertexIndex: selectedPointIndex,
+                  valueDeg: roundValue(vertexAngle),
+                })}
+                title="Maintenir cet angle lors des modifications"
+              >
+                Figer l'angle
+              </button>
+            )}
+          </div>
+
+          {fillet && (
+            <div className="flex flex-col gap-1">
+              <h4 className="text-xs font-semibold">{FILLET_TYPE_LABELS[fillet.type]}</h4>
+              {fillet.type === FILLET_TYPES.CHAMFER && (
+                <>
+                  <NumericField
+                    label={fillet.mode === CHAMFER_MODES.EQUAL ? 'Distance' : 'Distance 1'}
+                    unit="mm"
+                    min={0}
+                    value={fillet.distance1Mm}
+                    onCommit={(distance1Mm) => onSetVertexFillet(selectedPointIndex, { ...fillet, distance1Mm })}
+                  />
+                  {fillet.mode === CHAMFER_MODES.TWO_DISTANCES && (
+                    <NumericField
+                      label="Distance 2"
+                      unit="mm"
+                      min={0}
+                      value={fillet.distance2Mm}
+                      onCommit={(distance2Mm) => onSetVertexFillet(selectedPointIndex, { ...fillet, distance2Mm })}
+                    />
+                  )}
+                  {fillet.mode === CHAMFER_MODES.DISTANCE_ANGLE && (
+                    <NumericField
+                      label="Angle"
+                      unit="°"
+                      min={0}
+                      value={fillet.angleDeg}
+                      onCommit={(angleDeg) => onSetVertexFillet(selectedPointIndex, { ...fillet, angleDeg })}
+                    />
+                  )}
+                  {chamferBendAngles ? (
+                    <p className="text-xs text-gray-600">
+                      Plis : {roundValue(chamferBendAngles[0])}° et {roundValue(chamferBendAngles[1])}°
+                    </p>
+                  ) : (
+                    <p className="text-xs text-orange-600">
+                      Chanfrein inactif : angle plat ou distances trop grandes pour les segments.
+                    </p>
+                  )}
+                </>
+              )}
+              {fillet.type === FILLET_TYPES.COMPOUND && (
+                <NumericField
+                  label="Courbure"
+                  unit="°"
+                  min={0}
+                  value={fillet.curvatureDeg}
+                  onCommit={(curvatureDeg) => onSetVertexFillet(selectedPointIndex, {
+                    ...fillet,
+                    curvatureDeg: Math.min(89, curvatureDeg),
+                  })}
+                />
+              )}
+              {fillet.type === FILLET_TYPES.ROUND && (
+                <NumericField
+                  label="Rayon"
+                  unit="mm"
+                  min={0}
+                  value={fillet.radiusMm}
+                  onCommit={(radiusMm) => onSetVertexFillet(selectedPointIndex, { ...fillet, radiusMm })}
+                />
+              )}
+              {fillet.type !== FILLET_TYPES.CHAMFER && (filletArc ? (
+                <>
+                  {fillet.type === FILLET_TYPES.ROUND && toMm(filletArc.radius) < fillet.radiusMm - 0.01 && (
+                    <p className="text-xs text-orange-600">
+                      Rayon limité à {roundValue(toMm(filletArc.radius))} mm par la longueur des segments
+                    </p>
+                  )}
+                  <NumericField
+                    label="Segments"
+                    min={1}
+                    value={getFilletSegmentCount(filletArc, fillet, bendPitchMm, svgUnitsPerMm)}
+                    onCommit={(segmentCount) => onSetVertexFillet(selectedPointIndex, {
+                      ...fillet,
+                      segmentCount: Math.round(segmentCount),
+                    })}
+                  />
+                  {fillet.segmentCount > 0 ? (
+                    <button
+                      className="tool-btn p-1 rounded bg-gray-200 text-xs"
+                      onClick={() => onSetVertexFillet(selectedPointIndex, { ...fillet, segmentCount: null })}
+                      title="Découper l'arc au pas de pliage de la machine"
+                    >
+                      Segments au pas de pliage
+                    </button>
+                  ) : (
+                    <p className="text-xs text-gray-500">Arc découpé au pas de pliage ({bendPitchMm} mm).</p>
+                  )}
+                </>
+              ) : (
+                <p className="text-xs text-orange-600">Arrondi inactif : angle plat ou rayon trop petit.</p>
+              ))}
+              <button
+                className="tool-btn p-1 rounded bg-gray-200 text-xs"
+                onClick={() => onSetVertexFillet(selectedPointIndex, null)}
+                title="Supprimer l'arrondi ou le chanfrein et revenir au coin vif"
+              >
+                Revenir au coin vif
+              </button>
+            </div>
+          )}
+
+          {adjacentSegments.length > 0 && (
+            <div className="flex flex-col gap-1">
+              <h4 className="text-xs font-semibold">Longueurs</h4>
+              {adjacentSegments.map(segment => (
+                <div key={segment.label} className="flex flex-col gap-1">
+                  <NumericField
+                    label={`${segment.label} (${segment.index + 1})`}
+                    unit="mm"
+                    min={0}
+                    value={segmentLengthMm(segment.index)}
+                    onCommit={(length) => onSetSegmentLength(segment.index, length)}
+                  />
+                  <div className="flex gap-1">
+                    {!hasLengthConstraint(segment.index) && (
+                      <button
+                        className="tool-btn p-1 rounded bg-gray-200 text-xs flex-1"
+                        onClick={() => onAddConstraint({
+                          type: CONSTRAINT_TYPES.LENGTH,
+                          segmentIndex: segment.index,
+                          valueMm: roundValue(segmentLengthMm(segment.index)),
+                        })}
+                        title="Maintenir cette longueur lors des modifications"
+                      >
+                        Figer
+                      </button>
+                    )}
+                    {segmentCount > 1 && (
+                      <select
+                        value=""
+                        onChange={(e) => onAddConstraint({
+                          type: CONSTRAINT_TYPES.PARALLEL,
+                          segmentIndex: segment.index,
+                          otherSegmentIndex: Number(e.target.value),
+                        })}
+                        className="p-1 border rounded text-xs flex-1"
+                        title="Rendre ce segment parallèle à un autre"
+                      >
+                        <option value="" disabled>∥ segment…</option>
+                        {Array.from({ length: segmentCount }, (_, i) => i)
+                          .filter(i => i !== segment.index)
+                          .map(i => (
+                            <option key={i} value={i}>Segment {i + 1}</option>
+                          ))}
+                      </select>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500">
+          Sélectionnez un sommet pour saisir ses coordonnées, ses longueurs et son angle.
+        </p>
+      )}
+
+      {constraints.length > 0 && (
+        <div className="flex flex-col gap-1 mt-4">
+          <h4 className="text-xs font-semibold">Contraintes</h4>
+          {constraints.map(constraint => (
+            <div key={constraint.id} className="flex items-center gap-1">
+              {constraint.type === CONSTRAINT_TYPES.PARALLEL ? (
+                <span className="text-xs flex-grow">{describeConstraint(constraint)}</span>
+              ) : (
+                <div className="flex-grow">
+                  <NumericField
+                    label={constraint.type === CONSTRAINT_TYPES.LENGTH
+                      ? `Segment ${constraint.segmentIndex + 1}`
+                      : `Angle ${constraint.vertexIndex + 1}`}
+                    unit={constraint.type === CONSTRAINT_TYPES.LENGTH ? 'mm' : '°'}
+                    min={0}
+                    value={constraint.type === CONSTRAINT_TYPES.LENGTH ? constraint.valueMm : constraint.valueDeg}
+                    onCommit={(value) => onUpdateConstraint(
+                      constraint.id,
+                      constraint.type === CONSTRAINT_TYPES.LENGTH ? { valueMm: value } : { valueDeg: value }
+                    )}
+                  />
+                </div>
+              )}
+              <button
+                className="px-1 text-red-600 text-xs"
+                onClick={() => onRemoveConstraint(constraint.id)}
+                title="Supprimer cette contrainte"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PropertyInspector;
@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from 'react';
+import { SHAPE_CLEANUP_DEFAULTS } from '../../constants/config';
+import { cleanupShapePoints } from '../../utils/simplifyUtils';
+import { generateBendingSequence, summarizeSequence } from '../../utils/sequenceUtils';
+import { expandShapeFillets } from '../../utils/filletUtils';
+
+// Marge autour de la forme dans l'aperçu (fraction de la plus grande dimension)
+const PREVIEW_MARGIN_RATIO = 0.05;
+
+// Réglages du nettoyage affichés dans la modale
+const CLEANUP_SETTINGS = [
+  { key: 'toleranceMm', label: 'Tolérance (mm)', min: 0, step: 0.05 },
+  { key: 'minSegmentLengthMm', label: 'Segment min (mm)', min: 0, step: 0.5 },
+  { key: 'collinearToleranceDeg', label: 'Alignement (°)', min: 0, step: 0.5 },
+];
+
+const toPointsAttribute = (points) => points.map(p => `${p.x},${p.y}`).join(' ');
+
+/**
+ * Modale de nettoyage de la forme sélectionnée (simplification de Douglas-Peucker,
+ * fusion des sommets alignés ou confondus, suppression des segments trop courts).
+ * Affiche un aperçu avant/après et le nombre de plis économisés avant d'appliquer.
+ * @param {Object} props - Propriétés du composant
+ * @param {boolean} props.isOpen - Affichage de la modale
+ * @param {Function} props.onClose - Fermeture sans modification
+ * @param {Function} props.onApply - Appelée avec les points nettoyés
+ * @param {Object} props.shape - Forme à nettoyer (polygon ou polyline)
+ * @param {number} props.svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {number} props.bendPitchMm - Pas de pliage (arrondis développés pour compter les plis)
+ */
+function ShapeCleanupModal({ isOpen, onClose, onApply, shape, svgUnitsPerMm, bendPitchMm }) {
+  const [settings, setSettings] = useState(SHAPE_CLEANUP_DEFAULTS);
+
+  const isPolygon = shape?.type === 'polygon';
+  const cleanedPoints = useMemo(() => (
+    shape ? cleanupShapePoints(shape.points, isPolygon, svgUnitsPerMm, settings) : []
+  ), [shape, isPolygon, svgUnitsPerMm, settings]);
+
+  if (!isOpen || !shape) return null;
+
+  // Plis réellement produits : arrondis et chanfreins développés
+  const countBends = (points) => {
+    const { points: outline } = expandShapeFillets({ type: shape.type, points }, bendPitchMm, svgUnitsPerMm);
+    return summarizeSequence(generateBendingSequence(outline, isPolygon, svgUnitsPerMm)).bendCount;
+  };
+  const bendsBefore = countBends(shape.points);
+  const bendsAfter = countBends(cleanedPoints);
+  const hasChanges = cleanedPoints.length !== shape.points.length;
+
+  // Cadrage de l'aperçu sur la forme d'origine
+  const xs = shape.points.map(p => p.x);
+  const ys = shape.points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const width = Math.max(...xs) - minX;
+  const height = Math.max(...ys) - minY;
+  const margin = Math.max(width, height, 1) * PREVIEW_MARGIN_RATIO;
+  const viewBox = `${minX - margin} ${minY - margin} ${width + 2 * margin} ${height + 2 * margin}`;
+  const vertexRadius = Math.max(width, height, 1) / 150;
+  const PathElement = isPolygon ? 'polygon' : 'polyline';
+
+  return (
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <h2 className="text-xl font-semibold mb-4">Nettoyer la forme</h2>
+
+        <div className="grid grid-cols-3 gap-3 mb-4">
+          {CLEANUP_SETTINGS.map(setting => (
+            <div key={setting.key} className="flex flex-col">
+              <label className="text-xs text-gray-600 mb-1">{setting.label}</label>
+              <input
+                type="number"
+                min={setting.min}
+                step={setting.step}
+                value={settings[setting.key]}
+                onChange={(e) => setSettings(prev => ({ ...prev, [setting.key]: Math.max(0, Number(e.target.value)) }))}
+                className="p-1 border rounded w-full text-sm"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="h-72 border rounded mb-4 bg-gray-50">
+          <svg viewBox={viewBox} className="w-full h-full" preserveAspectRatio="xMidYMid meet">
+            <PathElement
+              points={toPointsAttribute(shape.points)}
+              fill="none"
+              stroke="#9ca3af"
+              strokeWidth={2}
+              strokeDasharray="6 4"
+              vectorEffect="non-scaling-stroke"
+            />
+            <PathElement
+              points={toPointsAttribute(cleanedPoints)}
+              fill="none"
+              stroke="#4f46e5"
+              strokeWidth={2}
+              vectorEffect="non-scaling-stroke"
+            />
+            {cleanedPoints.map((p, i) => (
+              <circle key={i} cx={p.x} cy={p.y} r={vertexRadius} fill="#4f46e5" />
+            ))}
+          </svg>
+        </div>
+
+        <p className="text-sm text-gray-700 mb-1">
+          <span className="inline-block w-4 border-t-2 border-dashed border-gray-400 align-middle mr-1" /> Avant :{' '}
+          {shape.points.length} sommets, {bendsBefore} pli{bendsBefore > 1 ? 's' : ''}
+        </p>
+        <p className="text-sm text-gray-700 mb-2">
+          <span className="inline-block w-4 border-t-2 border-indigo-600 align-middle mr-1" /> Après :{' '}
+          {cleanedPoints.length} sommets, {bendsAfter} pli{bendsAfter > 1 ? 's' : ''}
+        </p>
+        <p className="text-lg font-medium text-indigo-600 bg-gray-50 p-3 rounded mb-2">
+          {bendsBefore - bendsAfter} pli{bendsBefore - bendsAfter > 1 ? 's' : ''} économisé{bendsBefore - bendsAfter > 1 ? 's' : ''}
+        </p>
+        {shape.constraints?.length > 0 && hasChanges && (
+          <p className="text-sm text-red-600 mb-2">
+            Les contraintes de cotes de cette forme seront supprimées (ses sommets sont renumérotés).
+          </p>
+        )}
+
+        <div className="flex justify-end gap-3 mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={() => onApply(cleanedPoints)}
+            disabled={!hasChanges}
+            className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            Appliquer le nettoyage
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ShapeCleanupModal;
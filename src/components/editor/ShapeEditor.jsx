@@ -1,35 +1,101 @@
-import React, { useCallback, useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import SvgCanvas from "../SvgCanvas";
 import Toolbar from "./Toolbar";
 import Grid from "./Grid";
 import { useNavigate } from 'react-router-dom';
 import { useShapePersistence } from "../../hooks/useShapePersistence";
 import { useKeyboardEvents } from "../../hooks/useKeyboardEvents";
+import { useHistoryState } from "../../hooks/useHistoryState";
+import { useLayers } from "../../hooks/useLayers";
 import { useGrid } from "../../hooks/useGrid";
+import { useSnapping } from "../../hooks/useSnapping";
 import { useViewBox } from "../../hooks/useViewBox";
 import { useDrawingTools } from "../../hooks/useDrawingTools";
+import { useMachineProfiles } from "../../hooks/useMachineProfiles";
+import { useMaterials } from "../../hooks/useMaterials";
 import { V } from "../../utils/vectorUtils";
 import { 
   findNearestSegmentIndex, 
   isClickNearSegment, 
   insertPointOnSegment,
+  calculatePathLength,
   calculateAngles,
   hasTooSmallAngles as checkTooSmallAngles,
-  applyCornerRounding,
-  transformVertexToAngle
+  getCornerRoundingArc,
+  getCompoundAngleArc,
+  setSegmentLength,
+  setVertexAngle,
+  getPointIndicesInBox
 } from "../../utils/shapeUtils";
+import { validateShapeForProduction, hasBlockingViolations } from "../../utils/validationUtils";
+import { generateBendingSequence, sequenceToPoints } from "../../utils/sequenceUtils";
+import {
+  solveConstraints,
+  getConstraintAnnotations,
+  describeConstraint,
+  remapConstraintsAfterSplit,
+  scaleConstraints,
+  mirrorConstraints
+} from "../../utils/constraintUtils";
 import { 
   generateSvgContent, 
-  saveSvgToLibrary 
+  saveSvgToLibrary,
+  parseSvgContent
 } from "../../utils/svgUtils";
+import { parseDxfContent, generateDxfContent } from "../../utils/dxfUtils";
+import { getBendPitchDiscretization, formatBendPitchSummary } from "../../utils/bendPitchUtils";
+import { getPolarAngleDeg, pointAtPolar, snapToPolarIncrement, getPolarReadout } from "../../utils/polarUtils";
+import { COMMAND_VERBS, COMMAND_HELP } from "../../utils/commandParser";
+import { CONTOUR_TYPES, CONTOUR_TYPE_LABELS, getContourPoints, getNeutralAxisPoints } from "../../utils/offsetUtils";
+import { calculateDevelopedLength } from "../../utils/bendAllowanceUtils";
+import {
+  FILLET_TYPES,
+  canFilletVertex,
+  canApplyFillet,
+  getFilletArc,
+  getFilletableVertexIndices,
+  scaleFilletDimensions,
+  expandShapeFillets
+} from "../../utils/filletUtils";
+import {
+  getBoundingBox,
+  translatePoints,
+  rotatePoints,
+  snapAngle,
+  scalePoints,
+  mirrorPoints
+} from "../../utils/transformUtils";
+import {
+  isPiece,
+  getPieces,
+  getPieceName,
+  getNextPieceName,
+  getShapeLayer,
+  isShapeVisible,
+  isShapeEditable
+} from "../../utils/pieceUtils";
+import { getPartTemplate, buildTemplatePoints, detachTemplate } from "../../utils/templateUtils";
+import { findTooSmallAngleVertices } from "../../utils/angleFixUtils";
+import { saveProductionJob } from "../../utils/storageUtils";
 import { 
   SEGMENT_CLICK_THRESHOLD, 
   MOVE_THRESHOLD, 
   HOLD_DELAY,
+  ROTATION_SNAP_DEG,
+  SNAP_TOLERANCE_PX,
+  CHAMFER_DEFAULTS,
   API_BASE_URL,
-  MIN_ANGLE_FOR_PRODUCTION
+  MACHINE_PROFILES
 } from "../../constants/config";
 import ProductionConfirmationModal from './ProductionConfirmationModal';
+import PropertyInspector from './PropertyInspector';
+import ShapeCleanupModal from './ShapeCleanupModal';
+import AngleFixAssistant from './AngleFixAssistant';
+import TemplateGalleryModal from './TemplateGalleryModal';
+import PiecesPanel from './PiecesPanel';
+import TransformPanel from './TransformPanel';
+import PolarEntryBox from './PolarEntryBox';
+import CommandLine from './CommandLine';
 
 /**
  * Composant principal de l'éditeur de formes
@@ -51,32 +117,68 @@ function ShapeEditor({
   const vertexPressTimer = useRef(null);
   const vertexMouseDownInfo = useRef(null);
   const previousToolRef = useRef(null);
+  // Vrai quand une sélection au cadre vient de se terminer : le clic qui suit ne désélectionne pas
+  const selectionBoxEndedRef = useRef(false);
   
   // Tous les useState d'abord
   const [activeTool, setActiveTool] = useState('selection');
   const [isDrawingShape, setIsDrawingShape] = useState(false);
   const [currentPoints, setCurrentPoints] = useState([]);
   const [draggingVertexInfo, setDraggingVertexInfo] = useState(null);
+  // Transformation à la souris en cours (déplacement, rotation, échelle de la forme sélectionnée)
+  const [transformDragInfo, setTransformDragInfo] = useState(null);
   const [shapes, setShapesAndPersist] = useShapePersistence('persistedShapes', []);
-  const [history, setHistory] = useState([]);
-  const [future, setFuture] = useState([]);
-  const [isUndoRedoAction, setIsUndoRedoAction] = useState(false);
   const [selectedShapeId, setSelectedShapeId] = useState(null);
   const [selectedPointIndex, setSelectedPointIndex] = useState(null);
+  // Sommets de la forme sélectionnée visés par les opérations groupées (Maj+clic, sélection au cadre)
+  const [selectedVertexIndices, setSelectedVertexIndices] = useState([]);
+  // Cadre de sélection des sommets en cours de tracé ({ start, end } en unités SVG)
+  const [selectionBox, setSelectionBox] = useState(null);
   const [displayedAngles, setDisplayedAngles] = useState([]);
   const [snappedPreviewPoint, setSnappedPreviewPoint] = useState(null);
   const [isOrthogonalMode, setIsOrthogonalMode] = useState(false);
+  // Incrément d'angle du dessin polaire en degrés (null : désactivé ; le mode ortho vaut 90°)
+  const [polarIncrementDeg, setPolarIncrementDeg] = useState(null);
   const [previewShape, setPreviewShape] = useState(null);
   const [hasTooSmallAngles, setHasTooSmallAngles] = useState(false);
+  const [productionViolations, setProductionViolations] = useState([]);
   const [curvatureAngle, setCurvatureAngle] = useState(15);
-  const [numSegmentsForCornerRounding, setNumSegmentsForCornerRounding] = useState(4);
+  // Seuil de l'arrondi groupé "coins plus aigus que" (degrés)
+  const [roundingMaxAngleDeg, setRoundingMaxAngleDeg] = useState(120);
+  // Cotes du chanfrein réglées dans la barre d'outils ({ mode, distance1Mm, distance2Mm, angleDeg })
+  const [chamferSettings, setChamferSettings] = useState(CHAMFER_DEFAULTS);
   const [isInProduction, setIsInProduction] = useState(false);
-  const [svgUnitsPerMm, setSvgUnitsPerMm] = useState(6);
   const [tempPanActive, setTempPanActive] = useState(false);
   const [showProductionConfirmModal, setShowProductionConfirmModal] = useState(false);
   const [shapeForProductionConfirm, setShapeForProductionConfirm] = useState(null);
+  const [showCleanupModal, setShowCleanupModal] = useState(false);
+  // Assistant de correction des angles trop aigus et aperçu de la correction choisie (points développés)
+  const [showAngleFixAssistant, setShowAngleFixAssistant] = useState(false);
+  const [angleFixPreviewPoints, setAngleFixPreviewPoints] = useState(null);
+  // Galerie de gabarits ouverte : { shapeId (pièce dont on modifie les cotes, ou null), initialTemplate }
+  const [templateGallery, setTemplateGallery] = useState(null);
+  const [productionPieceIdState, setProductionPieceId] = useState(null);
   
   // Les hooks custom
+  const {
+    profiles: machineProfiles,
+    selectedProfile: machineProfile,
+    selectProfile: selectMachineProfile,
+    updateSelectedProfile: updateMachineProfile,
+    resetSelectedProfile: resetMachineProfile
+  } = useMachineProfiles();
+  // La calibration de la machine sélectionnée fixe l'échelle de l'éditeur
+  const svgUnitsPerMm = machineProfile.svgUnitsPerMm;
+  // Toutes les courbes (cercles, arrondis, angles composés, arcs importés) sont découpées à ce pas
+  const bendPitchMm = machineProfile.bendPitchMm;
+  const {
+    materials,
+    selectedMaterial: material,
+    selectMaterial,
+    updateSelectedMaterial: updateMaterial,
+    resetSelectedMaterial: resetMaterial
+  } = useMaterials();
+
   const { 
     showGrid, 
     setShowGrid,
@@ -90,6 +192,15 @@ function ShapeEditor({
     calculateActualGridSpacing 
   } = useGrid();
 
+  // Accrochage aux objets (sommets, milieux, intersections...), prioritaire sur la grille
+  const {
+    enabledSnapTypes,
+    toggleSnapType,
+    activeSnap,
+    snapPoint,
+    clearSnap
+  } = useSnapping();
+
   const {
     viewBoxCoords,
     isPanning,
@@ -100,58 +211,56 @@ function ShapeEditor({
     screenToSvgCoords
   } = useViewBox();
 
-  // Fonction pour ajouter à l'historique
-  const addToHistory = useCallback((currentState) => {
-    if (isUndoRedoAction) return;
-    setHistory(prev => [...prev, currentState]);
-    setFuture([]);
-  }, [isUndoRedoAction]);
-  
-  // Action d'annulation
-  const handleUndo = useCallback(() => {
-    if (history.length === 0) return;
-
-    setIsUndoRedoAction(true);
-
-    const lastAction = history[history.length - 1];
-    const newHistory = history.slice(0, -1);
-
-    setFuture(prev => [lastAction, ...prev]);
-    setHistory(newHistory);
-
-    // Traitement spécifique selon le type d'action
-    if (lastAction.type === "shapes") {
-      setShapesAndPersist(lastAction.shapes);
-    }
-
-    // Réinitialiser le flag après un court délai
-    setTimeout(() => {
-      setIsUndoRedoAction(false);
-    }, 0);
-  }, [history, setShapesAndPersist]);
-
-  // Action de rétablissement
-  const handleRedo = useCallback(() => {
-    if (future.length === 0) return;
-
-    setIsUndoRedoAction(true);
-
-    const nextAction = future[0];
-    const newFuture = future.slice(1);
-
-    setHistory(prev => [...prev, nextAction]);
-    setFuture(newFuture);
-
-    // Traitement spécifique selon le type d'action
-    if (nextAction.type === "shapes") {
-      setShapesAndPersist(nextAction.shapes);
-    }
+  // Espace de travail : calques et pièces
+  const {
+    layers,
+    activeLayer,
+    setActiveLayerId,
+    addLayer,
+    updateLayer,
+    removeLayer,
+    restoreLayers
+  } = useLayers();
+  const pieces = getPieces(shapes);
+  // Pièce envoyée en production : celle choisie dans le panneau, à défaut la première pièce
+  const productionPiece = pieces.find(piece => piece.id === productionPieceIdState) || pieces[0] || null;
+  const visibleShapes = shapes.filter(shape => isShapeVisible(shape, layers));
+  // Arrondis paramétriques développés en arcs au pas de pliage : géométrie réelle pour le rendu,
+  // les mesures, les exports et la production (l'édition porte sur les coins vifs)
+  const expandShape = useCallback(
+    (shape) => expandShapeFillets(shape, bendPitchMm, svgUnitsPerMm),
+    [bendPitchMm, svgUnitsPerMm]
+  );
+  const expandedProductionPiece = useMemo(
+    () => (productionPiece ? expandShape(productionPiece) : null),
+    [productionPiece, expandShape]
+  );
+  // Épaisseur de la bande en unités SVG (0 : bande traitée comme une ligne)
+  const materialThickness = (material.thicknessMm || 0) * svgUnitsPerMm;
+  // Fibre neutre de la pièce de production : les points réellement envoyés à la machine,
+  // sur lesquels portent les contrôles de production (segment minimal, longueur de bande, croisements)
+  const neutralProductionPiece = useMemo(
+    () => (expandedProductionPiece
+      ? { ...expandedProductionPiece, points: getNeutralAxisPoints(expandedProductionPiece, materialThickness) }
+      : null),
+    [expandedProductionPiece, materialThickness]
+  );
 
-    // Réinitialiser le flag après un court délai
-    setTimeout(() => {
-      setIsUndoRedoAction(false);
-    }, 0);
-  }, [future, setShapesAndPersist]);
+  // Historique libellé des modifications, persisté avec les formes. Les calques font partie des
+  // instantanés : annuler la suppression d'un calque le rétablit avec ses formes
+  const workspace = useMemo(() => ({ shapes, layers }), [shapes, layers]);
+  const setWorkspace = useCallback((nextWorkspace) => {
+    setShapesAndPersist(nextWorkspace.shapes);
+    restoreLayers(nextWorkspace.layers);
+  }, [setShapesAndPersist, restoreLayers]);
+  const {
+    past: historyPast,
+    future: historyFuture,
+    recordHistory,
+    undo: handleUndo,
+    redo: handleRedo,
+    jumpTo: jumpToHistory
+  } = useHistoryState(workspace, setWorkspace, { storageKey: 'persistedWorkspaceHistory' });
 
   // Suppression de la forme sélectionnée (pour useKeyboardEvents)
   const deleteSelectedShape = useCallback(() => {
@@ -161,12 +270,7 @@ function ShapeEditor({
       return;
     }
 
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
+    recordHistory("Supprimer la forme");
 
     setShapesAndPersist(prevShapes => 
       prevShapes.filter(shape => shape.id !== selectedShapeId)
@@ -174,16 +278,32 @@ function ShapeEditor({
     
     setSelectedShapeId(null);
     setSelectedPointIndex(null);
-  }, [selectedShapeId, shapes, addToHistory, isUndoRedoAction, setShapesAndPersist]);
+  }, [selectedShapeId, recordHistory, setShapesAndPersist]);
 
   // Réinitialiser l'état du dessin en cours
   const resetDrawingState = useCallback(() => {
     setCurrentPoints([]);
     setSnappedPreviewPoint(null);
-  }, []);
+    clearSnap();
+  }, [clearSnap]);
+
+  // Accrocher un point aux formes affichées et au tracé en cours (tolérance constante à l'écran)
+  const snapToObjects = useCallback((point, options = {}) => {
+    const svgElement = svgCanvasRef.current;
+    const screenRect = svgElement ? svgElement.getBoundingClientRect() : null;
+    const unitsPerPixel = screenRect && screenRect.width > 0 && screenRect.height > 0
+      ? Math.max(viewBoxCoords.width / screenRect.width, viewBoxCoords.height / screenRect.height)
+      : 1;
+    const targets = shapes.filter(shape => isShapeVisible(shape, layers));
+    if (currentPoints.length > 0) {
+      targets.push({ id: 'draft', type: 'polyline', points: currentPoints });
+    }
+    return snapPoint(point, targets, { tolerance: SNAP_TOLERANCE_PX * unitsPerPixel, ...options });
+  }, [shapes, layers, currentPoints, viewBoxCoords.width, viewBoxCoords.height, snapPoint]);
 
   const {
     drawingToolMode,
+    previewShape: shapeToolPreview,
     activateShapeTool,
     deactivateShapeTool,
     handleShapeToolStart,
@@ -191,16 +311,12 @@ function ShapeEditor({
     finalizeShape: finalizeShapeTool,
     cancelShape,
   } = useDrawingTools((newShape) => {
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
-    setShapesAndPersist([...shapes, newShape]);
-  });
+    const name = getNextPieceName(shapes);
+    recordHistory(`Dessiner ${name}`);
+    setShapesAndPersist([...shapes, { ...newShape, name, layerId: activeLayer.id }]);
+  }, { bendPitchMm, svgUnitsPerMm });
   
-  // Créer une ref pour isCtrlKeyPressed qui sera définie plus tard
+  // Ref de la touche Ctrl, tenue à jour par useKeyboardEvents (déclaré plus bas)
   const isCtrlKeyPressedRef = useRef(false);
 
   // Le mode Pan effectif est soit le mode sélectionné, soit le mode temporaire
@@ -208,18 +324,35 @@ function ShapeEditor({
 
   // Mettre à jour les angles affichés quand les formes changent
   useEffect(() => {
-    // Trouver la forme principale (polygone)
-    const mainShape = shapes.find(shape => shape.type === 'polygon');
-    
-    if (mainShape && mainShape.points.length >= 3) {
-      const angles = calculateAngles(mainShape.points);
+    // Les angles affichés sont ceux de la pièce de production (polygone)
+    if (expandedProductionPiece && expandedProductionPiece.type === 'polygon' && expandedProductionPiece.points.length >= 3) {
+      const angles = calculateAngles(expandedProductionPiece.points, machineProfile.minAngleDeg);
       setDisplayedAngles(angles);
       setHasTooSmallAngles(checkTooSmallAngles(angles));
     } else {
       setDisplayedAngles([]);
-      setHasTooSmallAngles(false);
+      // Une polyligne n'affiche pas ses angles mais ses plis intérieurs trop aigus bloquent aussi la production
+      setHasTooSmallAngles(
+        !!expandedProductionPiece &&
+        findTooSmallAngleVertices(expandedProductionPiece, machineProfile.minAngleDeg).length > 0
+      );
     }
-  }, [shapes]);
+
+    // Vérifier les contraintes machine sur la fibre neutre envoyée à la machine
+    setProductionViolations(
+      neutralProductionPiece
+        ? validateShapeForProduction(neutralProductionPiece, machineProfile, svgUnitsPerMm)
+        : []
+    );
+  }, [expandedProductionPiece, neutralProductionPiece, svgUnitsPerMm, machineProfile]);
+
+  // La sélection multiple suit le sommet sélectionné : elle est levée avec lui et le contient toujours
+  useEffect(() => {
+    setSelectedVertexIndices(prev => {
+      if (selectedPointIndex === null) return prev.length === 0 ? prev : [];
+      return prev.includes(selectedPointIndex) ? prev : [selectedPointIndex];
+    });
+  }, [selectedShapeId, selectedPointIndex]);
 
   // Effet pour gérer les événements de souris globaux lors du pan temporaire
   useEffect(() => {
@@ -251,23 +384,23 @@ function ShapeEditor({
     };
   }, [tempPanActive, doPan, endPan]);
 
+  // Placer le prochain point à une longueur exacte (mm) ; sans angle saisi, celui du segment prévisualisé
+  const handlePlacePolarPoint = useCallback((lengthMm, angleDeg) => {
+    if (currentPoints.length === 0) return;
+    const lastPoint = currentPoints[currentPoints.length - 1];
+    const segmentAngleDeg = angleDeg ?? (snappedPreviewPoint ? getPolarAngleDeg(lastPoint, snappedPreviewPoint) : 0);
+    const newPoint = pointAtPolar(lastPoint, lengthMm * svgUnitsPerMm, segmentAngleDeg);
+    setCurrentPoints(prev => [...prev, newPoint]);
+    setSnappedPreviewPoint(null);
+  }, [currentPoints, snappedPreviewPoint, svgUnitsPerMm]);
+
   // Finaliser la forme dessinée
   const finalizeShape = useCallback(() => {
     if (currentPoints.length < 2) return;
 
-    const existingPrincipalShape = shapes.find(s => s.type === 'polygon' || s.type === 'polyline');
-    if (existingPrincipalShape) {
-      if (!window.confirm("Une forme principale existe déjà. Voulez-vous la remplacer par la nouvelle forme dessinée ?")) {
-        return; // L'utilisateur a annulé le remplacement
-      }
-    }
-
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
+    // La forme dessinée devient une nouvelle pièce du calque actif
+    const name = getNextPieceName(shapes);
+    recordHistory(`Dessiner ${name}`);
 
     let processedPoints = [...currentPoints];
     const isPolygon = processedPoints.length >= 3;
@@ -275,19 +408,15 @@ function ShapeEditor({
     const newShape = {
       id: `shape_drawn_${Date.now()}`,
       type: isPolygon ? "polygon" : "polyline",
+      name,
+      layerId: activeLayer.id,
       points: processedPoints,
       fill: isPolygon ? "rgba(0, 200, 100, 0.3)" : "none",
       stroke: "black",
       strokeWidth: 2,
     };
 
-    setShapesAndPersist(prevShapes => {
-      // Filtrer les anciennes formes principales
-      const nonPrincipalShapes = prevShapes.filter(
-        (s) => s.type !== "polygon" && s.type !== "polyline"
-      );
-      return [...nonPrincipalShapes, newShape];
-    });
+    setShapesAndPersist(prevShapes => [...prevShapes, newShape]);
 
     setSelectedShapeId(newShape.id);
     resetDrawingState();
@@ -297,9 +426,9 @@ function ShapeEditor({
   }, [
     currentPoints,
     shapes,
+    activeLayer.id,
     resetDrawingState,
-    addToHistory,
-    isUndoRedoAction,
+    recordHistory,
     setShapesAndPersist,
     setActiveTool
   ]);
@@ -311,6 +440,13 @@ function ShapeEditor({
     // Vérifions si le clic provient d'un élément interactif comme un sommet
     // Si l'événement a une cible qui n'est pas le canvas lui-même, on ignore
     const targetElement = event.target;
+
+    // Le clic qui termine une sélection au cadre ne désélectionne pas la forme
+    if (selectionBoxEndedRef.current) {
+      selectionBoxEndedRef.current = false;
+      return;
+    }
+
     if (targetElement && targetElement.tagName && 
         ['circle', 'polygon', 'polyline', 'path'].includes(targetElement.tagName.toLowerCase())) {
       console.log("Clic sur un élément SVG interactif, pas sur le canvas");
@@ -321,9 +457,13 @@ function ShapeEditor({
     if (activeTool === 'draw') {
       const svgCoords = screenToSvgCoords(event, svgCanvasRef.current);
       
-      // Snap to grid si nécessaire
+      // Accrochage aux objets, sinon à la grille si nécessaire
       const actualGridSpacing = calculateActualGridSpacing(svgUnitsPerMm);
-      const snappedPoint = snapToGrid(svgCoords, actualGridSpacing, false, isCtrlKeyPressedRef.current);
+      const objectSnapPoint = snapToObjects(svgCoords, {
+        referencePoint: currentPoints[currentPoints.length - 1] || null
+      });
+      const snappedPoint = objectSnapPoint ||
+        snapToGrid(svgCoords, actualGridSpacing, false, isCtrlKeyPressedRef.current);
       
       console.log("Dessin point:", snappedPoint);
       setCurrentPoints(prev => [...prev, snappedPoint]);
@@ -369,6 +509,8 @@ function ShapeEditor({
     calculateActualGridSpacing, 
     svgUnitsPerMm, 
     isCtrlKeyPressedRef,
+    snapToObjects,
+    currentPoints,
     handleShapeToolStart,
     finalizeShapeTool,
     setActiveTool
@@ -376,10 +518,27 @@ function ShapeEditor({
 
   // Événement d'appui de souris sur le canevas
   const handleCanvasMouseDown = useCallback((event) => {
+    selectionBoxEndedRef.current = false;
     if (activeTool === 'pan') {
       startPan(event);
+      return;
     }
-  }, [activeTool, startPan]);
+
+    // Outil de sélection : un cadre tracé depuis le fond sélectionne des sommets de la forme sélectionnée
+    const selectedShape = shapes.find(s => s.id === selectedShapeId);
+    if (activeTool === 'selection' && !drawingToolMode && event.button === 0 &&
+        event.target === event.currentTarget && selectedShape &&
+        (selectedShape.type === 'polygon' || selectedShape.type === 'polyline')) {
+      const start = screenToSvgCoords(event, svgCanvasRef.current);
+      setSelectionBox({
+        start,
+        end: start,
+        clientX: event.clientX,
+        clientY: event.clientY,
+        additive: event.shiftKey, // Maj : ajouter à la sélection existante
+      });
+    }
+  }, [activeTool, startPan, shapes, selectedShapeId, drawingToolMode, screenToSvgCoords]);
 
   // Supprimer toutes les formes
   const deleteAllShapes = useCallback(() => {
@@ -389,59 +548,148 @@ function ShapeEditor({
       return;
     }
 
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
+    recordHistory("Tout supprimer");
 
     setShapesAndPersist([]);
     setSelectedShapeId(null);
     setSelectedPointIndex(null);
-  }, [shapes, addToHistory, isUndoRedoAction, setShapesAndPersist]);
+  }, [shapes, recordHistory, setShapesAndPersist]);
 
-  // Réinitialiser la forme principale
-  const resetPrincipalShape = useCallback(() => {
-    const principalShape = shapes.find(s => s.type === 'polygon' || s.type === 'polyline');
-    if (!principalShape) return;
+  // Supprimer une pièce de l'espace de travail
+  const handleDeletePiece = useCallback((pieceId) => {
+    const piece = shapes.find(s => s.id === pieceId);
+    if (!piece) return;
 
-    if (!window.confirm("Voulez-vous vraiment réinitialiser la forme principale ?")) {
+    const name = getPieceName(piece, shapes);
+    if (!window.confirm(`Voulez-vous vraiment supprimer ${name} ?`)) {
       return;
     }
 
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
+    recordHistory(`Supprimer ${name}`);
 
     setShapesAndPersist(prevShapes => 
-      prevShapes.filter(s => s.id !== principalShape.id)
+      prevShapes.filter(s => s.id !== pieceId)
     );
     
-    setSelectedShapeId(null);
+    if (selectedShapeId === pieceId) {
+      setSelectedShapeId(null);
+      setSelectedPointIndex(null);
+    }
+  }, [shapes, selectedShapeId, recordHistory, setShapesAndPersist]);
+
+  // Modifier une pièce depuis le panneau (nom, visibilité, verrouillage, calque)
+  const handleUpdatePiece = useCallback((pieceId, changes) => {
+    const piece = shapes.find(s => s.id === pieceId);
+    if (!piece) return;
+
+    const name = getPieceName(piece, shapes);
+    let label = `Modifier ${name}`;
+    if (changes.name !== undefined) label = `Renommer ${name} en ${changes.name}`;
+    else if (changes.hidden !== undefined) label = `${changes.hidden ? 'Masquer' : 'Afficher'} ${name}`;
+    else if (changes.locked !== undefined) label = `${changes.locked ? 'Verrouiller' : 'Déverrouiller'} ${name}`;
+    else if (changes.layerId !== undefined) {
+      const layer = layers.find(l => l.id === changes.layerId);
+      label = `Déplacer ${name} sur ${layer ? layer.name : 'un autre calque'}`;
+    } else if (changes.contourReference !== undefined) {
+      label = `Coter ${name} sur : ${CONTOUR_TYPE_LABELS[changes.contourReference].toLowerCase()}`;
+    }
+    recordHistory(label);
+
+    setShapesAndPersist(prevShapes => prevShapes.map(s => (s.id === pieceId ? { ...s, ...changes } : s)));
+
+    // Une pièce masquée ou verrouillée ne reste pas sélectionnée
+    if (selectedShapeId === pieceId && (changes.hidden || changes.locked)) {
+      setSelectedShapeId(null);
+      setSelectedPointIndex(null);
+    }
+  }, [shapes, layers, selectedShapeId, recordHistory, setShapesAndPersist]);
+
+  // Sélectionner une pièce depuis le panneau (si elle est modifiable)
+  const handleSelectPiece = useCallback((pieceId) => {
+    const piece = shapes.find(s => s.id === pieceId);
+    if (!piece || !isShapeEditable(piece, layers)) return;
+    setSelectedShapeId(pieceId);
     setSelectedPointIndex(null);
-  }, [shapes, addToHistory, isUndoRedoAction, setShapesAndPersist]);
+  }, [shapes, layers]);
+
+  // Ajouter un calque
+  const handleAddLayer = useCallback(() => {
+    recordHistory("Ajouter un calque");
+    addLayer();
+  }, [recordHistory, addLayer]);
+
+  // Modifier un calque ; la sélection est levée si son calque devient masqué ou verrouillé
+  const handleUpdateLayer = useCallback((layerId, changes) => {
+    const layer = layers.find(l => l.id === layerId);
+    if (!layer) return;
+
+    let label = `Modifier ${layer.name}`;
+    if (changes.name !== undefined) label = `Renommer ${layer.name} en ${changes.name}`;
+    else if (changes.visible !== undefined) label = `${changes.visible ? 'Afficher' : 'Masquer'} ${layer.name}`;
+    else if (changes.locked !== undefined) label = `${changes.locked ? 'Verrouiller' : 'Déverrouiller'} ${layer.name}`;
+    recordHistory(label);
+
+    updateLayer(layerId, changes);
+    const selectedShape = shapes.find(s => s.id === selectedShapeId);
+    if (selectedShape && (changes.visible === false || changes.locked) &&
+        getShapeLayer(selectedShape, layers).id === layerId) {
+      setSelectedShapeId(null);
+      setSelectedPointIndex(null);
+    }
+  }, [updateLayer, shapes, selectedShapeId, layers, recordHistory]);
+
+  // Supprimer un calque : ses formes rejoignent le premier calque restant
+  const handleRemoveLayer = useCallback((layerId) => {
+    const layer = layers.find(l => l.id === layerId);
+    const fallbackLayer = layers.find(l => l.id !== layerId);
+    if (!layer || !fallbackLayer) return;
+
+    const layerShapes = shapes.filter(s => getShapeLayer(s, layers).id === layerId);
+    if (layerShapes.length > 0 &&
+        !window.confirm(`Supprimer ${layer.name} ? Ses ${layerShapes.length} forme(s) passeront sur ${fallbackLayer.name}.`)) {
+      return;
+    }
+    recordHistory(`Supprimer ${layer.name}`);
+    if (layerShapes.length > 0) {
+      setShapesAndPersist(prevShapes => prevShapes.map(s => (
+        getShapeLayer(s, layers).id === layerId ? { ...s, layerId: fallbackLayer.id } : s
+      )));
+    }
+    removeLayer(layerId);
+  }, [layers, shapes, recordHistory, setShapesAndPersist, removeLayer]);
 
   // Gérer le clic sur une forme
   const handleShapeClick = useCallback((shapeId) => {
     console.log("Clic sur forme:", shapeId, "| Mode actif:", activeTool);
+    const clickedShape = shapes.find(s => s.id === shapeId);
+    if (clickedShape && !isShapeEditable(clickedShape, layers)) return; // Forme verrouillée
     if (activeTool === 'selection') {
       setSelectedShapeId(shapeId);
       setSelectedPointIndex(null);
     }
-  }, [activeTool]);
+  }, [activeTool, shapes, layers]);
 
   // Gérer l'appui de souris sur un sommet
   const handleVertexMouseDown = useCallback((shapeId, pointIndex, event) => {
     if (activeTool === 'pan') return;
+    const clickedShape = shapes.find(s => s.id === shapeId);
+    if (clickedShape && !isShapeEditable(clickedShape, layers)) return; // Forme verrouillée
     
     event.stopPropagation();
 
+    // Maj+clic : ajouter le sommet à la sélection multiple ou l'en retirer, sans glisser-déposer
+    if (event.shiftKey && shapeId === selectedShapeId) {
+      const nextIndices = selectedVertexIndices.includes(pointIndex)
+        ? selectedVertexIndices.filter(i => i !== pointIndex)
+        : [...selectedVertexIndices, pointIndex];
+      setSelectedVertexIndices(nextIndices);
+      setSelectedPointIndex(nextIndices.length > 0 ? nextIndices[nextIndices.length - 1] : null);
+      return;
+    }
+
     setSelectedShapeId(shapeId);
     setSelectedPointIndex(pointIndex);
+    setSelectedVertexIndices([pointIndex]);
 
     vertexMouseDownInfo.current = {
       shapeId,
@@ -459,11 +707,29 @@ function ShapeEditor({
           shapeId,
           pointIndex,
           initialPos: { ...selectedShape.points[pointIndex] },
+          shapesBeforeDrag: shapes,
         });
       }
       vertexPressTimer.current = null;
     }, HOLD_DELAY);
-  }, [activeTool, shapes]);
+  }, [activeTool, shapes, layers, selectedShapeId, selectedVertexIndices]);
+
+  // Démarrer une transformation à la souris (corps de la forme, coins ou poignée de rotation)
+  const handleTransformHandleMouseDown = useCallback((shapeId, mode, event) => {
+    if (activeTool !== 'selection') return;
+    const shape = shapes.find(s => s.id === shapeId);
+    if (!shape || !isShapeEditable(shape, layers)) return;
+
+    setTransformDragInfo({
+      shapeId,
+      mode,
+      startPoint: screenToSvgCoords(event, svgCanvasRef.current),
+      center: getBoundingBox(shape.points).center,
+      initialPoints: shape.points,
+      initialConstraints: shape.constraints,
+      shapesBeforeDrag: shapes,
+    });
+  }, [activeTool, shapes, layers, screenToSvgCoords]);
 
   // Gérer le déplacement de la souris sur le canevas
   const handleCanvasMouseMove = useCallback((event) => {
@@ -475,6 +741,12 @@ function ShapeEditor({
 
     const svgCoords = screenToSvgCoords(event, svgCanvasRef.current);
     const actualGridSpacing = calculateActualGridSpacing(svgUnitsPerMm);
+
+    // Tracé du cadre de sélection des sommets
+    if (selectionBox) {
+      setSelectionBox(prev => ({ ...prev, end: svgCoords }));
+      return;
+    }
     
     // Si un outil de dessin prédéfini est actif et en cours d'utilisation
     if (isDrawingShape) {
@@ -483,20 +755,71 @@ function ShapeEditor({
       return;
     }
 
+    // Transformation de la forme sélectionnée à la souris
+    if (transformDragInfo) {
+      const { shapeId, mode, startPoint, center, initialPoints, initialConstraints } = transformDragInfo;
+      let points = initialPoints;
+      let constraints = initialConstraints;
+
+      if (mode === 'move') {
+        points = translatePoints(initialPoints, svgCoords.x - startPoint.x, svgCoords.y - startPoint.y);
+      } else if (mode === 'rotate') {
+        const startAngle = Math.atan2(startPoint.y - center.y, startPoint.x - center.x);
+        const currentAngle = Math.atan2(svgCoords.y - center.y, svgCoords.x - center.x);
+        const angleDeg = ((currentAngle - startAngle) * 180) / Math.PI;
+        // Maj enfoncée : rotation par pas de ROTATION_SNAP_DEG
+        points = rotatePoints(initialPoints, event.shiftKey ? snapAngle(angleDeg, ROTATION_SNAP_DEG) : angleDeg, center);
+      } else if (mode === 'scale') {
+        const startDistance = V.distance(startPoint, center);
+        if (startDistance > 0) {
+          const factor = Math.max(V.distance(svgCoords, center) / startDistance, 0.01);
+          // Comme handleScaleShape : les rayons et cotes de chanfrein suivent la mise à l'échelle uniforme
+          points = scalePoints(initialPoints, factor, factor, center)
+            .map(p => (p.fillet ? { ...p, fillet: scaleFilletDimensions(p.fillet, factor) } : p));
+          constraints = initialConstraints && scaleConstraints(initialConstraints, factor, factor);
+        }
+      }
+
+      setShapesAndPersist(prevShapes => prevShapes.map(shape => {
+        if (shape.id !== shapeId) return shape;
+        // Un déplacement ne change pas les cotes : la forme reste liée à son gabarit
+        const transformedShape = { ...shape, points, constraints };
+        return mode === 'move' ? transformedShape : detachTemplate(transformedShape);
+      }));
+      return;
+    }
+
     // Gestion du glisser-déposer de vertex
     if (draggingVertexInfo) {
       const { shapeId, pointIndex } = draggingVertexInfo;
       
-      // Snap to grid si nécessaire
-      const snappedPoint = snapToGrid(svgCoords, actualGridSpacing, false, isCtrlKeyPressedRef.current);
+      // Accrochage aux objets (hors sommet déplacé), sinon à la grille si nécessaire
+      const draggedShape = shapes.find(shape => shape.id === shapeId);
+      const neighborIndex = draggedShape && draggedShape.type === 'polyline' && pointIndex === 0
+        ? 1
+        : draggedShape && (pointIndex - 1 + draggedShape.points.length) % draggedShape.points.length;
+      const objectSnapPoint = snapToObjects(svgCoords, {
+        excludedVertex: { shapeId, pointIndex },
+        referencePoint: draggedShape ? draggedShape.points[neighborIndex] || null : null
+      });
+      const snappedPoint = objectSnapPoint ||
+        snapToGrid(svgCoords, actualGridSpacing, false, isCtrlKeyPressedRef.current);
       
       // Mise à jour de la position du vertex
       setShapesAndPersist(prevShapes => {
         return prevShapes.map(shape => {
           if (shape.id === shapeId) {
             const newPoints = [...shape.points];
-            newPoints[pointIndex] = snappedPoint;
-            return { ...shape, points: newPoints };
+            newPoints[pointIndex] = { ...newPoints[pointIndex], x: snappedPoint.x, y: snappedPoint.y };
+            // Les autres sommets suivent pour maintenir les contraintes de cote
+            const { points: solvedPoints } = solveConstraints(
+              newPoints,
+              shape.constraints,
+              shape.type === 'polygon',
+              svgUnitsPerMm,
+              [pointIndex]
+            );
+            return detachTemplate({ ...shape, points: solvedPoints });
           }
           return shape;
         });
@@ -517,26 +840,27 @@ function ShapeEditor({
     }
 
     // Gestion du point de prévisualisation pour l'outil de dessin à main levée
+    // (le repère d'accrochage est aussi affiché avant le premier point)
+    const objectSnapPoint = activeTool === 'draw'
+      ? snapToObjects(svgCoords, { referencePoint: currentPoints[currentPoints.length - 1] || null })
+      : null;
+    if (activeTool !== 'draw') {
+      clearSnap();
+    }
+
     if (activeTool === 'draw' && currentPoints.length > 0) {      
       // Calculer le point prévisualisé
       let previewPoint = { ...svgCoords };
       
-      // Mode orthogonal
-      if (isOrthogonalMode && currentPoints.length > 0) {
-        const lastPoint = currentPoints[currentPoints.length - 1];
-        const dx = Math.abs(svgCoords.x - lastPoint.x);
-        const dy = Math.abs(svgCoords.y - lastPoint.y);
-        
-        if (dx > dy) {
-          // Horizontal
-          previewPoint = { x: svgCoords.x, y: lastPoint.y };
-        } else {
-          // Vertical
-          previewPoint = { x: lastPoint.x, y: svgCoords.y };
-        }
+      // Mode orthogonal (0° / 90°) ou polaire (multiples de l'incrément choisi)
+      const angleIncrementDeg = isOrthogonalMode ? 90 : polarIncrementDeg;
+      if (angleIncrementDeg) {
+        previewPoint = snapToPolarIncrement(currentPoints[currentPoints.length - 1], svgCoords, angleIncrementDeg);
       }
       
-      const snappedPoint = snapToGrid(previewPoint, actualGridSpacing, false, isCtrlKeyPressedRef.current);
+      // L'accrochage aux objets l'emporte sur les modes orthogonal / polaire et la grille
+      const snappedPoint = objectSnapPoint ||
+        snapToGrid(previewPoint, actualGridSpacing, false, isCtrlKeyPressedRef.current);
       setSnappedPreviewPoint(snappedPoint);
     } else {
       setSnappedPreviewPoint(null);
@@ -547,16 +871,22 @@ function ShapeEditor({
     doPan, 
     isDrawingShape, 
     screenToSvgCoords, 
+    selectionBox,
     draggingVertexInfo, 
+    transformDragInfo,
     activeTool, 
     isOrthogonalMode, 
+    polarIncrementDeg,
     currentPoints, 
     snapToGrid, 
     calculateActualGridSpacing, 
     svgUnitsPerMm, 
     isCtrlKeyPressedRef,
     updateShapePreview,
-    setShapesAndPersist
+    setShapesAndPersist,
+    shapes,
+    snapToObjects,
+    clearSnap
   ]);
 
   // Gérer l'appui sur un bouton de la souris
@@ -595,14 +925,40 @@ function ShapeEditor({
 
     // Arrêter le glisser-déposer de vertex
     if (draggingVertexInfo) {
-      if (!isUndoRedoAction) {
-        // Ajouter à l'historique après déplacement complet
-        addToHistory({
-          type: "shapes",
-          shapes: JSON.parse(JSON.stringify(shapes)),
-        });
+      // Ajouter à l'historique après déplacement complet, avec l'état d'avant le glisser
+      if (shapes !== draggingVertexInfo.shapesBeforeDrag) {
+        recordHistory(
+          `Déplacer le sommet ${draggingVertexInfo.pointIndex + 1}`,
+          { shapes: draggingVertexInfo.shapesBeforeDrag, layers }
+        );
       }
       setDraggingVertexInfo(null);
+      clearSnap();
+    }
+
+    // Terminer une transformation à la souris : une seule étape d'annulation
+    if (transformDragInfo) {
+      if (shapes !== transformDragInfo.shapesBeforeDrag) {
+        const labels = { move: "Déplacer la forme", rotate: "Tourner la forme", scale: "Mettre la forme à l'échelle" };
+        recordHistory(labels[transformDragInfo.mode], { shapes: transformDragInfo.shapesBeforeDrag, layers });
+      }
+      setTransformDragInfo(null);
+    }
+
+    // Terminer la sélection au cadre : sommets de contrôle de la forme sélectionnée compris dans le cadre
+    if (selectionBox) {
+      const movedDistance = Math.hypot(event.clientX - selectionBox.clientX, event.clientY - selectionBox.clientY);
+      const selectedShape = shapes.find(s => s.id === selectedShapeId);
+      if (movedDistance > MOVE_THRESHOLD && selectedShape) {
+        const boxedIndices = getPointIndicesInBox(selectedShape.points, selectionBox.start, selectionBox.end);
+        const nextIndices = selectionBox.additive
+          ? [...new Set([...selectedVertexIndices, ...boxedIndices])]
+          : boxedIndices;
+        setSelectedVertexIndices(nextIndices);
+        setSelectedPointIndex(nextIndices.length > 0 ? nextIndices[nextIndices.length - 1] : null);
+        selectionBoxEndedRef.current = true;
+      }
+      setSelectionBox(null);
     }
 
     // Arrêter le panoramique normal (pas celui temporaire)
@@ -612,9 +968,14 @@ function ShapeEditor({
   }, [
     tempPanActive,
     draggingVertexInfo, 
+    transformDragInfo,
+    selectionBox,
+    selectedShapeId,
+    selectedVertexIndices,
     shapes, 
-    addToHistory, 
-    isUndoRedoAction, 
+    layers,
+    recordHistory,
+    clearSnap,
     isPanning, 
     endPan
   ]);
@@ -624,7 +985,7 @@ function ShapeEditor({
     if (activeTool === 'pan') return;
     
     const shape = shapes.find(s => s.id === shapeId);
-    if (!shape) return;
+    if (!shape || !isShapeEditable(shape, layers)) return;
 
     // Trouver le segment le plus proche
     const segmentIndex = findNearestSegmentIndex(
@@ -650,18 +1011,14 @@ function ShapeEditor({
     const newPoint = V.projectPointOnSegment(clickCoordsSvg, startPoint, endPoint);
 
     // Ajouter le point dans la forme
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
+    recordHistory(`Ajouter un sommet au segment ${segmentIndex + 1}`);
 
     setShapesAndPersist(prevShapes => {
       return prevShapes.map(s => {
         if (s.id === shapeId) {
           const newPoints = insertPointOnSegment(s.points, segmentIndex, newPoint);
-          return { ...s, points: newPoints };
+          if (!s.constraints) return detachTemplate({ ...s, points: newPoints });
+          return detachTemplate({ ...s, points: newPoints, constraints: remapConstraintsAfterSplit(s.constraints, segmentIndex) });
         }
         return s;
       });
@@ -670,10 +1027,195 @@ function ShapeEditor({
     // Sélectionner le nouveau point
     setSelectedShapeId(shapeId);
     setSelectedPointIndex(segmentIndex + 1);
-  }, [activeTool, shapes, addToHistory, isUndoRedoAction, setShapesAndPersist]);
+  }, [activeTool, shapes, layers, recordHistory, setShapesAndPersist]);
 
-  // Appliquer l'arrondi aux coins de la forme
-  const handleApplyRounding = useCallback(() => {
+  // Les formes sont stockées en unités SVG : changer la calibration change leurs cotes en mm,
+  // ce que l'utilisateur confirme à chaque changement dès que des formes sont dessinées
+  const confirmCalibrationChange = useCallback((nextSvgUnitsPerMm) => {
+    if (nextSvgUnitsPerMm === undefined || nextSvgUnitsPerMm === svgUnitsPerMm || shapes.length === 0) {
+      return true;
+    }
+    return window.confirm(
+      "Changer la calibration modifie les cotes en mm de toutes les formes déjà dessinées " +
+      "(longueurs, longueur de bande, contrôles de production). Continuer ?"
+    );
+  }, [svgUnitsPerMm, shapes.length]);
+
+  // Modifier les réglages de la machine
+  const handleUpdateMachineProfile = useCallback((changes) => {
+    if (!confirmCalibrationChange(changes.svgUnitsPerMm)) return;
+    updateMachineProfile(changes);
+  }, [confirmCalibrationChange, updateMachineProfile]);
+
+  // Sélectionner une autre machine, qui peut avoir une autre calibration
+  const handleSelectMachineProfile = useCallback((profileId) => {
+    const profile = machineProfiles.find(candidate => candidate.id === profileId);
+    if (!profile || !confirmCalibrationChange(profile.svgUnitsPerMm)) return;
+    selectMachineProfile(profileId);
+  }, [machineProfiles, confirmCalibrationChange, selectMachineProfile]);
+
+  // Restaurer les réglages d'origine, calibration comprise
+  const handleResetMachineProfile = useCallback(() => {
+    const defaults = MACHINE_PROFILES.find(profile => profile.id === machineProfile.id);
+    if (defaults && !confirmCalibrationChange(defaults.svgUnitsPerMm)) return;
+    resetMachineProfile();
+  }, [machineProfile.id, confirmCalibrationChange, resetMachineProfile]);
+
+  // Ouvrir l'aperçu du nettoyage de la forme sélectionnée
+  const handleOpenCleanup = useCallback(() => {
+    const selectedShape = shapes.find(s => s.id === selectedShapeId);
+    if (!selectedShape || (selectedShape.type !== 'polygon' && selectedShape.type !== 'polyline')) {
+      alert("Veuillez sélectionner un polygone ou une polyligne à nettoyer.");
+      return;
+    }
+    setShowCleanupModal(true);
+  }, [shapes, selectedShapeId]);
+
+  // Appliquer le nettoyage en une seule entrée d'historique
+  const handleApplyCleanup = useCallback((cleanedPoints) => {
+    recordHistory("Nettoyer la forme");
+
+    setShapesAndPersist(prevShapes => prevShapes.map(shape => {
+      if (shape.id !== selectedShapeId) return shape;
+      // Les sommets sont renumérotés : les contraintes ne peuvent pas être conservées
+      const { constraints: _removedConstraints, ...rest } = shape;
+      return detachTemplate({ ...rest, points: cleanedPoints });
+    }));
+    setSelectedPointIndex(null);
+    setShowCleanupModal(false);
+  }, [selectedShapeId, recordHistory, setShapesAndPersist]);
+
+  // Modifier la forme sélectionnée (saisie numérique, contraintes) puis re-résoudre ses contraintes.
+  // La forme est détachée de son gabarit, sauf pour une modification qui garde ses cotes (keepTemplate)
+  const updateSelectedShape = useCallback((label, computeChanges, fixedIndices = [], { keepTemplate = false } = {}) => {
+    const selectedShape = shapes.find(s => s.id === selectedShapeId);
+    if (!selectedShape) return;
+
+    const changes = computeChanges(selectedShape, selectedShape.type === 'polygon');
+    if (!changes) return;
+
+    recordHistory(label);
+
+    const changedShape = { ...selectedShape, ...changes };
+    const updatedShape = keepTemplate ? changedShape : detachTemplate(changedShape);
+    const { points: solvedPoints } = solveConstraints(
+      updatedShape.points,
+      updatedShape.constraints,
+      updatedShape.type === 'polygon',
+      svgUnitsPerMm,
+      fixedIndices
+    );
+
+    setShapesAndPersist(prevShapes => prevShapes.map(shape => (
+      shape.id === selectedShapeId ? { ...updatedShape, points: solvedPoints } : shape
+    )));
+  }, [shapes, selectedShapeId, recordHistory, setShapesAndPersist, svgUnitsPerMm]);
+
+  // Placer un sommet à des coordonnées exactes (en mm)
+  const handleSetVertexPosition = useCallback((vertexIndex, positionMm) => {
+    updateSelectedShape(`Déplacer le sommet ${vertexIndex + 1}`, shape => ({
+      points: shape.points.map((p, i) => (
+        i === vertexIndex ? { ...p, x: positionMm.x * svgUnitsPerMm, y: positionMm.y * svgUnitsPerMm } : p
+      ))
+    }), [vertexIndex]);
+  }, [updateSelectedShape, svgUnitsPerMm]);
+
+  // Imposer la longueur d'un segment (en mm)
+  const handleSetSegmentLength = useCallback((segmentIndex, lengthMm) => {
+    updateSelectedShape(`Coter le segment ${segmentIndex + 1}`, (shape, isPolygon) => {
+      const newPoints = setSegmentLength(shape.points, segmentIndex, lengthMm * svgUnitsPerMm, isPolygon);
+      return newPoints === shape.points ? null : { points: newPoints };
+    }, [segmentIndex]);
+  }, [updateSelectedShape, svgUnitsPerMm]);
+
+  // Imposer l'angle intérieur d'un sommet (en degrés)
+  const handleSetVertexAngle = useCallback((vertexIndex, angleDeg) => {
+    updateSelectedShape(`Coter l'angle ${vertexIndex + 1}`, (shape, isPolygon) => {
+      const newPoints = setVertexAngle(shape.points, vertexIndex, angleDeg, isPolygon);
+      return newPoints === shape.points ? null : { points: newPoints };
+    }, [vertexIndex]);
+  }, [updateSelectedShape]);
+
+  // Déplacer la forme sélectionnée (en mm)
+  const handleMoveShape = useCallback((dxMm, dyMm) => {
+    updateSelectedShape("Déplacer la forme", shape => ({
+      points: translatePoints(shape.points, dxMm * svgUnitsPerMm, dyMm * svgUnitsPerMm)
+    }), [], { keepTemplate: true });
+  }, [updateSelectedShape, svgUnitsPerMm]);
+
+  // Tourner la forme sélectionnée autour de son centre (degrés, sens horaire)
+  const handleRotateShape = useCallback((angleDeg) => {
+    if (!angleDeg) return;
+    updateSelectedShape(`Tourner la forme de ${angleDeg}°`, shape => ({
+      points: rotatePoints(shape.points, angleDeg, getBoundingBox(shape.points).center)
+    }));
+  }, [updateSelectedShape]);
+
+  // Mettre la forme sélectionnée à l'échelle (par défaut autour de son centre)
+  const handleScaleShape = useCallback((scaleX, scaleY, origin) => {
+    if (!(scaleX > 0) || !(scaleY > 0) || (scaleX === 1 && scaleY === 1)) return;
+    const scaledPoints = (shape) => scalePoints(shape.points, scaleX, scaleY, origin || getBoundingBox(shape.points).center);
+    updateSelectedShape("Mettre la forme à l'échelle", shape => ({
+      // Une mise à l'échelle uniforme agrandit aussi les rayons des arrondis et les cotes des chanfreins
+      points: scaleX === scaleY
+        ? scaledPoints(shape).map(p => (p.fillet ? { ...p, fillet: scaleFilletDimensions(p.fillet, scaleX) } : p))
+        : scaledPoints(shape),
+      constraints: shape.constraints && scaleConstraints(shape.constraints, scaleX, scaleY)
+    }));
+  }, [updateSelectedShape]);
+
+  // Symétrie de la forme sélectionnée par rapport à son centre
+  const handleMirrorShape = useCallback((axis) => {
+    updateSelectedShape(axis === 'horizontal' ? "Miroir horizontal" : "Miroir vertical", shape => ({
+      points: mirrorPoints(shape.points, axis, getBoundingBox(shape.points).center),
+      constraints: shape.constraints && mirrorConstraints(shape.constraints)
+    }));
+  }, [updateSelectedShape]);
+
+  // Poser un arrondi paramétrique sur plusieurs sommets de la forme sélectionnée, en une seule étape
+  // d'historique. L'arc n'étant développé qu'au rendu, chaque sommet garde son index : arrondir un coin
+  // ne décale pas ceux qui restent à traiter.
+  const filletVertices = useCallback((vertexIndices, fillet) => {
+    const selectedShape = shapes.find(s => s.id === selectedShapeId);
+    if (!selectedShape || (selectedShape.type !== 'polygon' && selectedShape.type !== 'polyline')) {
+      alert("L'arrondi ne peut être appliqué qu'à un polygone ou une polyligne.");
+      return;
+    }
+
+    const isPolygon = selectedShape.type === 'polygon';
+    const filletedIndices = vertexIndices.filter(i => (
+      i < selectedShape.points.length && canApplyFillet(selectedShape.points, i, fillet, isPolygon, svgUnitsPerMm)
+    ));
+    const reasons = fillet.type === FILLET_TYPES.CHAMFER
+      ? "extrémités de polyligne, angles plats ou distances trop grandes pour les segments"
+      : "extrémités de polyligne, angles plats ou rayon trop petit";
+    if (filletedIndices.length === 0) {
+      alert(`Aucun de ces sommets ne peut être modifié : ${reasons}.`);
+      return;
+    }
+
+    const labels = {
+      [FILLET_TYPES.ROUND]: 'Arrondir',
+      [FILLET_TYPES.COMPOUND]: 'Angle composé sur',
+      [FILLET_TYPES.CHAMFER]: 'Chanfreiner',
+    };
+    const filletedSet = new Set(filletedIndices);
+    updateSelectedShape(
+      `${labels[fillet.type]} ${filletedIndices.length} coin(s)`,
+      shape => ({
+        points: shape.points.map((p, i) => (filletedSet.has(i) ? { ...p, fillet } : p))
+      })
+    );
+
+    const skippedCount = vertexIndices.length - filletedIndices.length;
+    if (skippedCount > 0) {
+      alert(`${skippedCount} sommet(s) ignoré(s) : ${reasons}.`);
+    }
+  }, [selectedShapeId, shapes, svgUnitsPerMm, updateSelectedShape]);
+
+  // Poser l'arrondi paramétrique d'un type donné sur le sommet sélectionné (le sommet reste sélectionné
+  // pour que l'inspecteur affiche ses paramètres), ou sur tous les sommets de la sélection multiple
+  const filletSelectedVertex = useCallback((fillet) => {
     if (!selectedShapeId) {
       alert("Veuillez sélectionner une forme pour appliquer l'arrondi.");
       return;
@@ -684,112 +1226,130 @@ function ShapeEditor({
       return;
     }
 
+    if (selectedVertexIndices.length > 1) {
+      filletVertices(selectedVertexIndices, fillet);
+      return;
+    }
+
     const selectedShape = shapes.find(s => s.id === selectedShapeId);
     if (!selectedShape || (selectedShape.type !== 'polygon' && selectedShape.type !== 'polyline')) {
       alert("L'arrondi ne peut être appliqué qu'à un polygone ou une polyligne.");
       return;
     }
 
+    const isPolygon = selectedShape.type === 'polygon';
     // Vérifier si c'est une extrémité de polyligne (non supporté)
-    if (selectedShape.type === 'polyline' && 
-        (selectedPointIndex === 0 || selectedPointIndex === selectedShape.points.length - 1)) {
+    if (!canFilletVertex(selectedShape.points, selectedPointIndex, isPolygon)) {
       alert("L'arrondi des extrémités d'une polyligne n'est pas encore supporté.");
       return;
     }
 
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
+    if (!canApplyFillet(selectedShape.points, selectedPointIndex, fillet, isPolygon, svgUnitsPerMm)) {
+      alert(fillet.type === FILLET_TYPES.CHAMFER
+        ? "Ce sommet ne peut pas être chanfreiné : angle plat ou distances trop grandes pour ses segments."
+        : "Ce sommet ne peut pas être arrondi : angle plat ou rayon trop petit.");
+      return;
     }
 
-    // Appliquer l'arrondi seulement au sommet sélectionné
-    const roundedPoints = applyCornerRounding(
-      selectedShape.points,
-      curvatureAngle,
-      numSegmentsForCornerRounding,
-      selectedPointIndex // Passer l'index du sommet sélectionné
+    const labels = {
+      [FILLET_TYPES.ROUND]: `Arrondir le coin ${selectedPointIndex + 1}`,
+      [FILLET_TYPES.COMPOUND]: `Angle composé au sommet ${selectedPointIndex + 1}`,
+      [FILLET_TYPES.CHAMFER]: `Chanfreiner le coin ${selectedPointIndex + 1}`,
+    };
+    updateSelectedShape(
+      labels[fillet.type],
+      shape => ({
+        points: shape.points.map((p, i) => (i === selectedPointIndex ? { ...p, fillet } : p))
+      })
     );
+  }, [selectedShapeId, selectedPointIndex, selectedVertexIndices, shapes, svgUnitsPerMm, updateSelectedShape, filletVertices]);
 
-    // Mettre à jour la forme
-    setShapesAndPersist(prevShapes => {
-      return prevShapes.map(shape => {
-        if (shape.id === selectedShapeId) {
-          return { ...shape, points: roundedPoints };
-        }
-        return shape;
-      });
-    });
-    
-    // Désélectionner le point après l'arrondi
-    setSelectedPointIndex(null);
-  }, [
-    selectedShapeId, 
-    selectedPointIndex,
-    shapes, 
-    curvatureAngle,
-    numSegmentsForCornerRounding, 
-    addToHistory, 
-    isUndoRedoAction, 
-    setShapesAndPersist
-  ]);
+  // Arrondir le sommet sélectionné avec un rayon donné (mm)
+  const roundSelectedCorner = useCallback((radiusMm) => {
+    filletSelectedVertex({ type: FILLET_TYPES.ROUND, radiusMm });
+  }, [filletSelectedVertex]);
 
-  // Transformer un sommet en angle composé de segments
-  const handleTransformToAngle = useCallback(() => {
-    if (!selectedShapeId) {
-      alert("Veuillez sélectionner une forme pour transformer l'angle.");
+  // Appliquer l'arrondi réglé dans la barre d'outils au sommet sélectionné
+  const handleApplyRounding = useCallback(() => {
+    roundSelectedCorner(curvatureAngle / svgUnitsPerMm);
+  }, [roundSelectedCorner, curvatureAngle, svgUnitsPerMm]);
+
+  // Appliquer l'arrondi de la barre d'outils à tous les coins de la forme sélectionnée,
+  // ou seulement à ceux dont l'angle intérieur est inférieur à maxAngleDeg
+  const handleApplyRoundingToCorners = useCallback((maxAngleDeg = Infinity) => {
+    const selectedShape = shapes.find(s => s.id === selectedShapeId);
+    if (!selectedShape) {
+      alert("Veuillez sélectionner une forme pour appliquer l'arrondi.");
       return;
     }
-
-    if (selectedPointIndex === null) {
-      alert("Veuillez sélectionner un sommet à transformer en angle.");
+    if (selectedShape.type !== 'polygon' && selectedShape.type !== 'polyline') {
+      alert("L'arrondi ne peut être appliqué qu'à un polygone ou une polyligne.");
       return;
     }
 
-    const selectedShape = shapes.find(s => s.id === selectedShapeId);
-    if (!selectedShape || (selectedShape.type !== 'polygon' && selectedShape.type !== 'polyline')) {
-      alert("La transformation d'angle ne peut être appliquée qu'à un polygone ou une polyligne.");
+    const isPolygon = selectedShape.type === 'polygon';
+    const fillet = { type: FILLET_TYPES.ROUND, radiusMm: curvatureAngle / svgUnitsPerMm };
+    // Les coins plats sont écartés d'office plutôt que signalés comme ignorés
+    const vertexIndices = getFilletableVertexIndices(selectedShape.points, isPolygon, maxAngleDeg)
+      .filter(i => getFilletArc(selectedShape.points, i, fillet, isPolygon, svgUnitsPerMm));
+    if (vertexIndices.length === 0) {
+      alert(Number.isFinite(maxAngleDeg)
+        ? `Aucun coin de cette forme n'est plus aigu que ${maxAngleDeg}°.`
+        : "Cette forme n'a aucun coin à arrondir.");
       return;
     }
 
-    if (!isUndoRedoAction) {
-      addToHistory({
-        type: "shapes",
-        shapes: JSON.parse(JSON.stringify(shapes)),
-      });
-    }
+    filletVertices(vertexIndices, fillet);
+  }, [shapes, selectedShapeId, curvatureAngle, svgUnitsPerMm, filletVertices]);
 
-    // Transformer le sommet sélectionné en angle composé de segments
-    const transformedPoints = transformVertexToAngle(
-      selectedShape.points,
-      curvatureAngle,
-      numSegmentsForCornerRounding,
-      selectedPointIndex,
-      selectedShape.type === 'polygon' // isPolygon
-    );
+  // Chanfreiner les sommets sélectionnés avec les cotes de la barre d'outils
+  const handleApplyChamfer = useCallback(() => {
+    filletSelectedVertex({ type: FILLET_TYPES.CHAMFER, ...chamferSettings });
+  }, [filletSelectedVertex, chamferSettings]);
 
-    // Mettre à jour la forme
-    setShapesAndPersist(prevShapes => {
-      return prevShapes.map(shape => {
-        if (shape.id === selectedShapeId) {
-          return { ...shape, points: transformedPoints };
-        }
-        return shape;
-      });
-    });
-    
-    setSelectedPointIndex(null);
-  }, [
-    selectedShapeId, 
-    selectedPointIndex,
-    shapes, 
-    curvatureAngle,
-    numSegmentsForCornerRounding, 
-    addToHistory, 
-    isUndoRedoAction, 
-    setShapesAndPersist
-  ]);
+  // Transformer un sommet en angle composé de segments
+  const handleTransformToAngle = useCallback(() => {
+    filletSelectedVertex({ type: FILLET_TYPES.COMPOUND, curvatureDeg: curvatureAngle });
+  }, [filletSelectedVertex, curvatureAngle]);
+
+  // Modifier (fillet) ou supprimer (null) l'arrondi d'un sommet depuis l'inspecteur
+  const handleSetVertexFillet = useCallback((vertexIndex, fillet) => {
+    updateSelectedShape(
+      fillet ? `Modifier l'arrondi du sommet ${vertexIndex + 1}` : `Coin vif au sommet ${vertexIndex + 1}`,
+      shape => ({
+        points: shape.points.map((p, i) => {
+          if (i !== vertexIndex) return p;
+          if (fillet) return { ...p, fillet };
+          const { fillet: _removedFillet, ...sharpPoint } = p;
+          return sharpPoint;
+        })
+      })
+    );
+  }, [updateSelectedShape]);
+
+  // Ajouter une contrainte de cote à la forme sélectionnée
+  const handleAddConstraint = useCallback((constraint) => {
+    updateSelectedShape(`Contrainte : ${describeConstraint(constraint)}`, shape => ({
+      constraints: [
+        ...(shape.constraints || []),
+        { id: `constraint_${Date.now()}`, ...constraint }
+      ]
+    }));
+  }, [updateSelectedShape]);
+
+  // Modifier la valeur d'une contrainte existante
+  const handleUpdateConstraint = useCallback((constraintId, changes) => {
+    updateSelectedShape("Modifier une contrainte", shape => ({
+      constraints: (shape.constraints || []).map(c => (c.id === constraintId ? { ...c, ...changes } : c))
+    }));
+  }, [updateSelectedShape]);
+
+  // Supprimer une contrainte
+  const handleRemoveConstraint = useCallback((constraintId) => {
+    updateSelectedShape("Supprimer une contrainte", shape => ({
+      constraints: (shape.constraints || []).filter(c => c.id !== constraintId)
+    }));
+  }, [updateSelectedShape]);
 
   // Gérer le changement d'outil actif
   const handleToolChange = useCallback((toolName) => {
@@ -811,13 +1371,13 @@ function ShapeEditor({
    * Génère le contenu SVG et affiche le modal de sauvegarde
    */
   const handleShowSaveModal = useCallback(() => {
-    const svgContent = generateSvgContent(shapes, viewBoxCoords);
+    const svgContent = generateSvgContent(shapes.map(expandShape), viewBoxCoords);
     if (!svgContent) {
       alert("Aucune forme à exporter.");
       return;
     }
     onShowSaveModal(svgContent);
-  }, [shapes, viewBoxCoords, onShowSaveModal]);
+  }, [shapes, expandShape, viewBoxCoords, onShowSaveModal]);
 
   // Fonction qui contient la logique réelle de l'appel API pour la production
   const executeProduction = async (shapeToProduce) => {
@@ -831,7 +1391,9 @@ function ShapeEditor({
     setShowProductionConfirmModal(false); // Fermer la modale de confirmation
 
     try {
-      const svgPoints = shapeToProduce.points.map((p) => (`${p.x},${p.y}`)).join(' ');
+      // La machine plie la fibre neutre de la bande, quel que soit le contour coté
+      const neutralPoints = getNeutralAxisPoints(shapeToProduce, materialThickness);
+      const svgPoints = neutralPoints.map((p) => (`${p.x},${p.y}`)).join(' ');
       const svgWidth = viewBoxCoords.width;
       const svgHeight = viewBoxCoords.height;
       const svgContent = `<svg width="${svgWidth}" height="${svgHeight}" xmlns="http://www.w3.org/2000/svg"><polygon points="${svgPoints}" fill="none" stroke="black" /></svg>`;
@@ -843,6 +1405,26 @@ function ShapeEditor({
       formData.append("svgfile", file);
       formData.append("sendToApi", "true");
       formData.append("closePolygons", "true"); // Assumant que c'est toujours un polygone pour la production ici
+      // Réglages de la machine sélectionnée et séquence calculée localement pour contrôle
+      formData.append("svgUnitsPerMm", String(svgUnitsPerMm));
+      formData.append("machineProfile", JSON.stringify(machineProfile));
+      formData.append("material", JSON.stringify(material));
+      // Longueur de coupe développée et son détail par segment et par pli
+      const developedLength = calculateDevelopedLength(
+        neutralPoints,
+        shapeToProduce.type === 'polygon',
+        svgUnitsPerMm,
+        material
+      );
+      formData.append("developedLength", JSON.stringify(developedLength));
+      // Les AVANCER avancent la longueur développée : la bande coupée mesure la longueur affichée
+      const sequence = generateBendingSequence(
+        neutralPoints,
+        shapeToProduce.type === 'polygon',
+        svgUnitsPerMm,
+        { ...machineProfile, springbackCurve: material.springbackCurve, developedLength }
+      );
+      formData.append("sequence", JSON.stringify(sequence));
 
       const response = await fetch(
         `${API_BASE_URL}/api/direct/svg-to-sequence`,
@@ -857,6 +1439,8 @@ function ShapeEditor({
         console.log("Export API réussi:", data);
         const jobId = data.pieceId || `job_${Date.now()}`;
         sessionStorage.setItem('persistedShapes', JSON.stringify(shapes));
+        // Le suivi affiche les angles réellement envoyés, même si les réglages changent ensuite
+        saveProductionJob({ jobId, sequence, materialName: material.name, machineName: machineProfile.name });
         if (onShowSaveModal) {
           onShowSaveModal(svgContent); // Permettre la sauvegarde si nécessaire
         }
@@ -873,26 +1457,45 @@ function ShapeEditor({
     }
   };
 
-  // Ouvre la modale de confirmation avant de lancer la production
+  // Ouvre la modale de confirmation avant de lancer la production de la pièce choisie
   const handleStartProductionFlow = useCallback(() => {
-    const selectedShape = shapes.find((s) => s.id === selectedShapeId);
-    if (!selectedShape || !selectedShape.points || selectedShape.points.length < 2) {
+    if (!productionPiece || !productionPiece.points || productionPiece.points.length < 2) {
       alert(
-        "Veuillez sélectionner une forme valide avec au moins 2 points pour la production."
+        "Veuillez choisir dans le panneau des pièces une pièce valide avec au moins 2 points pour la production."
       );
       return;
     }
     if (hasTooSmallAngles) {
-      alert("La forme contient des angles trop aigus. Veuillez les corriger avant de lancer la production.");
+      setShowAngleFixAssistant(true);
+      return;
+    }
+    const violations = validateShapeForProduction(neutralProductionPiece, machineProfile, svgUnitsPerMm);
+    if (hasBlockingViolations(violations)) {
+      const messages = violations
+        .filter(violation => violation.severity === 'error')
+        .map(violation => `- ${violation.message}`)
+        .join('\n');
+      alert(`La forme ne respecte pas les contraintes de la machine :\n${messages}`);
       return;
     }
-    setShapeForProductionConfirm(selectedShape);
+    setShapeForProductionConfirm(expandedProductionPiece);
     setShowProductionConfirmModal(true);
-  }, [shapes, selectedShapeId, hasTooSmallAngles]);
+  }, [productionPiece, expandedProductionPiece, neutralProductionPiece, hasTooSmallAngles, svgUnitsPerMm, machineProfile]);
+
+  // Accepter la correction d'un angle trop aigu de la pièce de production (arrondi paramétrique du sommet)
+  const handleAcceptAngleFix = useCallback((vertexIndex, fillet) => {
+    if (!productionPiece) return;
+    recordHistory(`Corriger l'angle du sommet ${vertexIndex + 1}`);
+    setShapesAndPersist(prevShapes => prevShapes.map(shape => (
+      shape.id === productionPiece.id
+        ? detachTemplate({ ...shape, points: shape.points.map((p, i) => (i === vertexIndex ? { ...p, fillet } : p)) })
+        : shape
+    )));
+  }, [productionPiece, recordHistory, setShapesAndPersist]);
 
   // Sauvegarder dans la bibliothèque
   const handleSaveToLibrary = useCallback(async (pieceData) => {
-    const svgContent = generateSvgContent(shapes, viewBoxCoords);
+    const svgContent = generateSvgContent(shapes.map(expandShape), viewBoxCoords);
     if (!svgContent) {
       alert("Aucune forme à sauvegarder.");
       return;
@@ -904,7 +1507,168 @@ function ShapeEditor({
     } catch (error) {
       alert(`Erreur lors de la sauvegarde: ${error.message}`);
     }
-  }, [shapes, viewBoxCoords, onSaveSuccess]);
+  }, [shapes, expandShape, viewBoxCoords, onSaveSuccess]);
+
+  // Ajouter des formes importées (séquence, DXF, SVG) comme nouvelles pièces nommées du calque actif,
+  // en une seule étape d'historique ; la première est sélectionnée
+  const addImportedPieces = useCallback((newShapes, historyLabel) => {
+    const pieces = [];
+    newShapes.forEach((newShape, i) => {
+      const workspace = [...shapes, ...pieces];
+      // Un fichier enregistré par l'éditeur peut reprendre l'id d'une forme déjà présente
+      const id = workspace.some(shape => shape.id === newShape.id) ? `${newShape.id}_${Date.now()}_${i}` : newShape.id;
+      pieces.push({ ...newShape, id, name: getNextPieceName(workspace), layerId: activeLayer.id });
+    });
+    if (pieces.length === 0) return;
+    recordHistory(pieces.length === 1
+      ? `${historyLabel} (${pieces[0].name})`
+      : `${historyLabel} (${pieces.length} pièces)`);
+
+    setShapesAndPersist(prevShapes => [...prevShapes, ...pieces]);
+    setSelectedShapeId(pieces[0].id);
+    setSelectedPointIndex(null);
+  }, [shapes, activeLayer.id, recordHistory, setShapesAndPersist]);
+
+  // Ajouter une forme importée ou générée comme nouvelle pièce du calque actif
+  const addImportedPiece = useCallback((newShape, historyLabel) => {
+    addImportedPieces([newShape], historyLabel);
+  }, [addImportedPieces]);
+
+  // Ouvrir la galerie de gabarits, pour une nouvelle pièce ou pour les cotes d'une pièce issue d'un gabarit
+  const handleOpenTemplateGallery = useCallback((shapeId = null) => {
+    const shape = shapeId ? shapes.find(s => s.id === shapeId) : null;
+    setTemplateGallery({ shapeId, initialTemplate: shape ? shape.template : null });
+  }, [shapes]);
+
+  // Générer la forme d'un gabarit : nouvelle pièce au centre de la vue, ou régénération à la même position
+  const handleApplyTemplate = useCallback((templateId, parameters) => {
+    const template = getPartTemplate(templateId);
+    const editedShape = templateGallery.shapeId ? shapes.find(s => s.id === templateGallery.shapeId) : null;
+
+    if (editedShape) {
+      const { minX, minY } = getBoundingBox(editedShape.points);
+      const points = buildTemplatePoints(template, parameters, svgUnitsPerMm, { x: minX, y: minY });
+      recordHistory(`Modifier le gabarit de ${getPieceName(editedShape, shapes)}`);
+      setShapesAndPersist(prevShapes => prevShapes.map(shape => {
+        if (shape.id !== editedShape.id) return shape;
+        // Les sommets sont régénérés : les contraintes ne peuvent pas être conservées
+        const { constraints: _removedConstraints, ...rest } = shape;
+        return { ...rest, points, template: { id: templateId, parameters } };
+      }));
+      setSelectedPointIndex(null);
+    } else {
+      const templatePoints = buildTemplatePoints(template, parameters, svgUnitsPerMm);
+      const { width, height } = getBoundingBox(templatePoints);
+      const points = translatePoints(
+        templatePoints,
+        viewBoxCoords.x + (viewBoxCoords.width - width) / 2,
+        viewBoxCoords.y + (viewBoxCoords.height - height) / 2
+      );
+      const isPolygon = template.shapeType === 'polygon';
+      addImportedPiece({
+        id: `shape_template_${Date.now()}`,
+        type: template.shapeType,
+        points,
+        fill: isPolygon ? "rgba(0, 200, 100, 0.3)" : "none",
+        stroke: "black",
+        strokeWidth: 2,
+        template: { id: templateId, parameters },
+        ...(template.contourReference ? { contourReference: template.contourReference } : {}),
+      }, `Créer un gabarit ${template.label.toLowerCase()}`);
+    }
+    setTemplateGallery(null);
+  }, [templateGallery, shapes, svgUnitsPerMm, viewBoxCoords, recordHistory, setShapesAndPersist, addImportedPiece]);
+
+  // Importer une séquence de pliage (JSON) et la charger comme nouvelle pièce
+  const importSequenceFile = useCallback((fileContent) => {
+    let sequence;
+    try {
+      const content = JSON.parse(fileContent);
+      // Accepter une liste d'actions brute ou la réponse du backend ({ actions: [...] })
+      sequence = Array.isArray(content) ? content : content.actions;
+      if (!Array.isArray(sequence)) {
+        throw new Error("aucune liste d'actions trouvée");
+      }
+    } catch (error) {
+      alert(`Impossible de lire la séquence : ${error.message}`);
+      return;
+    }
+
+    const { points, isClosed, pathCount } = sequenceToPoints(sequence, svgUnitsPerMm, {
+      bladeOffsetMm: machineProfile.bladeOffsetMm,
+      minSegmentLengthMm: machineProfile.minSegmentLengthMm
+    });
+    if (points.length < 2) {
+      alert("La séquence ne contient aucun tracé (AVANCER) à importer.");
+      return;
+    }
+    if (pathCount > 1) {
+      alert(`La séquence contient ${pathCount} tracés séparés : seul le plus long est importé.`);
+    }
+
+    const isPolygon = isClosed && points.length >= 3;
+    addImportedPiece({
+      id: `shape_sequence_${Date.now()}`,
+      type: isPolygon ? "polygon" : "polyline",
+      points,
+      fill: isPolygon ? "rgba(0, 200, 100, 0.3)" : "none",
+      stroke: "black",
+      strokeWidth: 2,
+    }, "Importer une séquence");
+  }, [svgUnitsPerMm, machineProfile.bladeOffsetMm, machineProfile.minSegmentLengthMm, addImportedPiece]);
+
+  // Importer les contours d'un plan (DXF, SVG) : chacun devient une pièce, du plus long au plus court
+  const importContours = useCallback((importedShapes, formatLabel) => {
+    const paths = importedShapes.filter(s => s.type === 'polygon' || s.type === 'polyline');
+    if (paths.length === 0) {
+      alert(`Le fichier ${formatLabel} ne contient aucun contour exploitable.`);
+      return;
+    }
+
+    const pathLength = (shape) => calculatePathLength(shape.points, shape.type === 'polygon');
+    addImportedPieces([...paths].sort((a, b) => pathLength(b) - pathLength(a)), `Importer ${formatLabel}`);
+    if (paths.length < importedShapes.length) {
+      alert(`${importedShapes.length - paths.length} élément(s) du ${formatLabel} autres que des contours (cercles...) n'ont pas été importés.`);
+    }
+  }, [addImportedPieces]);
+
+  // Importer un fichier selon son extension (.json = séquence, .dxf / .svg = plan)
+  const handleImportFile = useCallback(async (file) => {
+    const extension = file.name.split('.').pop().toLowerCase();
+    try {
+      const fileContent = await file.text();
+      if (extension === 'dxf') {
+        importContours(
+          parseDxfContent(fileContent, svgUnitsPerMm, { bendPitchMm }),
+          'DXF'
+        );
+      } else if (extension === 'svg') {
+        importContours(parseSvgContent(fileContent, svgUnitsPerMm, { bendPitchMm }), 'SVG');
+      } else if (extension === 'json') {
+        importSequenceFile(fileContent);
+      } else {
+        alert(`Format de fichier non pris en charge : .${extension}`);
+      }
+    } catch (error) {
+      console.error("Erreur lors de l'import du fichier:", error);
+      alert(`Impossible d'importer ${file.name} : ${error.message}`);
+    }
+  }, [importContours, importSequenceFile, svgUnitsPerMm, bendPitchMm]);
+
+  // Exporter les formes en DXF (mm)
+  const handleExportDxf = useCallback(() => {
+    const dxfContent = generateDxfContent(shapes.map(expandShape), svgUnitsPerMm);
+    if (!dxfContent) {
+      alert("Aucune forme à exporter.");
+      return;
+    }
+    const url = URL.createObjectURL(new Blob([dxfContent], { type: "application/dxf" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "piece.dxf";
+    link.click();
+    URL.revokeObjectURL(url);
+  }, [shapes, expandShape, svgUnitsPerMm]);
 
   // Gérer le double-clic pour terminer un dessin à main levée
   const handleDoubleClick = useCallback((event) => {
@@ -913,101 +1677,213 @@ function ShapeEditor({
     }
   }, [activeTool, currentPoints, finalizeShape]);
 
-  // Maintenant que toutes les fonctions sont définies, on peut utiliser le hook useKeyboardEvents
-  useEffect(() => {
-    const keyboardHandlers = {
-      onUndo: handleUndo,
-      onRedo: handleRedo,
-      onDelete: () => {
-        if (selectedShapeId) {
-          deleteSelectedShape();
-        }
-      },
-      onEscape: () => {
-        // Si un outil de forme prédéfinie est en cours d'utilisation, annuler la forme
-        if (isDrawingShape) {
-          cancelShape();
-        } 
-        // Si on est en train de dessiner à main levée, réinitialiser les points
-        else if (activeTool === 'draw' && currentPoints.length > 0) {
-          resetDrawingState();
-        } 
-        // Sinon, revenir à l'outil de dessin
-        else {
-          deactivateShapeTool();
-          setActiveTool('draw');
-        }
-      },
-      onEnter: () => {
-        // Finaliser une forme en cours de dessin à main levée
-        if (activeTool === 'draw' && currentPoints.length >= 2) {
-          finalizeShape();
-        }
-        // Finaliser une forme prédéfinie en cours de dessin
-        else if (isDrawingShape) {
-          finalizeShapeTool();
-          setActiveTool('selection');
-        }
-      }
-    };
+  // Touche Suppr : supprimer la forme sélectionnée
+  const handleDeleteKey = useCallback(() => {
+    if (selectedShapeId) {
+      deleteSelectedShape();
+    }
+  }, [selectedShapeId, deleteSelectedShape]);
 
-    const handleKeyDown = (event) => {
-      isCtrlKeyPressedRef.current = event.ctrlKey || event.metaKey;
+  // Touche Échap : annuler le tracé en cours
+  const handleEscapeKey = useCallback(() => {
+    // Si un outil de forme prédéfinie est en cours d'utilisation, annuler la forme
+    if (isDrawingShape) {
+      cancelShape();
+    } 
+    // Si on est en train de dessiner à main levée, réinitialiser les points
+    else if (activeTool === 'draw' && currentPoints.length > 0) {
+      resetDrawingState();
+    } 
+    // Sinon, revenir à l'outil de dessin
+    else {
+      deactivateShapeTool();
+      setActiveTool('draw');
+    }
+  }, [isDrawingShape, cancelShape, activeTool, currentPoints, resetDrawingState, deactivateShapeTool]);
 
-      // Ctrl+Z pour annuler
-      if ((event.ctrlKey || event.metaKey) && event.key === 'z' && !event.shiftKey) {
-        event.preventDefault();
-        keyboardHandlers.onUndo();
-      }
-      // Ctrl+Y ou Ctrl+Shift+Z pour rétablir
-      else if (((event.ctrlKey || event.metaKey) && event.key === 'y') || 
-               ((event.ctrlKey || event.metaKey) && event.key === 'z' && event.shiftKey)) {
-        event.preventDefault();
-        keyboardHandlers.onRedo();
-      }
-      // Supprimer/Delete pour supprimer
-      else if (event.key === 'Delete' || event.key === 'Backspace') {
-        keyboardHandlers.onDelete();
-      }
-      // Échap pour annuler/réinitialiser
-      else if (event.key === 'Escape') {
-        keyboardHandlers.onEscape();
-      }
-      // Entrée pour finaliser
-      else if (event.key === 'Enter') {
-        keyboardHandlers.onEnter();
+  // Touche Entrée : finaliser le tracé en cours
+  const handleEnterKey = useCallback(() => {
+    // Finaliser une forme en cours de dessin à main levée
+    if (activeTool === 'draw' && currentPoints.length >= 2) {
+      finalizeShape();
+    }
+    // Finaliser une forme prédéfinie en cours de dessin
+    else if (isDrawingShape) {
+      finalizeShapeTool();
+      setActiveTool('selection');
+    }
+  }, [activeTool, currentPoints, finalizeShape, isDrawingShape, finalizeShapeTool]);
+
+  // Exécuter une commande de la ligne de commande avec les mêmes opérations que la souris.
+  // Retourne le message de retour ; lève une erreur si la commande ne s'applique pas.
+  const handleCommand = useCallback((command) => {
+    const formatMm = (value) => parseFloat((value / svgUnitsPerMm).toFixed(2));
+    const selectedShape = shapes.find(shape => shape.id === selectedShapeId);
+    const requireSelectedShape = () => {
+      if (!selectedShape || (selectedShape.type !== 'polygon' && selectedShape.type !== 'polyline')) {
+        throw new Error("Sélectionnez d'abord une pièce");
       }
     };
 
-    const handleKeyUp = (event) => {
-      isCtrlKeyPressedRef.current = event.ctrlKey || event.metaKey;
-    };
-
-    // Ajouter les écouteurs d'événements
-    window.addEventListener('keydown', handleKeyDown);
-    window.addEventListener('keyup', handleKeyUp);
+    if (command.kind === 'point') {
+      const lastPoint = activeTool === 'draw' ? currentPoints[currentPoints.length - 1] : null;
+      if (command.relative && !lastPoint) {
+        throw new Error("Aucun point précédent : saisissez d'abord un point absolu");
+      }
+      const origin = command.relative ? lastPoint : { x: 0, y: 0 };
+      const point = command.polar
+        ? pointAtPolar(origin, command.length * svgUnitsPerMm, command.angle)
+        : { x: origin.x + command.x * svgUnitsPerMm, y: origin.y + command.y * svgUnitsPerMm };
+      // Un point saisi démarre un tracé à main levée, comme un clic avec l'outil Dessin
+      if (activeTool !== 'draw') {
+        handleToolChange('draw');
+      }
+      setCurrentPoints(prev => [...prev, point]);
+      return `Point ${(lastPoint ? currentPoints.length : 0) + 1} : ${formatMm(point.x)}, ${formatMm(point.y)} mm`;
+    }
 
-    // Nettoyer les écouteurs d'événements lors du démontage
-    return () => {
-      window.removeEventListener('keydown', handleKeyDown);
-      window.removeEventListener('keyup', handleKeyUp);
-    };
+    switch (command.verb) {
+      case COMMAND_VERBS.CLOSE:
+        if (activeTool !== 'draw' || currentPoints.length < 2) {
+          throw new Error('Il faut au moins 2 points pour terminer le tracé');
+        }
+        finalizeShape();
+        return currentPoints.length >= 3 ? 'Pièce fermée créée' : 'Pièce ouverte créée';
+      case COMMAND_VERBS.UNDO:
+        if (activeTool === 'draw' && currentPoints.length > 0) {
+          setCurrentPoints(prev => prev.slice(0, -1));
+          return 'Dernier point supprimé';
+        }
+        if (historyPast.length === 0) throw new Error('Rien à annuler');
+        handleUndo();
+        return `Annulé : ${historyPast[historyPast.length - 1].label}`;
+      case COMMAND_VERBS.REDO:
+        if (historyFuture.length === 0) throw new Error('Rien à rétablir');
+        handleRedo();
+        return `Rétabli : ${historyFuture[0].label}`;
+      case COMMAND_VERBS.FILLET: {
+        requireSelectedShape();
+        if (selectedPointIndex === null) throw new Error("Sélectionnez d'abord le sommet à arrondir");
+        const fillet = { type: FILLET_TYPES.ROUND, radiusMm: command.args[0] };
+        if (!getFilletArc(selectedShape.points, selectedPointIndex, fillet, selectedShape.type === 'polygon', svgUnitsPerMm)) {
+          throw new Error('Ce sommet ne peut pas être arrondi');
+        }
+        roundSelectedCorner(command.args[0]);
+        return `Arrondi de ${command.args[0]} mm au sommet ${selectedPointIndex + 1}`;
+      }
+      case COMMAND_VERBS.MOVE:
+        requireSelectedShape();
+        handleMoveShape(command.args[0], command.args[1]);
+        return `Pièce déplacée de ${command.args[0]}, ${command.args[1]} mm`;
+      case COMMAND_VERBS.ROTATE:
+        requireSelectedShape();
+        // La commande suit le sens trigonométrique, la rotation à l'écran le sens horaire
+        handleRotateShape(-command.args[0]);
+        return `Pièce tournée de ${command.args[0]}°`;
+      case COMMAND_VERBS.SCALE:
+        requireSelectedShape();
+        handleScaleShape(command.args[0], command.args[0]);
+        return `Pièce mise à l'échelle ×${command.args[0]}`;
+      case COMMAND_VERBS.MIRROR:
+        requireSelectedShape();
+        handleMirrorShape(command.args[0]);
+        return command.args[0] === 'horizontal' ? 'Miroir horizontal' : 'Miroir vertical';
+      case COMMAND_VERBS.CANCEL:
+        handleEscapeKey();
+        return 'Annulé';
+      default:
+        return COMMAND_HELP;
+    }
   }, [
-    handleUndo, 
-    handleRedo, 
-    selectedShapeId, 
-    deleteSelectedShape, 
-    isDrawingShape, 
-    cancelShape,
-    activeTool, 
-    currentPoints, 
-    resetDrawingState, 
-    deactivateShapeTool, 
-    setActiveTool, 
+    shapes,
+    selectedShapeId,
+    selectedPointIndex,
+    activeTool,
+    currentPoints,
+    svgUnitsPerMm,
+    historyPast,
+    historyFuture,
+    handleToolChange,
     finalizeShape,
-    finalizeShapeTool
+    handleUndo,
+    handleRedo,
+    roundSelectedCorner,
+    handleMoveShape,
+    handleRotateShape,
+    handleScaleShape,
+    handleMirrorShape,
+    handleEscapeKey
   ]);
 
+  // Maintenant que toutes les fonctions sont définies, on peut utiliser le hook useKeyboardEvents
+  useKeyboardEvents({
+    onUndo: handleUndo,
+    onRedo: handleRedo,
+    onDelete: handleDeleteKey,
+    onEscape: handleEscapeKey,
+    onEnter: handleEnterKey,
+    ctrlKeyRef: isCtrlKeyPressedRef
+  });
+
+  // Découpage au pas de pliage des courbes en préparation (sommet sélectionné, cercle en cours de tracé)
+  const bendPitchReadouts = [];
+  const selectedShapeForReadout = shapes.find(s => s.id === selectedShapeId);
+  if (selectedShapeForReadout && selectedPointIndex !== null &&
+      (selectedShapeForReadout.type === 'polygon' || selectedShapeForReadout.type === 'polyline')) {
+    const isPolygon = selectedShapeForReadout.type === 'polygon';
+    const isPolylineEnd = !isPolygon &&
+      (selectedPointIndex === 0 || selectedPointIndex === selectedShapeForReadout.points.length - 1);
+    const roundingArc = isPolylineEnd
+      ? null
+      : getCornerRoundingArc(selectedShapeForReadout.points, curvatureAngle, selectedPointIndex);
+    const angleArc = getCompoundAngleArc(selectedShapeForReadout.points, curvatureAngle, selectedPointIndex, isPolygon);
+    if (roundingArc) {
+      bendPitchReadouts.push({
+        label: 'Arrondi',
+        summary: formatBendPitchSummary(
+          getBendPitchDiscretization(roundingArc.radius, roundingArc.sweep, bendPitchMm, svgUnitsPerMm)
+        ),
+      });
+    }
+    if (angleArc) {
+      bendPitchReadouts.push({
+        label: 'Angle composé',
+        summary: formatBendPitchSummary(
+          getBendPitchDiscretization(angleArc.radius, angleArc.sweep, bendPitchMm, svgUnitsPerMm, 2)
+        ),
+      });
+    }
+  }
+  if (shapeToolPreview && shapeToolPreview.type === 'circle' && shapeToolPreview.r > 0) {
+    bendPitchReadouts.push({
+      label: 'Cercle',
+      summary: formatBendPitchSummary(
+        getBendPitchDiscretization(shapeToolPreview.r, 2 * Math.PI, bendPitchMm, svgUnitsPerMm, 3)
+      ),
+    });
+  }
+
+  // Pièces visibles telles qu'elles seront produites (arrondis développés)
+  const displayedShapes = visibleShapes.map(expandShape);
+
+  // Contours de la bande épaisse autour des pièces visibles (ceux que le tracé ne représente pas déjà)
+  const materialOutlines = materialThickness > 0
+    ? displayedShapes
+      .filter(shape => isPiece(shape) && shape.points.length >= 2)
+      .flatMap(shape => {
+        const isPolygon = shape.type === 'polygon';
+        const reference = shape.contourReference || CONTOUR_TYPES.NEUTRAL;
+        return Object.values(CONTOUR_TYPES)
+          .filter(type => type !== reference)
+          .map(type => ({
+            id: `${shape.id}-${type}`,
+            type,
+            isClosed: isPolygon,
+            points: getContourPoints(shape.points, isPolygon, materialThickness, reference, type, { join: material.offsetJoin }),
+          }));
+      })
+    : [];
+
   return (
     <div className="editor-container flex h-full">
       {/* Barre d'outils */}
@@ -1016,21 +1892,50 @@ function ShapeEditor({
         setActiveTool={handleToolChange}
         onUndo={handleUndo}
         onRedo={handleRedo}
+        historyPast={historyPast}
+        historyFuture={historyFuture}
+        onJumpToHistory={jumpToHistory}
         onDeleteAll={deleteAllShapes}
-        onResetShape={resetPrincipalShape}
+        onResetShape={() => productionPiece && handleDeletePiece(productionPiece.id)}
         onApplyRounding={handleApplyRounding}
+        onApplyChamfer={handleApplyChamfer}
+        chamferSettings={chamferSettings}
+        setChamferSettings={setChamferSettings}
+        onApplyRoundingToCorners={handleApplyRoundingToCorners}
+        roundingMaxAngleDeg={roundingMaxAngleDeg}
+        setRoundingMaxAngleDeg={setRoundingMaxAngleDeg}
         onTransformToAngle={handleTransformToAngle}
+        onCleanupShape={handleOpenCleanup}
         roundingRadius={curvatureAngle}
         setRoundingRadius={setCurvatureAngle}
-        numSegmentsForCornerRounding={numSegmentsForCornerRounding}
-        setNumSegmentsForCornerRounding={setNumSegmentsForCornerRounding}
+        bendPitchMm={bendPitchMm}
+        bendPitchReadouts={bendPitchReadouts}
         isOrthogonalMode={isOrthogonalMode}
         setIsOrthogonalMode={setIsOrthogonalMode}
+        polarIncrementDeg={polarIncrementDeg}
+        setPolarIncrementDeg={setPolarIncrementDeg}
+        enabledSnapTypes={enabledSnapTypes}
+        onToggleSnapType={toggleSnapType}
         hasTooSmallAngles={hasTooSmallAngles}
+        productionViolations={productionViolations}
         showProductionTracker={false}
         setShowProductionTracker={() => {}}
+        machineProfiles={machineProfiles}
+        selectedMachineProfile={machineProfile}
+        onSelectMachineProfile={handleSelectMachineProfile}
+        onUpdateMachineProfile={handleUpdateMachineProfile}
+        onResetMachineProfile={handleResetMachineProfile}
+        materials={materials}
+        selectedMaterial={material}
+        onSelectMaterial={selectMaterial}
+        onUpdateMaterial={updateMaterial}
+        onResetMaterial={resetMaterial}
         onShowSaveModal={handleShowSaveModal}
         onStartProduction={handleStartProductionFlow}
+        onFixAngles={() => setShowAngleFixAssistant(true)}
+        onOpenTemplates={() => handleOpenTemplateGallery()}
+        onImportFile={handleImportFile}
+        onExportDxf={handleExportDxf}
         onToggleSVGLibrary={onToggleSVGLibrary}
         showSVGLibrary={showSVGLibrary}
         showGrid={showGrid}
@@ -1054,22 +1959,34 @@ function ShapeEditor({
       />
 
       {/* Canvas SVG */}
+      {/* Canevas et ligne de commande ancrée dessous */}
+      <div className="flex-grow flex flex-col min-w-0">
       <div className="flex-grow relative">
         <SvgCanvas
           ref={svgCanvasRef}
-          shapes={shapes}
+          shapes={displayedShapes}
           currentPoints={currentPoints}
           onCanvasMouseDown={handleCanvasMouseDown}
           onCanvasClick={handleCanvasClick}
           selectedShapeId={selectedShapeId}
           onShapeClick={handleShapeClick}
           selectedPointIndex={selectedPointIndex}
+          selectedVertexIndices={selectedVertexIndices}
+          selectionBox={selectionBox}
           onVertexMouseDown={handleVertexMouseDown}
           onSegmentRightClick={handleSegmentRightClick}
           onDoubleClick={handleDoubleClick}
           onFinishShape={finalizeShape}
           svgUnitsPerMm={svgUnitsPerMm}
-          isDraggingVertex={!!draggingVertexInfo}
+          isDraggingVertex={!!draggingVertexInfo || !!transformDragInfo}
+          activeSnap={activeSnap}
+          previewReadout={
+            activeTool === 'draw' && currentPoints.length > 0 && snappedPreviewPoint
+              ? getPolarReadout(currentPoints[currentPoints.length - 1], snappedPreviewPoint, svgUnitsPerMm)
+              : null
+          }
+          showTransformHandles={activeTool === 'selection' && !drawingToolMode}
+          onTransformHandleMouseDown={handleTransformHandleMouseDown}
           snappedPreviewPoint={snappedPreviewPoint}
           isDrawing={activeTool === 'draw' || drawingToolMode !== null}
           displayedAngles={displayedAngles.map(angle => ({
@@ -1081,7 +1998,7 @@ function ShapeEditor({
           previewShape={previewShape}
           showGrid={showGrid}
           gridSpacing={calculateActualGridSpacing(svgUnitsPerMm)}
-          minAngleForProduction={MIN_ANGLE_FOR_PRODUCTION}
+          minAngleForProduction={machineProfile.minAngleDeg}
           showAxes={showAxes}
           showOriginMarker={showOriginMarker}
           viewBox={viewBoxCoords}
@@ -1095,6 +2012,16 @@ function ShapeEditor({
           }}
           activeTool={effectiveActiveTool}
           isPanning={isPanning}
+          violations={productionViolations}
+          constraintAnnotations={visibleShapes.flatMap(shape => (
+            shape.constraints
+              ? getConstraintAnnotations(shape.points, shape.constraints, shape.type === 'polygon', svgUnitsPerMm)
+              : []
+          ))}
+          materialOutlines={materialOutlines}
+          correctionPreview={angleFixPreviewPoints && productionPiece
+            ? { type: productionPiece.type, points: angleFixPreviewPoints }
+            : null}
         />
         {/* Capture des événements de souris sur toute la zone de l'éditeur */}
         <div 
@@ -1126,6 +2053,70 @@ function ShapeEditor({
             }
           }}
         />
+        {/* Saisie au clavier de la longueur et de l'angle du prochain segment */}
+        {activeTool === 'draw' && currentPoints.length > 0 && (
+          <PolarEntryBox onPlacePoint={handlePlacePolarPoint} />
+        )}
+        {showAngleFixAssistant && productionPiece && (
+          <AngleFixAssistant
+            shape={productionPiece}
+            machineProfile={machineProfile}
+            svgUnitsPerMm={svgUnitsPerMm}
+            onPreview={setAngleFixPreviewPoints}
+            onAccept={handleAcceptAngleFix}
+            onClose={() => setShowAngleFixAssistant(false)}
+          />
+        )}
+      </div>
+      <CommandLine
+        onExecute={handleCommand}
+        prompt={activeTool === 'draw'
+          ? (currentPoints.length > 0 ? `Point ${currentPoints.length + 1}` : 'Premier point')
+          : 'Commande'}
+      />
+      </div>
+
+      {/* Panneau latéral : pièces et calques, propriétés de la sélection */}
+      <div className="w-64 flex-shrink-0 flex flex-col h-full bg-gray-100 border-l border-gray-300 overflow-y-auto">
+        <PiecesPanel
+          shapes={shapes}
+          layers={layers}
+          activeLayer={activeLayer}
+          selectedShapeId={selectedShapeId}
+          productionPieceId={productionPiece?.id || null}
+          onSelectPiece={handleSelectPiece}
+          onSetProductionPiece={setProductionPieceId}
+          onUpdatePiece={handleUpdatePiece}
+          onDeletePiece={handleDeletePiece}
+          onSetActiveLayer={setActiveLayerId}
+          onAddLayer={handleAddLayer}
+          onUpdateLayer={handleUpdateLayer}
+          onRemoveLayer={handleRemoveLayer}
+        />
+        <PropertyInspector
+          shape={shapes.find(shape => shape.id === selectedShapeId) || null}
+          selectedPointIndex={selectedPointIndex}
+          svgUnitsPerMm={svgUnitsPerMm}
+          thickness={materialThickness}
+          bendPitchMm={bendPitchMm}
+          onSetVertexFillet={handleSetVertexFillet}
+          onSetContourReference={(contourReference) => handleUpdatePiece(selectedShapeId, { contourReference })}
+          onEditTemplate={() => handleOpenTemplateGallery(selectedShapeId)}
+          onSetVertexPosition={handleSetVertexPosition}
+          onSetSegmentLength={handleSetSegmentLength}
+          onSetVertexAngle={handleSetVertexAngle}
+          onAddConstraint={handleAddConstraint}
+          onUpdateConstraint={handleUpdateConstraint}
+          onRemoveConstraint={handleRemoveConstraint}
+        />
+        <TransformPanel
+          shape={shapes.find(shape => shape.id === selectedShapeId) || null}
+          svgUnitsPerMm={svgUnitsPerMm}
+          onMove={handleMoveShape}
+          onRotate={handleRotateShape}
+          onScale={handleScaleShape}
+          onMirror={handleMirrorShape}
+        />
       </div>
 
       {showProductionConfirmModal && shapeForProductionConfirm && (
@@ -1138,6 +2129,30 @@ function ShapeEditor({
           onConfirm={() => executeProduction(shapeForProductionConfirm)}
           shape={shapeForProductionConfirm}
           svgUnitsPerMm={svgUnitsPerMm}
+          machineProfile={machineProfile}
+          material={material}
+        />
+      )}
+
+      {showCleanupModal && (
+        <ShapeCleanupModal
+          isOpen={showCleanupModal}
+          onClose={() => setShowCleanupModal(false)}
+          onApply={handleApplyCleanup}
+          shape={shapes.find(shape => shape.id === selectedShapeId) || null}
+          svgUnitsPerMm={svgUnitsPerMm}
+          bendPitchMm={bendPitchMm}
+        />
+      )}
+
+      {templateGallery && (
+        <TemplateGalleryModal
+          isOpen={!!templateGallery}
+          onClose={() => setTemplateGallery(null)}
+          onApply={handleApplyTemplate}
+          initialTemplate={templateGallery.initialTemplate}
+          svgUnitsPerMm={svgUnitsPerMm}
+          bendPitchMm={bendPitchMm}
         />
       )}
     </div>
@@ -0,0 +1,70 @@
+import React from 'react';
+
+/**
+ * Éditeur de la courbe de compensation du retour élastique d'un matériau.
+ * Chaque ligne associe un angle de pli nominal au surpliage à commander ;
+ * les valeurs intermédiaires sont interpolées linéairement.
+ * @param {Object} props - Propriétés du composant
+ * @param {Array} props.curve - Points de la courbe [{angleDeg, overbendDeg}]
+ * @param {Function} props.onChange - Appelée avec la nouvelle courbe
+ */
+function SpringbackCurveEditor({ curve, onChange }) {
+  const updatePoint = (index, key, value) => {
+    onChange(curve.map((point, i) => (i === index ? { ...point, [key]: value } : point)));
+  };
+
+  const removePoint = (index) => {
+    onChange(curve.filter((_, i) => i !== index));
+  };
+
+  const addPoint = () => {
+    const lastAngle = curve.length > 0 ? curve[curve.length - 1].angleDeg : 0;
+    const lastOverbend = curve.length > 0 ? curve[curve.length - 1].overbendDeg : 0;
+    onChange([...curve, { angleDeg: Math.min(180, lastAngle + 45), overbendDeg: lastOverbend }]);
+  };
+
+  return (
+    <div className="flex flex-col gap-1">
+      <div className="flex text-xs text-gray-600">
+        <span className="w-1/2">Angle (°)</span>
+        <span className="w-1/2">Surpliage (°)</span>
+      </div>
+      {curve.map((point, index) => (
+        <div key={`curve-point-${index}`} className="flex items-center gap-1">
+          <input
+            type="number"
+            min="0"
+            max="180"
+            step="1"
+            value={point.angleDeg}
+            onChange={(e) => updatePoint(index, 'angleDeg', Number(e.target.value))}
+            className="p-1 border rounded w-1/2 text-sm"
+          />
+          <input
+            type="number"
+            step="0.1"
+            value={point.overbendDeg}
+            onChange={(e) => updatePoint(index, 'overbendDeg', Number(e.target.value))}
+            className="p-1 border rounded w-1/2 text-sm"
+          />
+          <button
+            className="px-1 text-red-600 text-xs"
+            onClick={() => removePoint(index)}
+            title="Supprimer ce point"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button
+        className="tool-btn p-1 rounded bg-gray-200 mt-1 text-xs"
+        onClick={addPoint}
+        title="Ajouter un point à la courbe"
+      >
+        Ajouter un point
+      </button>
+    </div>
+  );
+}
+
+export default SpringbackCurveEditor;
@@ -0,0 +1,148 @@
+import React, { useMemo, useState } from 'react';
+import {
+  PART_TEMPLATES,
+  getPartTemplate,
+  getDefaultTemplateParameters,
+  validateTemplateParameters,
+  buildTemplatePoints
+} from '../../utils/templateUtils';
+import { expandShapeFillets } from '../../utils/filletUtils';
+import { calculateTotalPathLengthMm } from '../../utils/shapeUtils';
+
+// Marge autour de la forme dans l'aperçu (fraction de la plus grande dimension)
+const PREVIEW_MARGIN_RATIO = 0.08;
+
+const toPointsAttribute = (points) => points.map(p => `${p.x},${p.y}`).join(' ');
+
+/**
+ * Galerie des gabarits de pièces paramétriques : choix du profil, saisie de ses cotes nommées
+ * et aperçu en direct avant de générer la forme. Ouverte sur une forme issue d'un gabarit,
+ * elle reprend ses cotes pour la régénérer.
+ * @param {Object} props - Propriétés du composant
+ * @param {boolean} props.isOpen - Affichage de la modale
+ * @param {Function} props.onClose - Fermeture sans modification
+ * @param {Function} props.onApply - Appelée avec (identifiant du gabarit, cotes)
+ * @param {Object|null} props.initialTemplate - Gabarit de la forme modifiée { id, parameters }, null pour une création
+ * @param {number} props.svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {number} props.bendPitchMm - Pas de pliage (découpage des arrondis dans l'aperçu)
+ */
+function TemplateGalleryModal({ isOpen, onClose, onApply, initialTemplate, svgUnitsPerMm, bendPitchMm }) {
+  const isEditing = !!initialTemplate;
+  const [templateId, setTemplateId] = useState(initialTemplate ? initialTemplate.id : PART_TEMPLATES[0].id);
+  // Cotes saisies par gabarit, pour garder la saisie en passant d'un gabarit à l'autre
+  const [parametersById, setParametersById] = useState(() => (
+    initialTemplate ? { [initialTemplate.id]: initialTemplate.parameters } : {}
+  ));
+
+  const template = getPartTemplate(templateId);
+  const parameters = parametersById[templateId] || getDefaultTemplateParameters(template);
+  const error = validateTemplateParameters(template, parameters);
+
+  const previewPoints = useMemo(() => {
+    if (error) return null;
+    const points = buildTemplatePoints(template, parameters, svgUnitsPerMm);
+    return expandShapeFillets({ type: template.shapeType, points }, bendPitchMm, svgUnitsPerMm).points;
+  }, [error, template, parameters, svgUnitsPerMm, bendPitchMm]);
+
+  if (!isOpen) return null;
+
+  const setParameter = (key, value) => {
+    setParametersById(prev => ({ ...prev, [templateId]: { ...parameters, [key]: value } }));
+  };
+
+  let viewBox = '0 0 100 100';
+  if (previewPoints) {
+    const xs = previewPoints.map(p => p.x);
+    const ys = previewPoints.map(p => p.y);
+    const width = Math.max(...xs) - Math.min(...xs);
+    const height = Math.max(...ys) - Math.min(...ys);
+    const margin = Math.max(width, height, 1) * PREVIEW_MARGIN_RATIO;
+    viewBox = `${Math.min(...xs) - margin} ${Math.min(...ys) - margin} ${width + 2 * margin} ${height + 2 * margin}`;
+  }
+  const PathElement = template.shapeType === 'polygon' ? 'polygon' : 'polyline';
+
+  return (
+    <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg shadow-xl p-6 w-full max-w-3xl max-h-[90vh] flex flex-col">
+        <h2 className="text-xl font-semibold mb-4">{isEditing ? 'Modifier le gabarit' : 'Gabarits de pièces'}</h2>
+
+        {!isEditing && (
+          <div className="grid grid-cols-4 gap-2 mb-4">
+            {PART_TEMPLATES.map(candidate => (
+              <button
+                key={candidate.id}
+                onClick={() => setTemplateId(candidate.id)}
+                className={`p-2 rounded text-sm ${candidate.id === templateId ? 'bg-indigo-600 text-white' : 'bg-gray-200 hover:bg-gray-300'}`}
+              >
+                {candidate.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        <p className="text-sm text-gray-600 mb-3">{template.description}</p>
+
+        <div className="grid grid-cols-3 gap-4 mb-4">
+          <div className="flex flex-col gap-2">
+            {template.parameters.map(parameter => (
+              <div key={parameter.key} className="flex flex-col">
+                <label className="text-xs text-gray-600 mb-1">{parameter.label} ({parameter.unit})</label>
+                <input
+                  type="number"
+                  min={parameter.min}
+                  value={Number.isFinite(parameters[parameter.key]) ? parameters[parameter.key] : ''}
+                  onChange={(e) => setParameter(parameter.key, e.target.value === '' ? NaN : Number(e.target.value))}
+                  className="p-1 border rounded w-full text-sm"
+                />
+              </div>
+            ))}
+          </div>
+          <div className="col-span-2 h-64 border rounded bg-gray-50">
+            {previewPoints && (
+              <svg viewBox={viewBox} className="w-full h-full" preserveAspectRatio="xMidYMid meet">
+                <PathElement
+                  points={toPointsAttribute(previewPoints)}
+                  fill={template.shapeType === 'polygon' ? 'rgba(79, 70, 229, 0.1)' : 'none'}
+                  stroke="#4f46e5"
+                  strokeWidth={2}
+                  vectorEffect="non-scaling-stroke"
+                />
+              </svg>
+            )}
+          </div>
+        </div>
+
+        {error ? (
+          <p className="text-sm text-red-600 mb-2">{error}</p>
+        ) : (
+          <p className="text-sm text-gray-700 mb-2">
+            Longueur de bande : {calculateTotalPathLengthMm(previewPoints, template.shapeType === 'polygon', svgUnitsPerMm)} mm
+          </p>
+        )}
+        {isEditing && (
+          <p className="text-sm text-orange-600 mb-2">
+            La forme est régénérée à sa position à partir de ces cotes.
+          </p>
+        )}
+
+        <div className="flex justify-end gap-3 mt-4">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 text-sm font-medium text-gray-700 bg-gray-200 rounded-md hover:bg-gray-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-gray-500"
+          >
+            Annuler
+          </button>
+          <button
+            onClick={() => onApply(templateId, parameters)}
+            disabled={!!error}
+            className="px-4 py-2 text-sm font-medium text-white bg-indigo-600 rounded-md hover:bg-indigo-700 disabled:opacity-50 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-indigo-500"
+          >
+            {isEditing ? 'Mettre à jour la forme' : 'Créer la forme'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default TemplateGalleryModal;
@@ -1,4 +1,11 @@
-import React from 'react';
+import React, { useRef, useState } from 'react';
+import { hasBlockingViolations } from '../../utils/validationUtils';
+import SpringbackCurveEditor from './SpringbackCurveEditor';
+import HistoryPanel from './HistoryPanel';
+import { SNAP_TYPE_LABELS } from '../../utils/snapUtils';
+import { OFFSET_JOIN_LABELS } from '../../utils/offsetUtils';
+import { CHAMFER_MODES, CHAMFER_MODE_LABELS } from '../../utils/filletUtils';
+import { POLAR_ANGLE_INCREMENTS, MACHINE_PROFILE_LIMITS } from '../../constants/config';
 
 /**
  * Composant de la barre d'outils pour l'éditeur
@@ -7,21 +14,50 @@ import React from 'react';
  * @param {Function} props.setActiveTool - Fonction pour définir l'outil actif
  * @param {Function} props.onUndo - Fonction pour annuler la dernière action
  * @param {Function} props.onRedo - Fonction pour rétablir une action annulée
+ * @param {Array} props.historyPast - Actions appliquées de l'historique
+ * @param {Array} props.historyFuture - Actions annulées de l'historique
+ * @param {Function} props.onJumpToHistory - Fonction pour revenir à un état de l'historique
  * @param {Function} props.onDeleteAll - Fonction pour supprimer toutes les formes
- * @param {Function} props.onResetShape - Fonction pour réinitialiser la forme principale
- * @param {Function} props.onApplyRounding - Fonction pour appliquer l'arrondi
+ * @param {Function} props.onResetShape - Fonction pour supprimer la pièce de production
+ * @param {Function} props.onApplyRounding - Fonction pour appliquer l'arrondi aux sommets sélectionnés
+ * @param {Function} props.onApplyRoundingToCorners - Fonction pour arrondir tous les coins (ou ceux plus aigus qu'un angle)
+ * @param {number} props.roundingMaxAngleDeg - Angle sous lequel un coin est arrondi par "Coins plus aigus que"
+ * @param {Function} props.setRoundingMaxAngleDeg - Fonction pour définir cet angle
  * @param {Function} props.onTransformToAngle - Fonction pour transformer un sommet en angle composé
+ * @param {Function} props.onApplyChamfer - Fonction pour chanfreiner les sommets sélectionnés
+ * @param {Object} props.chamferSettings - Cotes du chanfrein { mode, distance1Mm, distance2Mm, angleDeg }
+ * @param {Function} props.setChamferSettings - Fonction pour définir les cotes du chanfrein
+ * @param {Function} props.onCleanupShape - Fonction pour ouvrir le nettoyage de la forme sélectionnée
  * @param {number} props.roundingRadius - Rayon d'arrondi
  * @param {Function} props.setRoundingRadius - Fonction pour définir le rayon d'arrondi
- * @param {number} props.numSegmentsForCornerRounding - Nombre de segments pour l'arrondi
- * @param {Function} props.setNumSegmentsForCornerRounding - Fonction pour définir le nombre de segments
+ * @param {number} props.bendPitchMm - Pas de pliage des courbes en mm (réglage du profil machine)
+ * @param {Array} props.bendPitchReadouts - Découpages en cours [{label, summary}] (écart de corde...)
  * @param {boolean} props.isOrthogonalMode - Mode orthogonal activé
  * @param {Function} props.setIsOrthogonalMode - Fonction pour activer/désactiver le mode orthogonal
+ * @param {number|null} props.polarIncrementDeg - Incrément d'angle du dessin polaire (null : désactivé)
+ * @param {Function} props.setPolarIncrementDeg - Fonction pour définir l'incrément du dessin polaire
+ * @param {Object} props.enabledSnapTypes - Types d'accrochage aux objets actifs
+ * @param {Function} props.onToggleSnapType - Fonction pour activer/désactiver un type d'accrochage
  * @param {boolean} props.hasTooSmallAngles - A des angles trop petits
+ * @param {Array} props.productionViolations - Contraintes machine non respectées par la forme principale
  * @param {boolean} props.showProductionTracker - Afficher le suivi de production
  * @param {Function} props.setShowProductionTracker - Fonction pour afficher/masquer le suivi
+ * @param {Array} props.machineProfiles - Profils machine disponibles
+ * @param {Object} props.selectedMachineProfile - Profil machine sélectionné
+ * @param {Function} props.onSelectMachineProfile - Fonction pour sélectionner un profil machine
+ * @param {Function} props.onUpdateMachineProfile - Fonction pour modifier les réglages du profil sélectionné
+ * @param {Function} props.onResetMachineProfile - Fonction pour restaurer les réglages d'origine du profil
+ * @param {Array} props.materials - Matériaux de bande disponibles
+ * @param {Object} props.selectedMaterial - Matériau sélectionné
+ * @param {Function} props.onSelectMaterial - Fonction pour sélectionner un matériau
+ * @param {Function} props.onUpdateMaterial - Fonction pour modifier les paramètres du matériau sélectionné
+ * @param {Function} props.onResetMaterial - Fonction pour restaurer les paramètres d'origine du matériau
  * @param {Function} props.onShowSaveModal - Fonction pour afficher le modal de sauvegarde
  * @param {Function} props.onStartProduction - Fonction pour lancer la production
+ * @param {Function} props.onFixAngles - Fonction pour ouvrir l'assistant de correction des angles trop aigus
+ * @param {Function} props.onOpenTemplates - Fonction pour ouvrir la galerie des gabarits de pièces
+ * @param {Function} props.onImportFile - Fonction appelée avec le fichier à importer (séquence .json, plan .dxf ou .svg)
+ * @param {Function} props.onExportDxf - Fonction pour exporter les formes en DXF
  * @param {Function} props.onToggleSVGLibrary - Fonction pour afficher/masquer la bibliothèque SVG
  * @param {boolean} props.showSVGLibrary - Affichage de la bibliothèque SVG
  * @param {boolean} props.showGrid - Afficher la grille
@@ -42,21 +78,50 @@ function Toolbar({
   setActiveTool,
   onUndo,
   onRedo,
+  historyPast = [],
+  historyFuture = [],
+  onJumpToHistory,
   onDeleteAll,
   onResetShape,
   onApplyRounding,
+  onApplyRoundingToCorners,
+  roundingMaxAngleDeg,
+  setRoundingMaxAngleDeg,
   onTransformToAngle,
+  onApplyChamfer,
+  chamferSettings,
+  setChamferSettings,
+  onCleanupShape,
   roundingRadius,
   setRoundingRadius,
-  numSegmentsForCornerRounding,
-  setNumSegmentsForCornerRounding,
+  bendPitchMm,
+  bendPitchReadouts = [],
   isOrthogonalMode,
   setIsOrthogonalMode,
+  polarIncrementDeg,
+  setPolarIncrementDeg,
+  enabledSnapTypes = {},
+  onToggleSnapType,
   hasTooSmallAngles,
+  productionViolations = [],
   showProductionTracker,
   setShowProductionTracker,
+  machineProfiles,
+  selectedMachineProfile,
+  onSelectMachineProfile,
+  onUpdateMachineProfile,
+  onResetMachineProfile,
+  materials,
+  selectedMaterial,
+  onSelectMaterial,
+  onUpdateMaterial,
+  onResetMaterial,
   onShowSaveModal,
   onStartProduction,
+  onFixAngles,
+  onOpenTemplates,
+  onImportFile,
+  onExportDxf,
   onToggleSVGLibrary,
   showSVGLibrary,
   showGrid,
@@ -71,6 +136,26 @@ function Toolbar({
   onFinishShape,
   isInProduction
 }) {
+  const isProductionBlocked = hasBlockingViolations(productionViolations);
+  const importFileInputRef = useRef(null);
+  // Incrément polaire personnalisé : le champ reste affiché même si la valeur saisie est un incrément proposé
+  const [isCustomPolarIncrement, setIsCustomPolarIncrement] = useState(
+    polarIncrementDeg !== null && polarIncrementDeg !== undefined && !POLAR_ANGLE_INCREMENTS.includes(polarIncrementDeg)
+  );
+
+  // Réglages éditables du profil machine
+  const machineSettings = [
+    { key: 'svgUnitsPerMm', label: 'Unités SVG / mm', step: 0.1 },
+    { key: 'minAngleDeg', label: 'Angle min (°)', step: 1 },
+    { key: 'maxBendAngleDeg', label: 'Pli max (°)', step: 1 },
+    { key: 'minSegmentLengthMm', label: 'Segment min (mm)', step: 0.5 },
+    { key: 'maxStripLengthMm', label: 'Longueur max (mm)', step: 10 },
+    { key: 'springbackDeg', label: 'Retour élastique (°)', step: 0.1 },
+    { key: 'bladeOffsetMm', label: 'Décalage lame (mm)', step: 0.5 },
+  ];
+  // Champ vidé : NaN, ignoré par le profil (le champ reprend la valeur courante)
+  const readSettingInput = (e) => (e.target.value === '' ? NaN : Number(e.target.value));
+
   return (
     <div className="toolbar flex flex-col p-2 bg-gray-100 border-r border-gray-300 h-full overflow-y-auto">
       <div className="tools-group mb-4">
@@ -98,26 +183,40 @@ function Toolbar({
             Pan
           </button>
         </div>
+        <button
+          className="tool-btn mt-2 p-2 w-full rounded bg-gray-200"
+          onClick={onOpenTemplates}
+          title="Créer un profil paramétrique (U, équerre, cadre...) à partir de ses cotes"
+        >
+          Gabarits de pièces…
+        </button>
       </div>
 
       <div className="history-group mb-4">
         <h3 className="font-bold text-sm mb-2">Historique</h3>
         <div className="grid grid-cols-2 gap-2">
           <button
-            className="tool-btn p-2 rounded bg-gray-200"
+            className="tool-btn p-2 rounded bg-gray-200 disabled:opacity-50"
             onClick={onUndo}
-            title="Annuler (Ctrl+Z)"
+            disabled={historyPast.length === 0}
+            title={historyPast.length > 0 ? `Annuler : ${historyPast[historyPast.length - 1].label} (Ctrl+Z)` : 'Annuler (Ctrl+Z)'}
           >
             Annuler
           </button>
           <button
-            className="tool-btn p-2 rounded bg-gray-200"
+            className="tool-btn p-2 rounded bg-gray-200 disabled:opacity-50"
             onClick={onRedo}
-            title="Rétablir (Ctrl+Y)"
+            disabled={historyFuture.length === 0}
+            title={historyFuture.length > 0 ? `Rétablir : ${historyFuture[0].label} (Ctrl+Y)` : 'Rétablir (Ctrl+Y)'}
           >
             Rétablir
           </button>
         </div>
+        {(historyPast.length > 0 || historyFuture.length > 0) && (
+          <div className="mt-2">
+            <HistoryPanel past={historyPast} future={historyFuture} onJumpTo={onJumpToHistory} />
+          </div>
+        )}
       </div>
 
       <div className="edit-group mb-4">
@@ -137,7 +236,72 @@ function Toolbar({
           >
             Mode ortho
           </button>
+          <button
+            className="tool-btn p-2 rounded bg-gray-200 col-span-2"
+            onClick={onCleanupShape}
+            title="Simplifier la forme sélectionnée : points alignés ou confondus, segments trop courts"
+          >
+            Nettoyer la forme
+          </button>
+        </div>
+      </div>
+
+      <div className="polar-group mb-4">
+        <h3 className="font-bold text-sm mb-2">Dessin polaire</h3>
+        <div className="flex items-center gap-2">
+          <select
+            value={polarIncrementDeg === null ? '' : isCustomPolarIncrement ? 'custom' : polarIncrementDeg}
+            onChange={(e) => {
+              const { value } = e.target;
+              setIsCustomPolarIncrement(value === 'custom');
+              setPolarIncrementDeg(value === '' ? null : value === 'custom' ? (polarIncrementDeg || 10) : Number(value));
+            }}
+            disabled={isOrthogonalMode}
+            className="p-1 border rounded w-full text-sm"
+            title="Contraindre les segments dessinés aux multiples de cet angle (le mode ortho l'emporte)"
+          >
+            <option value="">Désactivé</option>
+            {POLAR_ANGLE_INCREMENTS.map(increment => (
+              <option key={increment} value={increment}>{increment}°</option>
+            ))}
+            <option value="custom">Personnalisé</option>
+          </select>
+          {polarIncrementDeg !== null && isCustomPolarIncrement && (
+            <input
+              type="number"
+              min="1"
+              max="180"
+              value={polarIncrementDeg}
+              onChange={(e) => setPolarIncrementDeg(Math.max(1, Number(e.target.value)))}
+              disabled={isOrthogonalMode}
+              className="p-1 border rounded w-20"
+              title="Incrément d'angle personnalisé (°)"
+            />
+          )}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Pendant le dessin, tapez une longueur (et un angle) puis Entrée pour placer le point.
+        </p>
+      </div>
+
+      <div className="snap-group mb-4">
+        <h3 className="font-bold text-sm mb-2">Accrochage</h3>
+        <div className="grid grid-cols-2 gap-1">
+          {Object.entries(SNAP_TYPE_LABELS).map(([type, label]) => (
+            <label key={type} className="flex items-center text-xs">
+              <input
+                type="checkbox"
+                checked={!!enabledSnapTypes[type]}
+                onChange={() => onToggleSnapType(type)}
+                className="mr-1"
+              />
+              {label}
+            </label>
+          ))}
         </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Actif pendant le dessin et le déplacement des sommets ; Ctrl accroche à la grille.
+        </p>
       </div>
 
       {/* Section pour finaliser une forme, visible uniquement quand une forme est en cours de dessin */}
@@ -156,6 +320,29 @@ function Toolbar({
         </div>
       )}
 
+      <div className="bend-pitch-group mb-4">
+        <h3 className="font-bold text-sm mb-2">Courbes</h3>
+        <div className="flex flex-col gap-2">
+          <div className="flex items-center">
+            <label className="mr-2 text-sm">Pas de pliage (mm):</label>
+            <input
+              type="number"
+              min={MACHINE_PROFILE_LIMITS.bendPitchMm.min}
+              step="0.5"
+              value={bendPitchMm}
+              onChange={(e) => onUpdateMachineProfile({ bendPitchMm: readSettingInput(e) })}
+              className="p-1 border rounded w-full"
+              title="Distance entre deux plis successifs : cercles, arrondis et angles composés sont découpés en plis d'angle égal à ce pas."
+            />
+          </div>
+          {bendPitchReadouts.map(readout => (
+            <p key={readout.label} className="text-xs text-gray-600">
+              <span className="font-semibold">{readout.label} :</span> {readout.summary}
+            </p>
+          ))}
+        </div>
+      </div>
+
       <div className="rounding-group mb-4">
         <h3 className="font-bold text-sm mb-2">Arrondi des coins</h3>
         <div className="flex flex-col gap-2">
@@ -171,24 +358,41 @@ function Toolbar({
               title="Angle de 0° (pas de courbure) à 89° (courbure maximale)."
             />
           </div>
-          <div className="flex items-center">
-            <label className="mr-2 text-sm">Segments:</label>
-            <input
-              type="number"
-              min="1"
-              max="10"
-              value={numSegmentsForCornerRounding}
-              onChange={(e) => setNumSegmentsForCornerRounding(Number(e.target.value))}
-              className="p-1 border rounded w-full"
-            />
-          </div>
           <button
             className="tool-btn p-2 rounded bg-gray-200 mt-1"
             onClick={onApplyRounding}
-            title="Appliquer l'arrondi aux coins"
+            title="Appliquer l'arrondi aux sommets sélectionnés"
           >
             Appliquer l'arrondi
           </button>
+          <button
+            className="tool-btn p-2 rounded bg-gray-200"
+            onClick={() => onApplyRoundingToCorners()}
+            title="Arrondir tous les coins de la forme sélectionnée"
+          >
+            Appliquer à tous les coins
+          </button>
+          <div className="flex items-center gap-1">
+            <button
+              className="tool-btn p-2 rounded bg-gray-200 flex-grow"
+              onClick={() => onApplyRoundingToCorners(roundingMaxAngleDeg)}
+              title="Arrondir les coins dont l'angle intérieur est inférieur au seuil"
+            >
+              Coins plus aigus que
+            </button>
+            <input
+              type="number"
+              min="1"
+              max="179"
+              value={roundingMaxAngleDeg}
+              onChange={(e) => setRoundingMaxAngleDeg(Number(e.target.value))}
+              className="p-1 border rounded w-16"
+            />
+            <span className="text-sm">°</span>
+          </div>
+          <p className="text-xs text-gray-500">
+            Maj+clic sur les sommets ou cadre tracé sur le fond pour en sélectionner plusieurs.
+          </p>
         </div>
       </div>
 
@@ -208,51 +412,264 @@ function Toolbar({
               title="Angle de 0° (pas de courbure) à 89° (courbure maximale)."
             />
           </div>
+          <button
+            className="tool-btn p-2 rounded bg-indigo-600 text-white mt-1"
+            onClick={onTransformToAngle}
+            title="Transformer le sommet sélectionné en angle composé de segments"
+          >
+            Transformer en angle
+          </button>
+          <p className="text-xs text-gray-500 mt-1">
+            Sélectionnez un sommet, puis transformez-le en angle composé de segments.
+          </p>
+        </div>
+      </div>
+
+      <div className="chamfer-group mb-4">
+        <h3 className="font-bold text-sm mb-2">Chanfrein</h3>
+        <div className="flex flex-col gap-2">
+          <select
+            value={chamferSettings.mode}
+            onChange={(e) => setChamferSettings({ ...chamferSettings, mode: e.target.value })}
+            className="p-1 border rounded w-full text-sm"
+          >
+            {Object.entries(CHAMFER_MODE_LABELS).map(([mode, label]) => (
+              <option key={mode} value={mode}>{label}</option>
+            ))}
+          </select>
           <div className="flex items-center">
-            <label className="mr-2 text-sm">Segments:</label>
+            <label className="mr-2 text-sm w-28">
+              {chamferSettings.mode === CHAMFER_MODES.EQUAL ? 'Distance (mm):' : 'Distance 1 (mm):'}
+            </label>
             <input
               type="number"
-              min="2"
-              max="20"
-              value={numSegmentsForCornerRounding}
-              onChange={(e) => setNumSegmentsForCornerRounding(Number(e.target.value))}
+              min="0"
+              step="0.5"
+              value={chamferSettings.distance1Mm}
+              onChange={(e) => setChamferSettings({ ...chamferSettings, distance1Mm: Number(e.target.value) })}
               className="p-1 border rounded w-full"
+              title="Distance du sommet à la coupe, sur le segment qui arrive au sommet"
             />
           </div>
+          {chamferSettings.mode === CHAMFER_MODES.TWO_DISTANCES && (
+            <div className="flex items-center">
+              <label className="mr-2 text-sm w-28">Distance 2 (mm):</label>
+              <input
+                type="number"
+                min="0"
+                step="0.5"
+                value={chamferSettings.distance2Mm}
+                onChange={(e) => setChamferSettings({ ...chamferSettings, distance2Mm: Number(e.target.value) })}
+                className="p-1 border rounded w-full"
+                title="Distance du sommet à la coupe, sur le segment qui part du sommet"
+              />
+            </div>
+          )}
+          {chamferSettings.mode === CHAMFER_MODES.DISTANCE_ANGLE && (
+            <div className="flex items-center">
+              <label className="mr-2 text-sm w-28">Angle (°):</label>
+              <input
+                type="number"
+                min="1"
+                max="179"
+                value={chamferSettings.angleDeg}
+                onChange={(e) => setChamferSettings({ ...chamferSettings, angleDeg: Number(e.target.value) })}
+                className="p-1 border rounded w-full"
+                title="Angle entre la coupe et le segment qui arrive au sommet"
+              />
+            </div>
+          )}
           <button
-            className="tool-btn p-2 rounded bg-indigo-600 text-white mt-1"
-            onClick={onTransformToAngle}
-            title="Transformer le sommet sélectionné en angle composé de segments"
+            className="tool-btn p-2 rounded bg-gray-200 mt-1"
+            onClick={onApplyChamfer}
+            title="Remplacer les sommets sélectionnés par deux plis"
           >
-            Transformer en angle
+            Chanfreiner
           </button>
           <p className="text-xs text-gray-500 mt-1">
-            Sélectionnez un sommet, puis transformez-le en angle composé de segments.
+            Un coin trop aigu pour la machine devient deux plis plus ouverts.
           </p>
         </div>
       </div>
 
+      {selectedMachineProfile && (
+        <div className="machine-group mb-4">
+          <h3 className="font-bold text-sm mb-2">Machine</h3>
+          <div className="flex flex-col gap-2">
+            <select
+              value={selectedMachineProfile.id}
+              onChange={(e) => onSelectMachineProfile(e.target.value)}
+              className="p-1 border rounded w-full text-sm"
+              title="Machine de pliage utilisée pour la validation et la production"
+            >
+              {machineProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+            <details className="text-sm">
+              <summary className="cursor-pointer">Réglages et calibration</summary>
+              <div className="flex flex-col gap-1 mt-2">
+                {machineSettings.map(setting => (
+                  <div key={setting.key} className="flex items-center">
+                    <label className="mr-2 text-xs w-32">{setting.label}:</label>
+                    <input
+                      type="number"
+                      min={MACHINE_PROFILE_LIMITS[setting.key].min}
+                      max={MACHINE_PROFILE_LIMITS[setting.key].max}
+                      step={setting.step}
+                      value={selectedMachineProfile[setting.key]}
+                      onChange={(e) => onUpdateMachineProfile({ [setting.key]: readSettingInput(e) })}
+                      className="p-1 border rounded w-full"
+                    />
+                  </div>
+                ))}
+                <button
+                  className="tool-btn p-1 rounded bg-gray-200 mt-1 text-xs"
+                  onClick={onResetMachineProfile}
+                  title="Restaurer les réglages d'origine de cette machine"
+                >
+                  Réglages d'origine
+                </button>
+              </div>
+            </details>
+          </div>
+        </div>
+      )}
+
+      {selectedMaterial && (
+        <div className="material-group mb-4">
+          <h3 className="font-bold text-sm mb-2">Matériau</h3>
+          <div className="flex flex-col gap-2">
+            <select
+              value={selectedMaterial.id}
+              onChange={(e) => onSelectMaterial(e.target.value)}
+              className="p-1 border rounded w-full text-sm"
+              title="Matériau de la bande, utilisé pour compenser le retour élastique"
+            >
+              {materials.map(material => (
+                <option key={material.id} value={material.id}>{material.name}</option>
+              ))}
+            </select>
+            <details className="text-sm">
+              <summary className="cursor-pointer">Compensation du retour élastique</summary>
+              <div className="flex flex-col gap-1 mt-2">
+                <SpringbackCurveEditor
+                  curve={selectedMaterial.springbackCurve}
+                  onChange={(springbackCurve) => onUpdateMaterial({ springbackCurve })}
+                />
+                <button
+                  className="tool-btn p-1 rounded bg-gray-200 mt-1 text-xs"
+                  onClick={onResetMaterial}
+                  title="Restaurer la courbe d'origine de ce matériau"
+                >
+                  Courbe d'origine
+                </button>
+              </div>
+            </details>
+            <details className="text-sm">
+              <summary className="cursor-pointer">Épaisseur et longueur développée</summary>
+              <div className="flex flex-col gap-1 mt-2">
+                <div className="flex items-center">
+                  <label className="mr-2 text-xs w-32">Épaisseur (mm):</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={selectedMaterial.thicknessMm ?? 0}
+                    onChange={(e) => onUpdateMaterial({ thicknessMm: Math.max(0, Number(e.target.value)) })}
+                    className="p-1 border rounded w-full"
+                    title="Épaisseur de la bande : les faces intérieure et extérieure sont tracées autour des pièces"
+                  />
+                </div>
+                <div className="flex items-center">
+                  <label className="mr-2 text-xs w-32">Raccords:</label>
+                  <select
+                    value={selectedMaterial.offsetJoin}
+                    onChange={(e) => onUpdateMaterial({ offsetJoin: e.target.value })}
+                    className="p-1 border rounded w-full text-sm"
+                    title="Raccord des faces de la bande à l'extérieur des plis"
+                  >
+                    {Object.entries(OFFSET_JOIN_LABELS).map(([join, label]) => (
+                      <option key={join} value={join}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="flex items-center">
+                  <label className="mr-2 text-xs w-32">Rayon intérieur (mm):</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.1"
+                    value={selectedMaterial.innerRadiusMm ?? 0}
+                    onChange={(e) => onUpdateMaterial({ innerRadiusMm: Math.max(0, Number(e.target.value)) })}
+                    className="p-1 border rounded w-full"
+                    title="Rayon intérieur des plis réalisés par la machine avec ce matériau"
+                  />
+                </div>
+                <div className="flex items-center">
+                  <label className="mr-2 text-xs w-32">Facteur K:</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="1"
+                    step="0.01"
+                    value={selectedMaterial.kFactor ?? 0.5}
+                    onChange={(e) => onUpdateMaterial({ kFactor: Math.min(1, Math.max(0, Number(e.target.value))) })}
+                    className="p-1 border rounded w-full"
+                    title="Position de la fibre neutre dans l'épaisseur (0 : face intérieure, 0.5 : milieu)"
+                  />
+                </div>
+              </div>
+            </details>
+          </div>
+        </div>
+      )}
+
       <div className="production-group mb-4">
         <h3 className="font-bold text-sm mb-2">Production</h3>
         <div className="flex flex-col gap-2">
+          {/* Avec des angles trop aigus, le bouton reste actif et ouvre l'assistant de correction */}
           <button
             className={`tool-btn p-2 rounded ${
               isInProduction 
                 ? 'bg-yellow-500 text-white'
-                : hasTooSmallAngles 
+                : hasTooSmallAngles || isProductionBlocked
                   ? 'bg-red-500 text-white' 
                   : 'bg-green-500 text-white'
             }`}
             onClick={onStartProduction}
-            disabled={isInProduction || hasTooSmallAngles}
-            title="Lancer la production de la forme"
+            disabled={isInProduction || (isProductionBlocked && !hasTooSmallAngles)}
+            title={hasTooSmallAngles ? "Corriger les angles trop aigus avant la production" : "Lancer la production de la forme"}
           >
             {isInProduction 
               ? 'PRODUCTION EN COURS...' 
               : hasTooSmallAngles 
                 ? 'ANGLES TROP PETITS' 
-                : 'LANCER PRODUCTION'}
+                : isProductionBlocked
+                  ? 'CONTRAINTES NON RESPECTÉES'
+                  : 'LANCER PRODUCTION'}
           </button>
+          {hasTooSmallAngles && !isInProduction && (
+            <button
+              className="tool-btn p-2 rounded bg-orange-500 text-white"
+              onClick={onFixAngles}
+              title="Proposer un chanfrein, un arrondi ou deux plis pour chaque angle trop aigu"
+            >
+              Corriger les angles…
+            </button>
+          )}
+          {productionViolations.length > 0 && (
+            <ul className="text-xs flex flex-col gap-1">
+              {productionViolations.map((violation, index) => (
+                <li
+                  key={`violation-${index}`}
+                  className={violation.severity === 'error' ? 'text-red-600' : 'text-orange-500'}
+                >
+                  {violation.message}
+                </li>
+              ))}
+            </ul>
+          )}
         </div>
       </div>
 
@@ -301,6 +718,32 @@ function Toolbar({
           >
             {showSVGLibrary ? 'Masquer biblio' : 'Afficher biblio'}
           </button>
+          <button
+            className="tool-btn p-2 rounded bg-gray-200"
+            onClick={() => importFileInputRef.current?.click()}
+            title="Importer une séquence PLIER / AVANCER (.json) ou un plan (.dxf, .svg)"
+          >
+            Importer (séquence, DXF, SVG)
+          </button>
+          <button
+            className="tool-btn p-2 rounded bg-gray-200"
+            onClick={onExportDxf}
+            title="Exporter les formes en DXF (mm)"
+          >
+            Exporter DXF
+          </button>
+          <input
+            ref={importFileInputRef}
+            type="file"
+            accept=".json,.dxf,.svg"
+            className="hidden"
+            onChange={(e) => {
+              const file = e.target.files?.[0];
+              if (file) onImportFile(file);
+              // Permettre de ré-importer le même fichier
+              e.target.value = '';
+            }}
+          />
         </div>
       </div>
     </div>
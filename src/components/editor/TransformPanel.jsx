@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import { ROTATION_SNAP_DEG } from '../../constants/config';
+import { getBoundingBox, getScaleToBoundingBox } from '../../utils/transformUtils';
+import NumericField from './NumericField';
+
+/**
+ * Panneau de transformation de la forme sélectionnée : position et dimensions de sa boîte
+ * englobante, rotation, mise à l'échelle et symétries. Chaque transformation est une seule
+ * étape d'annulation ; les poignées du canevas offrent les mêmes transformations à la souris.
+ * @param {Object} props - Propriétés du composant
+ * @param {Object|null} props.shape - Forme sélectionnée
+ * @param {number} props.svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Function} props.onMove - Appelée avec le déplacement (dx, dy) en mm
+ * @param {Function} props.onRotate - Appelée avec l'angle en degrés (sens horaire)
+ * @param {Function} props.onScale - Appelée avec les facteurs (scaleX, scaleY) et le point fixe éventuel
+ *   (centre de la forme par défaut)
+ * @param {Function} props.onMirror - Appelée avec l'axe ('horizontal' ou 'vertical')
+ */
+function TransformPanel({ shape, svgUnitsPerMm, onMove, onRotate, onScale, onMirror }) {
+  const [rotationDeg, setRotationDeg] = useState(ROTATION_SNAP_DEG);
+  const [scalePercent, setScalePercent] = useState(100);
+  const [keepRatio, setKeepRatio] = useState(true);
+
+  if (!shape || (shape.type !== 'polygon' && shape.type !== 'polyline') || shape.points.length < 2) {
+    return null;
+  }
+
+  const toMm = (value) => value / svgUnitsPerMm;
+  const box = getBoundingBox(shape.points);
+  const widthMm = toMm(box.width);
+  const heightMm = toMm(box.height);
+
+  // Amener la boîte englobante aux dimensions saisies (en mm), son coin haut-gauche restant en place
+  const scaleToSize = (targetWidthMm, targetHeightMm) => {
+    const { scaleX, scaleY } = getScaleToBoundingBox(
+      box,
+      targetWidthMm * svgUnitsPerMm,
+      targetHeightMm * svgUnitsPerMm,
+      keepRatio
+    );
+    onScale(scaleX, scaleY, { x: box.minX, y: box.minY });
+  };
+
+  return (
+    <div className="transform-panel p-2 border-t border-gray-300">
+      <h3 className="font-bold text-sm mb-2">Transformer</h3>
+      <div className="flex flex-col gap-1">
+        <NumericField
+          label="Position X"
+          unit="mm"
+          value={toMm(box.minX)}
+          onCommit={(x) => onMove(x - toMm(box.minX), 0)}
+        />
+        <NumericField
+          label="Position Y"
+          unit="mm"
+          value={toMm(box.minY)}
+          onCommit={(y) => onMove(0, y - toMm(box.minY))}
+        />
+        {widthMm > 0 && (
+          <NumericField
+            label="Largeur"
+            unit="mm"
+            min={0.1}
+            value={widthMm}
+            onCommit={(width) => scaleToSize(width, heightMm)}
+          />
+        )}
+        {heightMm > 0 && (
+          <NumericField
+            label="Hauteur"
+            unit="mm"
+            min={0.1}
+            value={heightMm}
+            onCommit={(height) => scaleToSize(widthMm, height)}
+          />
+        )}
+        <label className="flex items-center text-xs">
+          <input
+            type="checkbox"
+            checked={keepRatio}
+            onChange={(e) => setKeepRatio(e.target.checked)}
+            className="mr-2"
+          />
+          Conserver les proportions
+        </label>
+      </div>
+
+      <div className="flex items-center gap-1 mt-3">
+        <label className="text-xs w-16">Rotation</label>
+        <input
+          type="number"
+          step={ROTATION_SNAP_DEG}
+          value={rotationDeg}
+          onChange={(e) => setRotationDeg(Number(e.target.value))}
+          className="p-1 border rounded w-full text-sm text-right"
+        />
+        <span className="text-xs text-gray-500">°</span>
+        <button
+          className="tool-btn px-2 py-1 rounded bg-gray-200 text-xs"
+          onClick={() => onRotate(-rotationDeg)}
+          title="Tourner dans le sens antihoraire"
+        >
+          ↺
+        </button>
+        <button
+          className="tool-btn px-2 py-1 rounded bg-gray-200 text-xs"
+          onClick={() => onRotate(rotationDeg)}
+          title="Tourner dans le sens horaire"
+        >
+          ↻
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1 mt-2">
+        <label className="text-xs w-16">Échelle</label>
+        <input
+          type="number"
+          min={1}
+          step={5}
+          value={scalePercent}
+          onChange={(e) => setScalePercent(Number(e.target.value))}
+          className="p-1 border rounded w-full text-sm text-right"
+        />
+        <span className="text-xs text-gray-500">%</span>
+        <button
+          className="tool-btn px-2 py-1 rounded bg-gray-200 text-xs"
+          onClick={() => onScale(scalePercent / 100, scalePercent / 100)}
+          disabled={!(scalePercent > 0) || scalePercent === 100}
+          title="Mettre à l'échelle autour du centre de la forme"
+        >
+          OK
+        </button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-1 mt-2">
+        <button
+          className="tool-btn p-1 rounded bg-gray-200 text-xs"
+          onClick={() => onMirror('horizontal')}
+          title="Symétrie gauche ↔ droite"
+        >
+          Miroir ↔
+        </button>
+        <button
+          className="tool-btn p-1 rounded bg-gray-200 text-xs"
+          onClick={() => onMirror('vertical')}
+          title="Symétrie haut ↕ bas"
+        >
+          Miroir ↕
+        </button>
+      </div>
+      <p className="text-xs text-gray-500 mt-2">
+        Sur le canevas : glisser la forme pour la déplacer, les coins pour la mettre à l'échelle,
+        la poignée ronde pour la tourner (Maj : par pas de {ROTATION_SNAP_DEG}°).
+      </p>
+    </div>
+  );
+}
+
+export default TransformPanel;
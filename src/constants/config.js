@@ -8,7 +8,109 @@ export const EMPORTEPIECE_WS_URL = import.meta.env.VITE_EMPORTEPIECE_WS_URL || '
 export const MOVE_THRESHOLD = 5; // Pixels
 export const HOLD_DELAY = 100; // Millisecondes
 export const SEGMENT_CLICK_THRESHOLD = 10; // En unités SVG
+export const SNAP_TOLERANCE_PX = 10; // Distance d'accrochage aux objets, en pixels écran
+export const POLAR_ANGLE_INCREMENTS = [15, 30, 45]; // Incréments proposés pour le dessin polaire (°)
+export const ROTATION_SNAP_DEG = 15; // Pas de rotation accrochée (Maj enfoncée pendant la rotation)
+export const SVG_IMPORT_TOLERANCE_MM = 0.1; // Écart maximal entre une courbe importée et ses segments
+// Réglages par défaut du nettoyage des formes importées ou tracées
+export const SHAPE_CLEANUP_DEFAULTS = {
+  toleranceMm: 0.2, // Tolérance de simplification (Douglas-Peucker)
+  minSegmentLengthMm: 2, // Segments plus courts fusionnés
+  collinearToleranceDeg: 1, // Sommets de déviation inférieure supprimés
+};
+
+// Cotes proposées par défaut pour le chanfrein des sommets (mode : voir CHAMFER_MODES)
+export const CHAMFER_DEFAULTS = {
+  mode: 'equal',
+  distance1Mm: 5, // Distance sur le segment qui arrive au sommet
+  distance2Mm: 5, // Distance sur le segment qui en part (mode deux distances)
+  angleDeg: 45, // Angle de la coupe avec le segment d'arrivée (mode distance et angle)
+};
+
+// Calque créé par défaut dans l'espace de travail (les formes sans calque lui appartiennent)
+export const DEFAULT_LAYER = { id: 'layer_default', name: 'Calque 1', visible: true, locked: false };
+
+// Historique d'annulation : nombre d'entrées et taille cumulée des instantanés (caractères JSON)
+export const HISTORY_MAX_ENTRIES = 100;
+export const HISTORY_MAX_SNAPSHOT_CHARS = 2000000; // ~2 Mo, sous le quota du sessionStorage
 
 // Constantes pour l'affichage et la validation
 export const TEXT_OFFSET_FOR_ANGLES = 15; // Décalage pour l'affichage du texte des angles
-export const MIN_ANGLE_FOR_PRODUCTION = 65; // Angle minimum requis pour la production 
\ No newline at end of file
+export const MIN_ANGLE_FOR_PRODUCTION = 65; // Angle minimum requis pour la production 
+// Profil machine par défaut : seuils, calibration et réglages de la machine de pliage
+export const DEFAULT_MACHINE_PROFILE = {
+  id: 'default',
+  name: 'Machine standard',
+  svgUnitsPerMm: 6, // Calibration : unités SVG par millimètre
+  minAngleDeg: MIN_ANGLE_FOR_PRODUCTION, // Angle intérieur minimum entre deux segments
+  maxBendAngleDeg: 120, // Déviation maximale réalisable en un seul pli
+  minSegmentLengthMm: 5, // Longueur minimale entre deux plis
+  maxStripLengthMm: 3000, // Longueur maximale de bande
+  springbackDeg: 0, // Surpliage ajouté à chaque pli pour compenser le retour élastique
+  bladeOffsetMm: 0, // Distance entre la tête de pliage et la lame de coupe
+  bendPitchMm: 5, // Pas de pliage des courbes : distance entre deux plis successifs d'une courbe
+};
+
+// Bornes des réglages machine modifiables : une saisie hors bornes est ramenée à la borne,
+// une saisie non numérique est ignorée
+export const MACHINE_PROFILE_LIMITS = {
+  svgUnitsPerMm: { min: 0.1, max: 100 },
+  minAngleDeg: { min: 0, max: 179 },
+  maxBendAngleDeg: { min: 1, max: 180 },
+  minSegmentLengthMm: { min: 0 },
+  maxStripLengthMm: { min: 1 },
+  springbackDeg: { min: 0, max: 45 },
+  bladeOffsetMm: { min: 0 },
+  bendPitchMm: { min: 0.5 },
+};
+
+// Profils des machines de l'atelier (modifiables depuis la barre d'outils)
+export const MACHINE_PROFILES = [
+  DEFAULT_MACHINE_PROFILE,
+  {
+    ...DEFAULT_MACHINE_PROFILE,
+    id: 'grande-capacite',
+    name: 'Machine grande capacité',
+    minAngleDeg: 75,
+    maxBendAngleDeg: 105,
+    minSegmentLengthMm: 10,
+    maxStripLengthMm: 6000,
+    springbackDeg: 1.5,
+    bladeOffsetMm: 35,
+    bendPitchMm: 10,
+  },
+];
+
+// Matériaux de bande : épaisseur, raccord des contours décalés ('miter' ou 'round'), rayon intérieur
+// des plis et facteur K (longueur développée), courbe de compensation du retour élastique
+// (angle de pli -> surpliage, en degrés)
+export const MATERIALS = [
+  {
+    id: 'carbone-epoxy',
+    name: 'Carbone / époxy',
+    thicknessMm: 1,
+    offsetJoin: 'miter',
+    innerRadiusMm: 1,
+    kFactor: 0.4,
+    springbackCurve: [
+      { angleDeg: 0, overbendDeg: 0 },
+      { angleDeg: 45, overbendDeg: 1.5 },
+      { angleDeg: 90, overbendDeg: 3 },
+      { angleDeg: 135, overbendDeg: 4 },
+    ],
+  },
+  {
+    id: 'verre-epoxy',
+    name: 'Verre / époxy',
+    thicknessMm: 1.5,
+    offsetJoin: 'round',
+    innerRadiusMm: 2,
+    kFactor: 0.45,
+    springbackCurve: [
+      { angleDeg: 0, overbendDeg: 0 },
+      { angleDeg: 45, overbendDeg: 2.5 },
+      { angleDeg: 90, overbendDeg: 5 },
+      { angleDeg: 135, overbendDeg: 6.5 },
+    ],
+  },
+];
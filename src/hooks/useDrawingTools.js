@@ -1,11 +1,15 @@
 import { useState, useCallback } from 'react';
+import { createCirclePoints } from '../utils/shapeUtils';
 
 /**
  * Hook personnalisé pour gérer les outils de dessin de formes prédéfinies
  * @param {Function} addShape - Fonction pour ajouter une forme à l'état
+ * @param {Object} discretization - Découpage des courbes
+ * @param {number} discretization.bendPitchMm - Pas de pliage en mm
+ * @param {number} discretization.svgUnitsPerMm - Ratio de conversion unités SVG -> mm
  * @returns {Object} - Fonctions et états pour manipuler les outils de dessin
  */
-export function useDrawingTools(addShape) {
+export function useDrawingTools(addShape, { bendPitchMm, svgUnitsPerMm }) {
   // État de l'outil de dessin actif
   const [drawingToolMode, setDrawingToolMode] = useState(null); // 'rectangle', 'square', 'circle', ou null
   
@@ -162,15 +166,13 @@ export function useDrawingTools(addShape) {
         return;
       }
       
-      // Cercle -> discrétiser en points
-      const numSegments = 24;
-      for (let i = 0; i < numSegments; i++) {
-        const angle = (i / numSegments) * 2 * Math.PI;
-        points.push({
-          x: previewShape.cx + previewShape.r * Math.cos(angle),
-          y: previewShape.cy + previewShape.r * Math.sin(angle)
-        });
-      }
+      // Cercle -> discrétiser en plis au pas de la machine
+      points = createCirclePoints(
+        { x: previewShape.cx, y: previewShape.cy },
+        previewShape.r,
+        bendPitchMm,
+        svgUnitsPerMm
+      );
     }
 
     // Ajouter la forme finale
@@ -189,7 +191,7 @@ export function useDrawingTools(addShape) {
     setPreviewShape(null);
     
     // On garde drawingToolMode actif pour permettre de dessiner plusieurs formes
-  }, [previewShape, drawingToolMode, shapeCreationStartPoint, addShape]);
+  }, [previewShape, drawingToolMode, shapeCreationStartPoint, addShape, bendPitchMm, svgUnitsPerMm]);
 
   /**
    * Annule la création d'une forme en cours
@@ -1,80 +1,166 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect, useRef } from 'react';
+import { HISTORY_MAX_ENTRIES, HISTORY_MAX_SNAPSHOT_CHARS } from '../constants/config';
+
+const EMPTY_TIMELINE = { past: [], future: [] };
 
 /**
- * Hook personnalisé pour gérer un état avec historique (annulation/rétablissement)
- * @param {any} initialState - État initial
- * @returns {Object} - Méthodes et états pour gérer l'historique
+ * Lit l'historique persisté dans le sessionStorage
+ * @param {string|null} storageKey - Clé de stockage
+ * @returns {Object} Historique { past, future }
  */
-export function useHistoryState(initialState) {
-  const [state, setState] = useState(initialState);
-  const [history, setHistory] = useState([]);
-  const [future, setFuture] = useState([]);
-  const [isUndoRedoAction, setIsUndoRedoAction] = useState(false);
-
-  // Ajoute l'état actuel à l'historique
-  const addToHistory = useCallback(
-    (currentState) => {
-      if (isUndoRedoAction) return;
-      setHistory((prev) => [...prev, currentState]);
-      setFuture([]);
-    },
-    [isUndoRedoAction]
-  );
+const readPersistedTimeline = (storageKey) => {
+  if (!storageKey) return EMPTY_TIMELINE;
+  const savedData = sessionStorage.getItem(storageKey);
+  try {
+    const timeline = savedData ? JSON.parse(savedData) : null;
+    if (timeline && Array.isArray(timeline.past) && Array.isArray(timeline.future)) {
+      return timeline;
+    }
+  } catch (e) {
+    console.error(`Failed to parse persisted ${storageKey}:`, e);
+    sessionStorage.removeItem(storageKey); // Effacer les données corrompues
+  }
+  return EMPTY_TIMELINE;
+};
 
-  // Action d'annulation
-  const undo = useCallback(() => {
-    if (history.length === 0) return;
+/**
+ * Limite le nombre d'entrées et la mémoire occupée par les instantanés :
+ * les entrées les plus anciennes sont abandonnées en premier, puis les plus lointaines à rétablir.
+ * @param {Object} timeline - Historique { past, future }
+ * @param {number} maxEntries - Nombre maximal d'entrées
+ * @param {number} maxChars - Taille cumulée maximale des instantanés (caractères JSON)
+ * @returns {Object} Historique réduit
+ */
+const trimTimeline = ({ past, future }, maxEntries, maxChars) => {
+  const trimmedPast = [...past];
+  const trimmedFuture = [...future];
+  let totalChars = [...past, ...future].reduce((sum, entry) => sum + entry.snapshot.length, 0);
 
-    setIsUndoRedoAction(true);
+  while (trimmedPast.length + trimmedFuture.length > 0 &&
+         (trimmedPast.length + trimmedFuture.length > maxEntries || totalChars > maxChars)) {
+    const dropped = trimmedPast.length > 0 ? trimmedPast.shift() : trimmedFuture.pop();
+    totalChars -= dropped.snapshot.length;
+  }
+  return { past: trimmedPast, future: trimmedFuture };
+};
 
-    const lastAction = history[history.length - 1];
-    const newHistory = history.slice(0, -1);
+/**
+ * Hook personnalisé pour gérer l'historique d'un état (annulation/rétablissement).
+ * Chaque entrée porte un libellé (ex: "Déplacer le sommet 3") et l'instantané JSON de l'état
+ * de part et d'autre de l'action. L'historique est borné en nombre d'entrées et en mémoire,
+ * et persisté dans le sessionStorage pour survivre à un rechargement de la page.
+ * @param {any} state - État courant (ex: les formes de useShapePersistence)
+ * @param {Function} setState - Fonction de mise à jour de l'état
+ * @param {Object} [options] - Options de l'historique
+ * @param {string|null} [options.storageKey='history'] - Clé de stockage (null pour ne pas persister)
+ * @param {number} [options.maxEntries=HISTORY_MAX_ENTRIES] - Nombre maximal d'entrées conservées
+ * @param {number} [options.maxSnapshotChars=HISTORY_MAX_SNAPSHOT_CHARS] - Taille cumulée maximale des instantanés
+ * @returns {Object} - Entrées de l'historique et fonctions pour le parcourir
+ */
+export function useHistoryState(state, setState, {
+  storageKey = 'history',
+  maxEntries = HISTORY_MAX_ENTRIES,
+  maxSnapshotChars = HISTORY_MAX_SNAPSHOT_CHARS,
+} = {}) {
+  const [timeline, setTimeline] = useState(() => readPersistedTimeline(storageKey));
 
-    setFuture((prev) => [lastAction, ...prev]);
-    setHistory(newHistory);
+  // Accès synchrone à l'état courant depuis les callbacks
+  const stateRef = useRef(state);
+  stateRef.current = state;
+  const timelineRef = useRef(timeline);
+  timelineRef.current = timeline;
+  const setStateRef = useRef(setState);
+  setStateRef.current = setState;
 
-    // Traitement spécifique selon le type d'action
-    if (lastAction.type === "shapes") {
-      setState(lastAction.shapes);
+  // Persister l'historique à chaque modification
+  useEffect(() => {
+    if (!storageKey) return;
+    try {
+      sessionStorage.setItem(storageKey, JSON.stringify(timeline));
+    } catch (e) {
+      // Quota dépassé : l'historique reste disponible pour la session en cours
+      console.warn(`Failed to persist ${storageKey}:`, e);
+      sessionStorage.removeItem(storageKey);
     }
+  }, [storageKey, timeline]);
 
-    // Réinitialiser le flag après un court délai
-    setTimeout(() => {
-      setIsUndoRedoAction(false);
-    }, 0);
-  }, [history]);
+  /**
+   * Enregistre une action avant qu'elle ne modifie l'état
+   * @param {string} label - Libellé de l'action (ex: "Arrondir le coin 2")
+   * @param {any} [previousState] - État avant l'action, si elle a déjà été appliquée (ex: fin d'un glisser)
+   */
+  const recordHistory = useCallback((label, previousState = stateRef.current) => {
+    const entry = {
+      id: `history_${Date.now()}_${Math.random().toString(36).slice(2, 7)}`,
+      label,
+      timestamp: Date.now(),
+      snapshot: JSON.stringify(previousState),
+    };
+    setTimeline(prev => trimTimeline(
+      { past: [...prev.past, entry], future: [] },
+      maxEntries,
+      maxSnapshotChars
+    ));
+  }, [maxEntries, maxSnapshotChars]);
 
-  // Action de rétablissement
-  const redo = useCallback(() => {
-    if (future.length === 0) return;
+  /**
+   * Se place après la n-ième action de l'historique (0 = avant la première action conservée)
+   * @param {number} appliedCount - Nombre d'actions appliquées souhaité
+   */
+  const jumpTo = useCallback((appliedCount) => {
+    let { past, future } = timelineRef.current;
+    const target = Math.max(0, Math.min(appliedCount, past.length + future.length));
+    if (target === past.length) return;
 
-    setIsUndoRedoAction(true);
+    let snapshot = JSON.stringify(stateRef.current);
+    // Annuler : l'instantané courant devient l'état "après" de l'action rétablissable
+    while (past.length > target) {
+      const entry = past[past.length - 1];
+      past = past.slice(0, -1);
+      future = [{ ...entry, snapshot }, ...future];
+      snapshot = entry.snapshot;
+    }
+    // Rétablir : l'instantané courant devient l'état "avant" de l'action annulable
+    while (past.length < target) {
+      const entry = future[0];
+      future = future.slice(1);
+      past = [...past, { ...entry, snapshot }];
+      snapshot = entry.snapshot;
+    }
 
-    const nextAction = future[0];
-    const newFuture = future.slice(1);
+    // Mettre les refs à jour tout de suite pour enchaîner plusieurs annulations avant le rendu
+    const nextTimeline = { past, future };
+    const nextState = JSON.parse(snapshot);
+    timelineRef.current = nextTimeline;
+    stateRef.current = nextState;
+    setTimeline(nextTimeline);
+    setStateRef.current(nextState);
+  }, []);
 
-    setHistory((prev) => [...prev, nextAction]);
-    setFuture(newFuture);
+  // Annuler la dernière action
+  const undo = useCallback(() => {
+    jumpTo(timelineRef.current.past.length - 1);
+  }, [jumpTo]);
 
-    // Traitement spécifique selon le type d'action
-    if (nextAction.type === "shapes") {
-      setState(nextAction.shapes);
-    }
+  // Rétablir la dernière action annulée
+  const redo = useCallback(() => {
+    jumpTo(timelineRef.current.past.length + 1);
+  }, [jumpTo]);
 
-    // Réinitialiser le flag après un court délai
-    setTimeout(() => {
-      setIsUndoRedoAction(false);
-    }, 0);
-  }, [future]);
+  // Vider l'historique (l'état courant est conservé)
+  const clearHistory = useCallback(() => {
+    setTimeline(EMPTY_TIMELINE);
+  }, []);
 
   return {
-    state,
-    setState,
-    history,
-    future,
-    isUndoRedoAction,
-    addToHistory,
+    past: timeline.past,
+    future: timeline.future,
+    canUndo: timeline.past.length > 0,
+    canRedo: timeline.future.length > 0,
+    recordHistory,
     undo,
-    redo
+    redo,
+    jumpTo,
+    clearHistory
   };
-} 
\ No newline at end of file
+}
@@ -4,10 +4,12 @@ import { useEffect, useRef, useState, useCallback } from 'react';
  * Hook personnalisé pour gérer les événements clavier globaux
  * @param {Object} options - Options de configuration
  * @param {Function} options.onUndo - Callback pour l'annulation (Ctrl+Z)
- * @param {Function} options.onRedo - Callback pour le rétablissement (Ctrl+Y)
- * @param {Function} options.onDelete - Callback pour la suppression (Delete)
+ * @param {Function} options.onRedo - Callback pour le rétablissement (Ctrl+Y ou Ctrl+Maj+Z)
+ * @param {Function} options.onDelete - Callback pour la suppression (Suppr ou Retour arrière)
  * @param {Function} options.onEscape - Callback pour la touche Échap
  * @param {Function} options.onEnter - Callback pour la touche Entrée
+ * @param {Object} [options.ctrlKeyRef] - Ref externe à tenir à jour avec l'état de Ctrl (ou Cmd),
+ * utile quand elle est lue par des callbacks déclarés avant l'appel du hook
  * @returns {Object} État des touches spéciales (Ctrl, Shift, Alt)
  */
 export function useKeyboardEvents({ 
@@ -15,24 +17,25 @@ export function useKeyboardEvents({
   onRedo, 
   onDelete,
   onEscape,
-  onEnter
+  onEnter,
+  ctrlKeyRef
 }) {
   const [isCtrlKeyPressed, setIsCtrlKeyPressed] = useState(false);
   const [isShiftKeyPressed, setIsShiftKeyPressed] = useState(false);
   const [isAltKeyPressed, setIsAltKeyPressed] = useState(false);
   
   // Refs pour accès synchrone dans les event listeners
-  const isCtrlKeyPressedRef = useRef(false);
+  const internalCtrlKeyRef = useRef(false);
+  const isCtrlKeyPressedRef = ctrlKeyRef || internalCtrlKeyRef;
   const isShiftKeyPressedRef = useRef(false);
   const isAltKeyPressedRef = useRef(false);
 
   // Gestionnaire de touche enfoncée
   const handleKeyDown = useCallback((event) => {
-    // Mise à jour des états des touches de modification
-    if (event.key === 'Control') {
-      setIsCtrlKeyPressed(true);
-      isCtrlKeyPressedRef.current = true;
-    } else if (event.key === 'Shift') {
+    // Mise à jour des états des touches de modification (Cmd tient lieu de Ctrl sur Mac)
+    isCtrlKeyPressedRef.current = event.ctrlKey || event.metaKey;
+    setIsCtrlKeyPressed(isCtrlKeyPressedRef.current);
+    if (event.key === 'Shift') {
       setIsShiftKeyPressed(true);
       isShiftKeyPressedRef.current = true;
     } else if (event.key === 'Alt') {
@@ -40,45 +43,47 @@ export function useKeyboardEvents({
       isAltKeyPressedRef.current = true;
     }
 
-    // Vérifier si on est dans un élément de saisie
-    const targetTagName = event.target.tagName.toLowerCase();
+    // Laisser les champs de saisie gérer leurs propres touches (Retour arrière, Entrée, Ctrl+Z...)
+    const targetTagName = event.target.tagName?.toLowerCase();
     const isEditingInput =
       targetTagName === "input" ||
       targetTagName === "textarea" ||
+      targetTagName === "select" ||
       event.target.isContentEditable;
+    if (isEditingInput) return;
 
     // Gestion des raccourcis clavier
     if (isCtrlKeyPressedRef.current) {
-      if (event.key === 'z' && onUndo) {
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey && onUndo) {
         event.preventDefault();
         onUndo();
-      } else if (event.key === 'y' && onRedo) {
+      } else if ((key === 'y' || (key === 'z' && event.shiftKey)) && onRedo) {
         event.preventDefault();
         onRedo();
       }
-    } else if (event.key === 'Delete' && onDelete) {
+    } else if ((event.key === 'Delete' || event.key === 'Backspace') && onDelete) {
       onDelete();
     } else if (event.key === 'Escape' && onEscape) {
       onEscape();
-    } else if (event.key === 'Enter' && onEnter && !isEditingInput) {
+    } else if (event.key === 'Enter' && onEnter) {
       event.preventDefault();
       onEnter();
     }
-  }, [onUndo, onRedo, onDelete, onEscape, onEnter]);
+  }, [onUndo, onRedo, onDelete, onEscape, onEnter, isCtrlKeyPressedRef]);
 
   // Gestionnaire de touche relâchée
   const handleKeyUp = useCallback((event) => {
-    if (event.key === 'Control') {
-      setIsCtrlKeyPressed(false);
-      isCtrlKeyPressedRef.current = false;
-    } else if (event.key === 'Shift') {
+    isCtrlKeyPressedRef.current = event.ctrlKey || event.metaKey;
+    setIsCtrlKeyPressed(isCtrlKeyPressedRef.current);
+    if (event.key === 'Shift') {
       setIsShiftKeyPressed(false);
       isShiftKeyPressedRef.current = false;
     } else if (event.key === 'Alt') {
       setIsAltKeyPressed(false);
       isAltKeyPressedRef.current = false;
     }
-  }, []);
+  }, [isCtrlKeyPressedRef]);
 
   // Mise en place des écouteurs d'événements lors du montage du composant
   useEffect(() => {
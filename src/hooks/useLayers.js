@@ -0,0 +1,65 @@
+import { useState, useCallback } from 'react';
+import { DEFAULT_LAYER } from '../constants/config';
+import { useShapePersistence } from './useShapePersistence';
+
+/**
+ * Hook personnalisé pour gérer les calques de l'espace de travail (nom, visibilité, verrouillage)
+ * Les calques sont persistés dans le sessionStorage, comme les formes.
+ * @returns {Object} - Calques, calque actif et fonctions de mise à jour
+ */
+export function useLayers() {
+  const [layers, setLayersAndPersist] = useShapePersistence('persistedLayers', [DEFAULT_LAYER]);
+  const [activeLayerIdState, setActiveLayerId] = useState(DEFAULT_LAYER.id);
+
+  // Le calque actif reçoit les nouvelles pièces ; il retombe sur le premier calque s'il est supprimé
+  const activeLayer = layers.find(layer => layer.id === activeLayerIdState) || layers[0];
+
+  /**
+   * Ajoute un calque et le rend actif
+   */
+  const addLayer = useCallback(() => {
+    const newLayer = {
+      ...DEFAULT_LAYER,
+      id: `layer_${Date.now()}`,
+      name: `Calque ${layers.length + 1}`,
+    };
+    setLayersAndPersist(prev => [...prev, newLayer]);
+    setActiveLayerId(newLayer.id);
+  }, [layers.length, setLayersAndPersist]);
+
+  /**
+   * Modifie un calque
+   * @param {string} layerId - Identifiant du calque
+   * @param {Object} changes - Champs à modifier (name, visible, locked)
+   */
+  const updateLayer = useCallback((layerId, changes) => {
+    setLayersAndPersist(prev => prev.map(layer => (layer.id === layerId ? { ...layer, ...changes } : layer)));
+  }, [setLayersAndPersist]);
+
+  /**
+   * Remplace tous les calques (restauration depuis l'historique)
+   * @param {Array} nextLayers - Calques à restaurer
+   */
+  const restoreLayers = useCallback((nextLayers) => {
+    setLayersAndPersist(nextLayers);
+  }, [setLayersAndPersist]);
+
+  /**
+   * Supprime un calque (le dernier calque ne peut pas être supprimé).
+   * Les formes du calque doivent être réaffectées par l'appelant.
+   * @param {string} layerId - Identifiant du calque
+   */
+  const removeLayer = useCallback((layerId) => {
+    setLayersAndPersist(prev => (prev.length > 1 ? prev.filter(layer => layer.id !== layerId) : prev));
+  }, [setLayersAndPersist]);
+
+  return {
+    layers,
+    activeLayer,
+    setActiveLayerId,
+    addLayer,
+    updateLayer,
+    removeLayer,
+    restoreLayers
+  };
+}
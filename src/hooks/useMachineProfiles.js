@@ -0,0 +1,103 @@
+import { useState, useCallback } from 'react';
+import { MACHINE_PROFILES, DEFAULT_MACHINE_PROFILE, MACHINE_PROFILE_LIMITS } from '../constants/config';
+import { readStoredValue, writeStoredValue } from '../utils/storageUtils';
+
+const SELECTED_PROFILE_KEY = 'selectedMachineProfileId';
+const PROFILE_OVERRIDES_KEY = 'machineProfileOverrides';
+
+/**
+ * Ramène un réglage dans ses bornes (MACHINE_PROFILE_LIMITS)
+ * @param {string} key - Réglage
+ * @param {any} value - Valeur saisie
+ * @returns {any} Valeur bornée, ou null si un réglage borné n'est pas un nombre fini
+ */
+const clampSetting = (key, value) => {
+  const limits = MACHINE_PROFILE_LIMITS[key];
+  if (!limits) return value;
+  if (typeof value !== 'number' || !Number.isFinite(value)) return null;
+  return Math.min(limits.max ?? Infinity, Math.max(limits.min, value));
+};
+
+/**
+ * Valide des modifications d'un profil : chaque réglage est borné, les valeurs non numériques sont
+ * écartées et l'ensemble est refusé si le segment minimal n'est plus plus court que la bande maximale
+ * @param {Object} profile - Profil d'origine
+ * @param {Object} changes - Réglages modifiés
+ * @returns {Object} Modifications retenues
+ */
+const sanitizeProfileChanges = (profile, changes) => {
+  const sanitized = {};
+  Object.entries(changes || {}).forEach(([key, value]) => {
+    const clamped = clampSetting(key, value);
+    if (clamped !== null) sanitized[key] = clamped;
+  });
+  const next = { ...profile, ...sanitized };
+  return next.minSegmentLengthMm < next.maxStripLengthMm ? sanitized : {};
+};
+
+/**
+ * Hook personnalisé pour gérer les profils machine (limites, calibration, réglages)
+ * Le profil sélectionné et les réglages modifiés sont conservés dans le localStorage ; les réglages
+ * invalides (saisis ou relus) sont bornés ou ignorés pour ne jamais casser les conversions en mm.
+ * @returns {Object} - Profils disponibles, profil sélectionné et fonctions de mise à jour
+ */
+export function useMachineProfiles() {
+  const [selectedProfileId, setSelectedProfileId] = useState(
+    () => readStoredValue(SELECTED_PROFILE_KEY, DEFAULT_MACHINE_PROFILE.id)
+  );
+  const [profileOverrides, setProfileOverrides] = useState(
+    () => readStoredValue(PROFILE_OVERRIDES_KEY, {})
+  );
+
+  // Les réglages déjà enregistrés sont revalidés (anciennes saisies invalides)
+  const profiles = MACHINE_PROFILES.map(profile => ({
+    ...profile,
+    ...sanitizeProfileChanges(profile, profileOverrides[profile.id]),
+  }));
+  const selectedProfile = profiles.find(profile => profile.id === selectedProfileId) || profiles[0];
+
+  /**
+   * Sélectionne le profil machine actif
+   * @param {string} profileId - Identifiant du profil
+   */
+  const selectProfile = useCallback((profileId) => {
+    setSelectedProfileId(profileId);
+    writeStoredValue(SELECTED_PROFILE_KEY, profileId);
+  }, []);
+
+  /**
+   * Modifie les réglages du profil sélectionné (valeurs bornées, saisies invalides ignorées)
+   * @param {Object} changes - Champs à modifier (ex: { minAngleDeg: 70 })
+   */
+  const updateSelectedProfile = useCallback((changes) => {
+    const validChanges = sanitizeProfileChanges(selectedProfile, changes);
+    if (Object.keys(validChanges).length === 0) return;
+    setProfileOverrides(prev => {
+      const next = {
+        ...prev,
+        [selectedProfile.id]: { ...prev[selectedProfile.id], ...validChanges },
+      };
+      writeStoredValue(PROFILE_OVERRIDES_KEY, next);
+      return next;
+    });
+  }, [selectedProfile]);
+
+  /**
+   * Restaure les réglages d'origine du profil sélectionné
+   */
+  const resetSelectedProfile = useCallback(() => {
+    setProfileOverrides(prev => {
+      const { [selectedProfile.id]: _removed, ...next } = prev;
+      writeStoredValue(PROFILE_OVERRIDES_KEY, next);
+      return next;
+    });
+  }, [selectedProfile.id]);
+
+  return {
+    profiles,
+    selectedProfile,
+    selectProfile,
+    updateSelectedProfile,
+    resetSelectedProfile,
+  };
+}
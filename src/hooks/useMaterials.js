@@ -0,0 +1,69 @@
+import { useState, useCallback } from 'react';
+import { MATERIALS } from '../constants/config';
+import { readStoredValue, writeStoredValue } from '../utils/storageUtils';
+
+const SELECTED_MATERIAL_KEY = 'selectedMaterialId';
+const MATERIAL_OVERRIDES_KEY = 'materialOverrides';
+
+/**
+ * Hook personnalisé pour gérer les matériaux de bande et leurs paramètres de pliage
+ * Le matériau sélectionné et les paramètres modifiés sont conservés dans le localStorage.
+ * @returns {Object} - Matériaux disponibles, matériau sélectionné et fonctions de mise à jour
+ */
+export function useMaterials() {
+  const [selectedMaterialId, setSelectedMaterialId] = useState(
+    () => readStoredValue(SELECTED_MATERIAL_KEY, MATERIALS[0].id)
+  );
+  const [materialOverrides, setMaterialOverrides] = useState(
+    () => readStoredValue(MATERIAL_OVERRIDES_KEY, {})
+  );
+
+  const materials = MATERIALS.map(material => ({
+    ...material,
+    ...materialOverrides[material.id],
+  }));
+  const selectedMaterial = materials.find(material => material.id === selectedMaterialId) || materials[0];
+
+  /**
+   * Sélectionne le matériau actif
+   * @param {string} materialId - Identifiant du matériau
+   */
+  const selectMaterial = useCallback((materialId) => {
+    setSelectedMaterialId(materialId);
+    writeStoredValue(SELECTED_MATERIAL_KEY, materialId);
+  }, []);
+
+  /**
+   * Modifie les paramètres du matériau sélectionné
+   * @param {Object} changes - Champs à modifier (ex: { springbackCurve: [...] })
+   */
+  const updateSelectedMaterial = useCallback((changes) => {
+    setMaterialOverrides(prev => {
+      const next = {
+        ...prev,
+        [selectedMaterial.id]: { ...prev[selectedMaterial.id], ...changes },
+      };
+      writeStoredValue(MATERIAL_OVERRIDES_KEY, next);
+      return next;
+    });
+  }, [selectedMaterial.id]);
+
+  /**
+   * Restaure les paramètres d'origine du matériau sélectionné
+   */
+  const resetSelectedMaterial = useCallback(() => {
+    setMaterialOverrides(prev => {
+      const { [selectedMaterial.id]: _removed, ...next } = prev;
+      writeStoredValue(MATERIAL_OVERRIDES_KEY, next);
+      return next;
+    });
+  }, [selectedMaterial.id]);
+
+  return {
+    materials,
+    selectedMaterial,
+    selectMaterial,
+    updateSelectedMaterial,
+    resetSelectedMaterial,
+  };
+}
@@ -0,0 +1,49 @@
+import { useState, useCallback } from 'react';
+import { SNAP_TYPES, findObjectSnap } from '../utils/snapUtils';
+
+// Tous les types d'accrochage sont actifs par défaut
+const DEFAULT_ENABLED_SNAP_TYPES = Object.fromEntries(Object.values(SNAP_TYPES).map(type => [type, true]));
+
+/**
+ * Hook personnalisé pour gérer l'accrochage aux objets (sommets, milieux, intersections...)
+ * Mémorise les types actifs et l'accrochage courant, affiché comme repère sur le canevas.
+ * @returns {Object} - Types actifs, accrochage courant et fonctions d'accrochage
+ */
+export function useSnapping() {
+  const [enabledSnapTypes, setEnabledSnapTypes] = useState(DEFAULT_ENABLED_SNAP_TYPES);
+  const [activeSnap, setActiveSnap] = useState(null);
+
+  /**
+   * Active ou désactive un type d'accrochage
+   * @param {string} type - Type d'accrochage (SNAP_TYPES)
+   */
+  const toggleSnapType = useCallback((type) => {
+    setEnabledSnapTypes(prev => ({ ...prev, [type]: !prev[type] }));
+  }, []);
+
+  /**
+   * Accroche un point aux objets proches et mémorise l'accrochage pour l'affichage
+   * @param {Object} point - Position du curseur {x, y}
+   * @param {Array} shapes - Formes servant de cibles
+   * @param {Object} options - Options de findObjectSnap (tolerance, referencePoint, excludedVertex)
+   * @returns {Object|null} - Point accroché {x, y}, ou null si aucun objet n'est assez proche
+   */
+  const snapPoint = useCallback((point, shapes, options) => {
+    const snap = findObjectSnap(point, shapes, { ...options, enabledTypes: enabledSnapTypes });
+    setActiveSnap(snap);
+    return snap ? snap.point : null;
+  }, [enabledSnapTypes]);
+
+  // Effacer le repère d'accrochage (fin du dessin ou du glisser-déposer)
+  const clearSnap = useCallback(() => {
+    setActiveSnap(null);
+  }, []);
+
+  return {
+    enabledSnapTypes,
+    toggleSnapType,
+    activeSnap,
+    snapPoint,
+    clearSnap
+  };
+}
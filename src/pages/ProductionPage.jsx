@@ -1,8 +1,10 @@
-import React, { useEffect, useState, useRef } from 'react';
+import React, { useEffect, useState, useRef, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import io from 'socket.io-client';
 import ProgressBar from '../components/ProgressBar';
 import PieceCreationVisualizer from '../components/PieceCreationVisualizer';
+import { formatStepValue } from '../utils/sequenceUtils';
+import { readProductionJob } from '../utils/storageUtils';
 
 const EMPORTEPIECE_WS_URL = import.meta.env.VITE_EMPORTEPIECE_WS_URL || 'http://localhost:3000';
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3002';
@@ -25,6 +27,12 @@ function ProductionPage() {
   const [isLoadingSequence, setIsLoadingSequence] = useState(true);
   const [showVisualizer, setShowVisualizer] = useState(false);
 
+  // Afficher les angles commandés (compensés) à côté des angles nominaux : la séquence envoyée avec le
+  // travail, jamais recalculée depuis les réglages courants (machine ou matériau changés depuis l'envoi)
+  const sentJob = useMemo(() => readProductionJob(jobId), [jobId]);
+  const displayedSequence = sentJob ? sentJob.sequence : productionSequence;
+  const currentStep = displayedSequence && currentInstruction > 0 ? displayedSequence[currentInstruction - 1] : null;
+
   useEffect(() => {
     const fetchSequence = async () => {
       if (!jobId) {
@@ -179,7 +187,7 @@ function ProductionPage() {
         <section className="lg:flex-grow lg:w-2/3 bg-white p-1 rounded-lg shadow-lg flex flex-col">
           {productionSequence && showVisualizer ? (
             <PieceCreationVisualizer 
-              sequence={productionSequence}
+              sequence={displayedSequence}
               highlightStepIndex={currentInstruction}
               onClose={handleVisualizerClose} 
               mode="direct"
@@ -206,6 +214,16 @@ function ProductionPage() {
                 Étape: {currentInstruction} / {totalInstructions}
               </p>
             )}
+            {currentStep && (
+              <p className="text-sm text-gray-700 mt-2 text-center">
+                {currentStep.action}{currentStep.valeur !== undefined && ` ${formatStepValue(currentStep)}`}
+              </p>
+            )}
+            {sentJob && (
+              <p className="text-xs text-gray-500 mt-1 text-center">
+                Matériau : {sentJob.materialName} — Machine : {sentJob.machineName}
+              </p>
+            )}
           </div>
 
           {isProcessing && (
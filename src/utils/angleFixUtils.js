@@ -0,0 +1,155 @@
+import { V } from './vectorUtils';
+import { calculateAngles, getVertexAngle } from './shapeUtils';
+import { FILLET_TYPES, CHAMFER_MODES, getFilletReplacementPoints } from './filletUtils';
+import { CHAMFER_DEFAULTS } from '../constants/config';
+
+// Corrections proposées pour un coin plus aigu que l'angle minimum de production. Chacune est un
+// arrondi paramétrique posé sur le sommet (voir filletUtils) : le coin vif reste le sommet de contrôle,
+// les cotes et les autres sommets ne bougent pas.
+
+export const ANGLE_FIX_TYPES = {
+  CHAMFER: 'chamfer', // Chanfrein aux cotes par défaut
+  FILLET: 'fillet', // Arrondi du plus petit rayon réalisable
+  SPLIT: 'split', // Deux plis séparés par le segment le plus court accepté par la machine
+};
+
+export const ANGLE_FIX_LABELS = {
+  [ANGLE_FIX_TYPES.CHAMFER]: 'Chanfrein',
+  [ANGLE_FIX_TYPES.FILLET]: 'Arrondi minimal',
+  [ANGLE_FIX_TYPES.SPLIT]: 'Deux plis',
+};
+
+// Pas de recherche du rayon minimal et part maximale des segments voisins consommée par une correction
+const FILLET_RADIUS_STEP_MM = 0.5;
+const MAX_SEGMENT_SHARE = 0.49;
+const DEVIATION_DECIMALS = 2;
+
+const roundMm = (value) => parseFloat(value.toFixed(DEVIATION_DECIMALS));
+
+/**
+ * Sommets de contrôle trop aigus pour la production (coins vifs, sans arrondi ni chanfrein)
+ * @param {Object} shape - Forme (polygon / polyline), points de contrôle
+ * @param {number} minAngleDeg - Angle intérieur minimum de la machine
+ * @returns {Array} [{ vertexIndex, angleDeg }]
+ */
+export const findTooSmallAngleVertices = (shape, minAngleDeg) => {
+  if (!shape || !shape.points || shape.points.length < 3) return [];
+  const { points } = shape;
+
+  if (shape.type === 'polygon') {
+    return calculateAngles(points, minAngleDeg)
+      .filter(angle => angle.isTooSmall && !angle.vertex.fillet)
+      .map(angle => ({ vertexIndex: points.indexOf(angle.vertex), angleDeg: angle.angle }));
+  }
+
+  // Polyligne : seuls les sommets intérieurs sont des plis
+  return points.flatMap((point, i) => {
+    const angleDeg = getVertexAngle(points, i, false);
+    return angleDeg !== null && angleDeg < minAngleDeg && !point.fillet ? [{ vertexIndex: i, angleDeg }] : [];
+  });
+};
+
+/**
+ * Distance d'un point à un tracé ouvert
+ */
+const distanceToPath = (point, path) => path.slice(1).reduce((minDistance, end, i) => (
+  Math.min(minDistance, V.distance(point, V.projectPointOnSegment(point, path[i], end)))
+), Infinity);
+
+/**
+ * Évalue une correction autour du sommet : plis créés, segments entre plis, écarts de cotes
+ * @returns {Object|null} null si la correction ne s'applique pas au sommet
+ */
+const evaluateFix = (type, fillet, points, vertexIndex, isPolygon, profile, pitchMm, svgUnitsPerMm) => {
+  const replacement = getFilletReplacementPoints(points, vertexIndex, fillet, isPolygon, pitchMm, svgUnitsPerMm);
+  if (!replacement) return null;
+
+  const n = points.length;
+  const prev = points[(vertexIndex - 1 + n) % n];
+  const next = points[(vertexIndex + 1) % n];
+  const vertex = points[vertexIndex];
+  const localPath = [prev, ...replacement, next];
+  const toMm = (svgLength) => svgLength / svgUnitsPerMm;
+
+  // Plis créés par la correction et segments compris entre deux d'entre eux
+  const bendAngles = replacement.map((_, i) => getVertexAngle(localPath, i + 1, false));
+  const innerSegmentLengthsMm = replacement.slice(1).map((p, i) => toMm(V.distance(replacement[i], p)));
+
+  const localLength = localPath.slice(1).reduce((sum, p, i) => sum + V.distance(localPath[i], p), 0);
+  const sharpLength = V.distance(prev, vertex) + V.distance(vertex, next);
+  const minBendAngleDeg = Math.min(...bendAngles);
+  const shortestSegmentMm = innerSegmentLengthsMm.length > 0 ? Math.min(...innerSegmentLengthsMm) : Infinity;
+
+  return {
+    type,
+    fillet,
+    minBendAngleDeg,
+    bendCount: replacement.length,
+    lengthDeviationMm: roundMm(toMm(localLength - sharpLength)),
+    cornerDeviationMm: roundMm(toMm(distanceToPath(vertex, replacement))),
+    isValid: minBendAngleDeg >= profile.minAngleDeg && shortestSegmentMm >= profile.minSegmentLengthMm,
+  };
+};
+
+/**
+ * Propose les corrections d'un sommet trop aigu : chanfrein, arrondi de rayon minimal et deux plis.
+ * Chaque correction indique l'écart de longueur développée (mm, négatif si la bande raccourcit),
+ * l'écart au coin vif d'origine (mm) et si les plis obtenus respectent la machine.
+ * @param {Object} shape - Forme (polygon / polyline), points de contrôle
+ * @param {number} vertexIndex - Index du sommet trop aigu
+ * @param {Object} profile - Profil machine (minAngleDeg, minSegmentLengthMm)
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Array} [{ type, fillet, minBendAngleDeg, bendCount, lengthDeviationMm, cornerDeviationMm, isValid }]
+ */
+export const getAngleFixCandidates = (shape, vertexIndex, profile, pitchMm, svgUnitsPerMm) => {
+  const { points } = shape;
+  const isPolygon = shape.type === 'polygon';
+  const n = points.length;
+  const angleDeg = getVertexAngle(points, vertexIndex, isPolygon);
+  if (angleDeg === null) return [];
+
+  const halfAngle = (angleDeg * Math.PI) / 360;
+  const shortestSideMm = Math.min(
+    V.distance(points[vertexIndex], points[(vertexIndex - 1 + n) % n]),
+    V.distance(points[vertexIndex], points[(vertexIndex + 1) % n])
+  ) / svgUnitsPerMm;
+  const maxDistanceMm = shortestSideMm * MAX_SEGMENT_SHARE;
+  const evaluate = (type, fillet) => (
+    evaluateFix(type, fillet, points, vertexIndex, isPolygon, profile, pitchMm, svgUnitsPerMm)
+  );
+  const candidates = [];
+
+  // Chanfrein aux cotes par défaut, réduit si les segments sont trop courts
+  const chamferDistanceMm = Math.min(CHAMFER_DEFAULTS.distance1Mm, Math.floor(maxDistanceMm * 10) / 10);
+  candidates.push(evaluate(ANGLE_FIX_TYPES.CHAMFER, {
+    type: FILLET_TYPES.CHAMFER,
+    mode: CHAMFER_MODES.EQUAL,
+    distance1Mm: chamferDistanceMm,
+  }));
+
+  // Arrondi : plus petit rayon dont les plis et les segments respectent la machine
+  const maxRadiusMm = maxDistanceMm * Math.tan(halfAngle);
+  let filletCandidate = null;
+  for (let radiusMm = FILLET_RADIUS_STEP_MM; radiusMm <= maxRadiusMm; radiusMm += FILLET_RADIUS_STEP_MM) {
+    const candidate = evaluate(ANGLE_FIX_TYPES.FILLET, { type: FILLET_TYPES.ROUND, radiusMm });
+    if (candidate && candidate.isValid) {
+      filletCandidate = candidate;
+      break;
+    }
+  }
+  candidates.push(filletCandidate);
+
+  // Deux plis égaux séparés par le segment minimal de la machine (chanfrein dont la coupe mesure ce segment)
+  const cutLengthMm = Math.max(profile.minSegmentLengthMm, FILLET_RADIUS_STEP_MM);
+  const splitDistanceMm = cutLengthMm / (2 * Math.sin(halfAngle));
+  if (splitDistanceMm <= maxDistanceMm) {
+    candidates.push(evaluate(ANGLE_FIX_TYPES.SPLIT, {
+      type: FILLET_TYPES.CHAMFER,
+      mode: CHAMFER_MODES.EQUAL,
+      distance1Mm: roundMm(splitDistanceMm + 0.005), // Arrondi par excès : la coupe reste au minimum machine
+    }));
+  }
+
+  return candidates.filter(Boolean);
+};
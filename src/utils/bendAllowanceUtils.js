@@ -0,0 +1,98 @@
+import { V } from './vectorUtils';
+import { normalizeAngleDeg } from './sequenceUtils';
+
+// Longueur développée d'une bande pliée (longueur à couper)
+//
+// Le tracé de la fibre neutre est mesuré d'arête vive à arête vive. Un pli de déviation θ, de rayon
+// intérieur R sur une bande d'épaisseur t, remplace le coin vif par un arc : chaque segment adjacent
+// perd le retrait (R + t/2)·tan(θ/2), et l'arc mesure θ·(R + K·t) sur la fibre réellement neutre,
+// K (facteur K) situant celle-ci dans l'épaisseur (0.5 = mi-épaisseur).
+
+// Au-delà, le retrait tan(θ/2) diverge : un demi-tour complet n'est pas réalisable
+const MAX_BEND_DEVIATION_DEG = 179;
+const LENGTH_DECIMALS = 2;
+
+const roundMm = (value) => parseFloat(value.toFixed(LENGTH_DECIMALS));
+
+/**
+ * Calcule la longueur développée d'une pièce et son détail par segment et par pli.
+ * Comme la séquence de production, un polygone part de son premier sommet et y revient sans pli.
+ * L'avance de chaque segment (partie droite et moitié des arcs des plis voisins) est arrondie
+ * sur le cumul : la somme des avances est exactement la longueur développée.
+ * @param {Array} points - Points de la fibre neutre (unités SVG)
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Object} [bendParameters] - Paramètres de pliage du matériau
+ * @param {number} [bendParameters.thicknessMm=0] - Épaisseur de la bande
+ * @param {number} [bendParameters.innerRadiusMm=0] - Rayon intérieur des plis
+ * @param {number} [bendParameters.kFactor=0.5] - Position de la fibre neutre dans l'épaisseur (0 à 1)
+ * @returns {Object} { totalLengthMm, sharpLengthMm, segments: [{index, sharpLengthMm, straightLengthMm, feedLengthMm}],
+ *   bends: [{vertexIndex, angleDeg, allowanceMm, deductionMm}] } — longueurs en mm
+ */
+export const calculateDevelopedLength = (
+  points,
+  isPolygon,
+  svgUnitsPerMm,
+  { thicknessMm = 0, innerRadiusMm = 0, kFactor = 0.5 } = {}
+) => {
+  if (!points || points.length < 2) {
+    return { totalLengthMm: 0, sharpLengthMm: 0, segments: [], bends: [] };
+  }
+
+  const conversionFactor = svgUnitsPerMm > 0 ? 1 / svgUnitsPerMm : 1;
+  const path = isPolygon && points.length > 2 ? [...points, points[0]] : points;
+  const headings = [];
+  const segments = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const vector = V.subtract(path[i + 1], path[i]);
+    headings.push((V.angle(vector) * 180) / Math.PI);
+    segments.push({
+      index: i,
+      sharpLengthMm: V.magnitude(vector) * conversionFactor,
+      straightLengthMm: 0,
+      feedLengthMm: 0,
+    });
+  }
+
+  // Plis aux sommets intérieurs du parcours ; le retrait de chacun est pris sur ses deux segments
+  const setbacks = new Array(path.length).fill(0);
+  const allowances = new Array(path.length).fill(0);
+  const bends = [];
+  let totalLengthMm = 0;
+  for (let j = 1; j < path.length - 1; j++) {
+    const deviationDeg = Math.min(Math.abs(normalizeAngleDeg(headings[j] - headings[j - 1])), MAX_BEND_DEVIATION_DEG);
+    if (deviationDeg < 1e-6) continue;
+    const theta = (deviationDeg * Math.PI) / 180;
+    const setbackMm = (innerRadiusMm + thicknessMm / 2) * Math.tan(theta / 2);
+    const allowanceMm = theta * (innerRadiusMm + kFactor * thicknessMm);
+    setbacks[j] = setbackMm;
+    allowances[j] = allowanceMm;
+    totalLengthMm += allowanceMm;
+    bends.push({
+      vertexIndex: j % points.length,
+      angleDeg: roundMm(deviationDeg),
+      allowanceMm: roundMm(allowanceMm),
+      deductionMm: roundMm(2 * setbackMm - allowanceMm),
+    });
+  }
+
+  let sharpLengthMm = 0;
+  let fedLengthMm = 0;
+  segments.forEach((segment, i) => {
+    const straightLengthMm = segment.sharpLengthMm - setbacks[i] - setbacks[i + 1];
+    totalLengthMm += straightLengthMm;
+    sharpLengthMm += segment.sharpLengthMm;
+    const fedBeforeMm = roundMm(fedLengthMm);
+    fedLengthMm += straightLengthMm + (allowances[i] + allowances[i + 1]) / 2;
+    segment.feedLengthMm = roundMm(roundMm(fedLengthMm) - fedBeforeMm);
+    segment.straightLengthMm = roundMm(straightLengthMm);
+    segment.sharpLengthMm = roundMm(segment.sharpLengthMm);
+  });
+
+  return {
+    totalLengthMm: roundMm(totalLengthMm),
+    sharpLengthMm: roundMm(sharpLengthMm),
+    segments,
+    bends,
+  };
+};
@@ -0,0 +1,50 @@
+// Utilitaires de discrétisation des courbes au pas de pliage de la machine
+//
+// La machine réalise une courbe par une suite de plis d'angle égal, espacés d'un pas fixe.
+// Un arc de rayon r et de balayage θ découpé en n segments donne des plis de θ/n,
+// des cordes de 2·r·sin(θ/2n) et un écart maximal corde/arc (flèche) de r·(1 - cos(θ/2n)).
+
+// Marge numérique : une corde égale au pas à l'arrondi flottant près est acceptée
+const PITCH_EPSILON = 1e-9;
+
+/**
+ * Calcule le découpage d'un arc en plis d'angle égal au pas de pliage demandé.
+ * Le nombre de segments est le plus grand dont les cordes mesurent au moins le pas : la machine
+ * (dont le segment minimal vaut souvent le pas) accepte ainsi les courbes de l'éditeur. Un arc trop
+ * petit garde le nombre minimal de segments, avec des cordes plus courtes que le pas.
+ * @param {number} radius - Rayon de l'arc (dans l'unité de la forme)
+ * @param {number} sweep - Balayage de l'arc en radians (signe ignoré)
+ * @param {number} pitchMm - Pas de pliage souhaité en mm
+ * @param {number} unitsPerMm - Nombre d'unités de la forme par mm (ex: svgUnitsPerMm)
+ * @param {number} [minSegments=1] - Nombre minimal de segments
+ * @returns {Object} { segmentCount, bendAngleDeg, chordLengthMm (pas réel), chordalErrorMm, pitchMm (pas demandé) }
+ */
+export const getBendPitchDiscretization = (radius, sweep, pitchMm, unitsPerMm, minSegments = 1) => {
+  const radiusMm = Math.abs(radius) / (unitsPerMm > 0 ? unitsPerMm : 1);
+  const absSweep = Math.abs(sweep);
+  // Angle au centre d'une corde de longueur égale au pas
+  const pitchStep = pitchMm > 0 && pitchMm <= 2 * radiusMm ? 2 * Math.asin(pitchMm / (2 * radiusMm)) : null;
+  const segmentCount = pitchStep
+    ? Math.max(minSegments, Math.floor(absSweep / pitchStep + PITCH_EPSILON))
+    : minSegments;
+  const halfStep = absSweep / (2 * segmentCount);
+
+  return {
+    segmentCount,
+    bendAngleDeg: (2 * halfStep * 180) / Math.PI,
+    chordLengthMm: 2 * radiusMm * Math.sin(halfStep),
+    chordalErrorMm: radiusMm * (1 - Math.cos(halfStep)),
+    pitchMm,
+  };
+};
+
+/**
+ * Résumé lisible d'un découpage au pas de pliage
+ * @param {Object} discretization - Résultat de getBendPitchDiscretization
+ * @returns {string} Ex: "6 segments au pas réel de 5.2 mm (demandé 5 mm), plis de 15° — écart de corde 0.12 mm"
+ */
+export const formatBendPitchSummary = ({ segmentCount, bendAngleDeg, chordLengthMm, chordalErrorMm, pitchMm }) => (
+  `${segmentCount} segment${segmentCount > 1 ? 's' : ''} au pas réel de ${parseFloat(chordLengthMm.toFixed(2))} mm` +
+  (pitchMm > 0 ? ` (demandé ${pitchMm} mm)` : '') +
+  `, plis de ${parseFloat(bendAngleDeg.toFixed(1))}° — écart de corde ${parseFloat(chordalErrorMm.toFixed(2))} mm`
+);
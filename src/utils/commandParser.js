@@ -0,0 +1,140 @@
+// Analyse des commandes de la ligne de commande de l'éditeur (saisie au clavier, style DAO).
+// Coordonnées en mm, décimales avec un point :
+//   100,50     point absolu
+//   @150,0     point relatif au dernier point placé
+//   @200<45    point polaire relatif (longueur < angle en degrés, sens trigonométrique)
+//   200<45     point polaire depuis l'origine
+// Comme dans l'inspecteur, l'axe Y des coordonnées cartésiennes pointe vers le bas ;
+// les angles polaires sont ceux du dessin polaire (0° vers la droite, 90° vers le haut).
+
+// Verbes reconnus et leurs alias
+export const COMMAND_VERBS = {
+  CLOSE: 'close',
+  UNDO: 'undo',
+  REDO: 'redo',
+  FILLET: 'fillet',
+  MOVE: 'move',
+  ROTATE: 'rotate',
+  SCALE: 'scale',
+  MIRROR: 'mirror',
+  CANCEL: 'cancel',
+  HELP: 'help',
+};
+
+const VERB_ALIASES = {
+  close: COMMAND_VERBS.CLOSE,
+  c: COMMAND_VERBS.CLOSE,
+  fermer: COMMAND_VERBS.CLOSE,
+  undo: COMMAND_VERBS.UNDO,
+  u: COMMAND_VERBS.UNDO,
+  annuler: COMMAND_VERBS.UNDO,
+  redo: COMMAND_VERBS.REDO,
+  retablir: COMMAND_VERBS.REDO,
+  'rétablir': COMMAND_VERBS.REDO,
+  fillet: COMMAND_VERBS.FILLET,
+  f: COMMAND_VERBS.FILLET,
+  arrondi: COMMAND_VERBS.FILLET,
+  move: COMMAND_VERBS.MOVE,
+  m: COMMAND_VERBS.MOVE,
+  deplacer: COMMAND_VERBS.MOVE,
+  'déplacer': COMMAND_VERBS.MOVE,
+  rotate: COMMAND_VERBS.ROTATE,
+  ro: COMMAND_VERBS.ROTATE,
+  tourner: COMMAND_VERBS.ROTATE,
+  scale: COMMAND_VERBS.SCALE,
+  sc: COMMAND_VERBS.SCALE,
+  echelle: COMMAND_VERBS.SCALE,
+  'échelle': COMMAND_VERBS.SCALE,
+  mirror: COMMAND_VERBS.MIRROR,
+  mi: COMMAND_VERBS.MIRROR,
+  miroir: COMMAND_VERBS.MIRROR,
+  cancel: COMMAND_VERBS.CANCEL,
+  esc: COMMAND_VERBS.CANCEL,
+  help: COMMAND_VERBS.HELP,
+  aide: COMMAND_VERBS.HELP,
+  '?': COMMAND_VERBS.HELP,
+};
+
+// Résumé affiché par la commande "help"
+export const COMMAND_HELP = 'x,y (absolu) · @dx,dy (relatif) · @L<A (polaire) · close · undo · redo · ' +
+  'fillet R · move dx,dy · rotate A · scale F · mirror h|v · cancel';
+
+const NUMBER_PATTERN = '[-+]?(?:\\d+\\.?\\d*|\\.\\d+)';
+const CARTESIAN_REGEX = new RegExp(`^(@?)\\s*(${NUMBER_PATTERN})\\s*,\\s*(${NUMBER_PATTERN})$`);
+const POLAR_REGEX = new RegExp(`^(@?)\\s*(${NUMBER_PATTERN})\\s*<\\s*(${NUMBER_PATTERN})$`);
+
+/**
+ * Lit un nombre d'argument de commande
+ * @param {string|undefined} value - Texte de l'argument
+ * @param {string} usage - Syntaxe attendue, rappelée dans le message d'erreur
+ * @returns {number}
+ */
+const parseNumberArgument = (value, usage) => {
+  const number = Number(value);
+  if (value === undefined || value === '' || !Number.isFinite(number)) {
+    throw new Error(`Argument invalide, syntaxe : ${usage}`);
+  }
+  return number;
+};
+
+/**
+ * Analyse une ligne de commande
+ * @param {string} input - Texte saisi
+ * @returns {Object} Point { kind: 'point', relative, polar, x, y } ou { kind: 'point', relative, polar, length, angle }
+ *   (mm et degrés), ou verbe { kind: 'verb', verb, args }
+ * @throws {Error} Si la commande n'est pas reconnue ou si ses arguments sont invalides
+ */
+export const parseCommand = (input) => {
+  const text = input.trim();
+  if (!text) {
+    throw new Error('Commande vide');
+  }
+
+  const cartesian = text.match(CARTESIAN_REGEX);
+  if (cartesian) {
+    return { kind: 'point', relative: cartesian[1] === '@', polar: false, x: Number(cartesian[2]), y: Number(cartesian[3]) };
+  }
+
+  const polar = text.match(POLAR_REGEX);
+  if (polar) {
+    const length = Number(polar[2]);
+    if (length < 0) {
+      throw new Error('La longueur polaire doit être positive');
+    }
+    return { kind: 'point', relative: polar[1] === '@', polar: true, length, angle: Number(polar[3]) };
+  }
+
+  const [word, ...rest] = text.split(/\s+/);
+  const verb = VERB_ALIASES[word.toLowerCase()];
+  if (!verb) {
+    throw new Error(`Commande inconnue : "${word}" (tapez help)`);
+  }
+  const argumentText = rest.join(' ');
+
+  switch (verb) {
+    case COMMAND_VERBS.FILLET: {
+      const radius = parseNumberArgument(rest[0], 'fillet R (rayon en mm)');
+      if (radius <= 0) throw new Error('Le rayon doit être positif');
+      return { kind: 'verb', verb, args: [radius] };
+    }
+    case COMMAND_VERBS.MOVE: {
+      const offset = argumentText.match(new RegExp(`^(${NUMBER_PATTERN})\\s*,\\s*(${NUMBER_PATTERN})$`));
+      if (!offset) throw new Error('Argument invalide, syntaxe : move dx,dy (mm)');
+      return { kind: 'verb', verb, args: [Number(offset[1]), Number(offset[2])] };
+    }
+    case COMMAND_VERBS.ROTATE:
+      return { kind: 'verb', verb, args: [parseNumberArgument(rest[0], 'rotate A (degrés, sens trigonométrique)')] };
+    case COMMAND_VERBS.SCALE: {
+      const factor = parseNumberArgument(rest[0], 'scale F (facteur, ex : 1.5)');
+      if (factor <= 0) throw new Error("Le facteur d'échelle doit être positif");
+      return { kind: 'verb', verb, args: [factor] };
+    }
+    case COMMAND_VERBS.MIRROR: {
+      const axis = (rest[0] || '').toLowerCase();
+      if (axis !== 'h' && axis !== 'v') throw new Error('Argument invalide, syntaxe : mirror h|v');
+      return { kind: 'verb', verb, args: [axis === 'h' ? 'horizontal' : 'vertical'] };
+    }
+    default:
+      return { kind: 'verb', verb, args: [] };
+  }
+};
@@ -0,0 +1,371 @@
+import { V } from './vectorUtils';
+import { getVertexAngle } from './shapeUtils';
+
+// Types de contraintes de cote stockées sur la forme (shape.constraints)
+export const CONSTRAINT_TYPES = {
+  LENGTH: 'length',
+  ANGLE: 'angle',
+  PARALLEL: 'parallel',
+};
+
+// Paramètres du solveur itératif
+const SOLVER_MAX_ITERATIONS = 50;
+const LENGTH_TOLERANCE_MM = 0.01;
+const ANGLE_TOLERANCE_DEG = 0.01;
+// Décalage des annotations par rapport à la géométrie (unités SVG)
+const ANNOTATION_OFFSET = 14;
+
+const toRad = (deg) => (deg * Math.PI) / 180;
+const toDeg = (rad) => (rad * 180) / Math.PI;
+
+/**
+ * Index des extrémités d'un segment (le segment i relie le point i au point i + 1)
+ * @param {number} segmentIndex - Index du segment
+ * @param {number} pointCount - Nombre de points de la forme
+ * @returns {Array} [indexDébut, indexFin]
+ */
+const segmentEnds = (segmentIndex, pointCount) => [segmentIndex, (segmentIndex + 1) % pointCount];
+
+/**
+ * Vérifie qu'une contrainte référence des sommets / segments existants
+ * @param {Object} constraint - Contrainte
+ * @param {number} pointCount - Nombre de points de la forme
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @returns {boolean} true si la contrainte est applicable
+ */
+const isConstraintApplicable = (constraint, pointCount, isPolygon) => {
+  const segmentCount = isPolygon ? pointCount : pointCount - 1;
+  const isValidSegment = (index) => Number.isInteger(index) && index >= 0 && index < segmentCount;
+
+  switch (constraint.type) {
+    case CONSTRAINT_TYPES.LENGTH:
+      return isValidSegment(constraint.segmentIndex);
+    case CONSTRAINT_TYPES.ANGLE:
+      return Number.isInteger(constraint.vertexIndex) &&
+        (isPolygon
+          ? constraint.vertexIndex >= 0 && constraint.vertexIndex < pointCount
+          : constraint.vertexIndex > 0 && constraint.vertexIndex < pointCount - 1);
+    case CONSTRAINT_TYPES.PARALLEL:
+      return isValidSegment(constraint.segmentIndex) &&
+        isValidSegment(constraint.otherSegmentIndex) &&
+        constraint.segmentIndex !== constraint.otherSegmentIndex;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Calcule l'écart d'une contrainte (0 si elle est respectée)
+ * @param {Array} points - Points de la forme
+ * @param {Object} constraint - Contrainte
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {number} Écart en mm (longueur) ou en degrés (angle, parallélisme)
+ */
+export const getConstraintError = (points, constraint, isPolygon, svgUnitsPerMm) => {
+  const n = points.length;
+  switch (constraint.type) {
+    case CONSTRAINT_TYPES.LENGTH: {
+      const [a, b] = segmentEnds(constraint.segmentIndex, n);
+      return Math.abs(V.distance(points[a], points[b]) / svgUnitsPerMm - constraint.valueMm);
+    }
+    case CONSTRAINT_TYPES.ANGLE: {
+      const angle = getVertexAngle(points, constraint.vertexIndex, isPolygon);
+      return angle === null ? 0 : Math.abs(angle - constraint.valueDeg);
+    }
+    case CONSTRAINT_TYPES.PARALLEL: {
+      const [a1, b1] = segmentEnds(constraint.segmentIndex, n);
+      const [a2, b2] = segmentEnds(constraint.otherSegmentIndex, n);
+      const u = V.normalize(V.subtract(points[b1], points[a1]));
+      const v = V.normalize(V.subtract(points[b2], points[a2]));
+      // Parallèles de même sens ou de sens opposé
+      return toDeg(Math.asin(Math.min(1, Math.abs(V.cross(u, v)))));
+    }
+    default:
+      return 0;
+  }
+};
+
+/**
+ * Projette les points pour satisfaire une contrainte de longueur.
+ * Les deux extrémités se partagent la correction, sauf si l'une d'elles est bloquée.
+ */
+const projectLength = (points, constraint, svgUnitsPerMm, isFixed) => {
+  const [a, b] = segmentEnds(constraint.segmentIndex, points.length);
+  const direction = V.normalize(V.subtract(points[b], points[a]));
+  if (direction.x === 0 && direction.y === 0) return;
+
+  const error = constraint.valueMm * svgUnitsPerMm - V.distance(points[a], points[b]);
+  const fixedA = isFixed(a);
+  const fixedB = isFixed(b);
+  if (fixedA && fixedB) return;
+
+  const shareA = fixedA ? 0 : fixedB ? 1 : 0.5;
+  points[a] = V.subtract(points[a], V.scale(direction, error * shareA));
+  points[b] = V.add(points[b], V.scale(direction, error * (1 - shareA)));
+};
+
+/**
+ * Projette les points pour satisfaire une contrainte d'angle en faisant pivoter
+ * les sommets voisins autour du sommet contraint.
+ */
+const projectAngle = (points, constraint, isPolygon, isFixed) => {
+  const current = getVertexAngle(points, constraint.vertexIndex, isPolygon);
+  if (current === null) return;
+
+  const n = points.length;
+  const vertex = constraint.vertexIndex;
+  const prev = (vertex - 1 + n) % n;
+  const next = (vertex + 1) % n;
+  // Faire tourner le sommet suivant de +d (ou le précédent de -d) réduit l'angle intérieur de d
+  const rotation = toRad(current - constraint.valueDeg);
+  const rotateAround = (index, angle) => {
+    points[index] = V.add(points[vertex], V.rotate(V.subtract(points[index], points[vertex]), angle));
+  };
+
+  const fixedPrev = isFixed(prev);
+  const fixedNext = isFixed(next);
+  if (fixedPrev && fixedNext) return;
+  if (fixedPrev) {
+    rotateAround(next, rotation);
+  } else if (fixedNext) {
+    rotateAround(prev, -rotation);
+  } else {
+    rotateAround(next, rotation / 2);
+    rotateAround(prev, -rotation / 2);
+  }
+};
+
+/**
+ * Projette les points pour rendre deux segments parallèles en faisant pivoter
+ * le segment le plus libre autour de son milieu (ou de son extrémité bloquée).
+ */
+const projectParallel = (points, constraint, isFixed) => {
+  const n = points.length;
+  const [a1, b1] = segmentEnds(constraint.segmentIndex, n);
+  const [a2, b2] = segmentEnds(constraint.otherSegmentIndex, n);
+
+  const rotateSegment = (start, end, reference) => {
+    const u = V.subtract(points[end], points[start]);
+    let delta = V.angle(reference) - V.angle(u);
+    // Viser le sens (identique ou opposé) le plus proche
+    while (delta > Math.PI / 2) delta -= Math.PI;
+    while (delta < -Math.PI / 2) delta += Math.PI;
+
+    const fixedStart = isFixed(start);
+    const fixedEnd = isFixed(end);
+    if (fixedStart && fixedEnd) return false;
+    const pivot = fixedStart
+      ? points[start]
+      : fixedEnd
+        ? points[end]
+        : V.scale(V.add(points[start], points[end]), 0.5);
+    points[start] = V.add(pivot, V.rotate(V.subtract(points[start], pivot), delta));
+    points[end] = V.add(pivot, V.rotate(V.subtract(points[end], pivot), delta));
+    return true;
+  };
+
+  // Aligner le second segment sur le premier, sinon l'inverse
+  if (!rotateSegment(a2, b2, V.subtract(points[b1], points[a1]))) {
+    rotateSegment(a1, b1, V.subtract(points[b2], points[a2]));
+  }
+};
+
+/**
+ * Résout les contraintes de cote d'une forme par projections successives.
+ * Chaque contrainte est satisfaite localement à tour de rôle jusqu'à convergence.
+ * @param {Array} points - Points de la forme en unités SVG
+ * @param {Array} constraints - Contraintes de la forme
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Array} [fixedIndices=[]] - Sommets à ne pas déplacer (ex: sommet en cours de glisser-déposer)
+ * @returns {Object} { points, isSatisfied }
+ */
+export const solveConstraints = (points, constraints, isPolygon, svgUnitsPerMm, fixedIndices = []) => {
+  const applicable = (constraints || []).filter(c => isConstraintApplicable(c, points.length, isPolygon));
+  if (applicable.length === 0) return { points, isSatisfied: true };
+
+  const solved = points.map(p => ({ ...p }));
+  const isFixed = (index) => fixedIndices.includes(index);
+  const isSatisfied = () => applicable.every((constraint) => {
+    const tolerance = constraint.type === CONSTRAINT_TYPES.LENGTH ? LENGTH_TOLERANCE_MM : ANGLE_TOLERANCE_DEG;
+    return getConstraintError(solved, constraint, isPolygon, svgUnitsPerMm) <= tolerance;
+  });
+
+  for (let iteration = 0; iteration < SOLVER_MAX_ITERATIONS && !isSatisfied(); iteration++) {
+    applicable.forEach((constraint) => {
+      if (constraint.type === CONSTRAINT_TYPES.LENGTH) {
+        projectLength(solved, constraint, svgUnitsPerMm, isFixed);
+      } else if (constraint.type === CONSTRAINT_TYPES.ANGLE) {
+        projectAngle(solved, constraint, isPolygon, isFixed);
+      } else if (constraint.type === CONSTRAINT_TYPES.PARALLEL) {
+        projectParallel(solved, constraint, isFixed);
+      }
+    });
+  }
+
+  // Les projections ne manipulent que les coordonnées : conserver les attributs des sommets (arrondis...)
+  return {
+    points: solved.map((p, i) => ({ ...points[i], x: p.x, y: p.y })),
+    isSatisfied: isSatisfied(),
+  };
+};
+
+/**
+ * Libellé lisible d'une contrainte (numérotation à partir de 1, comme dans l'inspecteur)
+ * @param {Object} constraint - Contrainte
+ * @returns {string} Libellé (ex: "Segment 2 = 150 mm")
+ */
+export const describeConstraint = (constraint) => {
+  switch (constraint.type) {
+    case CONSTRAINT_TYPES.LENGTH:
+      return `Segment ${constraint.segmentIndex + 1} = ${constraint.valueMm} mm`;
+    case CONSTRAINT_TYPES.ANGLE:
+      return `Angle sommet ${constraint.vertexIndex + 1} = ${constraint.valueDeg}°`;
+    case CONSTRAINT_TYPES.PARALLEL:
+      return `Segment ${constraint.segmentIndex + 1} ∥ segment ${constraint.otherSegmentIndex + 1}`;
+    default:
+      return 'Contrainte inconnue';
+  }
+};
+
+/**
+ * Calcule les annotations de cote à afficher sur le canevas
+ * @param {Array} points - Points de la forme
+ * @param {Array} constraints - Contraintes de la forme
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Array} Annotations [{id, x, y, label, isSatisfied}]
+ */
+export const getConstraintAnnotations = (points, constraints, isPolygon, svgUnitsPerMm) => {
+  const n = points.length;
+  const annotations = [];
+
+  // Point au milieu d'un segment, décalé le long de sa normale
+  const segmentLabelPosition = (segmentIndex) => {
+    const [a, b] = segmentEnds(segmentIndex, n);
+    const middle = V.scale(V.add(points[a], points[b]), 0.5);
+    const normal = V.normalize(V.perpendicular(V.subtract(points[b], points[a])));
+    return V.add(middle, V.scale(normal, ANNOTATION_OFFSET));
+  };
+
+  (constraints || []).forEach((constraint) => {
+    if (!isConstraintApplicable(constraint, n, isPolygon)) return;
+    const tolerance = constraint.type === CONSTRAINT_TYPES.LENGTH ? LENGTH_TOLERANCE_MM : ANGLE_TOLERANCE_DEG;
+    const isSatisfied = getConstraintError(points, constraint, isPolygon, svgUnitsPerMm) <= tolerance * 10;
+
+    if (constraint.type === CONSTRAINT_TYPES.LENGTH) {
+      annotations.push({
+        id: constraint.id,
+        ...segmentLabelPosition(constraint.segmentIndex),
+        label: `${constraint.valueMm} mm`,
+        isSatisfied,
+      });
+    } else if (constraint.type === CONSTRAINT_TYPES.ANGLE) {
+      const vertex = points[constraint.vertexIndex];
+      annotations.push({
+        id: constraint.id,
+        x: vertex.x + ANNOTATION_OFFSET,
+        y: vertex.y - ANNOTATION_OFFSET,
+        label: `${constraint.valueDeg}°`,
+        isSatisfied,
+      });
+    } else if (constraint.type === CONSTRAINT_TYPES.PARALLEL) {
+      const label = `∥${constraint.segmentIndex + 1}-${constraint.otherSegmentIndex + 1}`;
+      [constraint.segmentIndex, constraint.otherSegmentIndex].forEach((segmentIndex) => {
+        annotations.push({
+          id: `${constraint.id}-${segmentIndex}`,
+          ...segmentLabelPosition(segmentIndex),
+          label,
+          isSatisfied,
+        });
+      });
+    }
+  });
+
+  return annotations;
+};
+
+/**
+ * Met à jour les index des contraintes après l'insertion d'un point au milieu d'un segment.
+ * La contrainte de longueur du segment coupé n'a plus de sens et est supprimée ;
+ * un parallélisme est conservé sur la première moitié du segment.
+ * @param {Array} constraints - Contraintes de la forme
+ * @param {number} segmentIndex - Index du segment coupé
+ * @returns {Array} Contraintes ré-indexées
+ */
+export const remapConstraintsAfterSplit = (constraints, segmentIndex) => {
+  const shiftSegment = (index) => (index > segmentIndex ? index + 1 : index);
+  return (constraints || [])
+    .filter(c => !(c.type === CONSTRAINT_TYPES.LENGTH && c.segmentIndex === segmentIndex))
+    .map((c) => {
+      if (c.type === CONSTRAINT_TYPES.ANGLE) {
+        return { ...c, vertexIndex: c.vertexIndex > segmentIndex ? c.vertexIndex + 1 : c.vertexIndex };
+      }
+      if (c.type === CONSTRAINT_TYPES.PARALLEL) {
+        return { ...c, segmentIndex: shiftSegment(c.segmentIndex), otherSegmentIndex: shiftSegment(c.otherSegmentIndex) };
+      }
+      return { ...c, segmentIndex: shiftSegment(c.segmentIndex) };
+    });
+};
+
+/**
+ * Met à jour les index des contraintes après le remplacement d'un sommet par plusieurs points
+ * (arrondi, transformation en angle). Les contraintes portant sur ce sommet ou sur la
+ * longueur de ses deux segments sont supprimées ; les parallélismes sont conservés.
+ * @param {Array} constraints - Contraintes de la forme
+ * @param {number} vertexIndex - Index du sommet remplacé
+ * @param {number} insertedCount - Nombre de points qui remplacent le sommet
+ * @param {number} pointCount - Nombre de points de la forme avant remplacement
+ * @returns {Array} Contraintes ré-indexées
+ */
+export const remapConstraintsAfterVertexReplace = (constraints, vertexIndex, insertedCount, pointCount) => {
+  const shift = insertedCount - 1;
+  const incomingSegment = (vertexIndex - 1 + pointCount) % pointCount;
+  const shiftIndex = (index) => (index >= vertexIndex ? index + shift : index);
+
+  return (constraints || [])
+    .filter(c => !(c.type === CONSTRAINT_TYPES.ANGLE && c.vertexIndex === vertexIndex))
+    .filter(c => !(c.type === CONSTRAINT_TYPES.LENGTH &&
+      (c.segmentIndex === vertexIndex || c.segmentIndex === incomingSegment)))
+    .map((c) => {
+      if (c.type === CONSTRAINT_TYPES.ANGLE) {
+        return { ...c, vertexIndex: shiftIndex(c.vertexIndex) };
+      }
+      if (c.type === CONSTRAINT_TYPES.PARALLEL) {
+        return { ...c, segmentIndex: shiftIndex(c.segmentIndex), otherSegmentIndex: shiftIndex(c.otherSegmentIndex) };
+      }
+      return { ...c, segmentIndex: shiftIndex(c.segmentIndex) };
+    });
+};
+
+/**
+ * Adapte les contraintes à une mise à l'échelle de la forme.
+ * Une échelle uniforme conserve les angles et multiplie les longueurs cotées ;
+ * une échelle non uniforme ne conserve que les parallélismes.
+ * @param {Array} constraints - Contraintes de la forme
+ * @param {number} scaleX - Facteur horizontal
+ * @param {number} scaleY - Facteur vertical
+ * @returns {Array} Contraintes adaptées
+ */
+export const scaleConstraints = (constraints, scaleX, scaleY) => {
+  if (Math.abs(scaleX - scaleY) > 1e-9) {
+    return (constraints || []).filter(c => c.type === CONSTRAINT_TYPES.PARALLEL);
+  }
+  return (constraints || []).map(c => (
+    c.type === CONSTRAINT_TYPES.LENGTH ? { ...c, valueMm: c.valueMm * Math.abs(scaleX) } : c
+  ));
+};
+
+/**
+ * Adapte les contraintes à une symétrie de la forme.
+ * Le miroir inverse le sens de parcours : l'angle orienté mesuré à chaque sommet devient
+ * son complément à 360°, longueurs et parallélismes sont conservés.
+ * @param {Array} constraints - Contraintes de la forme
+ * @returns {Array} Contraintes adaptées
+ */
+export const mirrorConstraints = (constraints) => (
+  (constraints || []).map(c => (
+    c.type === CONSTRAINT_TYPES.ANGLE ? { ...c, valueDeg: parseFloat((360 - c.valueDeg).toFixed(6)) } : c
+  ))
+);
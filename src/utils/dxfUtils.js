@@ -0,0 +1,365 @@
+import { V } from './vectorUtils';
+import { discretizeArc } from './shapeUtils';
+import { getBendPitchDiscretization } from './bendPitchUtils';
+import { DEFAULT_MACHINE_PROFILE } from '../constants/config';
+
+// Tolérance de raccordement des extrémités de LINE / ARC (en mm)
+const CHAIN_TOLERANCE_MM = 0.01;
+// Précision des coordonnées écrites dans le DXF (en mm)
+const DXF_DECIMALS = 4;
+
+// Facteur de conversion vers le mm selon $INSUNITS (mm par défaut)
+const INSUNITS_TO_MM = {
+  1: 25.4, // pouces
+  2: 304.8, // pieds
+  4: 1, // millimètres
+  5: 10, // centimètres
+  6: 1000, // mètres
+};
+
+const DEFAULT_SHAPE_STYLE = {
+  stroke: 'black',
+  strokeWidth: 2,
+};
+
+/**
+ * Découpe le contenu DXF en paires (code de groupe, valeur)
+ * @param {string} dxfContent - Contenu du fichier DXF
+ * @returns {Array} Paires [{code, value}]
+ */
+const readGroupPairs = (dxfContent) => {
+  const lines = dxfContent.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i].trim(), 10);
+    if (Number.isNaN(code)) continue;
+    pairs.push({ code, value: lines[i + 1].trim() });
+  }
+  return pairs;
+};
+
+/**
+ * Regroupe les paires de la section ENTITIES par entité et relit l'unité du dessin
+ * @param {Array} pairs - Paires (code, valeur)
+ * @returns {Object} { entities: [{type, pairs}], unitScale }
+ */
+const readEntities = (pairs) => {
+  const entities = [];
+  let unitScale = 1;
+  let section = null;
+  let current = null;
+
+  for (let i = 0; i < pairs.length; i++) {
+    const { code, value } = pairs[i];
+
+    if (code === 0 && value === 'SECTION') {
+      section = pairs[i + 1]?.code === 2 ? pairs[i + 1].value : null;
+      i++;
+      continue;
+    }
+    if (code === 0 && value === 'ENDSEC') {
+      section = null;
+      current = null;
+      continue;
+    }
+
+    if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+      const units = parseInt(pairs[i + 1]?.value, 10);
+      unitScale = INSUNITS_TO_MM[units] || 1;
+    } else if (section === 'ENTITIES') {
+      if (code === 0) {
+        current = { type: value, pairs: [] };
+        entities.push(current);
+      } else if (current) {
+        current.pairs.push({ code, value });
+      }
+    }
+  }
+
+  return { entities, unitScale };
+};
+
+/**
+ * Valeur numérique du premier groupe portant ce code
+ */
+const getNumber = (entityPairs, code, defaultValue = 0) => {
+  const pair = entityPairs.find(p => p.code === code);
+  return pair ? parseFloat(pair.value) : defaultValue;
+};
+
+/**
+ * Lit les sommets d'une LWPOLYLINE (10/20 = coordonnées, 42 = bulge du segment suivant)
+ */
+const readLwPolylineVertices = (entityPairs) => {
+  const vertices = [];
+  entityPairs.forEach(({ code, value }) => {
+    if (code === 10) {
+      vertices.push({ x: parseFloat(value), y: 0, bulge: 0 });
+    } else if (code === 20 && vertices.length > 0) {
+      vertices[vertices.length - 1].y = parseFloat(value);
+    } else if (code === 42 && vertices.length > 0) {
+      vertices[vertices.length - 1].bulge = parseFloat(value);
+    }
+  });
+  return vertices;
+};
+
+/**
+ * Nombre de segments pour discrétiser un arc au pas de pliage
+ * @param {number} radius - Rayon en unités du DXF
+ * @param {number} sweep - Balayage en radians
+ * @param {Object} arcPitch - { pitchMm, unitsPerMm } pas de pliage et unités du DXF par mm
+ */
+const arcSegmentCount = (radius, sweep, arcPitch) => (
+  getBendPitchDiscretization(radius, sweep, arcPitch.pitchMm, arcPitch.unitsPerMm).segmentCount
+);
+
+/**
+ * Convertit un segment à bulge (arc entre deux sommets) en points intermédiaires
+ * @param {Object} start - Sommet de départ {x, y} (repère DXF, Y vers le haut)
+ * @param {Object} end - Sommet d'arrivée {x, y}
+ * @param {number} bulge - Tangente du quart de l'angle de l'arc (positif = sens trigonométrique)
+ * @param {Object} arcPitch - Pas de pliage de la discrétisation
+ * @returns {Array} Points de l'arc, sans le point de départ
+ */
+const bulgeToPoints = (start, end, bulge, arcPitch) => {
+  const chord = V.subtract(end, start);
+  const chordLength = V.magnitude(chord);
+  if (chordLength === 0) return [end];
+
+  const sweep = 4 * Math.atan(bulge);
+  const middle = V.scale(V.add(start, end), 0.5);
+  // Le centre est sur la médiatrice de la corde, à gauche pour un arc trigonométrique de moins d'un demi-tour
+  const centerOffset = (chordLength / 2) * ((1 - bulge * bulge) / (2 * bulge));
+  const center = V.add(middle, V.scale(V.perpendicular(V.normalize(chord)), centerOffset));
+  const radius = V.distance(center, start);
+  const startAngle = V.angle(V.subtract(start, center));
+
+  const arcPoints = discretizeArc(center, radius, startAngle, sweep, arcSegmentCount(radius, sweep, arcPitch));
+  // Remplacer le dernier point calculé par le sommet exact
+  return [...arcPoints.slice(1, -1), end];
+};
+
+/**
+ * Convertit une suite de sommets à bulge en points
+ */
+const verticesToPoints = (vertices, isClosed, arcPitch) => {
+  const points = [];
+  vertices.forEach((vertex, index) => {
+    if (index === 0) points.push({ x: vertex.x, y: vertex.y });
+    const next = index + 1 < vertices.length ? vertices[index + 1] : (isClosed ? vertices[0] : null);
+    if (!next) return;
+    if (Math.abs(vertex.bulge) > 1e-9) {
+      points.push(...bulgeToPoints(vertex, next, vertex.bulge, arcPitch));
+    } else {
+      points.push({ x: next.x, y: next.y });
+    }
+  });
+  // Le point de fermeture est implicite pour une forme fermée
+  if (isClosed && points.length > 1) points.pop();
+  return points;
+};
+
+/**
+ * Supprime les points consécutifs confondus
+ */
+const removeDuplicatePoints = (points) => points.filter((p, i) => (
+  i === 0 || V.distance(p, points[i - 1]) > CHAIN_TOLERANCE_MM
+));
+
+/**
+ * Raccorde bout à bout les morceaux ouverts (LINE, ARC, polylignes ouvertes)
+ * @param {Array} pieces - Morceaux [[{x, y}, ...], ...] en mm
+ * @returns {Array} Tracés [{points, isClosed}]
+ */
+const chainPieces = (pieces) => {
+  const remaining = pieces.map(piece => [...piece]);
+  const paths = [];
+  const isSame = (a, b) => V.distance(a, b) <= CHAIN_TOLERANCE_MM;
+
+  while (remaining.length > 0) {
+    let path = remaining.shift();
+    let extended = true;
+
+    while (extended) {
+      extended = false;
+      for (let i = 0; i < remaining.length; i++) {
+        const piece = remaining[i];
+        const pathStart = path[0];
+        const pathEnd = path[path.length - 1];
+        const pieceStart = piece[0];
+        const pieceEnd = piece[piece.length - 1];
+
+        if (isSame(pathEnd, pieceStart)) {
+          path = [...path, ...piece.slice(1)];
+        } else if (isSame(pathEnd, pieceEnd)) {
+          path = [...path, ...[...piece].reverse().slice(1)];
+        } else if (isSame(pathStart, pieceEnd)) {
+          path = [...piece.slice(0, -1), ...path];
+        } else if (isSame(pathStart, pieceStart)) {
+          path = [...[...piece].reverse().slice(0, -1), ...path];
+        } else {
+          continue;
+        }
+        remaining.splice(i, 1);
+        extended = true;
+        break;
+      }
+    }
+
+    const isClosed = path.length > 3 && isSame(path[0], path[path.length - 1]);
+    paths.push({ points: isClosed ? path.slice(0, -1) : path, isClosed });
+  }
+
+  return paths;
+};
+
+/**
+ * Analyse un fichier DXF (LWPOLYLINE, POLYLINE, LINE, ARC, CIRCLE) et le convertit en formes de l'éditeur.
+ * Les LINE et ARC qui se touchent sont raccordées en polylignes ; les arcs et bulges sont
+ * discrétisés en segments. Le DXF a l'axe Y vers le haut : il est inversé pour le repère SVG.
+ * @param {string} dxfContent - Contenu du fichier DXF
+ * @param {number} svgUnitsPerMm - Ratio de conversion mm -> unités SVG
+ * @param {Object} [options] - Options de conversion
+ * @param {number} [options.bendPitchMm=DEFAULT_MACHINE_PROFILE.bendPitchMm] - Pas de pliage des arcs en mm
+ * @returns {Array} Liste des formes extraites (polygon, polyline, circle)
+ */
+export const parseDxfContent = (
+  dxfContent,
+  svgUnitsPerMm,
+  { bendPitchMm = DEFAULT_MACHINE_PROFILE.bendPitchMm } = {}
+) => {
+  const { entities, unitScale } = readEntities(readGroupPairs(dxfContent));
+  // Les arcs sont découpés dans l'unité du fichier, avant conversion
+  const arcPitch = { pitchMm: bendPitchMm, unitsPerMm: 1 / unitScale };
+  const closedPaths = [];
+  const openPieces = [];
+  const circles = [];
+
+  for (let i = 0; i < entities.length; i++) {
+    const { type, pairs } = entities[i];
+
+    if (type === 'LWPOLYLINE') {
+      const isClosed = (getNumber(pairs, 70) & 1) === 1;
+      const points = verticesToPoints(readLwPolylineVertices(pairs), isClosed, arcPitch);
+      if (isClosed) closedPaths.push(points);
+      else openPieces.push(points);
+    } else if (type === 'POLYLINE') {
+      // Ancien format : les sommets suivent dans des entités VERTEX jusqu'à SEQEND
+      const isClosed = (getNumber(pairs, 70) & 1) === 1;
+      const vertices = [];
+      while (entities[i + 1] && entities[i + 1].type === 'VERTEX') {
+        i++;
+        const vertexPairs = entities[i].pairs;
+        vertices.push({
+          x: getNumber(vertexPairs, 10),
+          y: getNumber(vertexPairs, 20),
+          bulge: getNumber(vertexPairs, 42),
+        });
+      }
+      const points = verticesToPoints(vertices, isClosed, arcPitch);
+      if (isClosed) closedPaths.push(points);
+      else openPieces.push(points);
+    } else if (type === 'LINE') {
+      openPieces.push([
+        { x: getNumber(pairs, 10), y: getNumber(pairs, 20) },
+        { x: getNumber(pairs, 11), y: getNumber(pairs, 21) },
+      ]);
+    } else if (type === 'ARC') {
+      const center = { x: getNumber(pairs, 10), y: getNumber(pairs, 20) };
+      const radius = getNumber(pairs, 40);
+      const startAngle = (getNumber(pairs, 50) * Math.PI) / 180;
+      let sweep = ((getNumber(pairs, 51) - getNumber(pairs, 50)) * Math.PI) / 180;
+      // Les arcs DXF tournent toujours dans le sens trigonométrique
+      while (sweep <= 0) sweep += 2 * Math.PI;
+      openPieces.push(discretizeArc(center, radius, startAngle, sweep, arcSegmentCount(radius, sweep, arcPitch)));
+    } else if (type === 'CIRCLE') {
+      circles.push({ center: { x: getNumber(pairs, 10), y: getNumber(pairs, 20) }, radius: getNumber(pairs, 40) });
+    }
+  }
+
+  // Conversion mm (Y vers le haut) -> unités SVG (Y vers le bas)
+  const scale = unitScale * svgUnitsPerMm;
+  const toSvg = (p) => ({ x: p.x * scale, y: -p.y * scale });
+  const shapes = [];
+
+  const paths = [
+    ...closedPaths.map(points => ({ points, isClosed: true })),
+    ...chainPieces(openPieces.map(removeDuplicatePoints)),
+  ];
+  paths.forEach(({ points, isClosed }) => {
+    const cleanPoints = removeDuplicatePoints(points);
+    const isPolygon = isClosed && cleanPoints.length >= 3;
+    if (cleanPoints.length < 2) return;
+    shapes.push({
+      id: `${isPolygon ? 'polygon' : 'polyline'}_dxf_${Date.now()}_${shapes.length}`,
+      type: isPolygon ? 'polygon' : 'polyline',
+      points: cleanPoints.map(toSvg),
+      fill: isPolygon ? 'rgba(0, 200, 100, 0.3)' : 'none',
+      ...DEFAULT_SHAPE_STYLE,
+    });
+  });
+
+  circles.forEach(({ center, radius }) => {
+    const svgCenter = toSvg(center);
+    shapes.push({
+      id: `circle_dxf_${Date.now()}_${shapes.length}`,
+      type: 'circle',
+      points: [svgCenter, { x: svgCenter.x + radius * scale, y: svgCenter.y }],
+      fill: 'rgba(0, 200, 100, 0.3)',
+      ...DEFAULT_SHAPE_STYLE,
+    });
+  });
+
+  return shapes;
+};
+
+/**
+ * Formate une coordonnée pour le DXF
+ */
+const formatDxfNumber = (value) => String(parseFloat(value.toFixed(DXF_DECIMALS)));
+
+/**
+ * Génère un fichier DXF (format R12, unités mm) à partir des formes de l'éditeur.
+ * Les polygones et polylignes sont écrits en POLYLINE, les cercles en CIRCLE ;
+ * l'axe Y est inversé pour revenir au repère DXF.
+ * @param {Array} shapes - Formes à exporter
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {string} Contenu du fichier DXF (chaîne vide si aucune forme exportable)
+ */
+export const generateDxfContent = (shapes, svgUnitsPerMm) => {
+  const toMm = (p) => ({ x: p.x / svgUnitsPerMm, y: -p.y / svgUnitsPerMm });
+  const entityLines = [];
+  const push = (...pairs) => {
+    for (let i = 0; i < pairs.length; i += 2) {
+      entityLines.push(String(pairs[i]), String(pairs[i + 1]));
+    }
+  };
+
+  (shapes || []).forEach((shape) => {
+    if ((shape.type === 'polygon' && shape.points.length >= 3) || (shape.type === 'polyline' && shape.points.length >= 2)) {
+      push(0, 'POLYLINE', 8, '0', 66, 1, 10, 0, 20, 0, 30, 0, 70, shape.type === 'polygon' ? 1 : 0);
+      shape.points.map(toMm).forEach((p) => {
+        push(0, 'VERTEX', 8, '0', 10, formatDxfNumber(p.x), 20, formatDxfNumber(p.y), 30, 0);
+      });
+      push(0, 'SEQEND', 8, '0');
+    } else if (shape.type === 'circle' && shape.points.length === 2) {
+      const center = toMm(shape.points[0]);
+      const radius = V.distance(shape.points[0], shape.points[1]) / svgUnitsPerMm;
+      push(0, 'CIRCLE', 8, '0', 10, formatDxfNumber(center.x), 20, formatDxfNumber(center.y), 30, 0, 40, formatDxfNumber(radius));
+    }
+  });
+
+  if (entityLines.length === 0) return '';
+
+  return [
+    '0', 'SECTION', '2', 'HEADER',
+    '9', '$ACADVER', '1', 'AC1009',
+    '9', '$INSUNITS', '70', '4',
+    '0', 'ENDSEC',
+    '0', 'SECTION', '2', 'ENTITIES',
+    ...entityLines,
+    '0', 'ENDSEC',
+    '0', 'EOF',
+  ].join('\n');
+};
@@ -0,0 +1,197 @@
+import { getCornerRoundingArc, getCompoundAngleArc, getChamferPoints, discretizeArc, getVertexAngle } from './shapeUtils';
+import { getBendPitchDiscretization } from './bendPitchUtils';
+
+// Arrondis paramétriques : le sommet garde sa position de coin vif et porte un attribut
+// point.fillet = { type, radiusMm | curvatureDeg, segmentCount? } (ou les dimensions d'un chanfrein).
+// L'arc n'est développé qu'à la demande (rendu, mesures, production), ce qui permet de modifier
+// le rayon ou de revenir au coin vif.
+
+export const FILLET_TYPES = {
+  ROUND: 'round', // Arc tangent aux deux segments, de rayon donné
+  COMPOUND: 'compound', // Arc centré sur le sommet (angle composé), de courbure donnée
+  CHAMFER: 'chamfer', // Coin coupé par un segment : deux plis à la place du sommet
+};
+
+export const FILLET_TYPE_LABELS = {
+  [FILLET_TYPES.ROUND]: 'Arrondi',
+  [FILLET_TYPES.COMPOUND]: 'Angle composé',
+  [FILLET_TYPES.CHAMFER]: 'Chanfrein',
+};
+
+// Cotation d'un chanfrein : { mode, distance1Mm, distance2Mm, angleDeg }, distance1Mm étant prise sur le
+// segment qui arrive au sommet, distance2Mm sur celui qui en part, angleDeg entre la coupe et l'arrivée
+export const CHAMFER_MODES = {
+  EQUAL: 'equal',
+  TWO_DISTANCES: 'twoDistances',
+  DISTANCE_ANGLE: 'distanceAngle',
+};
+
+export const CHAMFER_MODE_LABELS = {
+  [CHAMFER_MODES.EQUAL]: 'Distances égales',
+  [CHAMFER_MODES.TWO_DISTANCES]: 'Deux distances',
+  [CHAMFER_MODES.DISTANCE_ANGLE]: 'Distance et angle',
+};
+
+/**
+ * Points de la coupe d'un chanfrein paramétrique
+ * @param {Array} points - Points de contrôle de la forme (coins vifs)
+ * @param {number} vertexIndex - Index du sommet chanfreiné
+ * @param {Object} fillet - Chanfrein { type: CHAMFER, mode, distance1Mm, distance2Mm, angleDeg }
+ * @param {boolean} isPolygon - Forme fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Array|null} Les deux points de la coupe, ou null si le coin ne peut pas être chanfreiné
+ */
+export const getFilletChamferPoints = (points, vertexIndex, fillet, isPolygon, svgUnitsPerMm) => (
+  getChamferPoints(points, vertexIndex, {
+    distance1: fillet.distance1Mm * svgUnitsPerMm,
+    distance2: fillet.mode === CHAMFER_MODES.TWO_DISTANCES ? fillet.distance2Mm * svgUnitsPerMm : undefined,
+    angleDeg: fillet.mode === CHAMFER_MODES.DISTANCE_ANGLE ? fillet.angleDeg : undefined,
+  }, isPolygon)
+);
+
+/**
+ * Indique si un sommet peut porter un arrondi (pas aux extrémités d'une polyligne)
+ * @param {Array} points - Points de la forme
+ * @param {number} vertexIndex - Index du sommet
+ * @param {boolean} isPolygon - Forme fermée
+ * @returns {boolean}
+ */
+export const canFilletVertex = (points, vertexIndex, isPolygon) => (
+  points.length >= 3 && (isPolygon || (vertexIndex > 0 && vertexIndex < points.length - 1))
+);
+
+/**
+ * Arc d'un arrondi paramétrique, calculé sur les coins vifs de la forme
+ * @param {Array} points - Points de contrôle de la forme (coins vifs)
+ * @param {number} vertexIndex - Index du sommet arrondi
+ * @param {Object} fillet - Paramètres de l'arrondi
+ * @param {boolean} isPolygon - Forme fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Object|null} { center, radius, startAngle, sweep }, ou null si le coin ne peut pas être arrondi
+ *   (ou s'il s'agit d'un chanfrein, qui n'a pas d'arc)
+ */
+export const getFilletArc = (points, vertexIndex, fillet, isPolygon, svgUnitsPerMm) => {
+  if (!fillet || fillet.type === FILLET_TYPES.CHAMFER || !canFilletVertex(points, vertexIndex, isPolygon)) return null;
+  return fillet.type === FILLET_TYPES.COMPOUND
+    ? getCompoundAngleArc(points, fillet.curvatureDeg, vertexIndex, isPolygon)
+    : getCornerRoundingArc(points, fillet.radiusMm * svgUnitsPerMm, vertexIndex);
+};
+
+/**
+ * Indique si un arrondi ou un chanfrein peut être posé sur un sommet (coin non plat, dimensions compatibles)
+ * @param {Array} points - Points de contrôle de la forme (coins vifs)
+ * @param {number} vertexIndex - Index du sommet
+ * @param {Object} fillet - Paramètres de l'arrondi ou du chanfrein
+ * @param {boolean} isPolygon - Forme fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {boolean}
+ */
+export const canApplyFillet = (points, vertexIndex, fillet, isPolygon, svgUnitsPerMm) => (
+  fillet.type === FILLET_TYPES.CHAMFER
+    ? !!getFilletChamferPoints(points, vertexIndex, fillet, isPolygon, svgUnitsPerMm)
+    : !!getFilletArc(points, vertexIndex, fillet, isPolygon, svgUnitsPerMm)
+);
+
+/**
+ * Sommets d'une forme pouvant recevoir un arrondi, éventuellement limités aux coins les plus aigus
+ * @param {Array} points - Points de contrôle de la forme
+ * @param {boolean} isPolygon - Forme fermée
+ * @param {number} [maxAngleDeg=Infinity] - Seuls les coins d'angle intérieur inférieur sont retenus
+ * @returns {Array<number>} Index des sommets
+ */
+export const getFilletableVertexIndices = (points, isPolygon, maxAngleDeg = Infinity) => (
+  points.map((_, i) => i).filter((i) => {
+    if (!canFilletVertex(points, i, isPolygon)) return false;
+    const angleDeg = getVertexAngle(points, i, isPolygon);
+    return angleDeg !== null && angleDeg < maxAngleDeg;
+  })
+);
+
+/**
+ * Met à l'échelle les longueurs d'un arrondi ou d'un chanfrein (courbures et angles inchangés)
+ * @param {Object} fillet - Paramètres de l'arrondi ou du chanfrein
+ * @param {number} factor - Facteur d'échelle uniforme
+ * @returns {Object} Nouveaux paramètres
+ */
+export const scaleFilletDimensions = (fillet, factor) => {
+  const scaled = { ...fillet };
+  ['radiusMm', 'distance1Mm', 'distance2Mm'].forEach((key) => {
+    if (fillet[key]) scaled[key] = fillet[key] * factor;
+  });
+  return scaled;
+};
+
+// Un angle composé compte au moins deux segments, sinon le sommet serait remplacé par une corde
+const getMinSegments = (fillet) => (fillet.type === FILLET_TYPES.COMPOUND ? 2 : 1);
+
+/**
+ * Nombre de segments de l'arc d'un arrondi : celui imposé, sinon celui du pas de pliage
+ * @param {Object} arc - Arc de l'arrondi (getFilletArc)
+ * @param {Object} fillet - Paramètres de l'arrondi
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {number}
+ */
+export const getFilletSegmentCount = (arc, fillet, pitchMm, svgUnitsPerMm) => (
+  fillet.segmentCount > 0
+    ? Math.max(getMinSegments(fillet), Math.round(fillet.segmentCount))
+    : getBendPitchDiscretization(arc.radius, arc.sweep, pitchMm, svgUnitsPerMm, getMinSegments(fillet)).segmentCount
+);
+
+/**
+ * Points qui remplacent un sommet arrondi ou chanfreiné dans le tracé développé
+ * @param {Array} points - Points de contrôle (coins vifs)
+ * @param {number} vertexIndex - Index du sommet
+ * @param {Object} fillet - Paramètres de l'arrondi ou du chanfrein
+ * @param {boolean} isPolygon - Forme fermée
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Array|null} Points de l'arc discrétisé ou de la coupe, ou null si le sommet reste vif
+ */
+export const getFilletReplacementPoints = (points, vertexIndex, fillet, isPolygon, pitchMm, svgUnitsPerMm) => {
+  if (!fillet) return null;
+  if (fillet.type === FILLET_TYPES.CHAMFER) {
+    return getFilletChamferPoints(points, vertexIndex, fillet, isPolygon, svgUnitsPerMm);
+  }
+  const arc = getFilletArc(points, vertexIndex, fillet, isPolygon, svgUnitsPerMm);
+  if (!arc) return null;
+  const segmentCount = getFilletSegmentCount(arc, fillet, pitchMm, svgUnitsPerMm);
+  return discretizeArc(arc.center, arc.radius, arc.startAngle, arc.sweep, segmentCount);
+};
+
+/**
+ * Développe les arrondis paramétriques d'une liste de points en arcs discrétisés (et les chanfreins en leur coupe)
+ * @param {Array} points - Points de contrôle (coins vifs, certains avec un attribut fillet)
+ * @param {boolean} isPolygon - Forme fermée
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Array} Points développés (les points d'origine si aucun arrondi)
+ */
+export const expandFillets = (points, isPolygon, pitchMm, svgUnitsPerMm) => {
+  if (!points || !points.some(point => point.fillet)) return points;
+
+  return points.flatMap((point, i) => {
+    const { fillet, ...sharpPoint } = point;
+    return getFilletReplacementPoints(points, i, fillet, isPolygon, pitchMm, svgUnitsPerMm) ||
+      [fillet ? sharpPoint : point];
+  });
+};
+
+/**
+ * Forme dont les arrondis sont développés, pour le rendu, les mesures et la production.
+ * Les points de contrôle restent accessibles dans controlPoints (poignées des sommets).
+ * @param {Object} shape - Forme
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Object} La forme elle-même si elle n'a pas d'arrondi, sinon une copie développée
+ */
+export const expandShapeFillets = (shape, pitchMm, svgUnitsPerMm) => {
+  if ((shape.type !== 'polygon' && shape.type !== 'polyline') || !shape.points.some(point => point.fillet)) {
+    return shape;
+  }
+  return {
+    ...shape,
+    points: expandFillets(shape.points, shape.type === 'polygon', pitchMm, svgUnitsPerMm),
+    controlPoints: shape.points,
+  };
+};
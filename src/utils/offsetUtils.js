@@ -0,0 +1,178 @@
+import { V } from './vectorUtils';
+
+// Contours d'une bande d'épaisseur réelle : face intérieure, fibre neutre (mi-épaisseur) et face extérieure.
+// Le tracé d'une pièce représente l'un de ces contours (sa "référence de cote") ; les deux autres
+// s'en déduisent par décalage. Pour une polyligne, l'intérieur est le côté vers lequel elle tourne.
+
+export const CONTOUR_TYPES = {
+  INNER: 'inner',
+  NEUTRAL: 'neutral',
+  OUTER: 'outer',
+};
+
+// Libellés affichés dans l'inspecteur
+export const CONTOUR_TYPE_LABELS = {
+  [CONTOUR_TYPES.INNER]: 'Face intérieure',
+  [CONTOUR_TYPES.NEUTRAL]: 'Fibre neutre',
+  [CONTOUR_TYPES.OUTER]: 'Face extérieure',
+};
+
+// Raccord des contours décalés aux sommets où ils s'écartent du tracé
+export const OFFSET_JOINS = {
+  MITER: 'miter',
+  ROUND: 'round',
+};
+
+export const OFFSET_JOIN_LABELS = {
+  [OFFSET_JOINS.MITER]: 'Onglet',
+  [OFFSET_JOINS.ROUND]: 'Arrondi',
+};
+
+// Au-delà de ce rapport longueur d'onglet / décalage, l'onglet est chanfreiné (angles très aigus)
+const DEFAULT_MITER_LIMIT = 4;
+// Pas angulaire de discrétisation des raccords arrondis
+const ROUND_JOIN_STEP_DEG = 15;
+const EPSILON = 1e-9;
+
+/**
+ * Sens de parcours d'un tracé : 1 si l'intérieur est à gauche de V.perpendicular des segments
+ * (aire signée ou rotation cumulée positive en coordonnées SVG), -1 sinon
+ * @param {Array} points - Points {x, y}
+ * @param {boolean} isPolygon - Tracé fermé
+ * @returns {number} 1 ou -1
+ */
+const getWindingSign = (points, isPolygon) => {
+  let sum = 0;
+  if (isPolygon) {
+    points.forEach((p, i) => {
+      sum += V.cross(p, points[(i + 1) % points.length]);
+    });
+  } else {
+    for (let i = 1; i < points.length - 1; i++) {
+      const incoming = V.subtract(points[i], points[i - 1]);
+      const outgoing = V.subtract(points[i + 1], points[i]);
+      sum += Math.atan2(V.cross(incoming, outgoing), V.dot(incoming, outgoing));
+    }
+  }
+  return sum < 0 ? -1 : 1;
+};
+
+/**
+ * Points de l'arc de raccord autour d'un sommet, entre deux normales unitaires (arc le plus court)
+ */
+const buildRoundJoin = (center, fromNormal, toNormal, distance) => {
+  const sweep = Math.atan2(V.cross(fromNormal, toNormal), V.dot(fromNormal, toNormal));
+  const steps = Math.max(1, Math.ceil(Math.abs(sweep) / (ROUND_JOIN_STEP_DEG * Math.PI / 180)));
+  return Array.from({ length: steps + 1 }, (_, i) => (
+    V.add(center, V.scale(V.rotate(fromNormal, (sweep * i) / steps), distance))
+  ));
+};
+
+/**
+ * Décale un tracé d'une distance vers l'extérieur (distance positive) ou l'intérieur (négative).
+ * Là où les segments décalés se recouvrent, ils sont coupés à leur intersection ; là où ils
+ * s'écartent, ils sont raccordés en onglet (chanfreiné au-delà de la limite) ou en arrondi.
+ * @param {Array} points - Points {x, y} (unités SVG)
+ * @param {boolean} isPolygon - Tracé fermé
+ * @param {number} distance - Décalage (unités SVG)
+ * @param {Object} [options] - Options du décalage
+ * @param {string} [options.join] - Raccord (OFFSET_JOINS), onglet par défaut
+ * @param {number} [options.miterLimit] - Rapport maximal longueur d'onglet / décalage
+ * @returns {Array} Points du contour décalé ; avec un onglet sans limite, un point par sommet
+ *   (les autres propriétés des sommets sont conservées)
+ */
+export const offsetPath = (points, isPolygon, distance, {
+  join = OFFSET_JOINS.MITER,
+  miterLimit = DEFAULT_MITER_LIMIT,
+} = {}) => {
+  if (!points || points.length < 2 || Math.abs(distance) < EPSILON) return points;
+
+  const n = points.length;
+  const outwardSign = -getWindingSign(points, isPolygon);
+  const segmentCount = isPolygon ? n : n - 1;
+  // Normale extérieure unitaire de chaque segment (nulle pour un segment dégénéré)
+  const normals = Array.from({ length: segmentCount }, (_, i) => (
+    V.scale(V.normalize(V.perpendicular(V.subtract(points[(i + 1) % n], points[i]))), outwardSign)
+  ));
+
+  const result = [];
+  points.forEach((point, i) => {
+    const hasPrev = isPolygon || i > 0;
+    const hasNext = isPolygon || i < n - 1;
+    const prevNormal = hasPrev ? normals[(i - 1 + segmentCount) % segmentCount] : null;
+    const nextNormal = hasNext ? normals[i % segmentCount] : null;
+
+    if (!prevNormal || !nextNormal) {
+      // Extrémité d'une polyligne : décalage perpendiculaire au seul segment
+      result.push({ ...point, ...V.add(point, V.scale(prevNormal || nextNormal, distance)) });
+      return;
+    }
+
+    const cosine = V.dot(prevNormal, nextNormal);
+    if (cosine > 1 - EPSILON) {
+      // Sommet aligné
+      result.push({ ...point, ...V.add(point, V.scale(prevNormal, distance)) });
+      return;
+    }
+
+    // Les segments décalés s'écartent quand le décalage part à l'opposé du segment suivant
+    const nextDirection = V.subtract(points[(i + 1) % n], point);
+    const isGap = V.dot(V.scale(prevNormal, distance), nextDirection) < 0;
+    const isReversal = cosine <= -1 + EPSILON;
+    const miterFactor = isReversal ? Infinity : 1 / (1 + cosine); // Onglet = |décalage| / cos(demi-angle)
+
+    if (isGap && join === OFFSET_JOINS.ROUND) {
+      result.push(...buildRoundJoin(point, prevNormal, nextNormal, distance));
+    } else if (isReversal || (isGap && Math.sqrt(2 * miterFactor) > miterLimit)) {
+      // Demi-tour ou onglet trop long : les deux segments décalés sont reliés par un chanfrein
+      result.push(
+        V.add(point, V.scale(prevNormal, distance)),
+        V.add(point, V.scale(nextNormal, distance))
+      );
+    } else {
+      // Intersection des deux segments décalés (onglet ou coupe côté intérieur)
+      const miter = V.scale(V.add(prevNormal, nextNormal), distance * miterFactor);
+      result.push({ ...point, ...V.add(point, miter) });
+    }
+  });
+
+  return result;
+};
+
+// Position de chaque contour par rapport à la face intérieure, en épaisseurs
+const CONTOUR_DEPTH = {
+  [CONTOUR_TYPES.INNER]: 0,
+  [CONTOUR_TYPES.NEUTRAL]: 0.5,
+  [CONTOUR_TYPES.OUTER]: 1,
+};
+
+/**
+ * Contour de la bande d'un type donné, déduit du tracé et de sa référence de cote
+ * @param {Array} points - Points du tracé (unités SVG)
+ * @param {boolean} isPolygon - Tracé fermé
+ * @param {number} thickness - Épaisseur de la bande (unités SVG)
+ * @param {string} reference - Contour représenté par le tracé (CONTOUR_TYPES)
+ * @param {string} contourType - Contour demandé (CONTOUR_TYPES)
+ * @param {Object} [options] - Options de offsetPath (raccord, limite d'onglet)
+ * @returns {Array} Points du contour
+ */
+export const getContourPoints = (points, isPolygon, thickness, reference, contourType, options) => {
+  const depthDelta = CONTOUR_DEPTH[contourType] - (CONTOUR_DEPTH[reference] ?? CONTOUR_DEPTH[CONTOUR_TYPES.NEUTRAL]);
+  return offsetPath(points, isPolygon, depthDelta * thickness, options);
+};
+
+/**
+ * Fibre neutre d'une pièce : base des longueurs développées et de la séquence de production.
+ * Le décalage se fait en onglet sans limite pour garder un point (un pli) par sommet du tracé.
+ * @param {Object} shape - Pièce (polygon / polyline), référence de cote dans shape.contourReference
+ * @param {number} thickness - Épaisseur de la bande (unités SVG)
+ * @returns {Array} Points de la fibre neutre (ceux du tracé si la référence est la fibre neutre)
+ */
+export const getNeutralAxisPoints = (shape, thickness) => {
+  const reference = shape.contourReference || CONTOUR_TYPES.NEUTRAL;
+  if (reference === CONTOUR_TYPES.NEUTRAL || !(thickness > 0)) return shape.points;
+  return getContourPoints(shape.points, shape.type === 'polygon', thickness, reference, CONTOUR_TYPES.NEUTRAL, {
+    join: OFFSET_JOINS.MITER,
+    miterLimit: Infinity,
+  });
+};
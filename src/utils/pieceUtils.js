@@ -0,0 +1,65 @@
+// Utilitaires de l'espace de travail multi-pièces (pièces nommées réparties sur des calques)
+
+/**
+ * Indique si une forme est une pièce de production (contour polygone ou polyligne)
+ * @param {Object} shape - Forme
+ * @returns {boolean}
+ */
+export const isPiece = (shape) => shape.type === 'polygon' || shape.type === 'polyline';
+
+/**
+ * Liste les pièces de l'espace de travail
+ * @param {Array} shapes - Formes
+ * @returns {Array} Pièces, dans l'ordre de création
+ */
+export const getPieces = (shapes) => shapes.filter(isPiece);
+
+/**
+ * Nom affiché d'une pièce (les pièces sans nom sont numérotées selon leur rang)
+ * @param {Object} piece - Pièce
+ * @param {Array} shapes - Formes de l'espace de travail
+ * @returns {string}
+ */
+export const getPieceName = (piece, shapes) => (
+  piece.name || `Pièce ${getPieces(shapes).findIndex(p => p.id === piece.id) + 1}`
+);
+
+/**
+ * Propose un nom pour une nouvelle pièce ("Pièce N", N non encore utilisé)
+ * @param {Array} shapes - Formes de l'espace de travail
+ * @returns {string}
+ */
+export const getNextPieceName = (shapes) => {
+  const usedNames = new Set(getPieces(shapes).map(piece => getPieceName(piece, shapes)));
+  let index = getPieces(shapes).length + 1;
+  while (usedNames.has(`Pièce ${index}`)) index++;
+  return `Pièce ${index}`;
+};
+
+/**
+ * Calque d'une forme (le premier calque pour une forme sans calque ou d'un calque supprimé)
+ * @param {Object} shape - Forme
+ * @param {Array} layers - Calques
+ * @returns {Object} Calque
+ */
+export const getShapeLayer = (shape, layers) => (
+  layers.find(layer => layer.id === shape.layerId) || layers[0]
+);
+
+/**
+ * Indique si une forme est affichée (ni elle ni son calque ne sont masqués)
+ * @param {Object} shape - Forme
+ * @param {Array} layers - Calques
+ * @returns {boolean}
+ */
+export const isShapeVisible = (shape, layers) => !shape.hidden && getShapeLayer(shape, layers).visible;
+
+/**
+ * Indique si une forme peut être modifiée (affichée, ni elle ni son calque ne sont verrouillés)
+ * @param {Object} shape - Forme
+ * @param {Array} layers - Calques
+ * @returns {boolean}
+ */
+export const isShapeEditable = (shape, layers) => (
+  isShapeVisible(shape, layers) && !shape.locked && !getShapeLayer(shape, layers).locked
+);
@@ -0,0 +1,60 @@
+import { V } from './vectorUtils';
+
+// Dessin en coordonnées polaires : les angles sont en degrés, comptés dans le sens trigonométrique
+// à partir de l'axe X (vers la droite), comme sur un plan — l'axe Y du SVG pointe vers le bas.
+
+/**
+ * Angle du segment origine -> point
+ * @param {Object} origin - Origine du segment {x, y}
+ * @param {Object} point - Extrémité du segment {x, y}
+ * @returns {number} Angle en degrés dans [0, 360)
+ */
+export const getPolarAngleDeg = (origin, point) => {
+  const angleDeg = (Math.atan2(origin.y - point.y, point.x - origin.x) * 180) / Math.PI;
+  return (angleDeg + 360) % 360;
+};
+
+/**
+ * Point situé à une distance et un angle donnés d'une origine
+ * @param {Object} origin - Origine {x, y}
+ * @param {number} length - Distance (unités SVG)
+ * @param {number} angleDeg - Angle en degrés (sens trigonométrique)
+ * @returns {Object} Point {x, y}
+ */
+export const pointAtPolar = (origin, length, angleDeg) => {
+  const angleRad = (angleDeg * Math.PI) / 180;
+  // Supprimer le bruit numérique sur les axes (cos 90° ≈ 6e-17) pour garder des coordonnées exactes
+  const cleanUnit = (value) => (Math.abs(value) < 1e-12 ? 0 : value);
+  return {
+    x: origin.x + length * cleanUnit(Math.cos(angleRad)),
+    y: origin.y - length * cleanUnit(Math.sin(angleRad)),
+  };
+};
+
+/**
+ * Contraint un point sur la direction la plus proche multiple d'un incrément d'angle
+ * (90° pour le mode orthogonal). Le point est projeté sur cette direction.
+ * @param {Object} origin - Dernier point placé {x, y}
+ * @param {Object} point - Position du curseur {x, y}
+ * @param {number} incrementDeg - Incrément d'angle en degrés
+ * @returns {Object} Point contraint {x, y}
+ */
+export const snapToPolarIncrement = (origin, point, incrementDeg) => {
+  if (!(incrementDeg > 0) || V.distance(origin, point) === 0) return point;
+  const snappedAngleDeg = Math.round(getPolarAngleDeg(origin, point) / incrementDeg) * incrementDeg;
+  const direction = pointAtPolar({ x: 0, y: 0 }, 1, snappedAngleDeg);
+  const length = Math.max(0, V.dot(V.subtract(point, origin), direction));
+  return pointAtPolar(origin, length, snappedAngleDeg);
+};
+
+/**
+ * Longueur (mm) et angle (°) du segment en cours de tracé
+ * @param {Object} origin - Dernier point placé {x, y}
+ * @param {Object} point - Point prévisualisé {x, y}
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Object} { lengthMm, angleDeg }
+ */
+export const getPolarReadout = (origin, point, svgUnitsPerMm) => ({
+  lengthMm: V.distance(origin, point) / svgUnitsPerMm,
+  angleDeg: getPolarAngleDeg(origin, point),
+});
@@ -0,0 +1,314 @@
+import { V } from './vectorUtils';
+import { getSpringbackOverbend } from './springbackUtils';
+
+// Actions reconnues par la machine de pliage (même format que public/etape-test.json)
+export const SEQUENCE_ACTIONS = {
+  BEND: 'PLIER',
+  FEED: 'AVANCER',
+  MOVE: 'SE_DÉPLACER',
+  CUT: 'COUPER',
+};
+
+// Précision des valeurs émises, alignée sur la sortie du backend
+const FEED_DECIMALS = 3;
+const BEND_DECIMALS = 2;
+// En dessous de ces seuils, l'étape est ignorée (segment nul ou pli sans effet)
+const MIN_FEED_MM = 0.001;
+const MIN_BEND_DEG = 0.005;
+// Relecture : écart admis entre le début et la fin d'un tracé fermé. Les valeurs arrondies de chaque
+// étape s'accumulent, d'où une marge par étape au-delà d'un plancher
+const CLOSE_TOLERANCE_MM = 0.5;
+const CLOSE_TOLERANCE_PER_STEP_MM = 0.01;
+
+const roundTo = (value, decimals) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Ramène un angle en degrés dans l'intervalle ]-180, 180]
+ * @param {number} angleDeg - Angle en degrés
+ * @returns {number} Angle normalisé
+ */
+export const normalizeAngleDeg = (angleDeg) => {
+  let angle = angleDeg % 360;
+  if (angle > 180) angle -= 360;
+  if (angle <= -180) angle += 360;
+  return angle;
+};
+
+/**
+ * Cap (en degrés) du vecteur allant de p1 à p2, dans le repère SVG (Y vers le bas).
+ * Un cap positif correspond donc à une rotation horaire à l'écran, comme PLIER.
+ * @param {Object} p1 - Point de départ {x, y}
+ * @param {Object} p2 - Point d'arrivée {x, y}
+ * @returns {number} Cap en degrés
+ */
+const headingDeg = (p1, p2) => (V.angle(V.subtract(p2, p1)) * 180) / Math.PI;
+
+/**
+ * Génère la séquence de pliage d'une forme (polygone ou polyligne).
+ * La tête part de l'origine avec un cap de 0°, se déplace sans tracer jusqu'au
+ * premier point puis enchaîne AVANCER / PLIER pour chaque segment, et termine par COUPER.
+ * Avec la longueur développée de la bande, chaque AVANCER avance la matière réellement consommée
+ * (plis arrondis) et garde la longueur à arête vive en valeurNominale, pour la relecture.
+ * @param {Array} points - Points de la forme en unités SVG [{x, y}, ...]
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Object} [machineOptions] - Réglages issus du profil machine
+ * @param {number} [machineOptions.springbackDeg=0] - Surpliage ajouté à chaque pli (hors orientation initiale)
+ * @param {Array} [machineOptions.springbackCurve] - Courbe de compensation du matériau [{angleDeg, overbendDeg}]
+ * @param {number} [machineOptions.bladeOffsetMm=0] - Avance supplémentaire pour amener la fin de pièce sous la lame
+ * @param {Object} [machineOptions.developedLength] - Résultat de calculateDevelopedLength sur les mêmes points
+ * @returns {Array} Séquence d'actions [{action, valeur, valeurNominale?}, ...]
+ */
+export const generateBendingSequence = (
+  points,
+  isPolygon,
+  svgUnitsPerMm,
+  { springbackDeg = 0, springbackCurve = [], bladeOffsetMm = 0, developedLength = null } = {}
+) => {
+  if (!points || points.length < 2) return [];
+
+  const conversionFactor = svgUnitsPerMm > 0 ? 1 / svgUnitsPerMm : 1;
+  const pointsMm = points.map(p => V.scale(p, conversionFactor));
+
+  // Construire la liste des segments en ignorant les segments de longueur nulle
+  const path = isPolygon && pointsMm.length > 2 ? [...pointsMm, pointsMm[0]] : pointsMm;
+  const segments = [];
+  for (let i = 0; i < path.length - 1; i++) {
+    const length = V.distance(path[i], path[i + 1]);
+    if (length < MIN_FEED_MM) continue;
+    segments.push({ index: i, length, heading: headingDeg(path[i], path[i + 1]) });
+  }
+  if (segments.length === 0) return [];
+
+  const sequence = [];
+  let currentHeading = 0;
+  let hasFed = false;
+
+  const pushBend = (targetHeading) => {
+    const turn = normalizeAngleDeg(targetHeading - currentHeading);
+    currentHeading = targetHeading;
+    if (Math.abs(turn) < MIN_BEND_DEG) return;
+    // Seuls les vrais plis (après la première avance) sont compensés
+    const overbend = hasFed ? springbackDeg + getSpringbackOverbend(springbackCurve, turn) : 0;
+    const step = { action: SEQUENCE_ACTIONS.BEND, valeur: roundTo(turn + Math.sign(turn) * overbend, BEND_DECIMALS) };
+    if (overbend !== 0) {
+      step.valeurNominale = roundTo(turn, BEND_DECIMALS);
+    }
+    sequence.push(step);
+  };
+
+  // Positionnement initial : de l'origine jusqu'au premier point, sans tracer
+  const start = pointsMm[0];
+  const distanceToStart = V.magnitude(start);
+  if (distanceToStart >= MIN_FEED_MM) {
+    pushBend(headingDeg({ x: 0, y: 0 }, start));
+    sequence.push({ action: SEQUENCE_ACTIONS.MOVE, valeur: roundTo(distanceToStart, FEED_DECIMALS) });
+  }
+
+  segments.forEach((segment) => {
+    pushBend(segment.heading);
+    const developedSegment = developedLength && developedLength.segments[segment.index];
+    const step = {
+      action: SEQUENCE_ACTIONS.FEED,
+      valeur: roundTo(developedSegment ? developedSegment.feedLengthMm : segment.length, FEED_DECIMALS),
+    };
+    if (developedSegment && step.valeur !== roundTo(segment.length, FEED_DECIMALS)) {
+      step.valeurNominale = roundTo(segment.length, FEED_DECIMALS);
+    }
+    sequence.push(step);
+    hasFed = true;
+  });
+
+  if (bladeOffsetMm > 0) {
+    sequence.push({ action: SEQUENCE_ACTIONS.FEED, valeur: roundTo(bladeOffsetMm, FEED_DECIMALS) });
+  }
+  sequence.push({ action: SEQUENCE_ACTIONS.CUT });
+  return sequence;
+};
+
+/**
+ * Retire l'avance qui amène la fin de pièce sous la lame (dernier AVANCER, juste après un autre
+ * AVANCER et avant COUPER, de la valeur du décalage lame) : elle ne fait pas partie du tracé
+ * @param {Array} sequence - Séquence d'actions
+ * @param {number} bladeOffsetMm - Décalage lame du profil machine
+ * @returns {Array} Séquence sans l'avance de coupe
+ */
+const stripBladeOffsetFeed = (sequence, bladeOffsetMm) => {
+  if (!(bladeOffsetMm > 0)) return sequence;
+  let lastIndex = sequence.length - 1;
+  while (lastIndex >= 0 && sequence[lastIndex].action === SEQUENCE_ACTIONS.CUT) lastIndex--;
+  const last = sequence[lastIndex];
+  const previous = sequence[lastIndex - 1];
+  const isBladeOffsetFeed = last && previous &&
+    last.action === SEQUENCE_ACTIONS.FEED && previous.action === SEQUENCE_ACTIONS.FEED &&
+    Math.abs((Number(last.valeur) || 0) - bladeOffsetMm) <= Math.pow(10, -FEED_DECIMALS);
+  return isBladeOffsetFeed ? [...sequence.slice(0, lastIndex), ...sequence.slice(lastIndex + 1)] : sequence;
+};
+
+/**
+ * Reconstruit le tracé d'une séquence de pliage (opération inverse de generateBendingSequence).
+ * Même sémantique « tortue » que la relecture : départ de l'origine avec un cap de 0°,
+ * PLIER tourne la tête (angle nominal si la séquence est compensée), AVANCER trace (à arête vive
+ * si la séquence avance la longueur développée),
+ * SE_DÉPLACER déplace sans tracer et démarre un nouveau tracé.
+ * @param {Array} sequence - Séquence d'actions [{action, valeur}, ...]
+ * @param {number} svgUnitsPerMm - Ratio de conversion mm -> unités SVG
+ * @param {Object} [machineOptions] - Réglages issus du profil machine
+ * @param {number} [machineOptions.bladeOffsetMm=0] - Avance finale vers la lame, retirée du tracé
+ * @param {number} [machineOptions.minSegmentLengthMm] - Segment minimal : un écart de fermeture plus long
+ *   est un vrai segment, le tracé reste ouvert
+ * @returns {Object} { points, isClosed, pathCount } - Tracé le plus long en unités SVG,
+ *   s'il revient à son point de départ, et nombre de tracés trouvés dans la séquence
+ */
+export const sequenceToPoints = (sequence, svgUnitsPerMm, { bladeOffsetMm = 0, minSegmentLengthMm } = {}) => {
+  const steps = stripBladeOffsetFeed(sequence || [], bladeOffsetMm);
+  const scale = svgUnitsPerMm > 0 ? svgUnitsPerMm : 1;
+  const paths = [];
+  let position = { x: 0, y: 0 };
+  let heading = 0;
+  let currentPath = null;
+  // Cap du dernier segment tracé, pour fusionner les AVANCER successifs sans pli
+  let lastFeedHeading = null;
+
+  steps.forEach((step) => {
+    const valeur = Number(step.valeurNominale ?? step.valeur) || 0;
+    switch (step.action) {
+      case SEQUENCE_ACTIONS.BEND:
+        heading += valeur;
+        break;
+      case SEQUENCE_ACTIONS.MOVE:
+      case SEQUENCE_ACTIONS.FEED: {
+        const angleRad = (heading * Math.PI) / 180;
+        position = {
+          x: position.x + Math.cos(angleRad) * valeur,
+          y: position.y + Math.sin(angleRad) * valeur,
+        };
+        if (step.action === SEQUENCE_ACTIONS.MOVE) {
+          currentPath = null;
+          lastFeedHeading = null;
+          break;
+        }
+        if (valeur < MIN_FEED_MM) break;
+        if (!currentPath) {
+          const angleBack = angleRad + Math.PI;
+          currentPath = [{
+            x: position.x + Math.cos(angleBack) * valeur,
+            y: position.y + Math.sin(angleBack) * valeur,
+          }];
+          paths.push(currentPath);
+        }
+        if (lastFeedHeading === heading && currentPath.length > 1) {
+          currentPath[currentPath.length - 1] = position;
+        } else {
+          currentPath.push(position);
+        }
+        lastFeedHeading = heading;
+        break;
+      }
+      default:
+        break;
+    }
+  });
+
+  if (paths.length === 0) return { points: [], isClosed: false, pathCount: 0 };
+
+  const pathLength = (path) => path.reduce((sum, p, i) => (i > 0 ? sum + V.distance(path[i - 1], p) : sum), 0);
+  const longestPath = paths.reduce((best, path) => (pathLength(path) > pathLength(best) ? path : best));
+
+  // Un tracé qui revient à son point de départ, aux arrondis des étapes près, est un polygone :
+  // le dernier point est retiré
+  let closeToleranceMm = Math.max(CLOSE_TOLERANCE_MM, steps.length * CLOSE_TOLERANCE_PER_STEP_MM);
+  if (minSegmentLengthMm > 0) closeToleranceMm = Math.min(closeToleranceMm, minSegmentLengthMm);
+  const isClosed = longestPath.length > 3 &&
+    V.distance(longestPath[0], longestPath[longestPath.length - 1]) < closeToleranceMm;
+  const points = (isClosed ? longestPath.slice(0, -1) : longestPath).map(p => ({
+    x: roundTo(p.x * scale, FEED_DECIMALS),
+    y: roundTo(p.y * scale, FEED_DECIMALS),
+  }));
+
+  return { points, isClosed, pathCount: paths.length };
+};
+
+/**
+ * Formate la valeur d'une étape avec son unité.
+ * Pour un PLIER compensé, l'angle nominal est indiqué à côté de l'angle commandé ; pour un AVANCER
+ * développé, la longueur à arête vive à côté de la longueur avancée.
+ * @param {Object} step - Étape de la séquence {action, valeur, valeurNominale?}
+ * @returns {string} Valeur formatée (ex: "93.5° (nominal 90°)", "119.03 mm (arête vive 120 mm)")
+ */
+export const formatStepValue = (step) => {
+  if (!step || step.valeur === undefined) return '—';
+  if (step.action !== SEQUENCE_ACTIONS.BEND) {
+    return step.valeurNominale !== undefined
+      ? `${step.valeur} mm (arête vive ${step.valeurNominale} mm)`
+      : `${step.valeur} mm`;
+  }
+  return step.valeurNominale !== undefined
+    ? `${step.valeur}° (nominal ${step.valeurNominale}°)`
+    : `${step.valeur}°`;
+};
+
+/**
+ * Résume une séquence : nombre de plis, longueur tracée et longueur cumulée par étape.
+ * @param {Array} sequence - Séquence d'actions [{action, valeur}, ...]
+ * @returns {Object} { steps: [{action, valeur, cumulativeLengthMm}], bendCount, totalLengthMm }
+ */
+export const summarizeSequence = (sequence) => {
+  let cumulativeLengthMm = 0;
+  let bendCount = 0;
+  let hasFed = false;
+
+  const steps = (sequence || []).map((step) => {
+    if (step.action === SEQUENCE_ACTIONS.FEED) {
+      cumulativeLengthMm += step.valeur || 0;
+      hasFed = true;
+    } else if (step.action === SEQUENCE_ACTIONS.BEND && hasFed) {
+      // Les PLIER précédant la première avance ne font qu'orienter la tête
+      bendCount++;
+    }
+    return { ...step, cumulativeLengthMm: roundTo(cumulativeLengthMm, FEED_DECIMALS) };
+  });
+
+  return { steps, bendCount, totalLengthMm: roundTo(cumulativeLengthMm, FEED_DECIMALS) };
+};
+
+/**
+ * Compare deux séquences étape par étape (ex. séquence locale vs séquence du backend).
+ * @param {Array} expected - Séquence de référence
+ * @param {Array} actual - Séquence à vérifier
+ * @param {Object} [tolerances] - Tolérances de comparaison
+ * @param {number} [tolerances.feedToleranceMm=0.05] - Écart admis sur AVANCER / SE_DÉPLACER
+ * @param {number} [tolerances.bendToleranceDeg=0.1] - Écart admis sur PLIER
+ * @returns {Array} Liste des écarts [{index, expected, actual, reason}] (vide si identiques)
+ */
+export const compareSequences = (expected, actual, { feedToleranceMm = 0.05, bendToleranceDeg = 0.1 } = {}) => {
+  const differences = [];
+  const length = Math.max(expected?.length || 0, actual?.length || 0);
+
+  for (let i = 0; i < length; i++) {
+    const a = expected?.[i];
+    const b = actual?.[i];
+    if (!a || !b) {
+      differences.push({ index: i, expected: a || null, actual: b || null, reason: 'Étape manquante' });
+      continue;
+    }
+    if (a.action !== b.action) {
+      differences.push({ index: i, expected: a, actual: b, reason: 'Action différente' });
+      continue;
+    }
+    if (a.action === SEQUENCE_ACTIONS.CUT) continue;
+
+    const tolerance = a.action === SEQUENCE_ACTIONS.BEND ? bendToleranceDeg : feedToleranceMm;
+    const delta = a.action === SEQUENCE_ACTIONS.BEND
+      ? normalizeAngleDeg((b.valeur || 0) - (a.valeur || 0))
+      : (b.valeur || 0) - (a.valeur || 0);
+    if (Math.abs(delta) > tolerance) {
+      differences.push({ index: i, expected: a, actual: b, reason: `Écart de ${roundTo(delta, 3)}` });
+    }
+  }
+
+  return differences;
+};
@@ -1,5 +1,6 @@
 import { V } from './vectorUtils';
 import { MIN_ANGLE_FOR_PRODUCTION } from '../constants/config';
+import { getBendPitchDiscretization } from './bendPitchUtils';
 
 /**
  * Calcule la distance d'un point à un segment (pour la détection de clic sur un segment)
@@ -132,30 +133,62 @@ export const createSquarePoints = (startPoint, endPoint) => {
 };
 
 /**
- * Crée un cercle approximé par un polygone
+ * Crée un cercle approximé par un polygone dont les côtés suivent le pas de pliage
  * @param {Object} centerPoint - Centre du cercle {x, y}
- * @param {number} radius - Rayon du cercle
- * @param {number} numSegments - Nombre de segments pour approximer le cercle
+ * @param {number} radius - Rayon du cercle (unités SVG)
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
  * @returns {Array} Points du cercle
  */
-export const createCirclePoints = (centerPoint, radius, numSegments = 24) => {
-  const points = [];
-  for (let i = 0; i < numSegments; i++) {
-    const angle = (i / numSegments) * 2 * Math.PI;
-    points.push({
-      x: centerPoint.x + radius * Math.cos(angle),
-      y: centerPoint.y + radius * Math.sin(angle),
-    });
+export const createCirclePoints = (centerPoint, radius, pitchMm, svgUnitsPerMm) => {
+  // Au moins un triangle pour rester un polygone
+  return discretizeArcByPitch(centerPoint, radius, 0, 2 * Math.PI, pitchMm, svgUnitsPerMm, 3).slice(0, -1);
+};
+
+/**
+ * Calcule l'angle intérieur (0-360°) au sommet curr, formé par les segments prev-curr et curr-next
+ * @param {Object} prev - Sommet précédent {x, y}
+ * @param {Object} curr - Sommet considéré {x, y}
+ * @param {Object} next - Sommet suivant {x, y}
+ * @returns {number|null} Angle en degrés, ou null si un des segments est de longueur nulle
+ */
+const interiorAngleDeg = (prev, curr, next) => {
+  const v1 = V.subtract(prev, curr);
+  const v2 = V.subtract(next, curr);
+
+  // Calculer l'angle en radians entre les deux vecteurs
+  const dotProduct = V.dot(v1, v2);
+  const crossProduct = V.cross(v1, v2);
+  const magnitudeProduct = V.magnitude(v1) * V.magnitude(v2);
+
+  if (magnitudeProduct === 0) return null;
+
+  // Calculer l'angle en degrés (0-180°)
+  let angleRad = Math.acos(Math.max(-1, Math.min(1, dotProduct / magnitudeProduct)));
+  
+  // Déterminer le signe (sens horaire ou anti-horaire)
+  if (crossProduct < 0) {
+    angleRad = 2 * Math.PI - angleRad;
   }
-  return points;
+  
+  // Convertir en degrés
+  let angleDeg = (angleRad * 180) / Math.PI;
+  
+  // Prendre l'angle intérieur du polygone
+  angleDeg = 360 - angleDeg;
+  
+  // Normaliser entre 0-360°
+  if (angleDeg >= 360) angleDeg -= 360;
+  return angleDeg;
 };
 
 /**
  * Calcule les angles entre les segments d'un polygone
  * @param {Array} points - Points du polygone
+ * @param {number} minAngle - Angle minimum requis pour la production (en degrés)
  * @returns {Array} Liste des angles et leur position
  */
-export const calculateAngles = (points) => {
+export const calculateAngles = (points, minAngle = MIN_ANGLE_FOR_PRODUCTION) => {
   if (points.length < 3) return [];
 
   const angles = [];
@@ -166,32 +199,8 @@ export const calculateAngles = (points) => {
     const curr = i;
     const next = (i + 1) % n;
 
-    const v1 = V.subtract(points[prev], points[curr]);
-    const v2 = V.subtract(points[next], points[curr]);
-
-    // Calculer l'angle en radians entre les deux vecteurs
-    const dotProduct = V.dot(v1, v2);
-    const crossProduct = V.cross(v1, v2);
-    const magnitudeProduct = V.magnitude(v1) * V.magnitude(v2);
-
-    if (magnitudeProduct === 0) continue;
-
-    // Calculer l'angle en degrés (0-180°)
-    let angleRad = Math.acos(Math.max(-1, Math.min(1, dotProduct / magnitudeProduct)));
-    
-    // Déterminer le signe (sens horaire ou anti-horaire)
-    if (crossProduct < 0) {
-      angleRad = 2 * Math.PI - angleRad;
-    }
-    
-    // Convertir en degrés
-    let angleDeg = (angleRad * 180) / Math.PI;
-    
-    // Prendre l'angle intérieur du polygone
-    angleDeg = 360 - angleDeg;
-    
-    // Normaliser entre 0-360°
-    if (angleDeg >= 360) angleDeg -= 360;
+    const angleDeg = interiorAngleDeg(points[prev], points[curr], points[next]);
+    if (angleDeg === null) continue;
 
     // Position du texte pour l'affichage
     const midPoint = {
@@ -203,13 +212,98 @@ export const calculateAngles = (points) => {
       vertex: points[curr],
       angle: angleDeg,
       textPosition: midPoint,
-      isTooSmall: angleDeg < MIN_ANGLE_FOR_PRODUCTION,
+      isTooSmall: angleDeg < minAngle,
     });
   }
 
   return angles;
 };
 
+/**
+ * Donne l'angle intérieur d'un sommet (même convention que calculateAngles)
+ * @param {Array} points - Points de la forme
+ * @param {number} vertexIndex - Index du sommet
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @returns {number|null} Angle en degrés, ou null pour une extrémité de polyligne
+ */
+export const getVertexAngle = (points, vertexIndex, isPolygon) => {
+  const n = points.length;
+  if (n < 3) return null;
+  if (!isPolygon && (vertexIndex <= 0 || vertexIndex >= n - 1)) return null;
+  return interiorAngleDeg(points[(vertexIndex - 1 + n) % n], points[vertexIndex], points[(vertexIndex + 1) % n]);
+};
+
+/**
+ * Donne les index des points compris dans un cadre
+ * @param {Array} points - Points de la forme
+ * @param {Object} corner - Un coin du cadre {x, y}
+ * @param {Object} oppositeCorner - Coin opposé du cadre {x, y}
+ * @returns {Array<number>} Index des points dans le cadre, dans l'ordre de la forme
+ */
+export const getPointIndicesInBox = (points, corner, oppositeCorner) => {
+  const minX = Math.min(corner.x, oppositeCorner.x);
+  const maxX = Math.max(corner.x, oppositeCorner.x);
+  const minY = Math.min(corner.y, oppositeCorner.y);
+  const maxY = Math.max(corner.y, oppositeCorner.y);
+  return points.reduce((indices, p, i) => (
+    p.x >= minX && p.x <= maxX && p.y >= minY && p.y <= maxY ? [...indices, i] : indices
+  ), []);
+};
+
+/**
+ * Modifie la longueur d'un segment en conservant sa direction et son point de départ.
+ * Sur un polygone, seul le sommet d'arrivée est déplacé (le segment suivant s'adapte) ;
+ * sur une polyligne, toute la suite de la forme est translatée pour conserver les autres cotes.
+ * @param {Array} points - Points de la forme
+ * @param {number} segmentIndex - Index du segment (du point i au point i + 1)
+ * @param {number} length - Nouvelle longueur en unités SVG
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @returns {Array} Nouveaux points (les points d'origine si le segment est dégénéré)
+ */
+export const setSegmentLength = (points, segmentIndex, length, isPolygon) => {
+  const n = points.length;
+  const startIndex = segmentIndex;
+  const endIndex = (segmentIndex + 1) % n;
+  const start = points[startIndex];
+  const end = points[endIndex];
+  const direction = V.normalize(V.subtract(end, start));
+  if (length <= 0 || (direction.x === 0 && direction.y === 0)) return points;
+
+  const delta = V.subtract(V.add(start, V.scale(direction, length)), end);
+
+  if (isPolygon) {
+    return points.map((p, i) => (i === endIndex ? { ...p, ...V.add(p, delta) } : p));
+  }
+  return points.map((p, i) => (i >= endIndex ? { ...p, ...V.add(p, delta) } : p));
+};
+
+/**
+ * Modifie l'angle intérieur d'un sommet en faisant pivoter le segment suivant autour de ce sommet.
+ * Le segment précédent ne bouge pas et la longueur du segment suivant est conservée.
+ * Sur un polygone, seul le sommet suivant est déplacé ; sur une polyligne, toute la suite pivote.
+ * @param {Array} points - Points de la forme
+ * @param {number} vertexIndex - Index du sommet
+ * @param {number} angleDeg - Angle intérieur souhaité en degrés (0-360)
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @returns {Array} Nouveaux points (les points d'origine si l'angle n'est pas défini)
+ */
+export const setVertexAngle = (points, vertexIndex, angleDeg, isPolygon) => {
+  const currentAngle = getVertexAngle(points, vertexIndex, isPolygon);
+  if (currentAngle === null) return points;
+
+  const n = points.length;
+  const pivot = points[vertexIndex];
+  const nextIndex = (vertexIndex + 1) % n;
+  // Faire tourner le segment suivant augmente l'écart (360 - angle), d'où le sens de rotation
+  const rotation = ((currentAngle - angleDeg) * Math.PI) / 180;
+  const rotateAroundPivot = (p) => ({ ...p, ...V.add(pivot, V.rotate(V.subtract(p, pivot), rotation)) });
+
+  if (isPolygon) {
+    return points.map((p, i) => (i === nextIndex ? rotateAroundPivot(p) : p));
+  }
+  return points.map((p, i) => (i > vertexIndex ? rotateAroundPivot(p) : p));
+};
+
 /**
  * Vérifie si un polygone a des angles trop petits pour la production
  * @param {Array} angles - Liste des angles calculés
@@ -220,26 +314,57 @@ export const hasTooSmallAngles = (angles) => {
 };
 
 /**
- * Applique un arrondi aux coins d'un polygone
+ * Discrétise un arc de cercle en points régulièrement espacés (extrémités incluses)
+ * @param {Object} center - Centre de l'arc {x, y}
+ * @param {number} radius - Rayon de l'arc
+ * @param {number} startAngle - Angle de départ en radians
+ * @param {number} sweep - Balayage en radians (signé)
+ * @param {number} numSegments - Nombre de segments de l'arc
+ * @returns {Array} Points de l'arc (numSegments + 1 points)
+ */
+export const discretizeArc = (center, radius, startAngle, sweep, numSegments) => {
+  const arcPoints = [];
+  for (let j = 0; j <= numSegments; j++) {
+    const ratio = j / numSegments;
+    const currentAngle = startAngle + ratio * sweep;
+    arcPoints.push({
+      x: center.x + radius * Math.cos(currentAngle),
+      y: center.y + radius * Math.sin(currentAngle),
+    });
+  }
+  return arcPoints;
+};
+
+/**
+ * Discrétise un arc de cercle en plis d'angle égal au pas de pliage de la machine
+ * @param {Object} center - Centre de l'arc {x, y}
+ * @param {number} radius - Rayon de l'arc (unités SVG)
+ * @param {number} startAngle - Angle de départ en radians
+ * @param {number} sweep - Balayage en radians (signé)
+ * @param {number} pitchMm - Pas de pliage en mm
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {number} [minSegments=1] - Nombre minimal de segments
+ * @returns {Array} Points de l'arc, extrémités incluses
+ */
+export const discretizeArcByPitch = (center, radius, startAngle, sweep, pitchMm, svgUnitsPerMm, minSegments = 1) => {
+  const { segmentCount } = getBendPitchDiscretization(radius, sweep, pitchMm, svgUnitsPerMm, minSegments);
+  return discretizeArc(center, radius, startAngle, sweep, segmentCount);
+};
+
+/**
+ * Calcule l'arc de raccordement d'un coin arrondi
  * @param {Array} points - Points du polygone
- * @param {number} radius - Rayon d'arrondi
- * @param {number} numSegments - Nombre de segments par coin arrondi
- * @param {number|null} selectedVertexIndex - Index du sommet sélectionné pour l'arrondi (null pour tous les sommets)
- * @returns {Array} Points du polygone avec coins arrondis
+ * @param {number} radius - Rayon d'arrondi souhaité
+ * @param {number|null} vertexIndex - Index du sommet à arrondir
+ * @returns {Object|null} { center, radius, startAngle, sweep }, ou null si le coin ne peut pas être arrondi
  */
-export const applyCornerRounding = (points, radius, numSegments, selectedVertexIndex = null) => {
-  if (points.length < 3 || radius <= 0) return points;
+export const getCornerRoundingArc = (points, radius, vertexIndex) => {
+  if (points.length < 3 || radius <= 0) return null;
 
   const n = points.length;
-  const result = [...points]; // On part d'une copie des points originaux
-  
-  // Si aucun vertex spécifique n'est sélectionné ou un index invalide, on retourne les points d'origine
-  if (selectedVertexIndex === null || selectedVertexIndex < 0 || selectedVertexIndex >= n) {
-    return points;
-  }
+  if (vertexIndex === null || vertexIndex < 0 || vertexIndex >= n) return null;
 
-  // On ne traite que le vertex sélectionné
-  const i = selectedVertexIndex;
+  const i = vertexIndex;
   const prev = (i - 1 + n) % n;
   const curr = i;
   const next = (i + 1) % n;
@@ -255,15 +380,15 @@ export const applyCornerRounding = (points, radius, numSegments, selectedVertexI
   const len_PA = V.magnitude(v_PA);
   const len_PB = V.magnitude(v_PB);
 
-  if (len_PA === 0 || len_PB === 0) return points;
+  if (len_PA === 0 || len_PB === 0) return null;
 
   // Calculer l'angle entre les deux segments
   const angleP_cos = V.dot(v_PA, v_PB) / (len_PA * len_PB);
-  if (Math.abs(angleP_cos) > 1) return points;
+  if (Math.abs(angleP_cos) > 1) return null;
   const angleP = Math.acos(angleP_cos);
 
   if (isNaN(angleP) || angleP <= 0.01 || angleP >= Math.PI - 0.01) {
-    return points; // Angle plat ou nul, on ne peut pas l'arrondir
+    return null; // Angle plat ou nul, on ne peut pas l'arrondir
   }
 
   // Calculer l'offset pour les points tangents
@@ -276,7 +401,7 @@ export const applyCornerRounding = (points, radius, numSegments, selectedVertexI
   }
   const effectiveRadius = offset * Math.tan(angleP / 2);
   if (effectiveRadius < 1) {
-    return points; // Rayon trop petit pour être effectif
+    return null; // Rayon trop petit pour être effectif
   }
 
   // Calculer les points tangents sur les segments
@@ -307,47 +432,76 @@ export const applyCornerRounding = (points, radius, numSegments, selectedVertexI
     if (endAngleArc < startAngleArc) endAngleArc += 2 * Math.PI;
   }
 
-  const totalArcSweep = endAngleArc - startAngleArc;
-  const arcPoints = [];
+  return { center: C, radius: effectiveRadius, startAngle: startAngleArc, sweep: endAngleArc - startAngleArc };
+};
 
-  // Générer les points de l'arc
-  for (let j = 0; j <= numSegments; j++) {
-    const ratio = j / numSegments;
-    const currentAngle = startAngleArc + ratio * totalArcSweep;
-    arcPoints.push({
-      x: C.x + effectiveRadius * Math.cos(currentAngle),
-      y: C.y + effectiveRadius * Math.sin(currentAngle),
-    });
+/**
+ * Calcule les deux points d'un chanfrein : le coin est coupé par un segment joignant un point du segment
+ * qui arrive au sommet et un point du segment qui en part. La seconde distance est donnée directement
+ * ou déduite de l'angle entre la coupe et le segment d'arrivée.
+ * @param {Array} points - Points de la forme
+ * @param {number|null} vertexIndex - Index du sommet à chanfreiner
+ * @param {Object} chamfer - Dimensions du chanfrein
+ * @param {number} chamfer.distance1 - Distance du sommet à la coupe sur le segment d'arrivée
+ * @param {number} [chamfer.distance2] - Distance sur le segment de départ (distance1 par défaut)
+ * @param {number} [chamfer.angleDeg] - Angle de la coupe avec le segment d'arrivée, à la place de distance2
+ * @param {boolean} isPolygon - Si true, la forme est un polygone fermé, sinon une polyligne
+ * @returns {Array|null} Les deux points de la coupe, ou null si le sommet ne peut pas être chanfreiné
+ */
+export const getChamferPoints = (points, vertexIndex, { distance1, distance2, angleDeg }, isPolygon = true) => {
+  const n = points.length;
+  if (n < 3 || vertexIndex === null || vertexIndex < 0 || vertexIndex >= n) return null;
+  if (!isPolygon && (vertexIndex === 0 || vertexIndex === n - 1)) return null;
+  if (!(distance1 > 0)) return null;
+
+  const P = points[vertexIndex];
+  const v_PA = V.subtract(points[(vertexIndex - 1 + n) % n], P);
+  const v_PB = V.subtract(points[(vertexIndex + 1) % n], P);
+  const len_PA = V.magnitude(v_PA);
+  const len_PB = V.magnitude(v_PB);
+  if (len_PA === 0 || len_PB === 0) return null;
+
+  const angleP = Math.acos(Math.max(-1, Math.min(1, V.dot(v_PA, v_PB) / (len_PA * len_PB))));
+  if (angleP <= 0.01 || angleP >= Math.PI - 0.01) {
+    return null; // Angle plat ou nul, pas de coin à couper
   }
 
-  // Remplacer le point du sommet par les points de l'arc
-  result.splice(curr, 1, ...arcPoints);
+  let secondDistance = distance2 > 0 ? distance2 : distance1;
+  if (angleDeg !== undefined && angleDeg !== null) {
+    // Triangle sommet / points de coupe : loi des sinus, l'angle restant étant π - angleP - angle de coupe
+    const cutAngle = (angleDeg * Math.PI) / 180;
+    if (cutAngle <= 0 || angleP + cutAngle >= Math.PI) return null;
+    secondDistance = (distance1 * Math.sin(cutAngle)) / Math.sin(angleP + cutAngle);
+  }
 
-  return result;
+  // Comme pour l'arrondi, ne pas dépasser ~la moitié des segments (les coins voisins restent libres)
+  if (distance1 > len_PA * 0.49 || secondDistance > len_PB * 0.49) return null;
+
+  return [
+    V.add(P, V.scale(V.normalize(v_PA), distance1)),
+    V.add(P, V.scale(V.normalize(v_PB), secondDistance)),
+  ];
 };
 
 /**
- * Transforme un sommet en angle composé de segments
- * @param {Array} points - Points du polygone
+ * Calcule l'arc d'un angle composé : arc centré sur le sommet, joignant ses deux segments
+ * @param {Array} points - Points de la forme
  * @param {number} curvatureAngleDegree - Angle de courbure souhaité en degrés (0-89)
- * @param {number} numSegments - Nombre de segments pour l'angle (minimum 2)
- * @param {number|null} selectedVertexIndex - Index du sommet à transformer
+ * @param {number|null} vertexIndex - Index du sommet à transformer
  * @param {boolean} isPolygon - Si true, la forme est un polygone fermé, sinon une polyligne
- * @returns {Array} Points du polygone avec le sommet transformé en angle
+ * @returns {Object|null} { center, radius, startAngle, sweep }, ou null si le sommet ne peut pas être transformé
  */
-export const transformVertexToAngle = (points, curvatureAngleDegree, numSegments, selectedVertexIndex, isPolygon = true) => {
-  if (points.length < 3 || numSegments < 2) return points;
-  if (curvatureAngleDegree <= 0) return points; // Pas de courbure si angle est 0 ou négatif
+export const getCompoundAngleArc = (points, curvatureAngleDegree, vertexIndex, isPolygon = true) => {
+  if (points.length < 3) return null;
+  if (curvatureAngleDegree <= 0) return null; // Pas de courbure si angle est 0 ou négatif
 
   const n = points.length;
-  const result = [...points]; 
-  
-  if (selectedVertexIndex === null || selectedVertexIndex < 0 || selectedVertexIndex >= n) {
-    return points;
+  if (vertexIndex === null || vertexIndex < 0 || vertexIndex >= n) {
+    return null;
   }
-  const i = selectedVertexIndex;
+  const i = vertexIndex;
   if (!isPolygon && (i === 0 || i === n - 1)) {
-    return points;
+    return null;
   }
 
   const prev = isPolygon ? (i - 1 + n) % n : i - 1;
@@ -363,11 +517,11 @@ export const transformVertexToAngle = (points, curvatureAngleDegree, numSegments
   const len_PA = V.magnitude(v_PA);
   const len_PB = V.magnitude(v_PB);
 
-  if (len_PA === 0 || len_PB === 0) return points;
+  if (len_PA === 0 || len_PB === 0) return null;
 
   const angleP_rad = Math.acos(Math.max(-1, Math.min(1, V.dot(v_PA, v_PB) / (len_PA * len_PB))));
   if (isNaN(angleP_rad) || angleP_rad <= 0.01 || angleP_rad >= Math.PI - 0.01) {
-    return points; 
+    return null; 
   }
 
   // Calcul du rayon SVG effectif basé sur l'angle de courbure
@@ -375,7 +529,7 @@ export const transformVertexToAngle = (points, curvatureAngleDegree, numSegments
   const max_offset_on_segment = Math.min(len_PA, len_PB) * 0.49; // Ne pas dépasser ~la moitié du segment le plus court
   const actual_offset_on_segment = norm_curvature * max_offset_on_segment;
   
-  if (actual_offset_on_segment <= 0) return points; // Si l'offset est nul, pas de transformation
+  if (actual_offset_on_segment <= 0) return null; // Si l'offset est nul, pas de transformation
 
   // Le rayon de l'arc lui-même. angleP_rad est l'angle *entre* les segments v_PA et v_PB.
   // L'angle au sommet du triangle isocèle formé par P et les points tangents est angleP_rad.
@@ -384,28 +538,15 @@ export const transformVertexToAngle = (points, curvatureAngleDegree, numSegments
   // Ou plus simplement : radius_svg = offset_on_segment * tan(angleP_rad / 2) si offset_on_segment est la distance du sommet aux points tangents.
   const effectiveRadiusSVG = actual_offset_on_segment * Math.tan(angleP_rad / 2.0);
 
-  if (effectiveRadiusSVG <= 0) return points;
-
-  const norm_v_PA = V.normalize(v_PA);
-  const norm_v_PB = V.normalize(v_PB);
-  const directionMultiplier = 1; // Toujours intérieur
+  if (effectiveRadiusSVG <= 0) return null;
 
-  const anglePoints = [];
-  for (let j = 0; j <= numSegments; j++) {
-    const t = j / numSegments;
-    const interpolatedVector = V.normalize({
-      x: norm_v_PA.x * (1 - t) + norm_v_PB.x * t,
-      y: norm_v_PA.y * (1 - t) + norm_v_PB.y * t
-    });
-    const anglePoint = {
-      x: P.x + interpolatedVector.x * effectiveRadiusSVG * directionMultiplier,
-      y: P.y + interpolatedVector.y * effectiveRadiusSVG * directionMultiplier
-    };
-    anglePoints.push(anglePoint);
-  }
-  
-  result.splice(curr, 1, ...anglePoints);
-  return result;
+  // L'arc va de la direction du segment précédent à celle du segment suivant, par le plus court chemin
+  return {
+    center: P,
+    radius: effectiveRadiusSVG,
+    startAngle: V.angle(v_PA),
+    sweep: Math.atan2(V.cross(v_PA, v_PB), V.dot(v_PA, v_PB)),
+  };
 };
 
 /**
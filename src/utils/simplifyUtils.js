@@ -0,0 +1,191 @@
+import { V } from './vectorUtils';
+import { SHAPE_CLEANUP_DEFAULTS } from '../constants/config';
+
+// Nombre minimal de sommets pour conserver une forme valide
+const minPointCount = (isPolygon) => (isPolygon ? 3 : 2);
+
+/**
+ * Supprime les sommets consécutifs confondus (à epsilon près), y compris la fermeture d'un polygone
+ * @param {Array} points - Points de la forme
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} [epsilon=1e-6] - Distance en dessous de laquelle deux points sont confondus
+ * @returns {Array} Points sans doublons
+ */
+export const removeDuplicatePoints = (points, isPolygon, epsilon = 1e-6) => {
+  const result = [];
+  points.forEach(point => {
+    if (result.length === 0 || V.distance(result[result.length - 1], point) > epsilon) {
+      result.push(point);
+    }
+  });
+  if (isPolygon && result.length > 1 && V.distance(result[0], result[result.length - 1]) <= epsilon) {
+    result.pop();
+  }
+  return result;
+};
+
+/**
+ * Simplification de Douglas-Peucker d'une suite ouverte de points
+ * @param {Array} points - Points de la suite
+ * @param {number} tolerance - Écart maximal entre la suite d'origine et la suite simplifiée
+ * @returns {Array} Points conservés (extrémités et sommets arrondis inclus)
+ */
+const simplifyOpenPath = (points, tolerance) => {
+  if (points.length <= 2) return [...points];
+
+  // Les sommets portant un arrondi ou un chanfrein sont conservés et bornent la simplification
+  const keep = points.map((point, i) => i === 0 || i === points.length - 1 || !!point.fillet);
+  const keptIndices = keep.reduce((indices, kept, i) => (kept ? [...indices, i] : indices), []);
+  const stack = keptIndices.slice(1).map((last, i) => [keptIndices[i], last]);
+
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let maxIndex = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = V.distancePointToSegment(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        maxIndex = i;
+      }
+    }
+    if (maxIndex !== -1 && maxDistance > tolerance) {
+      keep[maxIndex] = true;
+      stack.push([first, maxIndex], [maxIndex, last]);
+    }
+  }
+
+  return points.filter((_, i) => keep[i]);
+};
+
+/**
+ * Simplifie une forme par l'algorithme de Douglas-Peucker.
+ * Un polygone est coupé en deux chemins au sommet le plus éloigné du premier, simplifiés séparément.
+ * @param {Array} points - Points de la forme
+ * @param {number} tolerance - Écart maximal toléré (unités de la forme)
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @returns {Array} Points simplifiés
+ */
+export const simplifyDouglasPeucker = (points, tolerance, isPolygon) => {
+  if (points.length <= minPointCount(isPolygon) || tolerance <= 0) return [...points];
+  if (!isPolygon) return simplifyOpenPath(points, tolerance);
+
+  let farthestIndex = 0;
+  let farthestDistance = 0;
+  points.forEach((point, i) => {
+    const distance = V.distance(points[0], point);
+    if (distance > farthestDistance) {
+      farthestDistance = distance;
+      farthestIndex = i;
+    }
+  });
+  if (farthestIndex === 0) return [...points];
+
+  const firstHalf = simplifyOpenPath(points.slice(0, farthestIndex + 1), tolerance);
+  const secondHalf = simplifyOpenPath([...points.slice(farthestIndex), points[0]], tolerance);
+  const result = [...firstHalf, ...secondHalf.slice(1, -1)];
+  return result.length >= 3 ? result : [...points];
+};
+
+/**
+ * Supprime les sommets alignés avec leurs voisins (déviation inférieure à la tolérance angulaire)
+ * @param {Array} points - Points de la forme
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} angleToleranceDeg - Déviation maximale (°) pour considérer trois points alignés
+ * @returns {Array} Points sans sommets alignés
+ */
+export const mergeCollinearPoints = (points, isPolygon, angleToleranceDeg) => {
+  const result = [...points];
+  let removed = true;
+
+  while (removed && result.length > minPointCount(isPolygon)) {
+    removed = false;
+    const n = result.length;
+    const start = isPolygon ? 0 : 1;
+    const end = isPolygon ? n : n - 1;
+    for (let i = start; i < end; i++) {
+      if (result[i].fillet) continue;
+      const prev = result[(i - 1 + n) % n];
+      const next = result[(i + 1) % n];
+      const incoming = V.subtract(result[i], prev);
+      const outgoing = V.subtract(next, result[i]);
+      if (V.magnitude(incoming) === 0 || V.magnitude(outgoing) === 0) continue;
+      const deviationDeg = Math.abs(Math.atan2(V.cross(incoming, outgoing), V.dot(incoming, outgoing))) * 180 / Math.PI;
+      if (deviationDeg <= angleToleranceDeg) {
+        result.splice(i, 1);
+        removed = true;
+        break;
+      }
+    }
+  }
+  return result;
+};
+
+/**
+ * Supprime les segments plus courts que la longueur minimale, en commençant par le plus court.
+ * Les deux sommets d'un segment intérieur sont fusionnés en leur milieu ; un segment touchant
+ * l'extrémité d'une polyligne disparaît au profit de l'extrémité, qui ne bouge pas.
+ * Un segment dont un sommet porte un arrondi ou un chanfrein paramétrique est conservé : la fusion
+ * ferait disparaître l'arrondi.
+ * @param {Array} points - Points de la forme
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} minLength - Longueur minimale d'un segment (unités de la forme)
+ * @returns {Array} Points sans segment trop court
+ */
+export const removeShortSegments = (points, isPolygon, minLength) => {
+  const result = [...points];
+
+  while (result.length > minPointCount(isPolygon)) {
+    const n = result.length;
+    const segmentCount = isPolygon ? n : n - 1;
+    let shortestIndex = -1;
+    let shortestLength = minLength;
+    for (let i = 0; i < segmentCount; i++) {
+      if (result[i].fillet || result[(i + 1) % n].fillet) continue;
+      const length = V.distance(result[i], result[(i + 1) % n]);
+      if (length < shortestLength) {
+        shortestLength = length;
+        shortestIndex = i;
+      }
+    }
+    if (shortestIndex === -1) break;
+
+    const endIndex = (shortestIndex + 1) % n;
+    if (!isPolygon && shortestIndex === 0) {
+      result.splice(1, 1);
+    } else if (!isPolygon && endIndex === n - 1) {
+      result.splice(shortestIndex, 1);
+    } else {
+      const middle = V.scale(V.add(result[shortestIndex], result[endIndex]), 0.5);
+      result[shortestIndex] = { ...result[shortestIndex], x: middle.x, y: middle.y };
+      result.splice(endIndex, 1);
+    }
+  }
+  return result;
+};
+
+/**
+ * Nettoie une forme importée ou tracée : doublons, simplification de Douglas-Peucker,
+ * sommets alignés et segments trop courts (sources de micro-plis en production).
+ * @param {Array} points - Points de la forme (unités SVG)
+ * @param {boolean} isPolygon - True si la forme est fermée
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Object} [options] - Réglages du nettoyage
+ * @param {number} [options.toleranceMm] - Tolérance de Douglas-Peucker en mm
+ * @param {number} [options.minSegmentLengthMm] - Longueur minimale d'un segment en mm
+ * @param {number} [options.collinearToleranceDeg] - Déviation (°) en dessous de laquelle un sommet est supprimé
+ * @returns {Array} Points nettoyés
+ */
+export const cleanupShapePoints = (points, isPolygon, svgUnitsPerMm, options = {}) => {
+  const { toleranceMm, minSegmentLengthMm, collinearToleranceDeg } = { ...SHAPE_CLEANUP_DEFAULTS, ...options };
+  if (!points || points.length <= minPointCount(isPolygon)) return points;
+
+  let result = removeDuplicatePoints(points, isPolygon);
+  result = simplifyDouglasPeucker(result, toleranceMm * svgUnitsPerMm, isPolygon);
+  result = mergeCollinearPoints(result, isPolygon, collinearToleranceDeg);
+  result = removeShortSegments(result, isPolygon, minSegmentLengthMm * svgUnitsPerMm);
+  // La fusion des segments courts peut réaligner des sommets
+  result = mergeCollinearPoints(result, isPolygon, collinearToleranceDeg);
+
+  return result.length >= minPointCount(isPolygon) ? result : points;
+};
@@ -0,0 +1,201 @@
+import { V } from './vectorUtils';
+
+// Types d'accrochage aux objets
+export const SNAP_TYPES = {
+  VERTEX: 'vertex',
+  MIDPOINT: 'midpoint',
+  INTERSECTION: 'intersection',
+  PERPENDICULAR: 'perpendicular',
+  TANGENT: 'tangent',
+  ALIGNMENT: 'alignment',
+};
+
+// Libellés affichés dans la barre d'outils
+export const SNAP_TYPE_LABELS = {
+  [SNAP_TYPES.VERTEX]: 'Sommets',
+  [SNAP_TYPES.MIDPOINT]: 'Milieux',
+  [SNAP_TYPES.INTERSECTION]: 'Intersections',
+  [SNAP_TYPES.PERPENDICULAR]: 'Perpendiculaire',
+  [SNAP_TYPES.TANGENT]: 'Tangente',
+  [SNAP_TYPES.ALIGNMENT]: 'Alignement',
+};
+
+// Priorité des accrochages ponctuels (le plus petit l'emporte, puis le plus proche du curseur)
+const SNAP_PRIORITY = {
+  [SNAP_TYPES.TANGENT]: 0,
+  [SNAP_TYPES.VERTEX]: 1,
+  [SNAP_TYPES.INTERSECTION]: 2,
+  [SNAP_TYPES.MIDPOINT]: 3,
+  [SNAP_TYPES.PERPENDICULAR]: 4,
+};
+
+// Déviation maximale d'un sommet de courbe discrétisée (au-delà, c'est un coin : pas de tangente)
+const TANGENT_MAX_DEVIATION_DEG = 30;
+const EPSILON = 1e-9;
+
+/**
+ * Sommets et segments des formes pouvant servir de cibles d'accrochage.
+ * Le sommet exclu (en cours de glisser-déposer) et ses deux segments sont ignorés.
+ * @param {Array} shapes - Formes (polygon / polyline)
+ * @param {Object|null} excludedVertex - Sommet à ignorer {shapeId, pointIndex}
+ * @returns {Object} { vertices: [{point, prev, next}], segments: [[A, B]] }
+ */
+const collectSnapTargets = (shapes, excludedVertex) => {
+  const vertices = [];
+  const segments = [];
+
+  shapes.forEach((shape) => {
+    if ((shape.type !== 'polygon' && shape.type !== 'polyline') || !shape.points) return;
+    const { points } = shape;
+    const n = points.length;
+    const isPolygon = shape.type === 'polygon';
+    const isExcluded = (index) => (
+      excludedVertex && excludedVertex.shapeId === shape.id && excludedVertex.pointIndex === index
+    );
+
+    points.forEach((point, i) => {
+      if (isExcluded(i)) return;
+      const hasPrev = isPolygon || i > 0;
+      const hasNext = isPolygon || i < n - 1;
+      vertices.push({
+        point,
+        prev: hasPrev && n > 1 ? points[(i - 1 + n) % n] : null,
+        next: hasNext && n > 1 ? points[(i + 1) % n] : null,
+      });
+    });
+
+    const segmentCount = isPolygon ? n : n - 1;
+    for (let i = 0; i < segmentCount; i++) {
+      const j = (i + 1) % n;
+      if (isExcluded(i) || isExcluded(j)) continue;
+      segments.push([points[i], points[j]]);
+    }
+  });
+
+  return { vertices, segments };
+};
+
+/**
+ * Intersection de deux segments (extrémités exclues)
+ * @returns {Object|null} Point d'intersection {x, y}
+ */
+const intersectSegments = ([a1, a2], [b1, b2]) => {
+  const da = V.subtract(a2, a1);
+  const db = V.subtract(b2, b1);
+  const denominator = V.cross(da, db);
+  if (Math.abs(denominator) < EPSILON) return null; // Segments parallèles
+
+  const offset = V.subtract(b1, a1);
+  const t = V.cross(offset, db) / denominator;
+  const u = V.cross(offset, da) / denominator;
+  if (t <= EPSILON || t >= 1 - EPSILON || u <= EPSILON || u >= 1 - EPSILON) return null;
+  return V.add(a1, V.scale(da, t));
+};
+
+/**
+ * Indique si la droite issue du point de référence touche la forme au sommet sans la traverser,
+ * sur une portion courbe (sommet de faible déviation d'une courbe discrétisée)
+ */
+const isTangentVertex = ({ point, prev, next }, referencePoint) => {
+  if (!prev || !next || V.distance(point, referencePoint) < EPSILON) return false;
+  const incoming = V.subtract(point, prev);
+  const outgoing = V.subtract(next, point);
+  const deviationDeg = Math.abs(Math.atan2(V.cross(incoming, outgoing), V.dot(incoming, outgoing))) * 180 / Math.PI;
+  if (deviationDeg > TANGENT_MAX_DEVIATION_DEG) return false;
+
+  const direction = V.subtract(point, referencePoint);
+  const prevSide = V.cross(direction, V.subtract(prev, point));
+  const nextSide = V.cross(direction, V.subtract(next, point));
+  return prevSide * nextSide > 0;
+};
+
+/**
+ * Cherche l'accrochage aux objets le plus pertinent près du curseur : sommets, milieux de segments,
+ * intersections, pied de la perpendiculaire et point de tangence depuis le point de référence,
+ * et à défaut alignement horizontal / vertical avec d'autres sommets.
+ * @param {Object} cursor - Position du curseur {x, y} (unités SVG)
+ * @param {Array} shapes - Formes servant de cibles (polygon / polyline)
+ * @param {Object} options - Options de l'accrochage
+ * @param {Object} options.enabledTypes - Types actifs { [SNAP_TYPES.X]: boolean }
+ * @param {number} options.tolerance - Distance maximale d'accrochage (unités SVG)
+ * @param {Object|null} [options.referencePoint] - Point d'où part le segment en cours (perpendiculaire, tangente)
+ * @param {Object|null} [options.excludedVertex] - Sommet en cours de déplacement {shapeId, pointIndex}
+ * @returns {Object|null} Accrochage { point, type, guides: [{from, to}] } ou null
+ */
+export const findObjectSnap = (cursor, shapes, {
+  enabledTypes,
+  tolerance,
+  referencePoint = null,
+  excludedVertex = null,
+}) => {
+  const { vertices, segments } = collectSnapTargets(shapes, excludedVertex);
+  const candidates = [];
+  const addCandidate = (point, type, guides = []) => {
+    const distance = V.distance(point, cursor);
+    if (distance <= tolerance) candidates.push({ point, type, guides, distance });
+  };
+
+  if (enabledTypes[SNAP_TYPES.VERTEX]) {
+    vertices.forEach(({ point }) => addCandidate(point, SNAP_TYPES.VERTEX));
+  }
+
+  if (enabledTypes[SNAP_TYPES.TANGENT] && referencePoint) {
+    vertices
+      .filter(vertex => isTangentVertex(vertex, referencePoint))
+      .forEach(({ point }) => addCandidate(point, SNAP_TYPES.TANGENT, [{ from: referencePoint, to: point }]));
+  }
+
+  if (enabledTypes[SNAP_TYPES.MIDPOINT]) {
+    segments.forEach(([a, b]) => addCandidate(V.scale(V.add(a, b), 0.5), SNAP_TYPES.MIDPOINT));
+  }
+
+  if (enabledTypes[SNAP_TYPES.INTERSECTION]) {
+    // Seuls les segments proches du curseur peuvent se couper près de lui
+    const nearbySegments = segments.filter(([a, b]) => V.distancePointToSegment(cursor, a, b) <= tolerance);
+    for (let i = 0; i < nearbySegments.length; i++) {
+      for (let j = i + 1; j < nearbySegments.length; j++) {
+        const intersection = intersectSegments(nearbySegments[i], nearbySegments[j]);
+        if (intersection) addCandidate(intersection, SNAP_TYPES.INTERSECTION);
+      }
+    }
+  }
+
+  if (enabledTypes[SNAP_TYPES.PERPENDICULAR] && referencePoint) {
+    segments.forEach(([a, b]) => {
+      const foot = V.projectPointOnSegment(referencePoint, a, b);
+      const isInside = V.distance(foot, a) > EPSILON && V.distance(foot, b) > EPSILON;
+      if (isInside && V.distance(foot, referencePoint) > EPSILON) {
+        addCandidate(foot, SNAP_TYPES.PERPENDICULAR, [{ from: referencePoint, to: foot }]);
+      }
+    });
+  }
+
+  if (candidates.length > 0) {
+    const { distance: _distance, ...snap } = candidates.reduce((best, candidate) => {
+      const rankDelta = SNAP_PRIORITY[candidate.type] - SNAP_PRIORITY[best.type];
+      return rankDelta < 0 || (rankDelta === 0 && candidate.distance < best.distance) ? candidate : best;
+    });
+    return snap;
+  }
+
+  if (enabledTypes[SNAP_TYPES.ALIGNMENT]) {
+    let alignedX = null;
+    let alignedY = null;
+    vertices.forEach(({ point }) => {
+      const dx = Math.abs(point.x - cursor.x);
+      const dy = Math.abs(point.y - cursor.y);
+      if (dx <= tolerance && (!alignedX || dx < Math.abs(alignedX.x - cursor.x))) alignedX = point;
+      if (dy <= tolerance && (!alignedY || dy < Math.abs(alignedY.y - cursor.y))) alignedY = point;
+    });
+    if (alignedX || alignedY) {
+      const point = {
+        x: alignedX ? alignedX.x : cursor.x,
+        y: alignedY ? alignedY.y : cursor.y,
+      };
+      const guides = [alignedX, alignedY].filter(Boolean).map(from => ({ from, to: point }));
+      return { point, type: SNAP_TYPES.ALIGNMENT, guides };
+    }
+  }
+
+  return null;
+};
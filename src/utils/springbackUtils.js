@@ -0,0 +1,37 @@
+/**
+ * Trie et nettoie une courbe de compensation (points angle -> surpliage)
+ * @param {Array} curve - Points de la courbe [{angleDeg, overbendDeg}]
+ * @returns {Array} Points valides triés par angle croissant
+ */
+export const normalizeSpringbackCurve = (curve) => {
+  return (curve || [])
+    .filter(point => Number.isFinite(point.angleDeg) && Number.isFinite(point.overbendDeg))
+    .sort((a, b) => a.angleDeg - b.angleDeg);
+};
+
+/**
+ * Calcule le surpliage à appliquer pour un angle de pli donné.
+ * Interpolation linéaire entre les points de la courbe, valeur constante au-delà des extrémités.
+ * @param {Array} curve - Courbe de compensation [{angleDeg, overbendDeg}]
+ * @param {number} bendAngleDeg - Angle de pli nominal (le signe est ignoré)
+ * @returns {number} Surpliage en degrés (toujours positif ou nul pour une courbe positive)
+ */
+export const getSpringbackOverbend = (curve, bendAngleDeg) => {
+  const points = normalizeSpringbackCurve(curve);
+  if (points.length === 0) return 0;
+
+  const angle = Math.abs(bendAngleDeg);
+  if (angle <= points[0].angleDeg) return points[0].overbendDeg;
+
+  for (let i = 1; i < points.length; i++) {
+    const previous = points[i - 1];
+    const current = points[i];
+    if (angle <= current.angleDeg) {
+      const span = current.angleDeg - previous.angleDeg;
+      const ratio = span > 0 ? (angle - previous.angleDeg) / span : 1;
+      return previous.overbendDeg + ratio * (current.overbendDeg - previous.overbendDeg);
+    }
+  }
+
+  return points[points.length - 1].overbendDeg;
+};
@@ -0,0 +1,46 @@
+/**
+ * Lit une valeur JSON dans le localStorage
+ * @param {string} key - Clé de stockage
+ * @param {any} defaultValue - Valeur par défaut si absente ou invalide
+ * @returns {any} Valeur lue
+ */
+export const readStoredValue = (key, defaultValue) => {
+  const savedData = localStorage.getItem(key);
+  try {
+    return savedData ? JSON.parse(savedData) : defaultValue;
+  } catch (e) {
+    console.error(`Failed to parse stored ${key}:`, e);
+    localStorage.removeItem(key); // Effacer les données corrompues
+    return defaultValue;
+  }
+};
+
+/**
+ * Écrit une valeur JSON dans le localStorage
+ * @param {string} key - Clé de stockage
+ * @param {any} value - Valeur à sauvegarder
+ */
+export const writeStoredValue = (key, value) => {
+  localStorage.setItem(key, JSON.stringify(value));
+};
+
+// Dernier travail envoyé en production : séquence telle qu'envoyée (angles compensés) et réglages utilisés
+const PRODUCTION_JOB_KEY = 'lastProductionJob';
+
+/**
+ * Conserve la séquence envoyée avec un travail de production, pour l'afficher au suivi
+ * @param {Object} job - { jobId, sequence, materialName, machineName }
+ */
+export const saveProductionJob = (job) => {
+  writeStoredValue(PRODUCTION_JOB_KEY, job);
+};
+
+/**
+ * Relit le travail de production envoyé depuis ce navigateur
+ * @param {string} jobId - Identifiant du travail
+ * @returns {Object|null} Le travail, ou null s'il a été envoyé ailleurs (ou remplacé par un autre)
+ */
+export const readProductionJob = (jobId) => {
+  const job = readStoredValue(PRODUCTION_JOB_KEY, null);
+  return job && job.jobId === jobId && Array.isArray(job.sequence) ? job : null;
+};
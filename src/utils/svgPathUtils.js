@@ -0,0 +1,509 @@
+import { V } from './vectorUtils';
+import { getBendPitchDiscretization } from './bendPitchUtils';
+
+// Matrice identité au format SVG [a, b, c, d, e, f]
+export const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+
+// Profondeur maximale de subdivision des courbes de Bézier
+const MAX_BEZIER_DEPTH = 16;
+// Millimètres par unité CSS (référence 96 px/pouce)
+const MM_PER_UNIT = {
+  mm: 1,
+  cm: 10,
+  in: 25.4,
+  pt: 25.4 / 72,
+  pc: 25.4 / 6,
+  px: 25.4 / 96,
+};
+
+const NUMBER_PATTERN = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+// Même motif, ancré à la position courante pour la lecture des chemins
+const STICKY_NUMBER_PATTERN = new RegExp(NUMBER_PATTERN.source, 'y');
+
+/**
+ * Extrait tous les nombres d'une chaîne (séparateurs espace, virgule ou signe indifférents)
+ * @param {string} value - Chaîne à analyser (ex: attribut points)
+ * @returns {Array} Nombres trouvés
+ */
+export const parseNumberList = (value) => (value || '').match(NUMBER_PATTERN)?.map(Number) || [];
+
+/**
+ * Analyse une longueur SVG avec son unité (ex: "210mm", "8.5in", "800")
+ * @param {string} value - Valeur de l'attribut
+ * @returns {Object|null} { value, unit } (unit vide si absente), ou null si illisible
+ */
+export const parseLength = (value) => {
+  const match = /^\s*([-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?)\s*([a-z%]*)\s*$/i.exec(value || '');
+  if (!match) return null;
+  return { value: parseFloat(match[1]), unit: match[2].toLowerCase() };
+};
+
+/**
+ * Convertit une longueur physique en mm
+ * @param {Object} length - Longueur {value, unit}
+ * @returns {number|null} Longueur en mm, ou null sans unité physique (unité utilisateur, %)
+ */
+export const lengthToMm = (length) => {
+  if (!length || !(length.unit in MM_PER_UNIT)) return null;
+  return length.value * MM_PER_UNIT[length.unit];
+};
+
+/**
+ * Produit de deux matrices de transformation (m1 appliquée après m2)
+ * @param {Array} m1 - Matrice [a, b, c, d, e, f]
+ * @param {Array} m2 - Matrice [a, b, c, d, e, f]
+ * @returns {Array} Matrice résultante
+ */
+export const multiplyMatrices = (m1, m2) => [
+  m1[0] * m2[0] + m1[2] * m2[1],
+  m1[1] * m2[0] + m1[3] * m2[1],
+  m1[0] * m2[2] + m1[2] * m2[3],
+  m1[1] * m2[2] + m1[3] * m2[3],
+  m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+  m1[1] * m2[4] + m1[3] * m2[5] + m1[5],
+];
+
+/**
+ * Applique une matrice de transformation à un point
+ * @param {Array} matrix - Matrice [a, b, c, d, e, f]
+ * @param {Object} point - Point {x, y}
+ * @returns {Object} Point transformé
+ */
+export const applyMatrix = (matrix, point) => ({
+  x: matrix[0] * point.x + matrix[2] * point.y + matrix[4],
+  y: matrix[1] * point.x + matrix[3] * point.y + matrix[5],
+});
+
+/**
+ * Facteur d'échelle maximal d'une matrice (pour adapter la tolérance de discrétisation)
+ * @param {Array} matrix - Matrice [a, b, c, d, e, f]
+ * @returns {number} Échelle maximale appliquée aux longueurs
+ */
+export const getMatrixScale = (matrix) => Math.max(
+  Math.hypot(matrix[0], matrix[1]),
+  Math.hypot(matrix[2], matrix[3])
+);
+
+/**
+ * Indique si une matrice conserve les cercles (rotation, translation, échelle uniforme)
+ * @param {Array} matrix - Matrice [a, b, c, d, e, f]
+ * @returns {boolean} true si un cercle reste un cercle
+ */
+export const isSimilarityMatrix = (matrix) => (
+  Math.abs(Math.hypot(matrix[0], matrix[1]) - Math.hypot(matrix[2], matrix[3])) < 1e-9 &&
+  Math.abs(matrix[0] * matrix[2] + matrix[1] * matrix[3]) < 1e-9
+);
+
+/**
+ * Analyse un attribut transform (matrix, translate, scale, rotate, skewX, skewY)
+ * @param {string} transform - Valeur de l'attribut transform
+ * @returns {Array} Matrice équivalente [a, b, c, d, e, f]
+ */
+export const parseTransform = (transform) => {
+  let matrix = IDENTITY_MATRIX;
+  const pattern = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+
+  while ((match = pattern.exec(transform || '')) !== null) {
+    const [type, rawArgs] = [match[1], match[2]];
+    const args = parseNumberList(rawArgs);
+    let current = IDENTITY_MATRIX;
+
+    switch (type) {
+      case 'matrix':
+        if (args.length === 6) current = args;
+        break;
+      case 'translate':
+        current = [1, 0, 0, 1, args[0] || 0, args[1] || 0];
+        break;
+      case 'scale':
+        current = [args[0] ?? 1, 0, 0, args[1] ?? args[0] ?? 1, 0, 0];
+        break;
+      case 'rotate': {
+        const angle = ((args[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        current = [cos, sin, -sin, cos, 0, 0];
+        if (args.length === 3) {
+          // rotate(a, cx, cy) = translate(cx, cy) rotate(a) translate(-cx, -cy)
+          current = multiplyMatrices(
+            multiplyMatrices([1, 0, 0, 1, args[1], args[2]], current),
+            [1, 0, 0, 1, -args[1], -args[2]]
+          );
+        }
+        break;
+      }
+      case 'skewX':
+        current = [1, 0, Math.tan(((args[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        current = [1, Math.tan(((args[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+      default:
+        break;
+    }
+    // Les transformations d'une liste s'appliquent de droite à gauche
+    matrix = multiplyMatrices(matrix, current);
+  }
+
+  return matrix;
+};
+
+/**
+ * Discrétise une courbe de Bézier cubique par subdivision adaptative
+ * @param {Object} p0 - Point de départ
+ * @param {Object} p1 - Premier point de contrôle
+ * @param {Object} p2 - Second point de contrôle
+ * @param {Object} p3 - Point d'arrivée
+ * @param {number} tolerance - Écart maximal toléré entre la courbe et les segments
+ * @returns {Array} Points de la courbe, sans le point de départ
+ */
+export const flattenCubicBezier = (p0, p1, p2, p3, tolerance) => {
+  const points = [];
+  const subdivide = (a, b, c, d, depth) => {
+    // Courbe assez plate : les points de contrôle sont proches de la corde
+    const isFlat = V.distancePointToSegment(b, a, d) <= tolerance && V.distancePointToSegment(c, a, d) <= tolerance;
+    if (isFlat || depth >= MAX_BEZIER_DEPTH) {
+      points.push(d);
+      return;
+    }
+    const ab = V.scale(V.add(a, b), 0.5);
+    const bc = V.scale(V.add(b, c), 0.5);
+    const cd = V.scale(V.add(c, d), 0.5);
+    const abc = V.scale(V.add(ab, bc), 0.5);
+    const bcd = V.scale(V.add(bc, cd), 0.5);
+    const middle = V.scale(V.add(abc, bcd), 0.5);
+    subdivide(a, ab, abc, middle, depth + 1);
+    subdivide(middle, bcd, cd, d, depth + 1);
+  };
+  subdivide(p0, p1, p2, p3, 0);
+  return points;
+};
+
+/**
+ * Discrétise une courbe de Bézier quadratique (convertie en cubique)
+ * @returns {Array} Points de la courbe, sans le point de départ
+ */
+export const flattenQuadraticBezier = (p0, p1, p2, tolerance) => flattenCubicBezier(
+  p0,
+  V.add(p0, V.scale(V.subtract(p1, p0), 2 / 3)),
+  V.add(p2, V.scale(V.subtract(p1, p2), 2 / 3)),
+  p2,
+  tolerance
+);
+
+/**
+ * Redécoupe une courbe finement discrétisée en cordes d'égale longueur d'arc, au pas de pliage :
+ * comme pour les arcs (getBendPitchDiscretization), le nombre de segments est le plus grand
+ * dont toutes les cordes mesurent au moins le pas
+ * @param {Array} points - Points de la courbe, point de départ compris
+ * @param {number} pitch - Pas de pliage (unités de la courbe)
+ * @param {number} [minSegments=1] - Nombre minimal de segments
+ * @returns {Array} Points de la courbe, sans le point de départ
+ */
+export const resampleCurveByPitch = (points, pitch, minSegments = 1) => {
+  const cumulative = [0];
+  for (let i = 1; i < points.length; i++) {
+    cumulative.push(cumulative[i - 1] + V.distance(points[i - 1], points[i]));
+  }
+  const totalLength = cumulative[cumulative.length - 1];
+  if (totalLength === 0) return points.slice(1);
+
+  const resample = (segmentCount) => {
+    const resampled = [];
+    let index = 1;
+    for (let k = 1; k < segmentCount; k++) {
+      const target = (totalLength * k) / segmentCount;
+      while (cumulative[index] < target) index++;
+      const segmentLength = cumulative[index] - cumulative[index - 1];
+      const t = segmentLength > 0 ? (target - cumulative[index - 1]) / segmentLength : 0;
+      resampled.push(V.add(points[index - 1], V.scale(V.subtract(points[index], points[index - 1]), t)));
+    }
+    resampled.push(points[points.length - 1]);
+    return resampled;
+  };
+
+  // Une corde est plus courte que l'arc qu'elle remplace : on retire des segments tant qu'une corde
+  // reste sous le pas
+  let segmentCount = Math.max(minSegments, Math.floor(totalLength / pitch + 1e-9));
+  let resampled = resample(segmentCount);
+  const hasShortChord = (curve) => curve.some((p, i) => V.distance(i === 0 ? points[0] : curve[i - 1], p) < pitch - 1e-9);
+  while (segmentCount > minSegments && hasShortChord(resampled)) {
+    segmentCount--;
+    resampled = resample(segmentCount);
+  }
+  return resampled;
+};
+
+/**
+ * Pas angulaire maximal pour qu'une corde d'un arc de rayon donné reste dans la tolérance
+ * @param {number} radius - Rayon (le plus grand pour une ellipse)
+ * @param {number} tolerance - Écart maximal toléré
+ * @returns {number} Pas en radians
+ */
+export const getArcAngleStep = (radius, tolerance) => {
+  if (radius <= tolerance) return Math.PI / 2;
+  return Math.min(Math.PI / 2, 2 * Math.acos(1 - tolerance / radius));
+};
+
+/**
+ * Points d'une ellipse (ou d'un arc d'ellipse) tournée
+ * @param {Object} center - Centre {x, y}
+ * @param {number} rx - Rayon horizontal
+ * @param {number} ry - Rayon vertical
+ * @param {number} rotation - Rotation de l'ellipse en radians
+ * @param {number} startAngle - Paramètre de départ en radians
+ * @param {number} sweep - Balayage en radians (signé)
+ * @param {number} tolerance - Écart maximal toléré
+ * @param {number} [pitch=0] - Pas de pliage (unités de l'arc) ; 0 pour discrétiser à la tolérance
+ * @returns {Array} Points, point de départ compris
+ */
+export const ellipseArcPoints = (center, rx, ry, rotation, startAngle, sweep, tolerance, pitch = 0) => {
+  // Un arc de cercle est découpé au pas de pliage comme les arrondis de l'éditeur
+  const steps = pitch > 0 && rx === ry
+    ? getBendPitchDiscretization(rx, sweep, pitch, 1).segmentCount
+    : Math.max(1, Math.ceil(Math.abs(sweep) / getArcAngleStep(Math.max(rx, ry), tolerance)));
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const points = [];
+  for (let i = 0; i <= steps; i++) {
+    const angle = startAngle + (sweep * i) / steps;
+    const x = rx * Math.cos(angle);
+    const y = ry * Math.sin(angle);
+    points.push({ x: center.x + x * cos - y * sin, y: center.y + x * sin + y * cos });
+  }
+  // Un arc d'ellipse est redécoupé à longueur d'arc égale
+  return pitch > 0 && rx !== ry ? [points[0], ...resampleCurveByPitch(points, pitch)] : points;
+};
+
+/**
+ * Discrétise un arc elliptique SVG (commande A) donné par ses extrémités
+ * (conversion en paramétrage par le centre, recommandation SVG F.6.5)
+ * @returns {Array} Points de l'arc, sans le point de départ
+ */
+const flattenSvgArc = (start, rxInput, ryInput, rotationDeg, largeArc, sweepFlag, end, tolerance, pitch) => {
+  let rx = Math.abs(rxInput);
+  let ry = Math.abs(ryInput);
+  if (rx === 0 || ry === 0 || V.distance(start, end) === 0) return [end];
+
+  const rotation = (rotationDeg * Math.PI) / 180;
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const dx = (start.x - end.x) / 2;
+  const dy = (start.y - end.y) / 2;
+  const x1 = cos * dx + sin * dy;
+  const y1 = -sin * dx + cos * dy;
+
+  // Agrandir les rayons s'ils ne permettent pas de relier les deux extrémités
+  const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numerator = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+  const denominator = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+  let factor = Math.sqrt(Math.max(0, numerator / denominator));
+  if (largeArc === sweepFlag) factor = -factor;
+  const cx1 = (factor * rx * y1) / ry;
+  const cy1 = (-factor * ry * x1) / rx;
+  const center = {
+    x: cos * cx1 - sin * cy1 + (start.x + end.x) / 2,
+    y: sin * cx1 + cos * cy1 + (start.y + end.y) / 2,
+  };
+
+  const vectorAngle = (u, v) => Math.atan2(u.x * v.y - u.y * v.x, u.x * v.x + u.y * v.y);
+  const u = { x: (x1 - cx1) / rx, y: (y1 - cy1) / ry };
+  const v = { x: (-x1 - cx1) / rx, y: (-y1 - cy1) / ry };
+  const startAngle = vectorAngle({ x: 1, y: 0 }, u);
+  let sweep = vectorAngle(u, v);
+  if (!sweepFlag && sweep > 0) sweep -= 2 * Math.PI;
+  if (sweepFlag && sweep < 0) sweep += 2 * Math.PI;
+
+  const points = ellipseArcPoints(center, rx, ry, rotation, startAngle, sweep, tolerance, pitch).slice(1);
+  // Remplacer le dernier point calculé par l'extrémité exacte
+  points[points.length - 1] = end;
+  return points;
+};
+
+/**
+ * Découpe l'attribut d d'un chemin en commandes et arguments.
+ * Les drapeaux des arcs peuvent être collés (ex: "a1 1 0 01 5 5"), ils sont lus caractère par caractère.
+ * @param {string} pathData - Attribut d
+ * @returns {Array} Commandes [{command, args}]
+ */
+const tokenizePathData = (pathData) => {
+  const commands = [];
+  const data = pathData || '';
+  let index = 0;
+  let current = null;
+
+  const skipSeparators = () => {
+    while (index < data.length && /[\s,]/.test(data[index])) index++;
+  };
+  const readNumber = () => {
+    skipSeparators();
+    STICKY_NUMBER_PATTERN.lastIndex = index;
+    const match = STICKY_NUMBER_PATTERN.exec(data);
+    if (!match) return null;
+    index += match[0].length;
+    return parseFloat(match[0]);
+  };
+  const readFlag = () => {
+    skipSeparators();
+    const char = data[index];
+    if (char !== '0' && char !== '1') return null;
+    index++;
+    return char === '1' ? 1 : 0;
+  };
+
+  while (index < data.length) {
+    skipSeparators();
+    if (index >= data.length) break;
+    const char = data[index];
+
+    if (/[MLHVCSQTAZ]/i.test(char)) {
+      current = { command: char, args: [] };
+      commands.push(current);
+      index++;
+      continue;
+    }
+    if (!current) break;
+
+    // Arguments de la commande en cours (les drapeaux d'arc sont les 4e et 5e de chaque groupe de 7)
+    const isArcFlag = /a/i.test(current.command) && [3, 4].includes(current.args.length % 7);
+    const value = isArcFlag ? readFlag() : readNumber();
+    if (value === null) {
+      // Caractère inattendu : arrêter l'analyse comme le ferait un navigateur
+      break;
+    }
+    current.args.push(value);
+  }
+
+  return commands;
+};
+
+// Nombre d'arguments par commande de chemin
+const PATH_ARGUMENT_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Convertit l'attribut d d'un chemin SVG en sous-chemins discrétisés.
+ * Gère M, L, H, V, C, S, Q, T, A et Z, en absolu comme en relatif.
+ * Avec un pas de pliage, les courbes sont découpées à ce pas plutôt qu'à la tolérance.
+ * @param {string} pathData - Attribut d
+ * @param {number} tolerance - Écart maximal toléré pour la discrétisation des courbes
+ * @param {number} [pitch=0] - Pas de pliage (unités du chemin) ; 0 pour discrétiser à la tolérance
+ * @returns {Array} Sous-chemins [{points, isClosed}]
+ */
+export const parsePathData = (pathData, tolerance, pitch = 0) => {
+  const subpaths = [];
+  let currentPath = null;
+  let position = { x: 0, y: 0 };
+  let subpathStart = { x: 0, y: 0 };
+  // Dernier point de contrôle (pour S et T)
+  let lastControl = null;
+  let lastCommand = '';
+
+  const startSubpath = (point) => {
+    currentPath = { points: [point], isClosed: false };
+    subpaths.push(currentPath);
+    subpathStart = point;
+  };
+  const addPoints = (points) => {
+    if (!currentPath) startSubpath(position);
+    currentPath.points.push(...points);
+  };
+  // Courbe de Bézier discrétisée à la tolérance, redécoupée au pas de pliage s'il est donné
+  const addCurvePoints = (curvePoints) => {
+    addPoints(pitch > 0 ? resampleCurveByPitch([position, ...curvePoints], pitch) : curvePoints);
+  };
+
+  tokenizePathData(pathData).forEach(({ command, args }) => {
+    const upper = command.toUpperCase();
+    const isRelative = command !== upper;
+    const count = PATH_ARGUMENT_COUNTS[upper];
+
+    if (upper === 'Z') {
+      if (currentPath) currentPath.isClosed = true;
+      position = subpathStart;
+      currentPath = null;
+      lastControl = null;
+      lastCommand = 'Z';
+      return;
+    }
+
+    for (let i = 0; i + count <= args.length; i += count) {
+      const a = args.slice(i, i + count);
+      const origin = isRelative ? position : { x: 0, y: 0 };
+      const abs = (x, y) => ({ x: origin.x + x, y: origin.y + y });
+      // Après un M, les paires suivantes sont des L implicites
+      const effective = upper === 'M' && i > 0 ? 'L' : upper;
+
+      switch (effective) {
+        case 'M':
+          position = abs(a[0], a[1]);
+          startSubpath(position);
+          lastControl = null;
+          break;
+        // Comme pour les courbes, le point d'arrivée n'est adopté qu'après addPoints : après un Z,
+        // le nouveau sous-chemin part de la position courante
+        case 'L': {
+          const end = abs(a[0], a[1]);
+          addPoints([end]);
+          position = end;
+          lastControl = null;
+          break;
+        }
+        case 'H': {
+          const end = { x: (isRelative ? position.x : 0) + a[0], y: position.y };
+          addPoints([end]);
+          position = end;
+          lastControl = null;
+          break;
+        }
+        case 'V': {
+          const end = { x: position.x, y: (isRelative ? position.y : 0) + a[0] };
+          addPoints([end]);
+          position = end;
+          lastControl = null;
+          break;
+        }
+        case 'C':
+        case 'S': {
+          const control1 = effective === 'C'
+            ? abs(a[0], a[1])
+            : (lastControl && /[CS]/.test(lastCommand) ? V.subtract(V.scale(position, 2), lastControl) : position);
+          const control2 = effective === 'C' ? abs(a[2], a[3]) : abs(a[0], a[1]);
+          const end = effective === 'C' ? abs(a[4], a[5]) : abs(a[2], a[3]);
+          addCurvePoints(flattenCubicBezier(position, control1, control2, end, tolerance));
+          lastControl = control2;
+          position = end;
+          break;
+        }
+        case 'Q':
+        case 'T': {
+          const control = effective === 'Q'
+            ? abs(a[0], a[1])
+            : (lastControl && /[QT]/.test(lastCommand) ? V.subtract(V.scale(position, 2), lastControl) : position);
+          const end = effective === 'Q' ? abs(a[2], a[3]) : abs(a[0], a[1]);
+          addCurvePoints(flattenQuadraticBezier(position, control, end, tolerance));
+          lastControl = control;
+          position = end;
+          break;
+        }
+        case 'A': {
+          const end = abs(a[5], a[6]);
+          addPoints(flattenSvgArc(position, a[0], a[1], a[2], a[3], a[4], end, tolerance, pitch));
+          position = end;
+          lastControl = null;
+          break;
+        }
+        default:
+          break;
+      }
+      lastCommand = effective;
+    }
+  });
+
+  return subpaths;
+};
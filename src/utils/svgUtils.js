@@ -1,4 +1,86 @@
-import { API_BASE_URL } from '../constants/config';
+import { API_BASE_URL, DEFAULT_MACHINE_PROFILE, SVG_IMPORT_TOLERANCE_MM } from '../constants/config';
+import { V } from './vectorUtils';
+import {
+  parseNumberList,
+  parseLength,
+  lengthToMm,
+  parseTransform,
+  multiplyMatrices,
+  applyMatrix,
+  getMatrixScale,
+  isSimilarityMatrix,
+  ellipseArcPoints,
+  resampleCurveByPitch,
+  parsePathData,
+  IDENTITY_MATRIX,
+} from './svgPathUtils';
+
+/**
+ * Échappe une valeur pour l'insérer dans un attribut XML
+ * @param {string} value - Valeur brute
+ * @returns {string} Valeur échappée
+ */
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+// Données propres à l'éditeur conservées en attributs data-* (JSON), relues telles quelles à l'import
+const SHAPE_DATA_ATTRIBUTES = [
+  { key: 'constraints', attribute: 'data-constraints', isValid: Array.isArray },
+  { key: 'template', attribute: 'data-template', isValid: (value) => !!value && typeof value.id === 'string' },
+  { key: 'contourReference', attribute: 'data-contour-reference', isValid: (value) => typeof value === 'string' },
+];
+
+/**
+ * Génère les attributs data-* qui conservent les données propres à l'éditeur (contraintes, gabarit...).
+ * Une forme développée (arrondis en arcs) garde aussi ses points de contrôle et leurs arrondis
+ * paramétriques : les contraintes se rapportent à ces sommets, pas aux cordes des arcs.
+ * @param {Object} shape - Forme à convertir en SVG
+ * @returns {string} Attributs préfixés d'un espace, ou chaîne vide
+ */
+const generateShapeDataAttributes = (shape) => {
+  let attributes = '';
+  SHAPE_DATA_ATTRIBUTES.forEach(({ key, attribute }) => {
+    const value = shape[key];
+    if (value === undefined || value === null || (Array.isArray(value) && value.length === 0)) return;
+    attributes += ` ${attribute}="${escapeAttribute(JSON.stringify(value))}"`;
+  });
+  if (shape.controlPoints) {
+    attributes += ` data-control-points="${escapeAttribute(JSON.stringify(shape.controlPoints))}"`;
+  }
+  return attributes;
+};
+
+/**
+ * Relit les données propres à l'éditeur depuis les attributs data-* d'un élément SVG
+ * @param {Element} element - Élément SVG (polygon, polyline)
+ * @returns {Object} Propriétés à fusionner dans la forme (controlPoints : sommets arrondis, non transformés)
+ */
+const parseShapeDataAttributes = (element) => {
+  const data = {};
+  const readJson = (attribute) => {
+    const value = element.getAttribute(attribute);
+    if (!value) return undefined;
+    try {
+      return JSON.parse(value);
+    } catch (error) {
+      console.warn(`Attribut ${attribute} illisible ignoré:`, error);
+      return undefined;
+    }
+  };
+
+  SHAPE_DATA_ATTRIBUTES.forEach(({ key, attribute, isValid }) => {
+    const value = readJson(attribute);
+    if (value !== undefined && isValid(value)) data[key] = value;
+  });
+  const controlPoints = readJson('data-control-points');
+  if (Array.isArray(controlPoints) && controlPoints.every(p => Number.isFinite(p.x) && Number.isFinite(p.y))) {
+    data.controlPoints = controlPoints;
+  }
+  return data;
+};
 
 /**
  * Génère le contenu SVG d'une forme
@@ -9,13 +91,14 @@ export const generateShapeSvgMarkup = (shape) => {
   if (!shape || !shape.points || shape.points.length === 0) return '';
 
   const { id, type, points, fill, stroke, strokeWidth } = shape;
+  const dataAttributes = generateShapeDataAttributes(shape);
 
   if (type === 'polygon' && points.length >= 3) {
     const pointsStr = points.map(p => `${p.x},${p.y}`).join(' ');
-    return `<polygon id="${id}" points="${pointsStr}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" />`;
+    return `<polygon id="${id}" points="${pointsStr}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"${dataAttributes} />`;
   } else if (type === 'polyline' && points.length >= 2) {
     const pointsStr = points.map(p => `${p.x},${p.y}`).join(' ');
-    return `<polyline id="${id}" points="${pointsStr}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}" />`;
+    return `<polyline id="${id}" points="${pointsStr}" fill="${fill}" stroke="${stroke}" stroke-width="${strokeWidth}"${dataAttributes} />`;
   } else if (type === 'circle' && points.length === 2) {
     const [center, radiusPoint] = points;
     const radius = Math.sqrt(
@@ -100,85 +183,183 @@ export const fetchSvgLibrary = async () => {
 };
 
 /**
- * Analyse le contenu SVG pour extraire les formes
+ * Échelle unités utilisateur du SVG -> mm, d'après width/height et viewBox de la racine
+ * @param {Element} svgElement - Élément <svg> racine
+ * @returns {number|null} mm par unité utilisateur, ou null si le document n'a pas d'unité physique
+ */
+const getDocumentMmPerUserUnit = (svgElement) => {
+  const widthMm = lengthToMm(parseLength(svgElement.getAttribute('width')));
+  const heightMm = lengthToMm(parseLength(svgElement.getAttribute('height')));
+  const viewBox = parseNumberList(svgElement.getAttribute('viewBox'));
+
+  if (viewBox.length === 4) {
+    if (widthMm !== null && viewBox[2] > 0) return widthMm / viewBox[2];
+    if (heightMm !== null && viewBox[3] > 0) return heightMm / viewBox[3];
+    return null;
+  }
+  // Sans viewBox, une unité utilisateur vaut un pixel CSS
+  return widthMm !== null || heightMm !== null ? lengthToMm({ value: 1, unit: 'px' }) : null;
+};
+
+/**
+ * Analyse le contenu SVG pour extraire les formes.
+ * Prend en charge polygon, polyline, rect, line, circle, ellipse et path (M/L/H/V/C/S/Q/T/A/Z,
+ * absolus et relatifs), les transformations imbriquées des groupes et les unités physiques
+ * du document (width/height en mm, cm, in...). Comme à l'import DXF, les courbes sont découpées au pas
+ * de pliage de la machine (la tolérance ne sert qu'à les suivre avant ce découpage).
+ * Un document sans unité physique (ex: SVG enregistré par l'éditeur) garde ses coordonnées.
  * @param {string} svgContent - Contenu SVG à analyser
+ * @param {number} [svgUnitsPerMm=DEFAULT_MACHINE_PROFILE.svgUnitsPerMm] - Ratio de conversion mm -> unités SVG de l'éditeur
+ * @param {Object} [options] - Options d'import
+ * @param {number} [options.bendPitchMm=DEFAULT_MACHINE_PROFILE.bendPitchMm] - Pas de pliage des courbes (mm)
+ * @param {number} [options.toleranceMm=SVG_IMPORT_TOLERANCE_MM] - Écart maximal entre courbe et segments (mm)
  * @returns {Array} Liste des formes extraites
  */
-export const parseSvgContent = (svgContent) => {
+export const parseSvgContent = (
+  svgContent,
+  svgUnitsPerMm = DEFAULT_MACHINE_PROFILE.svgUnitsPerMm,
+  { bendPitchMm = DEFAULT_MACHINE_PROFILE.bendPitchMm, toleranceMm = SVG_IMPORT_TOLERANCE_MM } = {}
+) => {
   const parser = new DOMParser();
   const svgDoc = parser.parseFromString(svgContent, 'image/svg+xml');
+  const svgElement = svgDoc.querySelector('svg');
   const shapes = [];
+  if (!svgElement) return shapes;
 
-  // Extraire les polygones
-  const polygons = svgDoc.querySelectorAll('polygon');
-  polygons.forEach((polygon) => {
-    const pointsAttr = polygon.getAttribute('points');
-    if (!pointsAttr) return;
-
-    const pointsList = pointsAttr.trim().split(' ').map((point) => {
-      const [x, y] = point.split(',').map(Number);
-      return { x, y };
-    });
-
-    if (pointsList.length < 3) return;
+  const mmPerUserUnit = getDocumentMmPerUserUnit(svgElement);
+  // Matrice racine : unités utilisateur -> unités de l'éditeur
+  const documentScale = mmPerUserUnit !== null ? mmPerUserUnit * svgUnitsPerMm : 1;
+  const rootMatrix = [documentScale, 0, 0, documentScale, 0, 0];
+  const toleranceSvgUnits = toleranceMm * svgUnitsPerMm;
+  const pitchSvgUnits = bendPitchMm * svgUnitsPerMm;
 
-    shapes.push({
-      id: polygon.getAttribute('id') || `polygon_${Date.now()}_${shapes.length}`,
-      type: 'polygon',
-      points: pointsList,
-      fill: polygon.getAttribute('fill') || 'rgba(0, 200, 100, 0.3)',
-      stroke: polygon.getAttribute('stroke') || 'black',
-      strokeWidth: Number(polygon.getAttribute('stroke-width')) || 2,
-    });
+  const readStyle = (element, defaultFill) => ({
+    fill: element.getAttribute('fill') || defaultFill,
+    stroke: element.getAttribute('stroke') || 'black',
+    strokeWidth: Number(element.getAttribute('stroke-width')) || 2,
   });
+  const numberAttribute = (element, name) => parseFloat(element.getAttribute(name)) || 0;
 
-  // Extraire les polylignes
-  const polylines = svgDoc.querySelectorAll('polyline');
-  polylines.forEach((polyline) => {
-    const pointsAttr = polyline.getAttribute('points');
-    if (!pointsAttr) return;
-
-    const pointsList = pointsAttr.trim().split(' ').map((point) => {
-      const [x, y] = point.split(',').map(Number);
-      return { x, y };
-    });
-
-    if (pointsList.length < 2) return;
-
+  const addPathShape = (element, points, isClosed, matrix, idPrefix) => {
+    const { controlPoints, ...data } = parseShapeDataAttributes(element);
+    // Forme enregistrée par l'éditeur avec ses arrondis : on repart des sommets de contrôle
+    const transformed = (controlPoints || points).map(p => ({ ...p, ...applyMatrix(matrix, p) }));
+    const isPolygon = isClosed && transformed.length >= 3;
+    if (transformed.length < 2) return;
     shapes.push({
-      id: polyline.getAttribute('id') || `polyline_${Date.now()}_${shapes.length}`,
-      type: 'polyline',
-      points: pointsList,
-      fill: polyline.getAttribute('fill') || 'none',
-      stroke: polyline.getAttribute('stroke') || 'black',
-      strokeWidth: Number(polyline.getAttribute('stroke-width')) || 2,
+      id: element.getAttribute('id') && !shapes.some(s => s.id === element.getAttribute('id'))
+        ? element.getAttribute('id')
+        : `${idPrefix}_${Date.now()}_${shapes.length}`,
+      type: isPolygon ? 'polygon' : 'polyline',
+      points: transformed,
+      ...readStyle(element, isPolygon ? 'rgba(0, 200, 100, 0.3)' : 'none'),
+      ...data,
     });
-  });
+  };
 
-  // Extraire les cercles
-  const circles = svgDoc.querySelectorAll('circle');
-  circles.forEach((circle) => {
-    const cx = Number(circle.getAttribute('cx'));
-    const cy = Number(circle.getAttribute('cy'));
-    const r = Number(circle.getAttribute('r'));
+  // Ellipse ou cercle déformé : suivi à la tolérance puis découpé au pas dans le repère de l'éditeur,
+  // où les cordes gardent leur longueur quelle que soit la transformation
+  const addEllipseShape = (element, center, rx, ry, matrix, localTolerance) => {
+    const curvePoints = ellipseArcPoints(center, rx, ry, 0, 0, 2 * Math.PI, localTolerance)
+      .map(p => applyMatrix(matrix, p));
+    // Au moins un triangle pour rester un polygone
+    const points = [curvePoints[0], ...resampleCurveByPitch(curvePoints, pitchSvgUnits, 3)].slice(0, -1);
+    addPathShape(element, points, true, IDENTITY_MATRIX, 'polygon');
+  };
 
-    if (isNaN(cx) || isNaN(cy) || isNaN(r)) return;
+  const pointsFromAttribute = (element) => {
+    const numbers = parseNumberList(element.getAttribute('points'));
+    const points = [];
+    for (let i = 0; i + 1 < numbers.length; i += 2) {
+      points.push({ x: numbers[i], y: numbers[i + 1] });
+    }
+    return points;
+  };
 
-    // Pour un cercle, nous stockons le centre et un point sur le cercle
-    const points = [
-      { x: cx, y: cy }, // Centre
-      { x: cx + r, y: cy }, // Point sur le cercle (à droite du centre)
-    ];
+  const visit = (element, parentMatrix) => {
+    const matrix = multiplyMatrices(parentMatrix, parseTransform(element.getAttribute('transform')));
+    // Tolérance et pas exprimés dans le repère local de l'élément
+    const localTolerance = toleranceSvgUnits / (getMatrixScale(matrix) || 1);
+    const localPitch = pitchSvgUnits / (getMatrixScale(matrix) || 1);
+    const tagName = element.tagName.toLowerCase().replace(/^svg:/, '');
 
-    shapes.push({
-      id: circle.getAttribute('id') || `circle_${Date.now()}_${shapes.length}`,
-      type: 'circle',
-      points,
-      fill: circle.getAttribute('fill') || 'rgba(0, 200, 100, 0.3)',
-      stroke: circle.getAttribute('stroke') || 'black',
-      strokeWidth: Number(circle.getAttribute('stroke-width')) || 2,
-    });
-  });
+    switch (tagName) {
+      case 'polygon':
+        addPathShape(element, pointsFromAttribute(element), true, matrix, 'polygon');
+        break;
+      case 'polyline':
+        addPathShape(element, pointsFromAttribute(element), false, matrix, 'polyline');
+        break;
+      case 'line':
+        addPathShape(element, [
+          { x: numberAttribute(element, 'x1'), y: numberAttribute(element, 'y1') },
+          { x: numberAttribute(element, 'x2'), y: numberAttribute(element, 'y2') },
+        ], false, matrix, 'polyline');
+        break;
+      case 'rect': {
+        const x = numberAttribute(element, 'x');
+        const y = numberAttribute(element, 'y');
+        const width = numberAttribute(element, 'width');
+        const height = numberAttribute(element, 'height');
+        if (width <= 0 || height <= 0) break;
+        addPathShape(element, [
+          { x, y },
+          { x: x + width, y },
+          { x: x + width, y: y + height },
+          { x, y: y + height },
+        ], true, matrix, 'polygon');
+        break;
+      }
+      case 'circle': {
+        const center = { x: numberAttribute(element, 'cx'), y: numberAttribute(element, 'cy') };
+        const r = numberAttribute(element, 'r');
+        if (r <= 0) break;
+        if (isSimilarityMatrix(matrix)) {
+          // Pour un cercle, nous stockons le centre et un point sur le cercle
+          const svgCenter = applyMatrix(matrix, center);
+          shapes.push({
+            id: element.getAttribute('id') || `circle_${Date.now()}_${shapes.length}`,
+            type: 'circle',
+            points: [svgCenter, { x: svgCenter.x + r * getMatrixScale(matrix), y: svgCenter.y }],
+            ...readStyle(element, 'rgba(0, 200, 100, 0.3)'),
+          });
+        } else {
+          // Un cercle déformé par la transformation devient un polygone
+          addEllipseShape(element, center, r, r, matrix, localTolerance);
+        }
+        break;
+      }
+      case 'ellipse': {
+        const rx = numberAttribute(element, 'rx');
+        const ry = numberAttribute(element, 'ry');
+        if (rx <= 0 || ry <= 0) break;
+        const center = { x: numberAttribute(element, 'cx'), y: numberAttribute(element, 'cy') };
+        addEllipseShape(element, center, rx, ry, matrix, localTolerance);
+        break;
+      }
+      case 'path':
+        parsePathData(element.getAttribute('d'), localTolerance, localPitch).forEach(({ points, isClosed }) => {
+          // Un sous-chemin fermé par Z répète souvent son premier point
+          const cleanPoints = isClosed && points.length > 1 &&
+            V.distance(points[0], points[points.length - 1]) < 1e-9
+            ? points.slice(0, -1)
+            : points;
+          addPathShape(element, cleanPoints, isClosed, matrix, isClosed ? 'polygon' : 'polyline');
+        });
+        break;
+      case 'defs':
+      case 'clippath':
+      case 'mask':
+      case 'symbol':
+      case 'pattern':
+        // Éléments non rendus directement
+        break;
+      default:
+        Array.from(element.children).forEach(child => visit(child, matrix));
+        break;
+    }
+  };
 
+  Array.from(svgElement.children).forEach(child => visit(child, rootMatrix));
   return shapes;
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,176 @@
+import { FILLET_TYPES } from './filletUtils';
+import { CONTOUR_TYPES } from './offsetUtils';
+
+// Gabarits de pièces paramétriques : profils répétitifs décrits par des cotes nommées (mm).
+// Une forme créée depuis un gabarit garde shape.template = { id, parameters } pour être
+// régénérée quand ses cotes changent. Les rayons sont posés en arrondis paramétriques.
+
+export const TEMPLATE_IDS = {
+  U_CHANNEL: 'u-channel',
+  L_BRACKET: 'l-bracket',
+  FRAME: 'frame',
+  ROUNDED_RECTANGLE: 'rounded-rectangle',
+};
+
+// Marge gardée sur les rayons : l'arrondi ne peut pas consommer plus de ~la moitié d'un côté
+const MAX_RADIUS_RATIO = 0.49;
+
+const roundedCorner = (x, y, radiusMm) => (
+  radiusMm > 0 ? { x, y, fillet: { type: FILLET_TYPES.ROUND, radiusMm } } : { x, y }
+);
+
+// Rectangle de largeur / hauteur données, coins arrondis au rayon donné
+const buildRoundedRectangle = ({ width, height, radius }) => [
+  roundedCorner(0, 0, radius),
+  roundedCorner(width, 0, radius),
+  roundedCorner(width, height, radius),
+  roundedCorner(0, height, radius),
+];
+
+// Le rayon d'un coin d'angle donné entre deux côtés est limité par le plus court d'entre eux
+const validateRadius = ({ width, height, radius }, angleDeg = 90) => {
+  const maxRadius = Math.min(width, height) * MAX_RADIUS_RATIO * Math.tan((angleDeg * Math.PI) / 360);
+  return radius > maxRadius ? `Le rayon doit rester inférieur à ${Math.floor(maxRadius * 10) / 10} mm` : null;
+};
+
+/**
+ * Gabarits disponibles. Chaque gabarit décrit ses cotes (clé, libellé, unité, minimum, valeur par défaut),
+ * construit ses points en mm (origine en haut à gauche, y vers le bas) et peut refuser une combinaison de cotes.
+ */
+export const PART_TEMPLATES = [
+  {
+    id: TEMPLATE_IDS.U_CHANNEL,
+    label: 'Profil en U',
+    description: 'Âme et deux ailes, avec retours vers l\'intérieur (retour nul : U simple).',
+    shapeType: 'polyline',
+    parameters: [
+      { key: 'width', label: 'Largeur', unit: 'mm', min: 1, defaultValue: 100 },
+      { key: 'height', label: 'Hauteur', unit: 'mm', min: 1, defaultValue: 50 },
+      { key: 'flange', label: 'Retour', unit: 'mm', min: 0, defaultValue: 15 },
+    ],
+    build: ({ width, height, flange }) => [
+      ...(flange > 0 ? [{ x: flange, y: 0 }] : []),
+      { x: 0, y: 0 },
+      { x: 0, y: height },
+      { x: width, y: height },
+      { x: width, y: 0 },
+      ...(flange > 0 ? [{ x: width - flange, y: 0 }] : []),
+    ],
+    validate: ({ width, flange }) => (
+      flange >= width / 2 ? 'Les retours doivent mesurer moins de la moitié de la largeur' : null
+    ),
+  },
+  {
+    id: TEMPLATE_IDS.L_BRACKET,
+    label: 'Équerre',
+    description: 'Deux branches formant un angle, arrondi intérieur possible.',
+    shapeType: 'polyline',
+    parameters: [
+      { key: 'height', label: 'Branche verticale', unit: 'mm', min: 1, defaultValue: 60 },
+      { key: 'width', label: 'Branche horizontale', unit: 'mm', min: 1, defaultValue: 80 },
+      { key: 'angle', label: 'Angle', unit: '°', min: 1, defaultValue: 90 },
+      { key: 'radius', label: 'Rayon', unit: 'mm', min: 0, defaultValue: 0 },
+    ],
+    build: ({ height, width, angle, radius }) => {
+      const angleRad = (angle * Math.PI) / 180;
+      return [
+        { x: 0, y: 0 },
+        roundedCorner(0, height, radius),
+        { x: width * Math.sin(angleRad), y: height - width * Math.cos(angleRad) },
+      ];
+    },
+    validate: ({ height, width, angle, radius }) => {
+      if (angle >= 180) return "L'angle doit être inférieur à 180°";
+      return validateRadius({ width, height, radius }, angle);
+    },
+  },
+  {
+    id: TEMPLATE_IDS.FRAME,
+    label: 'Cadre',
+    description: 'Cadre coté à l\'intérieur : la face intérieure de la bande épouse la largeur, la hauteur et le rayon.',
+    shapeType: 'polygon',
+    contourReference: CONTOUR_TYPES.INNER,
+    parameters: [
+      { key: 'width', label: 'Largeur intérieure', unit: 'mm', min: 1, defaultValue: 200 },
+      { key: 'height', label: 'Hauteur intérieure', unit: 'mm', min: 1, defaultValue: 150 },
+      { key: 'radius', label: 'Rayon intérieur', unit: 'mm', min: 0, defaultValue: 10 },
+    ],
+    build: buildRoundedRectangle,
+    validate: (parameters) => validateRadius(parameters),
+  },
+  {
+    id: TEMPLATE_IDS.ROUNDED_RECTANGLE,
+    label: 'Rectangle arrondi',
+    description: 'Rectangle aux quatre coins arrondis, coté sur le tracé.',
+    shapeType: 'polygon',
+    parameters: [
+      { key: 'width', label: 'Largeur', unit: 'mm', min: 1, defaultValue: 120 },
+      { key: 'height', label: 'Hauteur', unit: 'mm', min: 1, defaultValue: 80 },
+      { key: 'radius', label: 'Rayon', unit: 'mm', min: 0, defaultValue: 20 },
+    ],
+    build: buildRoundedRectangle,
+    validate: (parameters) => validateRadius(parameters),
+  },
+];
+
+/**
+ * Retrouve un gabarit par son identifiant
+ * @param {string} templateId - Identifiant (TEMPLATE_IDS)
+ * @returns {Object|null}
+ */
+export const getPartTemplate = (templateId) => PART_TEMPLATES.find(template => template.id === templateId) || null;
+
+/**
+ * Cotes par défaut d'un gabarit
+ * @param {Object} template - Gabarit
+ * @returns {Object} { clé: valeur }
+ */
+export const getDefaultTemplateParameters = (template) => Object.fromEntries(
+  template.parameters.map(parameter => [parameter.key, parameter.defaultValue])
+);
+
+/**
+ * Vérifie les cotes d'un gabarit
+ * @param {Object} template - Gabarit
+ * @param {Object} parameters - Cotes saisies
+ * @returns {string|null} Message d'erreur, ou null si les cotes sont valides
+ */
+export const validateTemplateParameters = (template, parameters) => {
+  const invalid = template.parameters.find(parameter => (
+    !Number.isFinite(parameters[parameter.key]) || parameters[parameter.key] < parameter.min
+  ));
+  if (invalid) {
+    return `${invalid.label} : valeur minimale ${invalid.min} ${invalid.unit}`;
+  }
+  return template.validate ? template.validate(parameters) : null;
+};
+
+/**
+ * Construit les points d'un gabarit en unités SVG, son coin haut gauche placé à l'origine donnée
+ * @param {Object} template - Gabarit
+ * @param {Object} parameters - Cotes valides
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @param {Object} [origin] - Position du coin haut gauche {x, y} (unités SVG)
+ * @returns {Array} Points de contrôle (les arrondis restent paramétriques, en mm)
+ */
+export const buildTemplatePoints = (template, parameters, svgUnitsPerMm, origin = { x: 0, y: 0 }) => {
+  const pointsMm = template.build(parameters);
+  const minX = Math.min(...pointsMm.map(p => p.x));
+  const minY = Math.min(...pointsMm.map(p => p.y));
+  return pointsMm.map(p => ({
+    ...p,
+    x: origin.x + (p.x - minX) * svgUnitsPerMm,
+    y: origin.y + (p.y - minY) * svgUnitsPerMm,
+  }));
+};
+
+/**
+ * Détache une forme de son gabarit. Appelée quand sa géométrie est modifiée hors de la galerie :
+ * ses cotes nommées ne la décrivent plus et une régénération effacerait la modification.
+ * @param {Object} shape - Forme
+ * @returns {Object} Forme sans gabarit
+ */
+export const detachTemplate = (shape) => {
+  const { template: _removedTemplate, ...rest } = shape;
+  return rest;
+};
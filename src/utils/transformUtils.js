@@ -0,0 +1,111 @@
+// Transformations globales d'une forme : translation, rotation, mise à l'échelle et symétrie.
+// Les angles sont en degrés, positifs dans le sens horaire à l'écran (axe Y vers le bas, comme en SVG).
+
+/**
+ * Boîte englobante d'une liste de points
+ * @param {Array} points - Points {x, y}
+ * @returns {Object} { minX, minY, maxX, maxY, width, height, center }
+ */
+export const getBoundingBox = (points) => {
+  const xs = points.map(p => p.x);
+  const ys = points.map(p => p.y);
+  const minX = Math.min(...xs);
+  const minY = Math.min(...ys);
+  const maxX = Math.max(...xs);
+  const maxY = Math.max(...ys);
+  return {
+    minX,
+    minY,
+    maxX,
+    maxY,
+    width: maxX - minX,
+    height: maxY - minY,
+    center: { x: (minX + maxX) / 2, y: (minY + maxY) / 2 }
+  };
+};
+
+/**
+ * Déplace tous les points
+ * @param {Array} points - Points {x, y}
+ * @param {number} dx - Déplacement horizontal
+ * @param {number} dy - Déplacement vertical
+ * @returns {Array} Points déplacés
+ */
+export const translatePoints = (points, dx, dy) => (
+  points.map(p => ({ ...p, x: p.x + dx, y: p.y + dy }))
+);
+
+/**
+ * Fait tourner les points autour d'un centre
+ * @param {Array} points - Points {x, y}
+ * @param {number} angleDeg - Angle de rotation en degrés (sens horaire à l'écran)
+ * @param {Object} center - Centre de rotation {x, y}
+ * @returns {Array} Points tournés
+ */
+export const rotatePoints = (points, angleDeg, center) => {
+  const angleRad = (angleDeg * Math.PI) / 180;
+  const cos = Math.cos(angleRad);
+  const sin = Math.sin(angleRad);
+  return points.map(p => {
+    const dx = p.x - center.x;
+    const dy = p.y - center.y;
+    return { ...p, x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
+  });
+};
+
+/**
+ * Arrondit un angle au multiple le plus proche d'un pas
+ * @param {number} angleDeg - Angle en degrés
+ * @param {number} stepDeg - Pas d'accrochage en degrés
+ * @returns {number} Angle accroché
+ */
+export const snapAngle = (angleDeg, stepDeg) => Math.round(angleDeg / stepDeg) * stepDeg;
+
+/**
+ * Met les points à l'échelle par rapport à une origine
+ * @param {Array} points - Points {x, y}
+ * @param {number} scaleX - Facteur horizontal
+ * @param {number} scaleY - Facteur vertical
+ * @param {Object} origin - Point fixe de la mise à l'échelle {x, y}
+ * @returns {Array} Points mis à l'échelle
+ */
+export const scalePoints = (points, scaleX, scaleY, origin) => (
+  points.map(p => ({
+    ...p,
+    x: origin.x + (p.x - origin.x) * scaleX,
+    y: origin.y + (p.y - origin.y) * scaleY
+  }))
+);
+
+/**
+ * Facteurs d'échelle pour amener la boîte englobante à des dimensions cibles.
+ * Une dimension nulle (segment horizontal ou vertical) n'est pas mise à l'échelle.
+ * @param {Object} box - Boîte englobante (getBoundingBox)
+ * @param {number} targetWidth - Largeur cible (mêmes unités que la boîte)
+ * @param {number} targetHeight - Hauteur cible (mêmes unités que la boîte)
+ * @param {boolean} keepRatio - Conserver les proportions (la largeur prime si elle change)
+ * @returns {Object} { scaleX, scaleY }
+ */
+export const getScaleToBoundingBox = (box, targetWidth, targetHeight, keepRatio) => {
+  const scaleX = box.width > 0 ? targetWidth / box.width : 1;
+  const scaleY = box.height > 0 ? targetHeight / box.height : 1;
+  if (!keepRatio) return { scaleX, scaleY };
+
+  const uniformScale = box.width > 0 && Math.abs(targetWidth - box.width) > 1e-9 ? scaleX : scaleY;
+  return { scaleX: uniformScale, scaleY: uniformScale };
+};
+
+/**
+ * Symétrie des points par rapport à un axe passant par un centre
+ * @param {Array} points - Points {x, y}
+ * @param {string} axis - 'horizontal' (gauche ↔ droite) ou 'vertical' (haut ↕ bas)
+ * @param {Object} center - Point de l'axe de symétrie {x, y}
+ * @returns {Array} Points symétriques
+ */
+export const mirrorPoints = (points, axis, center) => (
+  points.map(p => (
+    axis === 'horizontal'
+      ? { ...p, x: 2 * center.x - p.x }
+      : { ...p, y: 2 * center.y - p.y }
+  ))
+);
@@ -0,0 +1,196 @@
+import { V } from './vectorUtils';
+import { calculatePathLength } from './shapeUtils';
+
+// Identifiants des règles de validation
+export const VALIDATION_RULES = {
+  MIN_ANGLE: 'minAngle',
+  MAX_BEND_ANGLE: 'maxBendAngle',
+  MIN_SEGMENT_LENGTH: 'minSegmentLength',
+  MAX_STRIP_LENGTH: 'maxStripLength',
+  SELF_INTERSECTION: 'selfIntersection',
+  DUPLICATE_POINT: 'duplicatePoint',
+  COLINEAR_POINT: 'colinearPoint',
+};
+
+// Seuils internes (indépendants de la machine)
+const DUPLICATE_DISTANCE_MM = 0.01;
+const COLINEAR_TOLERANCE_DEG = 0.5;
+
+const toDegrees = (rad) => (rad * 180) / Math.PI;
+const formatNumber = (value) => Number(value.toFixed(1));
+
+/**
+ * Liste les segments d'une forme
+ * @param {Array} points - Points de la forme
+ * @param {boolean} isPolygon - Si la forme est fermée
+ * @returns {Array} Segments [{index, start, end}]
+ */
+const getSegments = (points, isPolygon) => {
+  const segments = [];
+  const count = isPolygon && points.length > 2 ? points.length : points.length - 1;
+  for (let i = 0; i < count; i++) {
+    segments.push({ index: i, start: points[i], end: points[(i + 1) % points.length] });
+  }
+  return segments;
+};
+
+/**
+ * Teste si deux segments [p1, p2] et [p3, p4] se coupent (hors extrémités communes)
+ * @returns {boolean} true si les segments se croisent
+ */
+const segmentsIntersect = (p1, p2, p3, p4) => {
+  const d1 = V.cross(V.subtract(p4, p3), V.subtract(p1, p3));
+  const d2 = V.cross(V.subtract(p4, p3), V.subtract(p2, p3));
+  const d3 = V.cross(V.subtract(p2, p1), V.subtract(p3, p1));
+  const d4 = V.cross(V.subtract(p2, p1), V.subtract(p4, p1));
+  return ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0));
+};
+
+/**
+ * Calcule l'angle entre les deux segments qui se rejoignent à un sommet
+ * @param {Object} prev - Sommet précédent {x, y}
+ * @param {Object} curr - Sommet courant {x, y}
+ * @param {Object} next - Sommet suivant {x, y}
+ * @returns {number|null} Angle entre les segments en degrés (0-180), null si un segment est nul
+ */
+const getIncludedAngleDeg = (prev, curr, next) => {
+  const v1 = V.subtract(prev, curr);
+  const v2 = V.subtract(next, curr);
+  const magnitudeProduct = V.magnitude(v1) * V.magnitude(v2);
+  if (magnitudeProduct === 0) return null;
+  return toDegrees(Math.acos(Math.max(-1, Math.min(1, V.dot(v1, v2) / magnitudeProduct))));
+};
+
+/**
+ * Vérifie qu'une forme respecte les contraintes d'une machine de pliage.
+ * Chaque violation indique la règle concernée, sa gravité et le sommet ou segment en cause.
+ * @param {Object} shape - Forme à valider (polygone ou polyligne)
+ * @param {Object} profile - Profil machine (minAngleDeg, maxBendAngleDeg, minSegmentLengthMm, maxStripLengthMm)
+ * @param {number} svgUnitsPerMm - Ratio de conversion unités SVG -> mm
+ * @returns {Array} Violations [{rule, severity, message, vertexIndex?, segmentIndex?, position, segment?}]
+ */
+export const validateShapeForProduction = (shape, profile, svgUnitsPerMm) => {
+  if (!shape || !shape.points || shape.points.length < 2) return [];
+
+  const { points } = shape;
+  const isPolygon = shape.type === 'polygon';
+  const n = points.length;
+  const toMm = (svgLength) => (svgUnitsPerMm > 0 ? svgLength / svgUnitsPerMm : svgLength);
+  const violations = [];
+
+  // Points confondus
+  const segments = getSegments(points, isPolygon);
+  segments.forEach(({ index, start, end }) => {
+    if (toMm(V.distance(start, end)) < DUPLICATE_DISTANCE_MM) {
+      violations.push({
+        rule: VALIDATION_RULES.DUPLICATE_POINT,
+        severity: 'warning',
+        message: `Sommets ${index + 1} et ${((index + 1) % n) + 1} confondus`,
+        vertexIndex: (index + 1) % n,
+        position: end,
+      });
+    }
+  });
+
+  // Angles aux sommets (tous pour un polygone, intérieurs pour une polyligne)
+  const firstVertex = isPolygon ? 0 : 1;
+  const lastVertex = isPolygon ? n - 1 : n - 2;
+  const bendVertices = new Set();
+  for (let i = firstVertex; i <= lastVertex && n >= 3; i++) {
+    const prev = points[(i - 1 + n) % n];
+    const next = points[(i + 1) % n];
+    const includedAngle = getIncludedAngleDeg(prev, points[i], next);
+    if (includedAngle === null) continue;
+
+    const bendAngle = 180 - includedAngle;
+    if (bendAngle < COLINEAR_TOLERANCE_DEG) {
+      violations.push({
+        rule: VALIDATION_RULES.COLINEAR_POINT,
+        severity: 'warning',
+        message: `Sommet ${i + 1} aligné avec ses voisins (pli inutile)`,
+        vertexIndex: i,
+        position: points[i],
+      });
+      continue;
+    }
+    bendVertices.add(i);
+
+    if (includedAngle < profile.minAngleDeg) {
+      violations.push({
+        rule: VALIDATION_RULES.MIN_ANGLE,
+        severity: 'error',
+        message: `Angle de ${formatNumber(includedAngle)}° au sommet ${i + 1} (minimum ${profile.minAngleDeg}°)`,
+        vertexIndex: i,
+        position: points[i],
+      });
+    }
+    if (bendAngle > profile.maxBendAngleDeg) {
+      violations.push({
+        rule: VALIDATION_RULES.MAX_BEND_ANGLE,
+        severity: 'error',
+        message: `Pli de ${formatNumber(bendAngle)}° au sommet ${i + 1} (maximum ${profile.maxBendAngleDeg}°)`,
+        vertexIndex: i,
+        position: points[i],
+      });
+    }
+  }
+
+  // Longueur minimale des segments compris entre deux plis
+  segments.forEach(({ index, start, end }) => {
+    const endIndex = (index + 1) % n;
+    if (!bendVertices.has(index) || !bendVertices.has(endIndex)) return;
+    const lengthMm = toMm(V.distance(start, end));
+    if (lengthMm < profile.minSegmentLengthMm) {
+      violations.push({
+        rule: VALIDATION_RULES.MIN_SEGMENT_LENGTH,
+        severity: 'error',
+        message: `Segment ${index + 1} trop court : ${formatNumber(lengthMm)} mm (minimum ${profile.minSegmentLengthMm} mm)`,
+        segmentIndex: index,
+        position: V.scale(V.add(start, end), 0.5),
+        segment: [start, end],
+      });
+    }
+  });
+
+  // Auto-intersection : segments non adjacents qui se croisent
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 2; j < segments.length; j++) {
+      if (isPolygon && i === 0 && j === segments.length - 1) continue; // Segments adjacents par la fermeture
+      const a = segments[i];
+      const b = segments[j];
+      if (segmentsIntersect(a.start, a.end, b.start, b.end)) {
+        violations.push({
+          rule: VALIDATION_RULES.SELF_INTERSECTION,
+          severity: 'error',
+          message: `Les segments ${i + 1} et ${j + 1} se croisent`,
+          segmentIndex: i,
+          position: V.scale(V.add(a.start, a.end), 0.5),
+          segment: [a.start, a.end],
+        });
+      }
+    }
+  }
+
+  // Longueur totale de bande
+  const totalLengthMm = toMm(calculatePathLength(points, isPolygon));
+  if (totalLengthMm > profile.maxStripLengthMm) {
+    violations.push({
+      rule: VALIDATION_RULES.MAX_STRIP_LENGTH,
+      severity: 'error',
+      message: `Longueur totale de ${formatNumber(totalLengthMm)} mm (maximum ${profile.maxStripLengthMm} mm)`,
+      position: points[0],
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Indique si des violations bloquent la production
+ * @param {Array} violations - Violations retournées par validateShapeForProduction
+ * @returns {boolean} true si au moins une violation est une erreur
+ */
+export const hasBlockingViolations = (violations) => {
+  return violations.some(violation => violation.severity === 'error');
+};
@@ -17,6 +17,11 @@ export const V = {
   // Produit vectoriel 2D (z-component du produit vectoriel 3D)
   // Positif si p1 -> p2 est une rotation CCW
   cross: (p1, p2) => p1.x * p2.y - p1.y * p2.x,
+  // Rotation d'un vecteur (même sens que V.angle)
+  rotate: (p, angleRad) => ({
+    x: p.x * Math.cos(angleRad) - p.y * Math.sin(angleRad),
+    y: p.x * Math.sin(angleRad) + p.y * Math.cos(angleRad),
+  }),
   // Projette le point P sur le segment [A, B]
   projectPointOnSegment: (P, A, B) => {
     const l2 = V.distance(A, B) * V.distance(A, B);